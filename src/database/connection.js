@@ -2,7 +2,9 @@ const { Pool } = require('pg');
 require('dotenv').config();
 
 let pool;
-let dbType = process.env.DB_TYPE || 'sqlite';
+// The messaging features (receipts, reactions, search, polls, ...) need PostgreSQL. The SQLite
+// fallback (DB_TYPE=sqlite) only creates the original core tables.
+let dbType = process.env.DB_TYPE || 'postgresql';
 
 // PostgreSQL connection for production
 if (dbType === 'postgresql') {
@@ -33,6 +35,31 @@ if (dbType === 'postgresql') {
     }
   }
 
+  // Run `callback` inside a transaction on a single client. It receives a query helper bound to
+  // that client (same result shape as `query`); the transaction rolls back if the callback throws.
+  async function transaction(callback) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(async (sql, params = []) => {
+        const queryResult = await client.query(sql, params);
+        return {
+          rows: queryResult.rows,
+          rowCount: queryResult.rowCount,
+          insertId: queryResult.rows[0]?.id || null
+        };
+      });
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Transaction error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Initialize database tables for PostgreSQL
   async function initializeDatabase() {
     try {
@@ -53,6 +80,7 @@ if (dbType === 'postgresql') {
   module.exports = {
     initializeDatabase,
     query,
+    transaction,
     pool
   };
 
@@ -98,6 +126,29 @@ if (dbType === 'postgresql') {
     }
   }
 
+  // SQLite uses a single connection, so the transaction wraps the shared query helper. Transactions
+  // are queued: a second BEGIN while another callback is still awaiting would fail or mix their writes.
+  let transactionQueue = Promise.resolve();
+
+  function transaction(callback) {
+    const run = transactionQueue.then(async () => {
+      db.exec('BEGIN');
+      try {
+        const result = await callback(query);
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        console.error('Transaction error:', error);
+        throw error;
+      }
+    });
+
+    // The next transaction waits for this one whether it commits or rolls back
+    transactionQueue = run.catch(() => {});
+    return run;
+  }
+
   // Initialize database tables for SQLite
   function initializeDatabase() {
     try {
@@ -277,6 +328,7 @@ if (dbType === 'postgresql') {
   module.exports = {
     initializeDatabase,
     query,
+    transaction,
     redisGet,
     redisSet,
     redisDel,
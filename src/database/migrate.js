@@ -235,6 +235,235 @@ const createTables = async () => {
       )
     `);
 
+    // Message receipts table (per-recipient delivery/read state)
+    await query(`
+      CREATE TABLE IF NOT EXISTS message_receipts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        delivered_at TIMESTAMP,
+        read_at TIMESTAMP,
+        UNIQUE(message_id, user_id)
+      )
+    `);
+
+    // Message mentions table (users @mentioned in a message)
+    await query(`
+      CREATE TABLE IF NOT EXISTS message_mentions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+        chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(message_id, user_id)
+      )
+    `);
+
+    // Message reactions table
+    await query(`
+      CREATE TABLE IF NOT EXISTS message_reactions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        emoji VARCHAR(32) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(message_id, user_id, emoji)
+      )
+    `);
+
+    // Message edits table (previous revisions of edited messages)
+    await query(`
+      CREATE TABLE IF NOT EXISTS message_edits (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+        previous_content TEXT,
+        edited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Message deletions table (messages a user deleted "for me" only)
+    await query(`
+      CREATE TABLE IF NOT EXISTS message_deletions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(message_id, user_id)
+      )
+    `);
+
+    // Polls and quizzes (messages point at a poll, so forwarded copies share its votes)
+    await query(`
+      CREATE TABLE IF NOT EXISTS polls (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        creator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        question VARCHAR(300) NOT NULL,
+        is_anonymous BOOLEAN DEFAULT true,
+        allows_multiple_answers BOOLEAN DEFAULT false,
+        is_quiz BOOLEAN DEFAULT false,
+        correct_option_id UUID,
+        explanation VARCHAR(200),
+        close_date TIMESTAMP,
+        is_closed BOOLEAN DEFAULT false,
+        closed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS poll_options (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        text VARCHAR(100) NOT NULL
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS poll_votes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        poll_id UUID REFERENCES polls(id) ON DELETE CASCADE,
+        option_id UUID REFERENCES poll_options(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(option_id, user_id)
+      )
+    `);
+
+    // Pinned messages table
+    await query(`
+      CREATE TABLE IF NOT EXISTS pinned_messages (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+        message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+        pinned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        pinned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(chat_id, message_id)
+      )
+    `);
+
+    // Tags on messages kept in a user's Saved Messages chat
+    await query(`
+      CREATE TABLE IF NOT EXISTS saved_message_tags (
+        message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+        tag VARCHAR(32) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (message_id, tag)
+      )
+    `);
+
+    // Link preview cache, one row per URL (failed fetches are cached too, for a shorter time)
+    await query(`
+      CREATE TABLE IF NOT EXISTS link_previews (
+        url TEXT PRIMARY KEY,
+        status VARCHAR(20) NOT NULL,
+        title TEXT,
+        description TEXT,
+        image_url TEXT,
+        site_name VARCHAR(255),
+        fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Users banned from a group (expires_at NULL = banned until unbanned)
+    await query(`
+      CREATE TABLE IF NOT EXISTS chat_bans (
+        chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        banned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (chat_id, user_id)
+      )
+    `);
+
+    // Per-user chat folders and the chats explicitly included in or excluded from them
+    await query(`
+      CREATE TABLE IF NOT EXISTS chat_folders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(32) NOT NULL,
+        include_private BOOLEAN DEFAULT false,
+        include_group BOOLEAN DEFAULT false,
+        include_channel BOOLEAN DEFAULT false,
+        exclude_muted BOOLEAN DEFAULT false,
+        exclude_read BOOLEAN DEFAULT false,
+        exclude_archived BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS chat_folder_chats (
+        folder_id UUID REFERENCES chat_folders(id) ON DELETE CASCADE,
+        chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+        is_excluded BOOLEAN DEFAULT false,
+        PRIMARY KEY (folder_id, chat_id)
+      )
+    `);
+
+    // Named group invite links (usage_limit/expires_at NULL = unlimited) and pending join requests
+    await query(`
+      CREATE TABLE IF NOT EXISTS chat_invite_links (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+        token VARCHAR(32) UNIQUE NOT NULL,
+        name VARCHAR(32),
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP,
+        usage_limit INTEGER,
+        usage_count INTEGER DEFAULT 0,
+        requires_approval BOOLEAN DEFAULT false,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS chat_join_requests (
+        chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        invite_link_id UUID REFERENCES chat_invite_links(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (chat_id, user_id)
+      )
+    `);
+
+    // Scheduled messages table (delivered by the scheduled message dispatcher)
+    await query(`
+      CREATE TABLE IF NOT EXISTS scheduled_messages (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+        sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        content TEXT NOT NULL,
+        message_type VARCHAR(20) DEFAULT 'text',
+        reply_to UUID REFERENCES messages(id) ON DELETE SET NULL,
+        send_at TIMESTAMP NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        claimed_at TIMESTAMP,
+        message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+        error_code VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Per-user update log replayed by clients catching up after being offline
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_updates (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        seq BIGINT NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        chat_id UUID,
+        payload JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, seq)
+      )
+    `);
+
     // Add missing columns to chats table if they don't exist
     try {
       await query(`
@@ -300,6 +529,278 @@ const createTables = async () => {
       console.log('⚠️ user_locations table column already exists or error:', error.message);
     }
 
+    // Add reaction settings columns to chats table
+    try {
+      await query(`
+        ALTER TABLE chats
+        ADD COLUMN IF NOT EXISTS reactions_enabled BOOLEAN DEFAULT true,
+        ADD COLUMN IF NOT EXISTS allowed_reactions JSONB
+      `);
+      console.log('✅ Added reaction settings columns to chats table');
+    } catch (error) {
+      console.log('⚠️ chats table reaction settings columns error:', error.message);
+    }
+
+    // Add forward attribution columns to messages table
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS forward_sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS forward_sender_name VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS forward_chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS forward_date TIMESTAMP
+      `);
+      console.log('✅ Added forward attribution columns to messages table');
+    } catch (error) {
+      console.log('⚠️ messages table forward attribution columns error:', error.message);
+    }
+
+    // Add edit/delete timestamp columns to messages table
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+      `);
+      console.log('✅ Added edit/delete timestamp columns to messages table');
+    } catch (error) {
+      console.log('⚠️ messages table edit/delete timestamp columns error:', error.message);
+    }
+
+    // Add client-generated id column to messages table (idempotent sends)
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS client_message_id VARCHAR(64)
+      `);
+      console.log('✅ Added client_message_id column to messages table');
+    } catch (error) {
+      console.log('⚠️ messages table client_message_id column error:', error.message);
+    }
+
+    // Add update sequence column to users table (offline catch-up)
+    try {
+      await query(`
+        ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS update_seq BIGINT NOT NULL DEFAULT 0
+      `);
+      console.log('✅ Added update_seq column to users table');
+    } catch (error) {
+      console.log('⚠️ users table update_seq column error:', error.message);
+    }
+
+    // Add disappearing message columns to chats and messages tables
+    try {
+      await query(`
+        ALTER TABLE chats
+        ADD COLUMN IF NOT EXISTS message_ttl_seconds INTEGER
+      `);
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP
+      `);
+      console.log('✅ Added message_ttl_seconds/expires_at columns');
+    } catch (error) {
+      console.log('⚠️ Disappearing message columns error:', error.message);
+    }
+
+    // Keep the per-message timer and client id of scheduled sends until they're dispatched
+    try {
+      await query(`
+        ALTER TABLE scheduled_messages
+        ADD COLUMN IF NOT EXISTS ttl_seconds INTEGER,
+        ADD COLUMN IF NOT EXISTS client_message_id VARCHAR(64)
+      `);
+      console.log('✅ Added ttl_seconds/client_message_id columns to scheduled_messages');
+    } catch (error) {
+      console.log('⚠️ scheduled_messages ttl/client id columns error:', error.message);
+    }
+
+    // Add entities column to messages table (mentions, hashtags)
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS entities JSONB
+      `);
+      console.log('✅ Added entities column to messages table');
+    } catch (error) {
+      console.log('⚠️ messages table entities column error:', error.message);
+    }
+
+    // Add formatting entities to edit history and scheduled messages
+    try {
+      await query(`
+        ALTER TABLE message_edits
+        ADD COLUMN IF NOT EXISTS previous_entities JSONB
+      `);
+      await query(`
+        ALTER TABLE scheduled_messages
+        ADD COLUMN IF NOT EXISTS entities JSONB
+      `);
+      console.log('✅ Added formatting entities columns to message_edits/scheduled_messages');
+    } catch (error) {
+      console.log('⚠️ Formatting entities columns error:', error.message);
+    }
+
+    // Add chat-wide member permissions to chats and admin rights to chat_participants
+    try {
+      await query(`
+        ALTER TABLE chats
+        ADD COLUMN IF NOT EXISTS default_permissions JSONB
+      `);
+      await query(`
+        ALTER TABLE chat_participants
+        ADD COLUMN IF NOT EXISTS admin_rights JSONB,
+        ADD COLUMN IF NOT EXISTS admin_promoted_by UUID REFERENCES users(id) ON DELETE SET NULL
+      `);
+      console.log('✅ Added default_permissions/admin_rights columns');
+    } catch (error) {
+      console.log('⚠️ Permission columns error:', error.message);
+    }
+
+    // group_permissions rows are per-member overrides: NULL means "use the chat default"
+    try {
+      await query(`
+        ALTER TABLE group_permissions
+        ALTER COLUMN can_send_messages DROP DEFAULT,
+        ALTER COLUMN can_send_media DROP DEFAULT,
+        ALTER COLUMN can_send_stickers DROP DEFAULT,
+        ALTER COLUMN can_send_polls DROP DEFAULT,
+        ALTER COLUMN can_change_info DROP DEFAULT,
+        ALTER COLUMN can_invite_users DROP DEFAULT,
+        ALTER COLUMN can_pin_messages DROP DEFAULT,
+        ALTER COLUMN can_manage_topics DROP DEFAULT
+      `);
+      console.log('✅ Made group_permissions columns inherit chat defaults');
+    } catch (error) {
+      console.log('⚠️ group_permissions defaults error:', error.message);
+    }
+
+    // Add system action to messages table (membership changes recorded in chat history)
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS system_action JSONB
+      `);
+      console.log('✅ Added system_action column to messages table');
+    } catch (error) {
+      console.log('⚠️ messages.system_action column error:', error.message);
+    }
+
+    // Add chat list state columns to chat_participants table (pinned chats and archive)
+    try {
+      await query(`
+        ALTER TABLE chat_participants
+        ADD COLUMN IF NOT EXISTS pinned_order INTEGER,
+        ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP
+      `);
+      console.log('✅ Added pinned_order/archived_at columns to chat_participants table');
+    } catch (error) {
+      console.log('⚠️ chat_participants chat list columns error:', error.message);
+    }
+
+    // Add silent flag to messages/scheduled messages and notification settings to chat_participants
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS is_silent BOOLEAN DEFAULT false
+      `);
+      await query(`
+        ALTER TABLE scheduled_messages
+        ADD COLUMN IF NOT EXISTS is_silent BOOLEAN DEFAULT false
+      `);
+      await query(`
+        ALTER TABLE chat_participants
+        ADD COLUMN IF NOT EXISTS notification_mode VARCHAR(20) DEFAULT 'all',
+        ADD COLUMN IF NOT EXISTS muted_until TIMESTAMP
+      `);
+      console.log('✅ Added silent message and notification setting columns');
+    } catch (error) {
+      console.log('⚠️ Silent message/notification setting columns error:', error.message);
+    }
+
+    // Add link preview column to messages table
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS link_preview JSONB
+      `);
+      console.log('✅ Added link_preview column to messages table');
+    } catch (error) {
+      console.log('⚠️ messages table link_preview column error:', error.message);
+    }
+
+    // Add poll column to messages table
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS poll_id UUID REFERENCES polls(id) ON DELETE SET NULL
+      `);
+      console.log('✅ Added poll_id column to messages table');
+    } catch (error) {
+      console.log('⚠️ messages table poll_id column error:', error.message);
+    }
+
+    // Add forward privacy column to users table
+    try {
+      await query(`
+        ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS hide_forward_sender BOOLEAN DEFAULT false
+      `);
+      console.log('✅ Added hide_forward_sender column to users table');
+    } catch (error) {
+      console.log('⚠️ users table hide_forward_sender column error:', error.message);
+    }
+
+    // Add full-text search column to messages table
+    try {
+      await query(`
+        ALTER TABLE messages
+        ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(content, ''))) STORED
+      `);
+      console.log('✅ Added search_vector column to messages table');
+    } catch (error) {
+      console.log('⚠️ messages table search_vector column error:', error.message);
+    }
+
+    // Add read watermark columns to chat_participants table
+    try {
+      await query(`
+        ALTER TABLE chat_participants
+        ADD COLUMN IF NOT EXISTS last_read_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS last_read_at TIMESTAMP
+      `);
+      console.log('✅ Added read watermark columns to chat_participants table');
+    } catch (error) {
+      console.log('⚠️ chat_participants read watermark columns error:', error.message);
+    }
+
+    // Add draft columns to chat_participants table (one draft per user per chat)
+    try {
+      await query(`
+        ALTER TABLE chat_participants
+        ADD COLUMN IF NOT EXISTS draft_text TEXT,
+        ADD COLUMN IF NOT EXISTS draft_entities JSONB,
+        ADD COLUMN IF NOT EXISTS draft_reply_to UUID REFERENCES messages(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS draft_updated_at TIMESTAMP
+      `);
+      console.log('✅ Added draft columns to chat_participants table');
+    } catch (error) {
+      console.log('⚠️ chat_participants draft columns error:', error.message);
+    }
+
+    // Add invite link column to chat_participants table (the link a member joined with)
+    try {
+      await query(`
+        ALTER TABLE chat_participants
+        ADD COLUMN IF NOT EXISTS invite_link_id UUID REFERENCES chat_invite_links(id) ON DELETE SET NULL
+      `);
+      console.log('✅ Added invite_link_id column to chat_participants table');
+    } catch (error) {
+      console.log('⚠️ chat_participants invite_link_id column error:', error.message);
+    }
+
     // Create indexes for better performance
     await query('CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id)');
     await query('CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id)');
@@ -308,6 +809,35 @@ const createTables = async () => {
     await query('CREATE INDEX IF NOT EXISTS idx_chat_participants_user_id ON chat_participants(user_id)');
     await query('CREATE INDEX IF NOT EXISTS idx_signal_keys_user_id ON signal_keys(user_id)');
     await query('CREATE INDEX IF NOT EXISTS idx_prekeys_user_id ON prekeys(user_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_message_receipts_user_id ON message_receipts(user_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_messages_chat_created_at ON messages(chat_id, created_at)');
+    await query('CREATE INDEX IF NOT EXISTS idx_message_mentions_user_chat ON message_mentions(user_id, chat_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_message_reactions_message_id ON message_reactions(message_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_message_deletions_user_id ON message_deletions(user_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector)');
+    await query('CREATE INDEX IF NOT EXISTS idx_messages_expires_at ON messages(expires_at) WHERE expires_at IS NOT NULL');
+    await query('CREATE INDEX IF NOT EXISTS idx_message_mentions_message_id ON message_mentions(message_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_poll_options_poll_id ON poll_options(poll_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_poll_votes_poll_user ON poll_votes(poll_id, user_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_messages_poll_id ON messages(poll_id) WHERE poll_id IS NOT NULL');
+    await query('CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(status, send_at)');
+    await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_chats_saved_owner ON chats(creator_id) WHERE type = 'saved'`);
+    await query('CREATE INDEX IF NOT EXISTS idx_saved_message_tags_tag ON saved_message_tags(tag)');
+    await query('CREATE INDEX IF NOT EXISTS idx_chat_folders_user_id ON chat_folders(user_id)');
+    await query('CREATE INDEX IF NOT EXISTS idx_chat_invite_links_chat_id ON chat_invite_links(chat_id)');
+    await query('CREATE UNIQUE INDEX IF NOT EXISTS idx_chats_username_lower ON chats(LOWER(username))');
+    await query('CREATE INDEX IF NOT EXISTS idx_scheduled_messages_chat_sender ON scheduled_messages(chat_id, sender_id)');
+    // Client message ids are unique per sender within a chat
+    await query('DROP INDEX IF EXISTS idx_messages_sender_client_message_id');
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_messages_chat_sender_client_message_id
+      ON scheduled_messages(chat_id, sender_id, client_message_id) WHERE client_message_id IS NOT NULL
+    `);
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_chat_sender_client_message_id
+      ON messages(chat_id, sender_id, client_message_id) WHERE client_message_id IS NOT NULL
+    `);
 
     console.log('✅ Database migration completed successfully!');
   } catch (error) {
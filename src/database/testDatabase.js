@@ -0,0 +1,106 @@
+const { PGlite, types } = require('@electric-sql/pglite');
+
+// In-memory PostgreSQL for the jest specs. Exposes the same `query`/`transaction` helpers as
+// ./connection, so a spec can swap it in with
+//   jest.mock('../database/connection', () => require('../database/testDatabase'));
+// and run the real services and migrations against it. Each spec file gets its own database.
+
+// Match node-postgres, which returns bigint and numeric columns as strings
+const db = new PGlite({
+  parsers: {
+    [types.INT8]: (value) => value,
+    [types.NUMERIC]: (value) => value
+  }
+});
+
+const toResult = (result) => ({
+  rows: result.rows,
+  rowCount: result.affectedRows || result.rows.length,
+  insertId: result.rows[0]?.id || null
+});
+
+async function query(sql, params = []) {
+  return toResult(await db.query(sql, params));
+}
+
+// PGlite has a single connection, so other queries wait until the transaction finishes
+async function transaction(callback) {
+  return db.transaction(async (tx) => {
+    return callback(async (sql, params = []) => toResult(await tx.query(sql, params)));
+  });
+}
+
+let migrated = null;
+
+// Create the schema once per spec file
+const setupTestDatabase = () => {
+  if (!migrated) {
+    const { createTables } = require('./migrate');
+    migrated = createTables();
+  }
+  return migrated;
+};
+
+// Empty every table between tests
+const resetTestDatabase = async () => {
+  const tables = await db.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public'`);
+  if (tables.rows.length > 0) {
+    await db.exec(`TRUNCATE ${tables.rows.map(row => `"${row.tablename}"`).join(', ')} CASCADE`);
+  }
+};
+
+const closeTestDatabase = () => db.close();
+
+let userCount = 0;
+
+// Insert a user; every field can be overridden
+const createUser = async (overrides = {}) => {
+  userCount++;
+  const user = {
+    username: `user${userCount}`,
+    email: `user${userCount}@example.com`,
+    password_hash: 'not-a-real-hash',
+    first_name: `User ${userCount}`,
+    ...overrides
+  };
+  const columns = Object.keys(user);
+
+  const result = await query(`
+    INSERT INTO users (${columns.join(', ')})
+    VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+    RETURNING *
+  `, columns.map(column => user[column]));
+  return result.rows[0];
+};
+
+// Insert a chat with its participants. `members` are user ids; the creator is added as admin.
+const createChat = async (creatorId, { type = 'private', members = [], ...overrides } = {}) => {
+  const chat = { type, is_group: type !== 'private', creator_id: creatorId, ...overrides };
+  const columns = Object.keys(chat);
+
+  const result = await query(`
+    INSERT INTO chats (${columns.join(', ')})
+    VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+    RETURNING *
+  `, columns.map(column => chat[column]));
+  const created = result.rows[0];
+
+  await query(`INSERT INTO chat_participants (chat_id, user_id, role) VALUES ($1, $2, 'admin')`, [created.id, creatorId]);
+  for (const userId of members) {
+    await query(`INSERT INTO chat_participants (chat_id, user_id, role) VALUES ($1, $2, 'member')`, [created.id, userId]);
+  }
+  await query(`UPDATE chats SET member_count = $1 WHERE id = $2`, [members.length + 1, created.id]);
+
+  return created;
+};
+
+module.exports = {
+  dbType: 'postgresql',
+  query,
+  transaction,
+  setupTestDatabase,
+  resetTestDatabase,
+  closeTestDatabase,
+  createUser,
+  createChat
+};
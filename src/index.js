@@ -22,7 +22,13 @@ const groupRoutes = require('./routes/groups');
 const fileRoutes = require('./routes/files');
 const signalRoutes = require('./routes/signal');
 const nearbyRoutes = require('./routes/nearby');
+const searchRoutes = require('./routes/search');
+const updateRoutes = require('./routes/updates');
+const folderRoutes = require('./routes/folders');
+const resolveRoutes = require('./routes/resolve');
 const { errorHandler } = require('./middleware/errorHandler');
+const { startScheduledMessageDispatcher } = require('./jobs/scheduledMessageDispatcher');
+const { startMessagePurge } = require('./jobs/messagePurge');
 
 const app = express();
 const server = http.createServer(app);
@@ -120,6 +126,20 @@ app.use('/api/v1/groups', groupRoutes);
 app.use('/api/v1/files', fileRoutes);
 app.use('/api/v1/signal', signalRoutes);
 app.use('/api/v1/nearby', nearbyRoutes);
+app.use('/api/v1/search', searchRoutes);
+app.use('/api/v1/updates', updateRoutes);
+app.use('/api/v1/folders', folderRoutes);
+app.use('/api/v1/resolve', resolveRoutes);
+
+// Invite links: GET previews the group, POST joins it (307 keeps the method)
+app.route('/join/:token')
+  .get((req, res) => res.redirect(307, `/api/v1/groups/join/${encodeURIComponent(req.params.token)}`))
+  .post((req, res) => res.redirect(307, `/api/v1/groups/join/${encodeURIComponent(req.params.token)}`));
+
+// t.me-style links: /@name resolves the same way as /api/v1/resolve/name
+app.get('/@:username', (req, res) => {
+  res.redirect(307, `/api/v1/resolve/${encodeURIComponent(req.params.username)}`);
+});
 
 // WebSocket initialization
 initializeWebSocket(io);
@@ -146,6 +166,9 @@ async function startServer() {
     try {
       await initializeDatabase();
       console.log('✅ Database connected successfully');
+
+      startScheduledMessageDispatcher();
+      startMessagePurge();
     } catch (dbError) {
       console.error('⚠️ Database connection failed, but continuing with server startup:', dbError.message);
     }
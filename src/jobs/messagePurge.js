@@ -0,0 +1,42 @@
+const cron = require('node-cron');
+const { purgeExpiredMessages } = require('../services/messageExpiryService');
+const { emitToChat, broadcastUnreadCounts } = require('../websocket/socket');
+
+let purging = false;
+
+// Delete expired disappearing messages and tell clients to drop their local copies
+const purgeExpired = async () => {
+  // Skip this tick if the previous purge is still running
+  if (purging) {
+    return;
+  }
+
+  purging = true;
+  try {
+    const purged = await purgeExpiredMessages();
+
+    for (const [chatId, messageIds] of Object.entries(purged)) {
+      await emitToChat(chatId, 'messages_expired', { chatId, messageIds });
+      await broadcastUnreadCounts(chatId);
+    }
+
+    const total = Object.values(purged).reduce((sum, messageIds) => sum + messageIds.length, 0);
+    if (total > 0) {
+      console.log('🧹 Purged expired messages:', total);
+    }
+  } catch (error) {
+    console.error('Expired message purge error:', error);
+  } finally {
+    purging = false;
+  }
+};
+
+const startMessagePurge = () => {
+  cron.schedule('*/30 * * * * *', purgeExpired);
+  console.log('⏰ Expired message purge started');
+};
+
+module.exports = {
+  purgeExpired,
+  startMessagePurge
+};
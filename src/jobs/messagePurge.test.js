@@ -0,0 +1,183 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader } = require('../routes/testApp');
+const { sendMessage } = require('../services/messageService');
+const { markRead } = require('../services/receiptService');
+const { getUnreadCounts } = require('../services/unreadService');
+const { dispatchDueMessages } = require('./scheduledMessageDispatcher');
+const { purgeExpired } = require('./messagePurge');
+const messageRoutes = require('../routes/messages');
+const chatRoutes = require('../routes/chats');
+
+const uploadsDir = path.join(__dirname, '../../uploads');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, events, alice, bob, chat, uploads;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({ '/api/v1/messages': messageRoutes, '/api/v1/chats': chatRoutes }));
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  chat = await createChat(alice.id, { type: 'group', members: [bob.id] });
+  uploads = [];
+});
+
+afterEach(() => {
+  uploads.forEach(filePath => fs.rmSync(filePath, { force: true }));
+});
+
+// Leave no empty uploads/ behind in a fresh checkout
+afterAll(() => {
+  if (fs.existsSync(uploadsDir) && fs.readdirSync(uploadsDir).length === 0) {
+    fs.rmdirSync(uploadsDir);
+  }
+});
+
+const send = async (content, options = {}) => {
+  const { message } = await sendMessage({ chatId: chat.id, senderId: alice.id, content, ...options });
+  return message;
+};
+
+const expire = (messageId) => query(
+  `UPDATE messages SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE id = $1`,
+  [messageId]
+);
+
+const messageExists = async (messageId) => {
+  const result = await query('SELECT 1 FROM messages WHERE id = $1', [messageId]);
+  return result.rows.length > 0;
+};
+
+// Put a file in uploads/ the way the upload route does, returning its public URL
+const createUpload = () => {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  const name = `purge-test-${Date.now()}-${Math.random().toString(36).slice(2)}.txt`;
+  const filePath = path.join(uploadsDir, name);
+  fs.writeFileSync(filePath, 'contents');
+  uploads.push(filePath);
+  return { url: `/uploads/${name}`, filePath };
+};
+
+describe('disappearing messages', () => {
+  it('applies the chat timer to new messages unless the message sets its own', async () => {
+    const before = await send('sent before the timer');
+
+    await request(app)
+      .put(`/api/v1/chats/${chat.id}/ttl`)
+      .set('Authorization', authHeader(alice))
+      .send({ ttlSeconds: 60 })
+      .expect(200);
+
+    const timed = await send('timed');
+    const longer = await send('longer', { ttlSeconds: 3600 });
+    const kept = await send('kept', { ttlSeconds: 0 });
+
+    const lifetime = (message) => (new Date(message.expiresAt) - new Date(message.createdAt)) / 1000;
+    expect(before.expiresAt).toBeNull();
+    expect(lifetime(timed)).toBeCloseTo(60, 0);
+    expect(lifetime(longer)).toBeCloseTo(3600, 0);
+    expect(kept.expiresAt).toBeNull();
+  });
+
+  it('hides expired messages right away, before the purge runs', async () => {
+    const message = await send('gone soon');
+    await expire(message.id);
+
+    const history = await request(app)
+      .get(`/api/v1/messages/${chat.id}`)
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+    expect(history.body.messages).toEqual([]);
+  });
+
+  it('purges expired messages and tells participants to drop them', async () => {
+    const kept = await send('kept');
+    const expired = await send('expired');
+    await expire(expired.id);
+
+    await purgeExpired();
+
+    expect(await messageExists(expired.id)).toBe(false);
+    expect(await messageExists(kept.id)).toBe(true);
+    expect(events).toEqual(expect.arrayContaining([
+      {
+        room: `user:${bob.id}`,
+        event: 'messages_expired',
+        payload: expect.objectContaining({ chatId: chat.id, messageIds: [expired.id] })
+      }
+    ]));
+
+    const chatRow = await query('SELECT last_message_content FROM chats WHERE id = $1', [chat.id]);
+    expect(chatRow.rows[0].last_message_content).toBe('kept');
+  });
+
+  it('keeps read state and replies intact when a message disappears', async () => {
+    const first = await send('first');
+    const expired = await send('expired');
+    await markRead(chat.id, expired.id, bob.id);
+    const reply = await send('reply', { replyToId: expired.id });
+    await expire(expired.id);
+
+    await purgeExpired();
+
+    // Bob had read up to the purged message, so only the reply after it is unread
+    expect((await getUnreadCounts(bob.id)).counts[chat.id].unreadCount).toBe(1);
+    const watermark = await query(
+      'SELECT last_read_message_id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [chat.id, bob.id]
+    );
+    expect(watermark.rows[0].last_read_message_id).toBe(first.id);
+
+    const replyRow = await query('SELECT content, reply_to FROM messages WHERE id = $1', [reply.id]);
+    expect(replyRow.rows[0]).toEqual({ content: 'reply', reply_to: null });
+  });
+
+  it('removes uploads nothing else points at', async () => {
+    const orphaned = createUpload();
+    const shared = createUpload();
+    const expiredOrphan = await send(orphaned.url, { type: 'file' });
+    const expiredShared = await send(shared.url, { type: 'file' });
+    await send(shared.url, { type: 'file' });
+    await expire(expiredOrphan.id);
+    await expire(expiredShared.id);
+
+    await purgeExpired();
+
+    expect(fs.existsSync(orphaned.filePath)).toBe(false);
+    expect(fs.existsSync(shared.filePath)).toBe(true);
+  });
+
+  it('carries the timer and client id of a scheduled message through to the sent message', async () => {
+    const scheduled = (await request(app)
+      .post(`/api/v1/messages/${chat.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({
+        content: 'later',
+        sendAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        ttlSeconds: 30,
+        clientMessageId: 'later-1'
+      })
+      .expect(201)).body.scheduled;
+    expect(scheduled).toMatchObject({ ttlSeconds: 30, clientMessageId: 'later-1' });
+
+    await query(`UPDATE scheduled_messages SET send_at = CURRENT_TIMESTAMP WHERE id = $1`, [scheduled.id]);
+    await dispatchDueMessages();
+
+    const sent = await query(`
+      SELECT client_message_id, EXTRACT(EPOCH FROM expires_at - created_at) as lifetime
+      FROM messages WHERE chat_id = $1
+    `, [chat.id]);
+    expect(sent.rows).toHaveLength(1);
+    expect(sent.rows[0].client_message_id).toBe('later-1');
+    expect(Math.round(parseFloat(sent.rows[0].lifetime))).toBe(30);
+  });
+});
@@ -0,0 +1,93 @@
+const cron = require('node-cron');
+const { sendMessage } = require('../services/messageService');
+const {
+  claimDueMessages,
+  markScheduledSent,
+  markScheduledFailed
+} = require('../services/scheduledMessageService');
+const { sendMessageToChat, emitToUser } = require('../websocket/socket');
+
+let dispatching = false;
+
+// Deliver one claimed message through the normal send path. The clientMessageId is the one the
+// client scheduled with, or else derived from the schedule id, so a retried claim can never post
+// the message twice.
+const dispatchScheduledMessage = async (scheduled) => {
+  const result = await sendMessage({
+    chatId: scheduled.chatId,
+    senderId: scheduled.senderId,
+    content: scheduled.content,
+    entities: scheduled.entities,
+    silent: scheduled.silent,
+    type: scheduled.type,
+    replyToId: scheduled.replyToId,
+    ttlSeconds: scheduled.ttlSeconds,
+    clientMessageId: scheduled.clientMessageId || `scheduled:${scheduled.id}`
+  });
+
+  if (result.error) {
+    await markScheduledFailed(scheduled.id, result.error.code);
+    console.log('⚠️ Scheduled message failed:', scheduled.id, result.error.code);
+
+    emitToUser(scheduled.senderId, 'scheduled_messages_updated', {
+      chatId: scheduled.chatId,
+      scheduledId: scheduled.id,
+      action: 'failed',
+      errorCode: result.error.code
+    });
+    return;
+  }
+
+  await markScheduledSent(scheduled.id, result.message.id);
+
+  if (!result.duplicate) {
+    await sendMessageToChat(scheduled.chatId, result.message, scheduled.senderId);
+  }
+
+  emitToUser(scheduled.senderId, 'scheduled_messages_updated', {
+    chatId: scheduled.chatId,
+    scheduledId: scheduled.id,
+    action: 'sent',
+    messageId: result.message.id
+  });
+};
+
+// Claim and send every message that is due
+const dispatchDueMessages = async () => {
+  // Skip this tick if the previous one is still sending
+  if (dispatching) {
+    return;
+  }
+
+  dispatching = true;
+  try {
+    const due = await claimDueMessages();
+
+    for (const scheduled of due) {
+      try {
+        await dispatchScheduledMessage(scheduled);
+      } catch (error) {
+        // Left in 'sending'; the claim times out and another tick retries it
+        console.error('Error dispatching scheduled message:', scheduled.id, error);
+      }
+    }
+
+    if (due.length > 0) {
+      console.log('📨 Dispatched scheduled messages:', due.length);
+    }
+  } catch (error) {
+    console.error('Scheduled message dispatcher error:', error);
+  } finally {
+    dispatching = false;
+  }
+};
+
+const startScheduledMessageDispatcher = () => {
+  cron.schedule('*/10 * * * * *', dispatchDueMessages);
+  console.log('⏰ Scheduled message dispatcher started');
+};
+
+module.exports = {
+  dispatchDueMessages,
+  startScheduledMessageDispatcher
+};
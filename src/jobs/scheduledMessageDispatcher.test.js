@@ -0,0 +1,149 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader } = require('../routes/testApp');
+const { sendMessage } = require('../services/messageService');
+const { claimDueMessages } = require('../services/scheduledMessageService');
+const { dispatchDueMessages } = require('./scheduledMessageDispatcher');
+const messageRoutes = require('../routes/messages');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, events, alice, bob, chat;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({ '/api/v1/messages': messageRoutes }));
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  chat = await createChat(alice.id, { type: 'group', members: [bob.id] });
+});
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+const schedule = async (body, user = alice) => (await request(app)
+  .post(`/api/v1/messages/${chat.id}`)
+  .set('Authorization', authHeader(user))
+  .send({ sendAt: inOneHour(), ...body })
+  .expect(201)).body.scheduled;
+
+// Pretend the send time has come
+const makeDue = (scheduledId) => query(
+  `UPDATE scheduled_messages SET send_at = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE id = $1`,
+  [scheduledId]
+);
+
+const getScheduled = async (scheduledId) => {
+  const result = await query('SELECT status, message_id, error_code FROM scheduled_messages WHERE id = $1', [scheduledId]);
+  return result.rows[0];
+};
+
+const chatMessages = async () => {
+  const result = await query('SELECT id, content, sender_id FROM messages WHERE chat_id = $1', [chat.id]);
+  return result.rows;
+};
+
+describe('scheduled messages', () => {
+  it('holds a message until it is due, then sends it to the chat', async () => {
+    const scheduled = await schedule({ content: 'good morning' });
+
+    const listed = await request(app)
+      .get(`/api/v1/messages/${chat.id}/scheduled`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(listed.body.scheduled.map(entry => entry.id)).toEqual([scheduled.id]);
+
+    await dispatchDueMessages();
+    expect(await chatMessages()).toEqual([]);
+
+    await makeDue(scheduled.id);
+    await dispatchDueMessages();
+
+    const [message] = await chatMessages();
+    expect(message).toMatchObject({ content: 'good morning', sender_id: alice.id });
+    expect(await getScheduled(scheduled.id)).toMatchObject({ status: 'sent', message_id: message.id });
+    expect(events).toEqual(expect.arrayContaining([
+      expect.objectContaining({ room: `user:${bob.id}`, event: 'new_message' }),
+      expect.objectContaining({
+        room: `user:${alice.id}`,
+        event: 'scheduled_messages_updated',
+        payload: expect.objectContaining({ scheduledId: scheduled.id, action: 'sent', messageId: message.id })
+      })
+    ]));
+  });
+
+  it('never hands the same message to two dispatchers', async () => {
+    const scheduled = await schedule({ content: 'once' });
+    await makeDue(scheduled.id);
+
+    const [first, second] = await Promise.all([claimDueMessages(), claimDueMessages()]);
+    expect([...first, ...second].map(entry => entry.id)).toEqual([scheduled.id]);
+  });
+
+  it('retries an abandoned claim without posting the message twice', async () => {
+    const scheduled = await schedule({ content: 'once' });
+
+    // A dispatcher sent the message, then died before recording it
+    await sendMessage({ chatId: chat.id, senderId: alice.id, content: 'once', clientMessageId: `scheduled:${scheduled.id}` });
+    await query(`
+      UPDATE scheduled_messages
+      SET status = 'sending', send_at = CURRENT_TIMESTAMP - INTERVAL '10 minutes',
+          claimed_at = CURRENT_TIMESTAMP - INTERVAL '10 minutes'
+      WHERE id = $1
+    `, [scheduled.id]);
+
+    await dispatchDueMessages();
+
+    const messages = await chatMessages();
+    expect(messages).toHaveLength(1);
+    expect(await getScheduled(scheduled.id)).toMatchObject({ status: 'sent', message_id: messages[0].id });
+  });
+
+  it('marks the message failed when the sender can no longer post', async () => {
+    const scheduled = await schedule({ content: 'too late' }, bob);
+    await query('DELETE FROM chat_participants WHERE chat_id = $1 AND user_id = $2', [chat.id, bob.id]);
+    await makeDue(scheduled.id);
+
+    await dispatchDueMessages();
+
+    expect(await chatMessages()).toEqual([]);
+    expect(await getScheduled(scheduled.id)).toMatchObject({ status: 'failed', error_code: 'ACCESS_DENIED' });
+  });
+
+  it('lets the sender edit or cancel it while it is pending', async () => {
+    const scheduled = await schedule({ content: 'draft' });
+
+    const edited = await request(app)
+      .put(`/api/v1/messages/scheduled/${scheduled.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({ content: '*final*', parseMode: 'markdown' })
+      .expect(200);
+    expect(edited.body.scheduled).toMatchObject({ content: 'final', entities: [{ type: 'bold', offset: 0, length: 5 }] });
+
+    await request(app)
+      .delete(`/api/v1/messages/scheduled/${scheduled.id}`)
+      .set('Authorization', authHeader(bob))
+      .expect(404);
+    await request(app)
+      .delete(`/api/v1/messages/scheduled/${scheduled.id}`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+
+    await makeDue(scheduled.id);
+    await dispatchDueMessages();
+    expect(await chatMessages()).toEqual([]);
+  });
+
+  it('rejects send times in the past', async () => {
+    const response = await request(app)
+      .post(`/api/v1/messages/${chat.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({ content: 'hello', sendAt: new Date(Date.now() - 1000).toISOString() })
+      .expect(400);
+    expect(response.body.code).toBe('INVALID_SEND_AT');
+  });
+});
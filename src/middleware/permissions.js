@@ -0,0 +1,30 @@
+const { checkPermission } = require('../services/permissionService');
+
+// Require a right in the chat named by a route param (use after authenticateToken).
+// Responds 403 PERMISSION_DENIED with the missing right, or ACCESS_DENIED for non-participants.
+const requireChatRight = (right, param = 'chatId') => async (req, res, next) => {
+  try {
+    const error = await checkPermission(req.params[param], req.user.id, right);
+    if (error) {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+        code: error.code,
+        missingRight: error.missingRight
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Permission check failed',
+      code: 'PERMISSION_CHECK_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  requireChatRight
+};
@@ -11,6 +11,7 @@ const {
   revokeRefreshToken 
 } = require('../middleware/auth');
 const { generateSignalKeys } = require('../services/signalService');
+const { isUsernameTaken } = require('../services/publicChatService');
 
 const router = express.Router();
 
@@ -49,7 +50,7 @@ router.post('/firebase-login', async (req, res) => {
     }
 
     // Generate username from display name or email
-    const username = displayName || email.split('@')[0];
+    let username = displayName || email.split('@')[0];
     const firstName = displayName ? displayName.split(' ')[0] : username;
     const lastName = displayName ? displayName.split(' ').slice(1).join(' ') : '';
     const profilePicture = photoURL || null;
@@ -73,6 +74,19 @@ router.post('/firebase-login', async (req, res) => {
       finalUserId = uuidv4();
     }
 
+    // Users and public chats share usernames: an existing user keeps theirs when the generated one
+    // is taken, and a new user gets a suffix until it's free
+    if (existingUser.rows.length > 0) {
+      if (await isUsernameTaken(username, { exceptUserId: finalUserId })) {
+        username = null;
+      }
+    } else {
+      const baseUsername = username;
+      while (await isUsernameTaken(username)) {
+        username = `${baseUsername}_${Math.random().toString(36).slice(2, 8)}`;
+      }
+    }
+
     if (existingUser.rows.length > 0) {
       // User exists, update their information
       const user = existingUser.rows[0];
@@ -201,6 +215,15 @@ router.post('/register', [
       profilePicture 
     } = req.body;
 
+    // Users and public chats share usernames
+    if (username && await isUsernameTaken(username)) {
+      return res.status(409).json({
+        error: 'Username already taken',
+        message: 'Username is already in use by another user or chat',
+        code: 'USERNAME_TAKEN'
+      });
+    }
+
     // Check if user already exists - only check non-null values
     let existingUserQuery = 'SELECT id FROM users WHERE email = $1';
     let queryParams = [email];
@@ -1,33 +1,115 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { query } = require('../database/connection');
 const { v4: uuidv4 } = require('uuid');
+const { markRead } = require('../services/receiptService');
+const { getUnreadCounts } = require('../services/unreadService');
+const {
+  MAX_CONTENT_LENGTH,
+  MAX_MESSAGE_TTL_SECONDS,
+  NOT_EXPIRED,
+  encodeCursor,
+  decodeCursor
+} = require('../services/messageService');
+const { prepareFormattedText } = require('../services/formattingService');
+const { DRAFT_COLUMNS, formatDraft, saveDraft, clearDraft } = require('../services/draftService');
+const {
+  SAVED_CHAT_TYPE,
+  SAVED_CHAT_TITLE,
+  normalizeTags,
+  getOrCreateSavedChat,
+  setMessageTags,
+  listSavedTags,
+  getSavedMessagesPage
+} = require('../services/savedMessagesService');
+const {
+  NOTIFICATION_MODES,
+  formatNotificationSettings,
+  validateNotificationSettings,
+  updateNotificationSettings
+} = require('../services/notificationService');
+const {
+  MAX_PINNED_CHATS,
+  CHAT_LIST_ORDER,
+  formatChatListState,
+  pinChat,
+  unpinChat,
+  reorderPinnedChats,
+  setChatArchived,
+  countArchivedChats
+} = require('../services/chatListService');
+const { getFolder, filterChatsForFolder } = require('../services/folderService');
+const { getChatPermissions, permissionDenied } = require('../services/permissionService');
+const { setChatUsername, getPublicChatPreview } = require('../services/publicChatService');
+const { requireChatRight } = require('../middleware/permissions');
+const {
+  getPinPermission,
+  pinMessage,
+  unpinMessage,
+  unpinAllMessages,
+  getPinnedMessages
+} = require('../services/pinService');
+const {
+  emitToChat,
+  emitToUser,
+  publishRead,
+  publishDraft,
+  publishPinnedUpdate,
+  sendNotificationToUsers
+} = require('../websocket/socket');
 
 const router = express.Router();
 
-// Get user's chats
+// Get user's chats. Archived chats are listed separately with ?archived=true;
+// ?folderId= lists the chats matching one of the user's folders instead.
 router.get('/', authenticateToken, async (req, res) => {
   try {
+    const archived = req.query.archived === 'true';
+
+    let folder = null;
+    if (req.query.folderId) {
+      folder = await getFolder(req.query.folderId, req.user.id);
+      if (!folder) {
+        return res.status(404).json({
+          error: 'Folder not found',
+          message: 'Folder not found',
+          code: 'FOLDER_NOT_FOUND'
+        });
+      }
+    }
+
+    // Saved Messages is listed like any other chat, so make sure it exists
+    await getOrCreateSavedChat(req.user.id);
+
     const result = await query(`
-      SELECT c.id, c.type, c.title, c.description, c.is_group, c.member_count, c.created_at,
-             c.last_message_at, c.last_message_content, c.last_message_sender_id,
-             u.username as last_message_sender_username, u.first_name as last_message_sender_first_name
+      SELECT c.id, c.type, c.title, c.description, c.is_group, c.is_channel, c.member_count, c.created_at,
+             c.message_ttl_seconds, c.last_message_at, c.last_message_content, c.last_message_sender_id,
+             u.username as last_message_sender_username, u.first_name as last_message_sender_first_name,
+             cp.last_read_message_id, cp.last_read_at,
+             cp.draft_text, cp.draft_entities, cp.draft_reply_to, cp.draft_updated_at,
+             cp.notification_mode, cp.muted_until, cp.pinned_order, cp.archived_at
       FROM chats c
       INNER JOIN chat_participants cp ON c.id = cp.chat_id
       LEFT JOIN users u ON c.last_message_sender_id = u.id
-      WHERE cp.user_id = $1
-      ORDER BY COALESCE(c.last_message_at, c.created_at) DESC
-    `, [req.user.id]);
+      WHERE cp.user_id = $1 AND ($2::boolean IS NULL OR (cp.archived_at IS NOT NULL) = $2)
+      ORDER BY ${CHAT_LIST_ORDER}
+    `, [req.user.id, folder ? null : archived]);
 
     console.log('🔍 Chat list query result:', result.rows[0]);
 
+    const { counts: unreadCounts, totalUnreadCount } = await getUnreadCounts(req.user.id);
+
+    // Folder rules need unread counts and mute state, so they are applied here rather than in SQL
+    const rows = folder ? filterChatsForFolder(folder, result.rows, unreadCounts) : result.rows;
+
     // Get participants for each chat
     const chatsWithParticipants = await Promise.all(
-      result.rows.map(async (row) => {
+      rows.map(async (row) => {
         const participantsResult = await query(`
           SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture, 
-                 u.is_online, u.last_seen, cp.role, cp.joined_at
+                 u.is_online, u.last_seen, cp.role, cp.joined_at,
+                 cp.last_read_message_id, cp.last_read_at
           FROM chat_participants cp
           INNER JOIN users u ON cp.user_id = u.id
           WHERE cp.chat_id = $1
@@ -43,7 +125,9 @@ router.get('/', authenticateToken, async (req, res) => {
           isOnline: participant.is_online,
           lastSeen: participant.last_seen,
           role: participant.role,
-          joinedAt: participant.joined_at
+          joinedAt: participant.joined_at,
+          lastReadMessageId: participant.last_read_message_id,
+          lastReadAt: participant.last_read_at
         }));
 
         return {
@@ -55,8 +139,17 @@ router.get('/', authenticateToken, async (req, res) => {
           groupName: row.is_group ? row.title : null,
           groupType: row.is_group ? 'basic' : null,
           memberCount: row.member_count,
+          messageTtlSeconds: row.message_ttl_seconds,
           participants: participants,
-          unreadCount: 0, // TODO: Implement unread count
+          unreadCount: unreadCounts[row.id]?.unreadCount || 0,
+          unreadMentionCount: unreadCounts[row.id]?.unreadMentionCount || 0,
+          readWatermark: {
+            messageId: row.last_read_message_id,
+            readAt: row.last_read_at
+          },
+          draft: formatDraft(row),
+          notificationSettings: formatNotificationSettings(row),
+          ...formatChatListState(row),
           createdAt: row.created_at,
           lastMessageAt: row.last_message_at,
           lastMessage: row.last_message_content ? {
@@ -77,7 +170,9 @@ router.get('/', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      chats: chatsWithParticipants
+      chats: chatsWithParticipants,
+      totalUnreadCount,
+      archivedChatCount: archived && !folder ? chatsWithParticipants.length : await countArchivedChats(req.user.id)
     });
 
   } catch (error) {
@@ -109,6 +204,22 @@ router.post('/', [
 
     const { participantId } = req.body;
 
+    // A chat with yourself is your Saved Messages
+    if (participantId === req.user.id) {
+      const savedChatId = await getOrCreateSavedChat(req.user.id);
+      return res.json({
+        success: true,
+        message: 'Saved Messages chat',
+        chat: {
+          id: savedChatId,
+          type: SAVED_CHAT_TYPE,
+          title: SAVED_CHAT_TITLE,
+          isGroup: false,
+          memberCount: 1
+        }
+      });
+    }
+
     // Check if participant exists
     const participantCheck = await query(
       'SELECT id FROM users WHERE id = $1',
@@ -155,6 +266,8 @@ router.post('/', [
       VALUES ($1, $2, 'member'), ($1, $3, 'member')
     `, [chatId, req.user.id, participantId]);
 
+    emitToChat(chatId, 'chat_created', { chatId, type: 'private', createdBy: req.user.id });
+
     // Get participant info for response
     const participantInfo = await query(
       'SELECT id, username, first_name, last_name, profile_picture FROM users WHERE id = $1',
@@ -183,6 +296,188 @@ router.post('/', [
   }
 });
 
+// Reorder pinned chats (registered before PUT /:chatId)
+router.put('/pinned', [
+  body('chatIds')
+    .isArray({ max: MAX_PINNED_CHATS })
+    .withMessage(`chatIds must be an array of at most ${MAX_PINNED_CHATS} chat IDs`),
+  body('chatIds.*')
+    .isUUID()
+    .withMessage('Each chat ID must be a valid UUID')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await reorderPinnedChats(req.user.id, req.body.chatIds);
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: result.error,
+        code: 'INVALID_PINNED_ORDER'
+      });
+    }
+
+    emitToUser(req.user.id, 'pinned_chats_updated', { pinnedChatIds: result.pinnedChatIds });
+
+    res.json({
+      success: true,
+      pinnedChatIds: result.pinnedChatIds
+    });
+
+  } catch (error) {
+    console.error('Reorder pinned chats error:', error);
+    res.status(500).json({
+      error: 'Failed to reorder pinned chats',
+      message: 'An error occurred while reordering pinned chats',
+      code: 'PINNED_CHATS_REORDER_ERROR'
+    });
+  }
+});
+
+// Get the Saved Messages chat and the tags used in it (registered before GET /:chatId)
+router.get('/saved', authenticateToken, async (req, res) => {
+  try {
+    const chatId = await getOrCreateSavedChat(req.user.id);
+    const tags = await listSavedTags(req.user.id);
+
+    res.json({
+      success: true,
+      chat: {
+        id: chatId,
+        type: SAVED_CHAT_TYPE,
+        title: SAVED_CHAT_TITLE,
+        isGroup: false,
+        memberCount: 1
+      },
+      tags
+    });
+
+  } catch (error) {
+    console.error('Get saved messages chat error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch Saved Messages',
+      message: 'An error occurred while fetching Saved Messages',
+      code: 'SAVED_MESSAGES_FETCH_ERROR'
+    });
+  }
+});
+
+// List saved messages newest first, optionally filtered by ?tag=, paged with ?before=<cursor>
+router.get('/saved/messages', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    let tag = null;
+    if (req.query.tag) {
+      const normalized = normalizeTags([req.query.tag]);
+      if (normalized.error) {
+        return res.status(400).json({
+          error: 'Invalid tag',
+          message: normalized.error,
+          code: 'INVALID_TAG'
+        });
+      }
+      tag = normalized.tags[0];
+    }
+
+    let beforeId = null;
+    if (req.query.before) {
+      beforeId = decodeCursor(req.query.before);
+      if (!beforeId) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'The pagination cursor is malformed',
+          code: 'INVALID_CURSOR'
+        });
+      }
+    }
+
+    const page = await getSavedMessagesPage(req.user.id, { tag, beforeId, limit });
+    const last = page.messages[page.messages.length - 1];
+
+    res.json({
+      success: true,
+      chatId: page.chatId,
+      tag,
+      messages: page.messages, // Newest first
+      nextCursor: page.hasMore && last ? encodeCursor(last.id) : null,
+      hasMore: page.hasMore
+    });
+
+  } catch (error) {
+    console.error('Get saved messages error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved messages',
+      message: 'An error occurred while fetching saved messages',
+      code: 'SAVED_MESSAGES_FETCH_ERROR'
+    });
+  }
+});
+
+// Replace the tags on a saved message
+router.put('/saved/messages/:messageId/tags', [
+  body('tags')
+    .isArray()
+    .withMessage('tags must be an array')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { messageId } = req.params;
+
+    const normalized = normalizeTags(req.body.tags);
+    if (normalized.error) {
+      return res.status(400).json({
+        error: 'Invalid tag',
+        message: normalized.error,
+        code: 'INVALID_TAG'
+      });
+    }
+
+    const tags = await setMessageTags(req.user.id, messageId, normalized.tags);
+    if (!tags) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message is not in your Saved Messages',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    const chatId = await getOrCreateSavedChat(req.user.id);
+    emitToUser(req.user.id, 'saved_message_tags_updated', { chatId, messageId, tags });
+
+    res.json({
+      success: true,
+      messageId,
+      tags
+    });
+
+  } catch (error) {
+    console.error('Update saved message tags error:', error);
+    res.status(500).json({
+      error: 'Failed to update tags',
+      message: 'An error occurred while updating tags',
+      code: 'SAVED_MESSAGE_TAGS_UPDATE_ERROR'
+    });
+  }
+});
+
 // Get chat details
 router.get('/:chatId', authenticateToken, async (req, res) => {
   try {
@@ -190,7 +485,8 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
 
     // Check if user is participant in this chat
     const participantCheck = await query(
-      'SELECT id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      `SELECT id, ${DRAFT_COLUMNS}, notification_mode, muted_until, pinned_order, archived_at
+       FROM chat_participants WHERE chat_id = $1 AND user_id = $2`,
       [chatId, req.user.id]
     );
 
@@ -205,7 +501,8 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
     // Get chat details
     const chatResult = await query(`
       SELECT c.id, c.type, c.title, c.description, c.is_group, c.member_count, 
-             c.created_at, c.creator_id
+             c.created_at, c.creator_id, c.reactions_enabled, c.allowed_reactions,
+             c.message_ttl_seconds, c.username, c.is_public
       FROM chats c
       WHERE c.id = $1
     `, [chatId]);
@@ -223,7 +520,8 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
     // Get participants
     const participantsResult = await query(`
       SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture, 
-             u.is_online, u.last_seen, cp.role, cp.joined_at
+             u.is_online, u.last_seen, cp.role, cp.joined_at,
+             cp.last_read_message_id, cp.last_read_at
       FROM chat_participants cp
       INNER JOIN users u ON cp.user_id = u.id
       WHERE cp.chat_id = $1
@@ -239,7 +537,9 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
       isOnline: row.is_online,
       lastSeen: row.last_seen,
       role: row.role,
-      joinedAt: row.joined_at
+      joinedAt: row.joined_at,
+      lastReadMessageId: row.last_read_message_id,
+      lastReadAt: row.last_read_at
     }));
 
     res.json({
@@ -253,6 +553,16 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
         memberCount: chat.member_count,
         createdAt: chat.created_at,
         creatorId: chat.creator_id,
+        username: chat.username,
+        isPublic: Boolean(chat.is_public),
+        reactions: {
+          enabled: chat.reactions_enabled !== false,
+          allowedReactions: chat.allowed_reactions || null
+        },
+        messageTtlSeconds: chat.message_ttl_seconds,
+        draft: formatDraft(participantCheck.rows[0]),
+        notificationSettings: formatNotificationSettings(participantCheck.rows[0]),
+        ...formatChatListState(participantCheck.rows[0]),
         participants: participants
       }
     });
@@ -267,7 +577,140 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
   }
 });
 
-// Update chat (for groups)
+// Mark chat as read up to a message
+router.post('/:chatId/read', [
+  param('chatId')
+    .isUUID()
+    .withMessage('Chat ID must be a valid UUID'),
+  body('messageId')
+    .notEmpty()
+    .withMessage('Message ID is required')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { chatId } = req.params;
+    const { messageId } = req.body;
+
+    const read = await markRead(chatId, messageId, req.user.id);
+    if (!read) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message does not exist in a chat you participate in',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    await publishRead(chatId, messageId, req.user, read);
+    const { counts, totalUnreadCount } = await getUnreadCounts(req.user.id);
+
+    res.json({
+      success: true,
+      chatId,
+      lastReadMessageId: messageId,
+      unreadCount: counts[chatId]?.unreadCount || 0,
+      unreadMentionCount: counts[chatId]?.unreadMentionCount || 0,
+      totalUnreadCount
+    });
+
+  } catch (error) {
+    console.error('Mark chat read error:', error);
+    res.status(500).json({
+      error: 'Failed to mark chat as read',
+      message: 'An error occurred while marking chat as read',
+      code: 'CHAT_READ_ERROR'
+    });
+  }
+});
+
+// Preview a public group before joining: its details and recent messages, read-only
+router.get('/:chatId/preview', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const preview = await getPublicChatPreview(chatId, req.user.id);
+    if (!preview) {
+      return res.status(404).json({
+        error: 'Chat not found',
+        message: 'There is no public chat with this id',
+        code: 'CHAT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      chat: preview.chat,
+      messages: preview.messages
+    });
+
+  } catch (error) {
+    console.error('Public chat preview error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch chat preview',
+      message: 'An error occurred while fetching the chat preview',
+      code: 'CHAT_PREVIEW_ERROR'
+    });
+  }
+});
+
+// Claim, change or drop a group's public username (needs the changeInfo right).
+// Body: { username: "my_group" } makes the group public; { username: null } makes it private again.
+router.put('/:chatId/username', [
+  body('username')
+    .custom(value => value === null || typeof value === 'string')
+    .withMessage('username must be a string, or null to remove it')
+], authenticateToken, requireChatRight('changeInfo'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { chatId } = req.params;
+
+    const result = await setChatUsername(chatId, req.body.username);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    emitToChat(chatId, 'chat_updated', { chatId, username: result.username, isPublic: result.isPublic });
+
+    res.json({
+      success: true,
+      username: result.username,
+      isPublic: result.isPublic
+    });
+
+  } catch (error) {
+    console.error('Update chat username error:', error);
+    res.status(500).json({
+      error: 'Failed to update username',
+      message: 'An error occurred while updating the chat username',
+      code: 'CHAT_USERNAME_UPDATE_ERROR'
+    });
+  }
+});
+
+// Update chat (for groups, needs the changeInfo right)
 router.put('/:chatId', [
   body('title')
     .optional()
@@ -277,7 +720,7 @@ router.put('/:chatId', [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Description must be 500 characters or less')
-], authenticateToken, async (req, res) => {
+], authenticateToken, requireChatRight('changeInfo'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -292,20 +735,6 @@ router.put('/:chatId', [
     const { chatId } = req.params;
     const { title, description } = req.body;
 
-    // Check if user is admin of this chat
-    const adminCheck = await query(
-      'SELECT id FROM chat_participants WHERE chat_id = $1 AND user_id = $2 AND role = $3',
-      [chatId, req.user.id, 'admin']
-    );
-
-    if (adminCheck.rows.length === 0) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only admins can update chat details',
-        code: 'ACCESS_DENIED'
-      });
-    }
-
     // Update chat
     const updateResult = await query(`
       UPDATE chats 
@@ -316,6 +745,13 @@ router.put('/:chatId', [
       RETURNING id, title, description, updated_at
     `, [title, description, chatId]);
 
+    emitToChat(chatId, 'chat_updated', {
+      chatId,
+      title: updateResult.rows[0].title,
+      description: updateResult.rows[0].description,
+      updatedAt: updateResult.rows[0].updated_at
+    });
+
     res.json({
       success: true,
       message: 'Chat updated successfully',
@@ -332,6 +768,660 @@ router.put('/:chatId', [
   }
 });
 
+// Update allowed reactions (for groups, needs the changeInfo right)
+router.put('/:chatId/reactions', [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+    .toBoolean(),
+  body('allowedReactions')
+    .optional({ nullable: true })
+    .isArray({ max: 100 })
+    .withMessage('Allowed reactions must be an array of emoji or null'),
+  body('allowedReactions.*')
+    .isString()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Each allowed reaction must be between 1 and 32 characters')
+], authenticateToken, requireChatRight('changeInfo'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { chatId } = req.params;
+    const { enabled, allowedReactions } = req.body;
+
+    // allowedReactions: undefined keeps the current list, null allows every reaction
+    const updateResult = await query(`
+      UPDATE chats
+      SET reactions_enabled = COALESCE($1, reactions_enabled),
+          allowed_reactions = CASE WHEN $2 THEN $3::jsonb ELSE allowed_reactions END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING reactions_enabled, allowed_reactions
+    `, [
+      enabled,
+      allowedReactions !== undefined,
+      allowedReactions ? JSON.stringify([...new Set(allowedReactions)]) : null,
+      chatId
+    ]);
+
+    const reactions = {
+      enabled: updateResult.rows[0].reactions_enabled,
+      allowedReactions: updateResult.rows[0].allowed_reactions
+    };
+
+    emitToChat(chatId, 'chat_reactions_updated', { chatId, reactions });
+
+    res.json({
+      success: true,
+      message: 'Reaction settings updated successfully',
+      reactions
+    });
+
+  } catch (error) {
+    console.error('Update reactions error:', error);
+    res.status(500).json({
+      error: 'Failed to update reaction settings',
+      message: 'An error occurred while updating reaction settings',
+      code: 'REACTIONS_UPDATE_ERROR'
+    });
+  }
+});
+
+// Pin a chat to the top of your chat list
+router.post('/:chatId/pin', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const result = await pinChat(chatId, req.user.id);
+    if (!result) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in this chat',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Too many pinned chats',
+        message: result.error,
+        code: 'PINNED_CHATS_LIMIT'
+      });
+    }
+
+    emitToUser(req.user.id, 'pinned_chats_updated', { pinnedChatIds: result.pinnedChatIds });
+
+    res.json({
+      success: true,
+      chatId,
+      pinnedChatIds: result.pinnedChatIds
+    });
+
+  } catch (error) {
+    console.error('Pin chat error:', error);
+    res.status(500).json({
+      error: 'Failed to pin chat',
+      message: 'An error occurred while pinning the chat',
+      code: 'CHAT_PIN_ERROR'
+    });
+  }
+});
+
+// Unpin a chat from the top of your chat list
+router.delete('/:chatId/pin', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const result = await unpinChat(chatId, req.user.id);
+    if (!result) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in this chat',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    emitToUser(req.user.id, 'pinned_chats_updated', { pinnedChatIds: result.pinnedChatIds });
+
+    res.json({
+      success: true,
+      chatId,
+      pinnedChatIds: result.pinnedChatIds
+    });
+
+  } catch (error) {
+    console.error('Unpin chat error:', error);
+    res.status(500).json({
+      error: 'Failed to unpin chat',
+      message: 'An error occurred while unpinning the chat',
+      code: 'CHAT_UNPIN_ERROR'
+    });
+  }
+});
+
+const updateArchived = async (req, res, archived) => {
+  try {
+    const { chatId } = req.params;
+
+    const state = await setChatArchived(chatId, req.user.id, archived);
+    if (!state) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in this chat',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    emitToUser(req.user.id, 'chat_archive_updated', { chatId, isArchived: state.isArchived });
+
+    res.json({
+      success: true,
+      chatId,
+      ...state
+    });
+
+  } catch (error) {
+    console.error('Archive chat error:', error);
+    res.status(500).json({
+      error: archived ? 'Failed to archive chat' : 'Failed to unarchive chat',
+      message: 'An error occurred while updating the chat archive',
+      code: 'CHAT_ARCHIVE_ERROR'
+    });
+  }
+};
+
+// Archive a chat. It returns to the main list when a new message arrives, unless you muted it.
+router.post('/:chatId/archive', authenticateToken, async (req, res) => {
+  await updateArchived(req, res, true);
+});
+
+// Move a chat back to the main list
+router.delete('/:chatId/archive', authenticateToken, async (req, res) => {
+  await updateArchived(req, res, false);
+});
+
+// Set your notification settings for a chat: all, mentions only, or muted (until mutedUntil, or forever)
+router.put('/:chatId/notifications', [
+  body('mode')
+    .isIn(NOTIFICATION_MODES)
+    .withMessage(`mode must be one of: ${NOTIFICATION_MODES.join(', ')}`),
+  body('mutedUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('mutedUntil must be an ISO 8601 date')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { chatId } = req.params;
+    const { mode, mutedUntil = null } = req.body;
+
+    const settingsError = validateNotificationSettings({ mode, mutedUntil });
+    if (settingsError) {
+      return res.status(400).json({
+        error: 'Invalid notification settings',
+        message: settingsError,
+        code: 'INVALID_NOTIFICATION_SETTINGS'
+      });
+    }
+
+    const notificationSettings = await updateNotificationSettings(chatId, req.user.id, { mode, mutedUntil });
+    if (!notificationSettings) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in this chat',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    // Keep the muted icon in sync on the user's other devices
+    emitToUser(req.user.id, 'chat_notification_settings_updated', { chatId, notificationSettings });
+
+    res.json({
+      success: true,
+      chatId,
+      notificationSettings
+    });
+
+  } catch (error) {
+    console.error('Update notification settings error:', error);
+    res.status(500).json({
+      error: 'Failed to update notification settings',
+      message: 'An error occurred while updating notification settings',
+      code: 'NOTIFICATION_SETTINGS_UPDATE_ERROR'
+    });
+  }
+});
+
+// Set the disappearing message timer (0 or null turns it off).
+// Either side of a private chat may change it; in groups it takes the changeInfo right.
+router.put('/:chatId/ttl', [
+  body('ttlSeconds')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: MAX_MESSAGE_TTL_SECONDS })
+    .withMessage(`ttlSeconds must be between 0 and ${MAX_MESSAGE_TTL_SECONDS}`)
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { chatId } = req.params;
+    const ttlSeconds = parseInt(req.body.ttlSeconds) || null;
+
+    const permissions = await getChatPermissions(chatId, req.user.id);
+
+    if (!permissions) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in this chat',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (permissions.isGroup && !permissions.rights.changeInfo) {
+      const error = permissionDenied('changeInfo');
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+        code: error.code,
+        missingRight: error.missingRight
+      });
+    }
+
+    // Only affects messages sent from now on
+    await query(`
+      UPDATE chats
+      SET message_ttl_seconds = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [ttlSeconds, chatId]);
+
+    console.log('⏱️ Message timer for chat', chatId, 'set to', ttlSeconds);
+
+    emitToChat(chatId, 'chat_ttl_updated', {
+      chatId,
+      messageTtlSeconds: ttlSeconds,
+      updatedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Message timer updated successfully',
+      messageTtlSeconds: ttlSeconds
+    });
+
+  } catch (error) {
+    console.error('Update message timer error:', error);
+    res.status(500).json({
+      error: 'Failed to update message timer',
+      message: 'An error occurred while updating the message timer',
+      code: 'MESSAGE_TTL_UPDATE_ERROR'
+    });
+  }
+});
+
+// Save the draft for a chat. Empty text with no reply target clears it.
+// Send X-Socket-Id so the device saving the draft doesn't get its own draft_updated back.
+router.put('/:chatId/draft', [
+  body('text')
+    .isString()
+    .withMessage('Draft text must be a string')
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Draft text must be ${MAX_CONTENT_LENGTH} characters or less`),
+  body('replyToId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Reply target must be a valid message ID'),
+  body('entities')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('entities must be an array')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { chatId } = req.params;
+    const { text, replyToId, entities } = req.body;
+    const originSocketId = req.get('X-Socket-Id') || null;
+
+    let draft = null;
+    let changed = true;
+    if (text.trim() === '' && !replyToId) {
+      const result = await clearDraft(chatId, req.user.id);
+      if (!result) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You are not a participant in this chat',
+          code: 'ACCESS_DENIED'
+        });
+      }
+      changed = result.cleared;
+    } else {
+      const formatted = prepareFormattedText({ content: text, entities });
+      if (formatted.error) {
+        return res.status(400).json({
+          error: 'Invalid entities',
+          message: formatted.error,
+          code: 'INVALID_ENTITIES'
+        });
+      }
+
+      const result = await saveDraft(chatId, req.user.id, {
+        text: formatted.content,
+        entities: formatted.entities,
+        replyToId: replyToId || null
+      });
+      if (!result) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You are not a participant in this chat',
+          code: 'ACCESS_DENIED'
+        });
+      }
+      if (result.error) {
+        return res.status(result.error.status).json({
+          error: result.error.error,
+          message: result.error.message,
+          code: result.error.code
+        });
+      }
+      draft = result.draft;
+    }
+
+    if (changed) {
+      await publishDraft(chatId, req.user.id, draft, originSocketId);
+    }
+
+    res.json({
+      success: true,
+      chatId,
+      draft
+    });
+
+  } catch (error) {
+    console.error('Save draft error:', error);
+    res.status(500).json({
+      error: 'Failed to save draft',
+      message: 'An error occurred while saving the draft',
+      code: 'DRAFT_SAVE_ERROR'
+    });
+  }
+});
+
+// Clear the draft for a chat
+router.delete('/:chatId/draft', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const result = await clearDraft(chatId, req.user.id);
+    if (!result) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in this chat',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (result.cleared) {
+      await publishDraft(chatId, req.user.id, null, req.get('X-Socket-Id') || null);
+    }
+
+    res.json({
+      success: true,
+      chatId,
+      draft: null
+    });
+
+  } catch (error) {
+    console.error('Clear draft error:', error);
+    res.status(500).json({
+      error: 'Failed to clear draft',
+      message: 'An error occurred while clearing the draft',
+      code: 'DRAFT_CLEAR_ERROR'
+    });
+  }
+});
+
+const pinDeniedResponse = (res, isParticipant) => {
+  if (!isParticipant) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'You are not a participant in this chat',
+      code: 'ACCESS_DENIED'
+    });
+  }
+
+  const error = permissionDenied('pinMessages');
+  return res.status(error.status).json({
+    error: error.error,
+    message: error.message,
+    code: error.code,
+    missingRight: error.missingRight
+  });
+};
+
+// Get pinned messages
+router.get('/:chatId/pins', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const { isParticipant } = await getPinPermission(chatId, req.user.id);
+    if (!isParticipant) {
+      return pinDeniedResponse(res, false);
+    }
+
+    const messages = await getPinnedMessages(chatId, req.user.id);
+
+    res.json({
+      success: true,
+      messages
+    });
+
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch pinned messages',
+      message: 'An error occurred while fetching pinned messages',
+      code: 'PINNED_MESSAGES_FETCH_ERROR'
+    });
+  }
+});
+
+// Pin a message (silent skips the notification to other participants)
+router.post('/:chatId/pins', [
+  body('messageId')
+    .isUUID()
+    .withMessage('A valid message ID is required'),
+  body('silent')
+    .optional()
+    .isBoolean()
+    .withMessage('silent must be a boolean')
+    .toBoolean()
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { chatId } = req.params;
+    const { messageId, silent = false } = req.body;
+
+    const { isParticipant, canPin } = await getPinPermission(chatId, req.user.id);
+    if (!canPin) {
+      return pinDeniedResponse(res, isParticipant);
+    }
+
+    const messageCheck = await query(`
+      SELECT m.id, m.content FROM messages m
+      WHERE m.id = $1 AND m.chat_id = $2 AND m.is_deleted = false AND ${NOT_EXPIRED}
+    `, [messageId, chatId]);
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message does not exist in this chat',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    const pinned = await pinMessage(chatId, messageId, req.user.id);
+    const pinnedMessageIds = await publishPinnedUpdate(chatId, {
+      action: 'pinned',
+      messageId,
+      userId: req.user.id,
+      silent
+    });
+
+    if (!silent) {
+      const participantsResult = await query(
+        'SELECT user_id FROM chat_participants WHERE chat_id = $1 AND user_id != $2',
+        [chatId, req.user.id]
+      );
+
+      await sendNotificationToUsers(participantsResult.rows.map(row => row.user_id), {
+        type: 'message_pinned',
+        chatId,
+        messageId,
+        pinnedBy: {
+          id: req.user.id,
+          username: req.user.username,
+          firstName: req.user.first_name
+        },
+        content: messageCheck.rows[0].content
+      });
+    }
+
+    console.log('📌 Message pinned:', messageId, 'in chat:', chatId, silent ? '(silent)' : '');
+
+    res.status(201).json({
+      success: true,
+      message: 'Message pinned successfully',
+      pinnedAt: pinned.pinned_at,
+      pinnedMessageIds
+    });
+
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({
+      error: 'Failed to pin message',
+      message: 'An error occurred while pinning the message',
+      code: 'MESSAGE_PIN_ERROR'
+    });
+  }
+});
+
+// Unpin one message
+router.delete('/:chatId/pins/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+
+    const { isParticipant, canPin } = await getPinPermission(chatId, req.user.id);
+    if (!canPin) {
+      return pinDeniedResponse(res, isParticipant);
+    }
+
+    const removed = await unpinMessage(chatId, messageId);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Pin not found',
+        message: 'This message is not pinned',
+        code: 'PIN_NOT_FOUND'
+      });
+    }
+
+    const pinnedMessageIds = await publishPinnedUpdate(chatId, {
+      action: 'unpinned',
+      messageId,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Message unpinned successfully',
+      pinnedMessageIds
+    });
+
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({
+      error: 'Failed to unpin message',
+      message: 'An error occurred while unpinning the message',
+      code: 'MESSAGE_UNPIN_ERROR'
+    });
+  }
+});
+
+// Unpin all messages
+router.delete('/:chatId/pins', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const { isParticipant, canPin } = await getPinPermission(chatId, req.user.id);
+    if (!canPin) {
+      return pinDeniedResponse(res, isParticipant);
+    }
+
+    const removedCount = await unpinAllMessages(chatId);
+    if (removedCount > 0) {
+      await publishPinnedUpdate(chatId, {
+        action: 'unpinned_all',
+        userId: req.user.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'All messages unpinned successfully',
+      removedCount
+    });
+
+  } catch (error) {
+    console.error('Unpin all messages error:', error);
+    res.status(500).json({
+      error: 'Failed to unpin messages',
+      message: 'An error occurred while unpinning messages',
+      code: 'MESSAGE_UNPIN_ERROR'
+    });
+  }
+});
+
 // Test endpoint to check database schema
 router.get('/debug/schema', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,572 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader, startTestSocketServer, waitForEvents } = require('./testApp');
+const { sendMessage, deleteMessageForEveryone, deleteMessageForUser } = require('../services/messageService');
+const { getOrCreateSavedChat } = require('../services/savedMessagesService');
+const { sendNotificationToUser } = require('../websocket/socket');
+const chatRoutes = require('./chats');
+const messageRoutes = require('./messages');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, events, alice, bob, carol, group;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({ '/api/v1/chats': chatRoutes, '/api/v1/messages': messageRoutes }));
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  carol = await createUser({ username: 'carol' });
+  group = await createChat(alice.id, { type: 'group', members: [bob.id] });
+});
+
+const send = async (chatId, senderId, content) => {
+  const { message } = await sendMessage({ chatId, senderId, content });
+  return message;
+};
+
+const eventsNamed = (name) => events.filter(entry => entry.event === name);
+
+describe('pinned messages', () => {
+  const pin = (user, chatId, body) => request(app)
+    .post(`/api/v1/chats/${chatId}/pins`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const pinnedIds = async (user, chatId) => (await request(app)
+    .get(`/api/v1/chats/${chatId}/pins`)
+    .set('Authorization', authHeader(user))
+    .expect(200)).body.messages.map(message => message.id);
+
+  it('keeps several pins, most recently pinned first', async () => {
+    const first = await send(group.id, bob.id, 'first');
+    const second = await send(group.id, bob.id, 'second');
+
+    await pin(alice, group.id, { messageId: first.id }).expect(201);
+    const response = await pin(alice, group.id, { messageId: second.id }).expect(201);
+
+    expect(response.body.pinnedMessageIds).toEqual([second.id, first.id]);
+    expect(await pinnedIds(bob, group.id)).toEqual([second.id, first.id]);
+    expect(eventsNamed('pinned_messages_updated')).toEqual(expect.arrayContaining([
+      {
+        room: `user:${bob.id}`,
+        event: 'pinned_messages_updated',
+        payload: expect.objectContaining({ chatId: group.id, action: 'pinned', messageId: second.id })
+      }
+    ]));
+
+    // Pinning an old pin again moves it back to the top
+    await pin(alice, group.id, { messageId: first.id }).expect(201);
+    expect(await pinnedIds(bob, group.id)).toEqual([first.id, second.id]);
+  });
+
+  it('notifies the other participants unless the pin is silent', async () => {
+    const message = await send(group.id, bob.id, 'read the rules');
+
+    await pin(alice, group.id, { messageId: message.id, silent: true }).expect(201);
+    expect(eventsNamed('notification')).toEqual([]);
+
+    // A form-style "false" is still a loud pin
+    await pin(alice, group.id, { messageId: message.id, silent: 'false' }).expect(201);
+    expect(eventsNamed('notification')).toEqual([
+      {
+        room: `user:${bob.id}`,
+        event: 'notification',
+        payload: expect.objectContaining({ type: 'message_pinned', chatId: group.id, messageId: message.id })
+      }
+    ]);
+  });
+
+  it('takes the pinMessages right in groups', async () => {
+    const message = await send(group.id, bob.id, 'pin me');
+
+    const denied = await pin(bob, group.id, { messageId: message.id }).expect(403);
+    expect(denied.body).toMatchObject({ code: 'PERMISSION_DENIED', missingRight: 'pinMessages' });
+    expect((await pin(carol, group.id, { messageId: message.id }).expect(403)).body.code).toBe('ACCESS_DENIED');
+
+    await query(
+      'INSERT INTO group_permissions (chat_id, user_id, can_pin_messages) VALUES ($1, $2, true)',
+      [group.id, bob.id]
+    );
+    await pin(bob, group.id, { messageId: message.id }).expect(201);
+  });
+
+  it('lets either side pin in a private chat', async () => {
+    const privateChat = await createChat(alice.id, { members: [bob.id] });
+    const message = await send(privateChat.id, alice.id, 'our address');
+
+    await pin(bob, privateChat.id, { messageId: message.id }).expect(201);
+    expect(await pinnedIds(alice, privateChat.id)).toEqual([message.id]);
+  });
+
+  it('only pins live messages from the same chat', async () => {
+    const otherChat = await createChat(alice.id, { members: [carol.id] });
+    const elsewhere = await send(otherChat.id, alice.id, 'elsewhere');
+    const deleted = await send(group.id, alice.id, 'deleted');
+    await deleteMessageForEveryone(deleted.id);
+
+    expect((await pin(alice, group.id, { messageId: elsewhere.id }).expect(404)).body.code).toBe('MESSAGE_NOT_FOUND');
+    expect((await pin(alice, group.id, { messageId: deleted.id }).expect(404)).body.code).toBe('MESSAGE_NOT_FOUND');
+    expect((await pin(alice, group.id, { messageId: 'not-a-uuid' }).expect(400)).body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('unpins one message or all of them', async () => {
+    const first = await send(group.id, bob.id, 'first');
+    const second = await send(group.id, bob.id, 'second');
+    await pin(alice, group.id, { messageId: first.id }).expect(201);
+    await pin(alice, group.id, { messageId: second.id }).expect(201);
+
+    const unpinned = await request(app)
+      .delete(`/api/v1/chats/${group.id}/pins/${first.id}`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(unpinned.body.pinnedMessageIds).toEqual([second.id]);
+
+    await request(app)
+      .delete(`/api/v1/chats/${group.id}/pins/${first.id}`)
+      .set('Authorization', authHeader(alice))
+      .expect(404);
+    await request(app)
+      .delete(`/api/v1/chats/${group.id}/pins`)
+      .set('Authorization', authHeader(bob))
+      .expect(403);
+
+    const cleared = await request(app)
+      .delete(`/api/v1/chats/${group.id}/pins`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(cleared.body.removedCount).toBe(1);
+    expect(await pinnedIds(bob, group.id)).toEqual([]);
+  });
+});
+
+describe('drafts', () => {
+  let sockets;
+
+  // Started after the test app, so routes publish to these sockets
+  beforeEach(async () => {
+    sockets = await startTestSocketServer();
+  });
+  afterEach(() => sockets.close());
+
+  const saveDraft = (user, chatId, body, socketId = null) => {
+    const req = request(app)
+      .put(`/api/v1/chats/${chatId}/draft`)
+      .set('Authorization', authHeader(user));
+    return (socketId ? req.set('X-Socket-Id', socketId) : req).send(body);
+  };
+
+  const listedDraft = async (user, chatId) => {
+    const response = await request(app)
+      .get('/api/v1/chats')
+      .set('Authorization', authHeader(user))
+      .expect(200);
+    return response.body.chats.find(entry => entry.id === chatId).draft;
+  };
+
+  const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+  it('stores the text, formatting and reply target and lists them with the chat', async () => {
+    const message = await send(group.id, bob.id, 'question?');
+
+    const saved = await saveDraft(alice, group.id, {
+      text: 'my answer',
+      entities: [{ type: 'bold', offset: 3, length: 6 }],
+      replyToId: message.id
+    }).expect(200);
+
+    const expected = { text: 'my answer', entities: [{ type: 'bold', offset: 3, length: 6 }], replyToId: message.id };
+    expect(saved.body.draft).toMatchObject(expected);
+    expect(await listedDraft(alice, group.id)).toEqual({ ...expected, updatedAt: saved.body.draft.updatedAt });
+    expect(await listedDraft(bob, group.id)).toBeNull();
+
+    const details = await request(app)
+      .get(`/api/v1/chats/${group.id}`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(details.body.chat.draft).toMatchObject(expected);
+
+    await request(app)
+      .delete(`/api/v1/chats/${group.id}/draft`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(await listedDraft(alice, group.id)).toBeNull();
+  });
+
+  it('syncs the draft to the user\'s other devices but not back to the saving one', async () => {
+    const phone = await sockets.connect(alice);
+    const tablet = await sockets.connect(alice);
+    const echoed = jest.fn();
+    phone.on('draft_updated', echoed);
+    const synced = nextEvent(tablet, 'draft_updated');
+
+    await saveDraft(alice, group.id, { text: 'half a sent' }, phone.id).expect(200);
+
+    expect(await synced).toMatchObject({ chatId: group.id, draft: { text: 'half a sent' } });
+    expect(echoed).not.toHaveBeenCalled();
+  });
+
+  it('clears the draft on every device when a message is sent', async () => {
+    const phone = await sockets.connect(alice);
+    const tablet = await sockets.connect(alice);
+    await saveDraft(alice, group.id, { text: 'hello' }).expect(200);
+    const cleared = nextEvent(tablet, 'draft_updated');
+
+    await phone.timeout(5000).emitWithAck('send_message', { chatId: group.id, content: 'hello', clientMessageId: 'c-1' });
+
+    expect(await cleared).toMatchObject({ chatId: group.id, draft: null });
+    expect(await listedDraft(alice, group.id)).toBeNull();
+  });
+
+  it('treats empty text without a reply target as clearing the draft', async () => {
+    await saveDraft(alice, group.id, { text: 'hello' }).expect(200);
+
+    const response = await saveDraft(alice, group.id, { text: '  ' }).expect(200);
+    expect(response.body.draft).toBeNull();
+    expect(await listedDraft(alice, group.id)).toBeNull();
+  });
+
+  it('only replies to messages the user can see in the same chat', async () => {
+    const otherChat = await createChat(alice.id, { members: [carol.id] });
+    const elsewhere = await send(otherChat.id, carol.id, 'elsewhere');
+    const hidden = await send(group.id, bob.id, 'hidden');
+    await deleteMessageForUser(hidden.id, alice.id);
+
+    for (const replyToId of [elsewhere.id, hidden.id]) {
+      const response = await saveDraft(alice, group.id, { text: 'reply', replyToId }).expect(404);
+      expect(response.body.code).toBe('REPLY_TARGET_NOT_FOUND');
+    }
+  });
+
+  it('rejects outsiders and formatting that does not fit the text', async () => {
+    expect((await saveDraft(carol, group.id, { text: 'hi' }).expect(403)).body.code).toBe('ACCESS_DENIED');
+
+    const invalid = await saveDraft(alice, group.id, { text: 'hi', entities: [{ type: 'bold', offset: 0, length: 5 }] })
+      .expect(400);
+    expect(invalid.body.code).toBe('INVALID_ENTITIES');
+  });
+});
+
+describe('Saved Messages', () => {
+  const forwardToSaved = async (user, messageIds, tags) => (await request(app)
+    .post('/api/v1/messages/forward')
+    .set('Authorization', authHeader(user))
+    .send({ messageIds, toChatIds: ['saved'], ...(tags ? { tags } : {}) })
+    .expect(201)).body;
+
+  const savedMessages = async (user, params = {}) => (await request(app)
+    .get('/api/v1/chats/saved/messages')
+    .query(params)
+    .set('Authorization', authHeader(user))
+    .expect(200)).body;
+
+  const setTags = (user, messageId, tags) => request(app)
+    .put(`/api/v1/chats/saved/messages/${messageId}/tags`)
+    .set('Authorization', authHeader(user))
+    .send({ tags });
+
+  it('gives each user one Saved Messages chat, listed like any other chat', async () => {
+    const [first, second] = await Promise.all([getOrCreateSavedChat(alice.id), getOrCreateSavedChat(alice.id)]);
+    expect(first).toBe(second);
+
+    const withSelf = await request(app)
+      .post('/api/v1/chats')
+      .set('Authorization', authHeader(alice))
+      .send({ participantId: alice.id })
+      .expect(200);
+    expect(withSelf.body.chat).toMatchObject({ id: first, type: 'saved', title: 'Saved Messages', memberCount: 1 });
+
+    const list = await request(app)
+      .get('/api/v1/chats')
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(list.body.chats.map(entry => entry.id)).toEqual(expect.arrayContaining([first, group.id]));
+    expect(await getOrCreateSavedChat(bob.id)).not.toBe(first);
+  });
+
+  it('bookmarks forwarded messages with tags and filters by them', async () => {
+    const recipe = await send(group.id, bob.id, 'pancake recipe');
+    const plan = await send(group.id, bob.id, 'trip plan');
+
+    await forwardToSaved(alice, [recipe.id], ['#Food', 'food', 'Weekend']);
+    await forwardToSaved(alice, [plan.id], ['weekend']);
+
+    const all = await savedMessages(alice);
+    expect(all.messages.map(message => [message.content, message.tags])).toEqual([
+      ['trip plan', ['weekend']],
+      ['pancake recipe', ['food', 'weekend']]
+    ]);
+    expect(all.messages[1].forward).toMatchObject({ chatId: group.id, fromMessageId: recipe.id });
+
+    expect((await savedMessages(alice, { tag: '#food' })).messages.map(message => message.content))
+      .toEqual(['pancake recipe']);
+
+    const saved = await request(app)
+      .get('/api/v1/chats/saved')
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(saved.body.tags).toEqual([{ tag: 'weekend', messageCount: 2 }, { tag: 'food', messageCount: 1 }]);
+    expect((await savedMessages(bob)).messages).toEqual([]);
+  });
+
+  it('retags only messages in the user\'s own Saved Messages', async () => {
+    const message = await send(group.id, bob.id, 'keep this');
+    await forwardToSaved(alice, [message.id]);
+    const [saved] = (await savedMessages(alice)).messages;
+
+    const tagged = await setTags(alice, saved.id, ['Later', '#later']).expect(200);
+    expect(tagged.body.tags).toEqual(['later']);
+    expect(eventsNamed('saved_message_tags_updated')).toEqual([
+      expect.objectContaining({ room: `user:${alice.id}`, payload: expect.objectContaining({ messageId: saved.id }) })
+    ]);
+
+    expect((await setTags(bob, saved.id, ['mine']).expect(404)).body.code).toBe('MESSAGE_NOT_FOUND');
+    expect((await setTags(alice, message.id, ['x']).expect(404)).body.code).toBe('MESSAGE_NOT_FOUND');
+    expect((await setTags(alice, saved.id, ['no spaces']).expect(400)).body.code).toBe('INVALID_TAG');
+  });
+
+  it('pages through saved messages newest first', async () => {
+    const savedChatId = await getOrCreateSavedChat(alice.id);
+    for (let index = 0; index < 3; index++) {
+      await send(savedChatId, alice.id, `note ${index}`);
+    }
+
+    const first = await savedMessages(alice, { limit: 2 });
+    const second = await savedMessages(alice, { limit: 2, before: first.nextCursor });
+    expect([...first.messages, ...second.messages].map(message => message.content)).toEqual(['note 2', 'note 1', 'note 0']);
+    expect(second).toMatchObject({ hasMore: false, nextCursor: null });
+
+    expect((await request(app)
+      .get('/api/v1/chats/saved/messages')
+      .query({ before: 'garbage' })
+      .set('Authorization', authHeader(alice))
+      .expect(400)).body.code).toBe('INVALID_CURSOR');
+  });
+
+  it('sends messages addressed to yourself to Saved Messages', async () => {
+    const response = await request(app)
+      .post(`/api/v1/messages/${alice.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({ content: 'note to self', recipientId: alice.id })
+      .expect(201);
+
+    expect(response.body.data.chatId).toBe(await getOrCreateSavedChat(alice.id));
+    expect((await savedMessages(alice)).messages.map(message => message.content)).toEqual(['note to self']);
+  });
+});
+
+describe('notification settings', () => {
+  let dave;
+
+  beforeEach(async () => {
+    dave = await createUser({ username: 'dave' });
+    for (const user of [carol, dave]) {
+      await query('INSERT INTO chat_participants (chat_id, user_id, role) VALUES ($1, $2, $3)', [group.id, user.id, 'member']);
+    }
+  });
+
+  const setNotifications = (user, body) => request(app)
+    .put(`/api/v1/chats/${group.id}/notifications`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  const postMessage = (body) => request(app)
+    .post(`/api/v1/messages/${group.id}`)
+    .set('Authorization', authHeader(alice))
+    .send(body)
+    .expect(201);
+
+  // Notifications go out before the unread counts, so once every count is in they have been sent
+  const notifiedRooms = async () => {
+    await waitForEvents(events, 'unread_count_updated');
+    return eventsNamed('notification').map(entry => entry.room).sort();
+  };
+
+  it('stores the mute state and lists it with the chat', async () => {
+    const mutedUntil = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const saved = await setNotifications(bob, { mode: 'muted', mutedUntil }).expect(200);
+    expect(saved.body.notificationSettings).toEqual({ mode: 'muted', mutedUntil, isMuted: true });
+
+    const list = await request(app)
+      .get('/api/v1/chats')
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+    expect(list.body.chats.find(entry => entry.id === group.id).notificationSettings)
+      .toEqual({ mode: 'muted', mutedUntil, isMuted: true });
+    expect(eventsNamed('chat_notification_settings_updated').map(entry => entry.room)).toEqual([`user:${bob.id}`]);
+
+    // A timed mute that has run out reads as unmuted
+    await query(`UPDATE chat_participants SET muted_until = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE user_id = $1`, [bob.id]);
+    const details = await request(app)
+      .get(`/api/v1/chats/${group.id}`)
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+    expect(details.body.chat.notificationSettings).toEqual({ mode: 'all', mutedUntil: null, isMuted: false });
+  });
+
+  it('notifies only the participants whose settings allow it', async () => {
+    await setNotifications(bob, { mode: 'muted' }).expect(200);
+    await setNotifications(carol, { mode: 'mentions' }).expect(200);
+
+    await postMessage({ content: 'hello everyone' });
+    expect(await notifiedRooms()).toEqual([`user:${dave.id}`]);
+
+    events.length = 0;
+    await postMessage({ content: 'hello @carol and @bob' });
+    expect(await notifiedRooms()).toEqual([`user:${carol.id}`, `user:${dave.id}`].sort());
+    expect(eventsNamed('notification').find(entry => entry.room === `user:${carol.id}`).payload.mentioned).toBe(true);
+  });
+
+  it('delivers silent messages without notifying anyone', async () => {
+    const sent = await postMessage({ content: 'shh', silent: true });
+    expect(sent.body.data.isSilent).toBe(true);
+
+    expect(await notifiedRooms()).toEqual([]);
+    expect(eventsNamed('new_message').map(entry => entry.room)).toEqual(expect.arrayContaining([`user:${bob.id}`]));
+  });
+
+  it('applies to notifications sent straight to a user', async () => {
+    await setNotifications(bob, { mode: 'muted' }).expect(200);
+
+    expect(await sendNotificationToUser(bob.id, { type: 'test', chatId: group.id })).toBe(false);
+    expect(await sendNotificationToUser(dave.id, { type: 'test', chatId: group.id })).toBe(true);
+  });
+
+  it('validates the settings', async () => {
+    expect((await setNotifications(bob, { mode: 'loud' }).expect(400)).body.code).toBe('VALIDATION_ERROR');
+    expect((await setNotifications(bob, { mode: 'all', mutedUntil: new Date(Date.now() + 1000).toISOString() })
+      .expect(400)).body.code).toBe('INVALID_NOTIFICATION_SETTINGS');
+    expect((await setNotifications(bob, { mode: 'muted', mutedUntil: '2001-01-01T00:00:00Z' })
+      .expect(400)).body.code).toBe('INVALID_NOTIFICATION_SETTINGS');
+
+    const outsider = await createUser();
+    expect((await setNotifications(outsider, { mode: 'muted' }).expect(403)).body.code).toBe('ACCESS_DENIED');
+  });
+});
+
+describe('chat list', () => {
+  const chatList = async (user, params = {}) => (await request(app)
+    .get('/api/v1/chats')
+    .query(params)
+    .set('Authorization', authHeader(user))
+    .expect(200)).body;
+
+  // Ids in list order, leaving out the Saved Messages chat every list includes
+  const listedIds = async (user, params) => {
+    const savedChatId = await getOrCreateSavedChat(user.id);
+    return (await chatList(user, params)).chats.map(entry => entry.id).filter(id => id !== savedChatId);
+  };
+
+  const pinChat = (user, chatId) => request(app)
+    .post(`/api/v1/chats/${chatId}/pin`)
+    .set('Authorization', authHeader(user));
+
+  const reorder = (user, chatIds) => request(app)
+    .put('/api/v1/chats/pinned')
+    .set('Authorization', authHeader(user))
+    .send({ chatIds });
+
+  const archive = (user, chatId) => request(app)
+    .post(`/api/v1/chats/${chatId}/archive`)
+    .set('Authorization', authHeader(user));
+
+  it('lists pinned chats first in their own order, then the rest by activity', async () => {
+    const withBob = await createChat(alice.id, { members: [bob.id] });
+    const withCarol = await createChat(alice.id, { members: [carol.id] });
+    await send(group.id, alice.id, 'oldest');
+    await send(withBob.id, alice.id, 'older');
+    await send(withCarol.id, alice.id, 'newest');
+    expect(await listedIds(alice)).toEqual([withCarol.id, withBob.id, group.id]);
+
+    await pinChat(alice, group.id).expect(200);
+    const pinned = await pinChat(alice, withBob.id).expect(200);
+    expect(pinned.body.pinnedChatIds).toEqual([withBob.id, group.id]);
+    expect(await listedIds(alice)).toEqual([withBob.id, group.id, withCarol.id]);
+
+    await reorder(alice, [group.id, withBob.id]).expect(200);
+    expect(await listedIds(alice)).toEqual([group.id, withBob.id, withCarol.id]);
+    expect((await chatList(alice)).chats.find(entry => entry.id === group.id).isPinned).toBe(true);
+    expect(eventsNamed('pinned_chats_updated').map(entry => entry.payload.pinnedChatIds).pop())
+      .toEqual([group.id, withBob.id]);
+
+    await request(app)
+      .delete(`/api/v1/chats/${group.id}/pin`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(await listedIds(alice)).toEqual([withBob.id, withCarol.id, group.id]);
+
+    // Pins are per user
+    expect(await listedIds(bob)).toEqual([withBob.id, group.id]);
+  });
+
+  it('limits pins and only accepts a complete new order', async () => {
+    const chats = [group];
+    for (let index = 0; index < 5; index++) {
+      chats.push(await createChat(alice.id, { members: [(await createUser()).id] }));
+    }
+    for (const chat of chats.slice(0, 5)) {
+      await pinChat(alice, chat.id).expect(200);
+    }
+
+    expect((await pinChat(alice, chats[5].id).expect(400)).body.code).toBe('PINNED_CHATS_LIMIT');
+    expect((await reorder(alice, [chats[0].id]).expect(400)).body.code).toBe('INVALID_PINNED_ORDER');
+    expect((await reorder(alice, [chats[0].id, chats[0].id, chats[1].id, chats[2].id, chats[3].id]).expect(400)).body.code)
+      .toBe('INVALID_PINNED_ORDER');
+    expect((await pinChat(carol, group.id).expect(403)).body.code).toBe('ACCESS_DENIED');
+  });
+
+  it('moves archived chats to their own list', async () => {
+    const withBob = await createChat(alice.id, { members: [bob.id] });
+
+    const archived = await archive(alice, group.id).expect(200);
+    expect(archived.body).toMatchObject({ isArchived: true, isPinned: false });
+    expect(eventsNamed('chat_archive_updated')).toEqual([
+      expect.objectContaining({ room: `user:${alice.id}`, payload: expect.objectContaining({ chatId: group.id, isArchived: true }) })
+    ]);
+
+    expect(await listedIds(alice)).toEqual([withBob.id]);
+    expect((await chatList(alice)).archivedChatCount).toBe(1);
+    expect(await listedIds(alice, { archived: 'true' })).toEqual([group.id]);
+
+    await request(app)
+      .delete(`/api/v1/chats/${group.id}/archive`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(await listedIds(alice, { archived: 'true' })).toEqual([]);
+  });
+
+  it('brings an archived chat back on a new message unless it is muted', async () => {
+    const withCarol = await createChat(alice.id, { members: [carol.id] });
+    await archive(alice, group.id).expect(200);
+    await archive(alice, withCarol.id).expect(200);
+    await request(app)
+      .put(`/api/v1/chats/${withCarol.id}/notifications`)
+      .set('Authorization', authHeader(alice))
+      .send({ mode: 'muted' })
+      .expect(200);
+
+    const sendAndDeliver = async (user, chatId) => {
+      events.length = 0;
+      await request(app)
+        .post(`/api/v1/messages/${chatId}`)
+        .set('Authorization', authHeader(user))
+        .send({ content: 'are you there?' })
+        .expect(201);
+      await waitForEvents(events, 'unread_count_updated');
+    };
+
+    await sendAndDeliver(carol, withCarol.id);
+    expect(eventsNamed('chat_archive_updated')).toEqual([]);
+
+    await sendAndDeliver(bob, group.id);
+    expect(eventsNamed('chat_archive_updated')).toEqual([
+      expect.objectContaining({ room: `user:${alice.id}`, payload: expect.objectContaining({ chatId: group.id, isArchived: false }) })
+    ]);
+    expect(await listedIds(alice, { archived: 'true' })).toEqual([withCarol.id]);
+  });
+});
@@ -0,0 +1,184 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  MAX_FOLDER_TITLE_LENGTH,
+  getFoldersWithUnreadCounts,
+  createFolder,
+  updateFolder,
+  deleteFolder
+} = require('../services/folderService');
+const { emitToUser } = require('../websocket/socket');
+
+const router = express.Router();
+
+const folderValidators = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_FOLDER_TITLE_LENGTH })
+    .withMessage(`Title must be 1-${MAX_FOLDER_TITLE_LENGTH} characters`),
+  body('includeTypes')
+    .optional()
+    .isArray()
+    .withMessage('includeTypes must be an array'),
+  body(['includedChatIds', 'excludedChatIds'])
+    .optional()
+    .isArray()
+    .withMessage('Chat ID lists must be arrays'),
+  body(['includedChatIds.*', 'excludedChatIds.*'])
+    .isUUID()
+    .withMessage('Each chat ID must be a valid UUID'),
+  body(['excludeMuted', 'excludeRead', 'excludeArchived'])
+    .optional()
+    .isBoolean()
+    .withMessage('Exclude flags must be booleans')
+    .toBoolean()
+];
+
+// Get your folders with their unread totals
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const folders = await getFoldersWithUnreadCounts(req.user.id);
+
+    res.json({
+      success: true,
+      folders
+    });
+
+  } catch (error) {
+    console.error('Get folders error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch folders',
+      message: 'An error occurred while fetching folders',
+      code: 'FOLDERS_FETCH_ERROR'
+    });
+  }
+});
+
+// Create a folder
+router.post('/', [
+  body('title')
+    .notEmpty()
+    .withMessage('Title is required'),
+  ...folderValidators
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await createFolder(req.user.id, req.body);
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid folder',
+        message: result.error,
+        code: 'INVALID_FOLDER'
+      });
+    }
+
+    emitToUser(req.user.id, 'chat_folders_updated', { folderId: result.folder.id, folder: result.folder });
+
+    res.status(201).json({
+      success: true,
+      folder: result.folder
+    });
+
+  } catch (error) {
+    console.error('Create folder error:', error);
+    res.status(500).json({
+      error: 'Failed to create folder',
+      message: 'An error occurred while creating the folder',
+      code: 'FOLDER_CREATE_ERROR'
+    });
+  }
+});
+
+// Update a folder's title or rules (fields left out are unchanged)
+router.put('/:folderId', folderValidators, authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { folderId } = req.params;
+
+    const result = await updateFolder(folderId, req.user.id, req.body);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Folder not found',
+        message: 'Folder not found',
+        code: 'FOLDER_NOT_FOUND'
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid folder',
+        message: result.error,
+        code: 'INVALID_FOLDER'
+      });
+    }
+
+    emitToUser(req.user.id, 'chat_folders_updated', { folderId, folder: result.folder });
+
+    res.json({
+      success: true,
+      folder: result.folder
+    });
+
+  } catch (error) {
+    console.error('Update folder error:', error);
+    res.status(500).json({
+      error: 'Failed to update folder',
+      message: 'An error occurred while updating the folder',
+      code: 'FOLDER_UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete a folder (its chats are not affected)
+router.delete('/:folderId', authenticateToken, async (req, res) => {
+  try {
+    const { folderId } = req.params;
+
+    const deleted = await deleteFolder(folderId, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Folder not found',
+        message: 'Folder not found',
+        code: 'FOLDER_NOT_FOUND'
+      });
+    }
+
+    emitToUser(req.user.id, 'chat_folders_updated', { folderId, folder: null });
+
+    res.json({
+      success: true,
+      folderId
+    });
+
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({
+      error: 'Failed to delete folder',
+      message: 'An error occurred while deleting the folder',
+      code: 'FOLDER_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader } = require('./testApp');
+const { sendMessage } = require('../services/messageService');
+const { getOrCreateSavedChat } = require('../services/savedMessagesService');
+const folderRoutes = require('./folders');
+const chatRoutes = require('./chats');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, events, alice, bob, carol, group, channel, withBob, withCarol;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({ '/api/v1/folders': folderRoutes, '/api/v1/chats': chatRoutes }));
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  carol = await createUser({ username: 'carol' });
+  group = await createChat(bob.id, { type: 'group', members: [alice.id] });
+  channel = await createChat(bob.id, { type: 'channel', is_channel: true, members: [alice.id] });
+  withBob = await createChat(bob.id, { members: [alice.id] });
+  withCarol = await createChat(carol.id, { members: [alice.id] });
+});
+
+const createFolder = (user, body) => request(app)
+  .post('/api/v1/folders')
+  .set('Authorization', authHeader(user))
+  .send(body);
+
+const folderChatIds = async (user, folderId) => (await request(app)
+  .get('/api/v1/chats')
+  .query({ folderId })
+  .set('Authorization', authHeader(user))
+  .expect(200)).body.chats.map(chat => chat.id).sort();
+
+const unread = async (chatId, senderId, count = 1) => {
+  for (let index = 0; index < count; index++) {
+    await sendMessage({ chatId, senderId, content: `message ${index}` });
+  }
+};
+
+describe('chat folders', () => {
+  it('creates, updates and deletes folders and syncs them to the user\'s devices', async () => {
+    const created = await createFolder(alice, { title: ' Work ', includeTypes: ['group'] }).expect(201);
+    const { folder } = created.body;
+    expect(folder).toMatchObject({
+      title: 'Work',
+      includeTypes: ['group'],
+      excludeMuted: false,
+      excludeRead: false,
+      excludeArchived: false,
+      includedChatIds: [],
+      excludedChatIds: []
+    });
+
+    // Fields left out keep their value
+    const updated = await request(app)
+      .put(`/api/v1/folders/${folder.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({ title: 'Office' })
+      .expect(200);
+    expect(updated.body.folder).toMatchObject({ title: 'Office', includeTypes: ['group'] });
+
+    await request(app)
+      .put(`/api/v1/folders/${folder.id}`)
+      .set('Authorization', authHeader(bob))
+      .send({ title: 'Mine now' })
+      .expect(404);
+
+    await request(app)
+      .delete(`/api/v1/folders/${folder.id}`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+
+    const list = await request(app)
+      .get('/api/v1/folders')
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(list.body.folders).toEqual([]);
+    expect(events.filter(entry => entry.event === 'chat_folders_updated').map(entry => entry.payload.folder && entry.payload.folder.title))
+      .toEqual(['Work', 'Office', null]);
+  });
+
+  it('lists the chats matching a folder\'s types and explicit chats', async () => {
+    const groups = (await createFolder(alice, { title: 'Groups', includeTypes: ['group', 'channel'] }).expect(201)).body.folder;
+    const people = (await createFolder(alice, {
+      title: 'People',
+      includeTypes: ['private'],
+      includedChatIds: [group.id],
+      excludedChatIds: [withCarol.id]
+    }).expect(201)).body.folder;
+
+    expect(await folderChatIds(alice, groups.id)).toEqual([group.id, channel.id].sort());
+
+    // Saved Messages counts as a private chat
+    const savedChatId = await getOrCreateSavedChat(alice.id);
+    expect(await folderChatIds(alice, people.id)).toEqual([withBob.id, group.id, savedChatId].sort());
+  });
+
+  it('leaves out muted, read or archived chats when asked to', async () => {
+    await unread(withBob.id, bob.id);
+    await unread(withCarol.id, carol.id);
+    await unread(group.id, bob.id);
+    await query(`UPDATE chat_participants SET notification_mode = 'muted' WHERE chat_id = $1 AND user_id = $2`, [withCarol.id, alice.id]);
+    await query('UPDATE chat_participants SET archived_at = CURRENT_TIMESTAMP WHERE chat_id = $1 AND user_id = $2', [group.id, alice.id]);
+
+    const folder = (await createFolder(alice, {
+      title: 'Unread',
+      includeTypes: ['private', 'group', 'channel'],
+      excludeMuted: true,
+      excludeRead: true,
+      excludeArchived: true
+    }).expect(201)).body.folder;
+    expect(await folderChatIds(alice, folder.id)).toEqual([withBob.id]);
+
+    // Archived chats are only left out when the folder says so
+    const withArchived = (await createFolder(alice, { title: 'All unread', includeTypes: ['group'], excludeRead: true })
+      .expect(201)).body.folder;
+    expect(await folderChatIds(alice, withArchived.id)).toEqual([group.id]);
+  });
+
+  it('reads form-style "false" flags as false', async () => {
+    const { folder } = (await createFolder(alice, {
+      title: 'Everything',
+      includeTypes: ['private'],
+      excludeRead: 'false',
+      excludeMuted: 'true'
+    }).expect(201)).body;
+
+    expect(folder).toMatchObject({ excludeRead: false, excludeMuted: true });
+  });
+
+  it('reports unread totals per folder', async () => {
+    await unread(withBob.id, bob.id, 2);
+    await unread(withCarol.id, carol.id, 3);
+    await unread(group.id, bob.id);
+    await createFolder(alice, { title: 'People', includeTypes: ['private'] }).expect(201);
+
+    const list = await request(app)
+      .get('/api/v1/folders')
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(list.body.folders).toEqual([expect.objectContaining({ title: 'People', unreadCount: 5, unreadChatCount: 2 })]);
+  });
+
+  it('rejects invalid rules', async () => {
+    const invalid = async (body) => (await createFolder(alice, { title: 'Bad', ...body }).expect(400)).body;
+
+    expect((await invalid({ includeTypes: ['bots'] })).code).toBe('INVALID_FOLDER');
+    expect((await invalid({ includeTypes: [] })).message).toBe('A folder must include at least one chat type or chat');
+    expect((await invalid({ includedChatIds: [group.id], excludedChatIds: [group.id] })).code).toBe('INVALID_FOLDER');
+
+    const strangers = await createChat(bob.id, { members: [carol.id] });
+    expect((await invalid({ includedChatIds: [strangers.id] })).message).toBe('Folders can only list chats you participate in');
+    expect((await invalid({ includeTypes: ['group'], excludeRead: 'sometimes' })).code).toBe('VALIDATION_ERROR');
+
+    for (let index = 0; index < 10; index++) {
+      await createFolder(alice, { title: `Folder ${index}`, includeTypes: ['group'] }).expect(201);
+    }
+    expect((await invalid({ includeTypes: ['group'] })).message).toBe('You can have at most 10 folders');
+  });
+
+  it('does not list another user\'s folder', async () => {
+    const folder = (await createFolder(bob, { title: 'Bob only', includeTypes: ['group'] }).expect(201)).body.folder;
+
+    const response = await request(app)
+      .get('/api/v1/chats')
+      .query({ folderId: folder.id })
+      .set('Authorization', authHeader(alice))
+      .expect(404);
+    expect(response.body.code).toBe('FOLDER_NOT_FOUND');
+  });
+});
@@ -2,10 +2,73 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { query } = require('../database/connection');
-const { v4: uuidv4 } = require('uuid');
+const { getMessagesByIds } = require('../services/messageService');
+const {
+  RECENT_MESSAGES_WINDOW_HOURS,
+  getBans,
+  addMember,
+  leaveGroup,
+  removeMember,
+  unbanMember,
+  createGroup
+} = require('../services/memberService');
+const {
+  MEMBER_PERMISSIONS,
+  ADMIN_RIGHTS,
+  formatDefaultPermissions,
+  formatAdminRights,
+  getChatPermissions,
+  validateRightsMap,
+  updateDefaultPermissions,
+  setMemberPermissions,
+  setAdminRights,
+  removeAdmin
+} = require('../services/permissionService');
+const {
+  MAX_INVITE_LINK_NAME_LENGTH,
+  MAX_INVITE_LINK_USAGE_LIMIT,
+  getInviteLinks,
+  createInviteLink,
+  revokeInviteLink,
+  previewInviteLink,
+  joinByInviteLink,
+  getJoinRequests,
+  approveJoinRequest,
+  declineJoinRequest
+} = require('../services/inviteLinkService');
+const { joinPublicChat } = require('../services/publicChatService');
+const { requireChatRight } = require('../middleware/permissions');
+const {
+  emitToChat,
+  sendMessageToChat,
+  broadcastUnreadCounts,
+  publishMemberRemoved,
+  publishJoinRequestUpdate
+} = require('../websocket/socket');
 
 const router = express.Router();
 
+// Invite links point at this server's /join/:token redirect unless INVITE_LINK_BASE_URL is set
+const getInviteLinkBaseUrl = (req) =>
+  process.env.INVITE_LINK_BASE_URL || `${req.protocol}://${req.get('host')}/join/`;
+
+// Deliver the system message recording a membership change, and drop any messages deleted with it
+const publishMembershipChange = async (groupId, result, actorId) => {
+  if (result.messageId) {
+    const [message] = await getMessagesByIds([result.messageId], actorId);
+    await sendMessageToChat(groupId, message, actorId);
+  }
+
+  if (result.deletedMessageIds && result.deletedMessageIds.length > 0) {
+    await emitToChat(groupId, 'messages_deleted', {
+      chatId: groupId,
+      messageIds: result.deletedMessageIds,
+      mode: 'everyone'
+    });
+    await broadcastUnreadCounts(groupId);
+  }
+};
+
 // Get user's groups
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -51,7 +114,10 @@ router.post('/', [
     .withMessage('Description must be 500 characters or less'),
   body('participantIds')
     .isArray({ min: 1 })
-    .withMessage('At least one participant is required')
+    .withMessage('At least one participant is required'),
+  body('participantIds.*')
+    .isUUID()
+    .withMessage('Each participant ID must be a valid UUID')
 ], authenticateToken, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -64,27 +130,9 @@ router.post('/', [
     }
 
     const { title, description, participantIds } = req.body;
-    const groupId = uuidv4();
-
-    // Create group chat
-    await query(`
-      INSERT INTO chats (id, type, title, description, is_group, creator_id, member_count)
-      VALUES ($1, 'group', $2, $3, true, $4, $5)
-    `, [groupId, title, description, req.user.id, participantIds.length + 1]);
-
-    // Add creator as participant
-    await query(`
-      INSERT INTO chat_participants (chat_id, user_id, role)
-      VALUES ($1, $2, 'admin')
-    `, [groupId, req.user.id]);
+    const { groupId, memberCount } = await createGroup(req.user.id, { title, description, participantIds });
 
-    // Add other participants
-    for (const participantId of participantIds) {
-      await query(`
-        INSERT INTO chat_participants (chat_id, user_id, role)
-        VALUES ($1, $2, 'member')
-      `, [groupId, participantId]);
-    }
+    emitToChat(groupId, 'chat_created', { chatId: groupId, type: 'group', createdBy: req.user.id });
 
     res.status(201).json({
       success: true,
@@ -93,7 +141,7 @@ router.post('/', [
         id: groupId,
         title: title,
         description: description,
-        memberCount: participantIds.length + 1
+        memberCount
       }
     });
   } catch (error) {
@@ -105,18 +153,84 @@ router.post('/', [
   }
 });
 
+// Preview the group behind an invite link before joining
+router.get('/join/:token', authenticateToken, async (req, res) => {
+  try {
+    const result = await previewInviteLink(req.params.token, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    res.json({
+      success: true,
+      group: result.group
+    });
+  } catch (error) {
+    console.error('Preview invite link error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch invite link',
+      message: 'An error occurred while fetching the invite link',
+      code: 'INVITE_LINK_FETCH_ERROR'
+    });
+  }
+});
+
+// Join a group with an invite link (links that require approval queue a join request instead)
+router.post('/join/:token', authenticateToken, async (req, res) => {
+  try {
+    const result = await joinByInviteLink(req.params.token, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    if (result.pending) {
+      await publishJoinRequestUpdate(result.chatId, req.user.id, { status: 'pending' });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Join request sent to the group admins',
+        chatId: result.chatId,
+        status: 'pending'
+      });
+    }
+
+    emitToChat(result.chatId, 'chat_member_added', { chatId: result.chatId, userId: req.user.id, addedBy: req.user.id });
+    await publishMembershipChange(result.chatId, result, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined the group',
+      chatId: result.chatId,
+      status: 'joined',
+      memberCount: result.memberCount
+    });
+  } catch (error) {
+    console.error('Join by invite link error:', error);
+    res.status(500).json({
+      error: 'Failed to join group',
+      message: 'An error occurred while joining the group',
+      code: 'INVITE_LINK_JOIN_ERROR'
+    });
+  }
+});
+
 // Get group details
 router.get('/:groupId', authenticateToken, async (req, res) => {
   try {
     const { groupId } = req.params;
 
-    // Check if user is member of the group
-    const memberCheck = await query(`
-      SELECT 1 FROM chat_participants 
-      WHERE chat_id = $1 AND user_id = $2
-    `, [groupId, req.user.id]);
+    // Check if user is member of the group (and what they may do in it)
+    const permissions = await getChatPermissions(groupId, req.user.id);
 
-    if (memberCheck.rows.length === 0) {
+    if (!permissions) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You are not a member of this group'
@@ -125,7 +239,7 @@ router.get('/:groupId', authenticateToken, async (req, res) => {
 
     const result = await query(`
       SELECT c.id, c.type, c.title, c.description, c.is_group, c.member_count, c.created_at,
-             u.username as creator_username
+             c.username, c.is_public, c.default_permissions, u.username as creator_username
       FROM chats c
       LEFT JOIN users u ON c.creator_id = u.id
       WHERE c.id = $1 AND c.is_group = true
@@ -149,7 +263,13 @@ router.get('/:groupId', authenticateToken, async (req, res) => {
         isGroup: group.is_group,
         memberCount: group.member_count,
         createdAt: group.created_at,
-        creatorUsername: group.creator_username
+        creatorUsername: group.creator_username,
+        username: group.username,
+        isPublic: Boolean(group.is_public),
+        defaultPermissions: formatDefaultPermissions(group.default_permissions),
+        myRole: permissions.role,
+        myAdminRights: permissions.adminRights,
+        myRights: permissions.rights
       }
     });
   } catch (error) {
@@ -181,7 +301,7 @@ router.get('/:groupId/members', authenticateToken, async (req, res) => {
 
     const result = await query(`
       SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture, u.is_online, u.last_seen,
-             cp.role, cp.joined_at
+             cp.role, cp.admin_rights, cp.invite_link_id, cp.joined_at
       FROM chat_participants cp
       INNER JOIN users u ON cp.user_id = u.id
       WHERE cp.chat_id = $1
@@ -197,6 +317,8 @@ router.get('/:groupId/members', authenticateToken, async (req, res) => {
       isOnline: row.is_online,
       lastSeen: row.last_seen,
       role: row.role,
+      adminRights: formatAdminRights(row),
+      inviteLinkId: row.invite_link_id,
       joinedAt: row.joined_at
     }));
 
@@ -213,12 +335,12 @@ router.get('/:groupId/members', authenticateToken, async (req, res) => {
   }
 });
 
-// Add member to group
+// Add member to group (needs the inviteUsers right)
 router.post('/:groupId/members', [
   body('userId')
     .notEmpty()
     .withMessage('User ID is required')
-], authenticateToken, async (req, res) => {
+], authenticateToken, requireChatRight('inviteUsers', 'groupId'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -232,54 +354,591 @@ router.post('/:groupId/members', [
     const { groupId } = req.params;
     const { userId } = req.body;
 
-    // Check if user is admin of the group
-    const adminCheck = await query(`
-      SELECT 1 FROM chat_participants 
-      WHERE chat_id = $1 AND user_id = $2 AND role = 'admin'
-    `, [groupId, req.user.id]);
+    // Add member (banned users can't be added back), keeping member_count in step
+    const result = await addMember(groupId, userId, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
 
-    if (adminCheck.rows.length === 0) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only group admins can add members'
+    emitToChat(groupId, 'chat_member_added', { chatId: groupId, userId, addedBy: req.user.id });
+    await publishMembershipChange(groupId, result, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      memberCount: result.memberCount
+    });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({
+      error: 'Failed to add member',
+      message: 'An error occurred while adding member'
+    });
+  }
+});
+
+// Join a public group (one with a username) without an invite
+router.post('/:groupId/join', authenticateToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const result = await joinPublicChat(groupId, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
       });
     }
 
-    // Check if user is already a member
-    const existingMember = await query(`
-      SELECT 1 FROM chat_participants 
-      WHERE chat_id = $1 AND user_id = $2
-    `, [groupId, userId]);
+    emitToChat(groupId, 'chat_member_added', { chatId: groupId, userId: req.user.id, addedBy: req.user.id });
+    await publishMembershipChange(groupId, result, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined the group',
+      memberCount: result.memberCount
+    });
+  } catch (error) {
+    console.error('Join public group error:', error);
+    res.status(500).json({
+      error: 'Failed to join group',
+      message: 'An error occurred while joining the group',
+      code: 'GROUP_JOIN_ERROR'
+    });
+  }
+});
+
+// Leave a group
+router.post('/:groupId/leave', authenticateToken, async (req, res) => {
+  try {
+    const { groupId } = req.params;
 
-    if (existingMember.rows.length > 0) {
-      return res.status(409).json({
-        error: 'User already member',
-        message: 'User is already a member of this group'
+    const result = await leaveGroup(groupId, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
       });
     }
 
-    // Add member
-    await query(`
-      INSERT INTO chat_participants (chat_id, user_id, role)
-      VALUES ($1, $2, 'member')
-    `, [groupId, userId]);
-
-    // Update member count
-    await query(`
-      UPDATE chats 
-      SET member_count = member_count + 1 
-      WHERE id = $1
-    `, [groupId]);
+    await publishMembershipChange(groupId, result, req.user.id);
+    await publishMemberRemoved(groupId, req.user.id, { reason: 'left', removedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'You left the group',
+      memberCount: result.memberCount
+    });
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({
+      error: 'Failed to leave group',
+      message: 'An error occurred while leaving the group',
+      code: 'GROUP_LEAVE_ERROR'
+    });
+  }
+});
+
+// Remove a member (?deleteMessages=true also deletes what they sent recently)
+router.delete('/:groupId/members/:userId', authenticateToken, requireChatRight('banUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const result = await removeMember(groupId, userId, req.user.id, {
+      deleteMessages: req.query.deleteMessages === 'true'
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    await publishMembershipChange(groupId, result, req.user.id);
+    await publishMemberRemoved(groupId, userId, { reason: 'removed', removedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+      memberCount: result.memberCount,
+      deletedMessageCount: result.deletedMessageIds.length
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      error: 'Failed to remove member',
+      message: 'An error occurred while removing member',
+      code: 'MEMBER_REMOVE_ERROR'
+    });
+  }
+});
+
+// Get the group's active bans
+router.get('/:groupId/bans', authenticateToken, requireChatRight('banUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const bans = await getBans(groupId);
+
+    res.json({
+      success: true,
+      bans
+    });
+  } catch (error) {
+    console.error('Get bans error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch bans',
+      message: 'An error occurred while fetching bans',
+      code: 'BANS_FETCH_ERROR'
+    });
+  }
+});
+
+// Ban a user, removing them if they are a member. Without expiresAt the ban lasts until lifted.
+router.post('/:groupId/bans', [
+  body('userId')
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value).getTime() > Date.now())
+    .withMessage('expiresAt must be in the future'),
+  body('deleteMessages')
+    .optional()
+    .isBoolean()
+    .withMessage(`deleteMessages must be a boolean (deletes the last ${RECENT_MESSAGES_WINDOW_HOURS} hours)`)
+    .toBoolean()
+], authenticateToken, requireChatRight('banUsers', 'groupId'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { groupId } = req.params;
+    const { userId, expiresAt = null, deleteMessages = false } = req.body;
+
+    const result = await removeMember(groupId, userId, req.user.id, { ban: true, expiresAt, deleteMessages });
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    await publishMembershipChange(groupId, result, req.user.id);
+    if (result.wasMember) {
+      await publishMemberRemoved(groupId, userId, { reason: 'banned', removedBy: req.user.id, expiresAt });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Member added successfully'
+      message: 'User banned successfully',
+      memberCount: result.memberCount,
+      deletedMessageCount: result.deletedMessageIds.length
     });
   } catch (error) {
-    console.error('Add member error:', error);
+    console.error('Ban member error:', error);
     res.status(500).json({
-      error: 'Failed to add member',
-      message: 'An error occurred while adding member'
+      error: 'Failed to ban user',
+      message: 'An error occurred while banning user',
+      code: 'MEMBER_BAN_ERROR'
+    });
+  }
+});
+
+// Lift a ban (the user can be added back afterwards)
+router.delete('/:groupId/bans/:userId', authenticateToken, requireChatRight('banUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    if (!await unbanMember(groupId, userId)) {
+      return res.status(404).json({
+        error: 'Ban not found',
+        message: 'User is not banned from this group',
+        code: 'BAN_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ban lifted successfully'
+    });
+  } catch (error) {
+    console.error('Unban member error:', error);
+    res.status(500).json({
+      error: 'Failed to lift ban',
+      message: 'An error occurred while lifting the ban',
+      code: 'MEMBER_UNBAN_ERROR'
+    });
+  }
+});
+
+// List a group's invite links (needs the inviteUsers right). ?includeRevoked=true adds revoked links.
+router.get('/:groupId/invite-links', authenticateToken, requireChatRight('inviteUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const inviteLinks = await getInviteLinks(groupId, getInviteLinkBaseUrl(req), { includeRevoked: req.query.includeRevoked === 'true' });
+
+    res.json({
+      success: true,
+      inviteLinks
+    });
+  } catch (error) {
+    console.error('Get invite links error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch invite links',
+      message: 'An error occurred while fetching invite links',
+      code: 'INVITE_LINKS_FETCH_ERROR'
+    });
+  }
+});
+
+// Create an invite link (needs the inviteUsers right)
+router.post('/:groupId/invite-links', [
+  body('name')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: MAX_INVITE_LINK_NAME_LENGTH })
+    .withMessage(`Name must be ${MAX_INVITE_LINK_NAME_LENGTH} characters or less`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date'),
+  body('usageLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_INVITE_LINK_USAGE_LIMIT })
+    .withMessage(`usageLimit must be between 1 and ${MAX_INVITE_LINK_USAGE_LIMIT}`)
+    .toInt(),
+  body('requiresApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresApproval must be a boolean')
+    .toBoolean()
+], authenticateToken, requireChatRight('inviteUsers', 'groupId'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { groupId } = req.params;
+    const { name, expiresAt, usageLimit, requiresApproval } = req.body;
+
+    const result = await createInviteLink(groupId, req.user.id, { name, expiresAt, usageLimit, requiresApproval }, getInviteLinkBaseUrl(req));
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid invite link',
+        message: result.error,
+        code: 'INVALID_INVITE_LINK'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      inviteLink: result.inviteLink
+    });
+  } catch (error) {
+    console.error('Create invite link error:', error);
+    res.status(500).json({
+      error: 'Failed to create invite link',
+      message: 'An error occurred while creating the invite link',
+      code: 'INVITE_LINK_CREATE_ERROR'
+    });
+  }
+});
+
+// Revoke an invite link (needs the inviteUsers right); members who joined with it stay
+router.delete('/:groupId/invite-links/:linkId', authenticateToken, requireChatRight('inviteUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId, linkId } = req.params;
+
+    const inviteLink = await revokeInviteLink(groupId, linkId, getInviteLinkBaseUrl(req));
+    if (!inviteLink) {
+      return res.status(404).json({
+        error: 'Invite link not found',
+        message: 'Invite link not found',
+        code: 'INVITE_LINK_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      inviteLink
+    });
+  } catch (error) {
+    console.error('Revoke invite link error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke invite link',
+      message: 'An error occurred while revoking the invite link',
+      code: 'INVITE_LINK_REVOKE_ERROR'
+    });
+  }
+});
+
+// Pending join requests, oldest first (needs the inviteUsers right)
+router.get('/:groupId/join-requests', authenticateToken, requireChatRight('inviteUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const joinRequests = await getJoinRequests(groupId);
+
+    res.json({
+      success: true,
+      joinRequests
+    });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch join requests',
+      message: 'An error occurred while fetching join requests',
+      code: 'JOIN_REQUESTS_FETCH_ERROR'
+    });
+  }
+});
+
+// Approve a join request (needs the inviteUsers right)
+router.post('/:groupId/join-requests/:userId/approve', authenticateToken, requireChatRight('inviteUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const result = await approveJoinRequest(groupId, userId, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    await publishJoinRequestUpdate(groupId, userId, { status: 'approved', reviewedBy: req.user.id });
+    emitToChat(groupId, 'chat_member_added', { chatId: groupId, userId, addedBy: req.user.id });
+    await publishMembershipChange(groupId, result, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Join request approved',
+      memberCount: result.memberCount
+    });
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    res.status(500).json({
+      error: 'Failed to approve join request',
+      message: 'An error occurred while approving the join request',
+      code: 'JOIN_REQUEST_APPROVE_ERROR'
+    });
+  }
+});
+
+// Decline a join request (needs the inviteUsers right)
+router.post('/:groupId/join-requests/:userId/decline', authenticateToken, requireChatRight('inviteUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const declined = await declineJoinRequest(groupId, userId);
+    if (!declined) {
+      return res.status(404).json({
+        error: 'Join request not found',
+        message: 'This user has no pending request to join the group',
+        code: 'JOIN_REQUEST_NOT_FOUND'
+      });
+    }
+
+    await publishJoinRequestUpdate(groupId, userId, { status: 'declined', reviewedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Join request declined'
+    });
+  } catch (error) {
+    console.error('Decline join request error:', error);
+    res.status(500).json({
+      error: 'Failed to decline join request',
+      message: 'An error occurred while declining the join request',
+      code: 'JOIN_REQUEST_DECLINE_ERROR'
+    });
+  }
+});
+
+// Change what members may do by default (needs the banUsers right). Body: { sendMedia: false, ... }
+router.put('/:groupId/permissions', authenticateToken, requireChatRight('banUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const invalid = validateRightsMap(req.body, MEMBER_PERMISSIONS);
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: invalid,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const defaultPermissions = await updateDefaultPermissions(groupId, req.body);
+
+    emitToChat(groupId, 'chat_permissions_updated', { chatId: groupId, userId: null, defaultPermissions });
+
+    res.json({
+      success: true,
+      defaultPermissions
+    });
+  } catch (error) {
+    console.error('Update default permissions error:', error);
+    res.status(500).json({
+      error: 'Failed to update permissions',
+      message: 'An error occurred while updating permissions',
+      code: 'PERMISSIONS_UPDATE_ERROR'
+    });
+  }
+});
+
+// Restrict or free up one member (needs the banUsers right). Body: { sendMedia: false, sendPolls: null, ... }
+// where null goes back to the group default
+router.put('/:groupId/members/:userId/permissions', authenticateToken, requireChatRight('banUsers', 'groupId'), async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const invalid = validateRightsMap(req.body, MEMBER_PERMISSIONS, { nullable: true });
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: invalid,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await setMemberPermissions(groupId, userId, req.body);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    emitToChat(groupId, 'chat_permissions_updated', { chatId: groupId, userId, overrides: result.overrides });
+
+    res.json({
+      success: true,
+      userId,
+      overrides: result.overrides
+    });
+  } catch (error) {
+    console.error('Update member permissions error:', error);
+    res.status(500).json({
+      error: 'Failed to update member permissions',
+      message: 'An error occurred while updating member permissions',
+      code: 'MEMBER_PERMISSIONS_UPDATE_ERROR'
+    });
+  }
+});
+
+// Promote a member to admin or change an admin's rights (needs the addAdmins right).
+// Body: { rights: { deleteMessages: true, banUsers: false, ... } }; rights left out are not granted.
+router.put('/:groupId/admins/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const invalid = validateRightsMap(req.body.rights, ADMIN_RIGHTS);
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: invalid,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await setAdminRights(groupId, userId, req.user.id, req.body.rights);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code,
+        missingRight: result.error.missingRight
+      });
+    }
+
+    emitToChat(groupId, 'chat_admin_updated', {
+      chatId: groupId,
+      userId,
+      role: 'admin',
+      adminRights: result.adminRights,
+      updatedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      userId,
+      role: 'admin',
+      adminRights: result.adminRights
+    });
+  } catch (error) {
+    console.error('Update admin rights error:', error);
+    res.status(500).json({
+      error: 'Failed to update admin rights',
+      message: 'An error occurred while updating admin rights',
+      code: 'ADMIN_UPDATE_ERROR'
+    });
+  }
+});
+
+// Demote an admin to a regular member (needs the addAdmins right)
+router.delete('/:groupId/admins/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    const result = await removeAdmin(groupId, userId, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code,
+        missingRight: result.error.missingRight
+      });
+    }
+
+    if (result.demoted) {
+      emitToChat(groupId, 'chat_admin_updated', {
+        chatId: groupId,
+        userId,
+        role: 'member',
+        adminRights: null,
+        updatedBy: req.user.id
+      });
+    }
+
+    res.json({
+      success: true,
+      userId,
+      role: 'member'
+    });
+  } catch (error) {
+    console.error('Remove admin error:', error);
+    res.status(500).json({
+      error: 'Failed to remove admin',
+      message: 'An error occurred while removing admin',
+      code: 'ADMIN_REMOVE_ERROR'
     });
   }
 });
@@ -0,0 +1,231 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader, waitForEvents } = require('./testApp');
+const { sendMessage } = require('../services/messageService');
+const groupRoutes = require('./groups');
+const messageRoutes = require('./messages');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, events, alice, bob, carol, dave, group;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({ '/api/v1/groups': groupRoutes, '/api/v1/messages': messageRoutes }));
+  alice = await createUser({ username: 'alice', first_name: 'Alice' });
+  bob = await createUser({ username: 'bob', first_name: 'Bob' });
+  carol = await createUser({ username: 'carol', first_name: 'Carol' });
+  dave = await createUser({ username: 'dave', first_name: 'Dave' });
+  group = await createChat(alice.id, { type: 'group', title: 'Book club', members: [bob.id, carol.id] });
+});
+
+const memberCount = async () => {
+  const result = await query('SELECT member_count FROM chats WHERE id = $1', [group.id]);
+  return result.rows[0].member_count;
+};
+
+const memberIds = async () => {
+  const result = await query('SELECT user_id FROM chat_participants WHERE chat_id = $1', [group.id]);
+  return result.rows.map(row => row.user_id).sort();
+};
+
+const history = async (user) => (await request(app)
+  .get(`/api/v1/messages/${group.id}`)
+  .set('Authorization', authHeader(user))
+  .expect(200)).body.messages;
+
+const addMember = (actor, userId) => request(app)
+  .post(`/api/v1/groups/${group.id}/members`)
+  .set('Authorization', authHeader(actor))
+  .send({ userId });
+
+const ban = (actor, body) => request(app)
+  .post(`/api/v1/groups/${group.id}/bans`)
+  .set('Authorization', authHeader(actor))
+  .send(body);
+
+const promote = (userId) => query(
+  `UPDATE chat_participants SET role = 'admin' WHERE chat_id = $1 AND user_id = $2`,
+  [group.id, userId]
+);
+
+describe('leaving and removing members', () => {
+  it('lets a member leave, recording it in the history and telling the others', async () => {
+    const response = await request(app)
+      .post(`/api/v1/groups/${group.id}/leave`)
+      .set('Authorization', authHeader(carol))
+      .expect(200);
+
+    expect(response.body.memberCount).toBe(2);
+    expect(await memberCount()).toBe(2);
+    expect(await memberIds()).toEqual([alice.id, bob.id].sort());
+
+    const [left] = await history(alice);
+    expect(left).toMatchObject({
+      content: 'Carol left the group',
+      systemAction: { type: 'member_left', userId: carol.id, actorId: carol.id },
+      isSilent: true
+    });
+
+    const removed = await waitForEvents(events, 'chat_member_removed');
+    expect(removed.map(entry => entry.room).sort()).toEqual([`user:${alice.id}`, `user:${bob.id}`, `user:${carol.id}`].sort());
+    expect(removed[0].payload).toMatchObject({ chatId: group.id, userId: carol.id, reason: 'left' });
+
+    // Once out, there is nothing left to leave
+    const again = await request(app)
+      .post(`/api/v1/groups/${group.id}/leave`)
+      .set('Authorization', authHeader(carol))
+      .expect(403);
+    expect(again.body.code).toBe('ACCESS_DENIED');
+  });
+
+  it('removes a member and, when asked, what they sent in the last day', async () => {
+    const recent = (await sendMessage({ chatId: group.id, senderId: carol.id, content: 'spam' })).message;
+    const old = (await sendMessage({ chatId: group.id, senderId: carol.id, content: 'from last week' })).message;
+    await query(`UPDATE messages SET created_at = CURRENT_TIMESTAMP - INTERVAL '7 days' WHERE id = $1`, [old.id]);
+
+    const response = await request(app)
+      .delete(`/api/v1/groups/${group.id}/members/${carol.id}`)
+      .query({ deleteMessages: 'true' })
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(response.body).toMatchObject({ memberCount: 2, deletedMessageCount: 1 });
+
+    const messages = await history(bob);
+    expect(messages.find(message => message.id === recent.id)).toMatchObject({ isDeleted: true, content: null });
+    expect(messages.find(message => message.id === old.id).content).toBe('from last week');
+    expect(messages.at(-1)).toMatchObject({
+      content: 'Alice removed Carol',
+      systemAction: { type: 'member_removed', userId: carol.id, actorId: alice.id }
+    });
+
+    // Removed members can be added back
+    await addMember(alice, carol.id).expect(201);
+    expect(await memberCount()).toBe(3);
+  });
+
+  it('protects the creator and admins', async () => {
+    await promote(bob.id);
+    await promote(carol.id);
+
+    const remove = (actor, userId) => request(app)
+      .delete(`/api/v1/groups/${group.id}/members/${userId}`)
+      .set('Authorization', authHeader(actor));
+
+    const creator = await remove(bob, alice.id).expect(403);
+    expect(creator.body).toMatchObject({ code: 'ACCESS_DENIED', message: 'The group creator cannot be removed' });
+
+    const admin = await remove(bob, carol.id).expect(403);
+    expect(admin.body.message).toBe('Only the group creator can remove admins');
+
+    const self = await remove(bob, bob.id).expect(400);
+    expect(self.body.code).toBe('CANNOT_REMOVE_SELF');
+
+    const stranger = await remove(alice, dave.id).expect(404);
+    expect(stranger.body.code).toBe('MEMBER_NOT_FOUND');
+
+    // Members without the banUsers right can't remove anyone
+    await query(`UPDATE chat_participants SET role = 'member' WHERE chat_id = $1 AND user_id = $2`, [group.id, carol.id]);
+    await remove(carol, bob.id).expect(403);
+
+    await remove(alice, bob.id).expect(200);
+    expect(await memberIds()).toEqual([alice.id, carol.id].sort());
+  });
+});
+
+describe('bans', () => {
+  it('bans a member, keeps them out until unbanned and lists the ban', async () => {
+    const response = await ban(alice, { userId: carol.id }).expect(201);
+    expect(response.body.memberCount).toBe(2);
+
+    const [banned] = await history(alice);
+    expect(banned).toMatchObject({
+      content: 'Alice banned Carol',
+      systemAction: { type: 'member_banned', userId: carol.id, actorId: alice.id }
+    });
+
+    const blocked = await addMember(alice, carol.id).expect(403);
+    expect(blocked.body.code).toBe('USER_BANNED');
+
+    const bans = (await request(app)
+      .get(`/api/v1/groups/${group.id}/bans`)
+      .set('Authorization', authHeader(alice))
+      .expect(200)).body.bans;
+    expect(bans).toEqual([expect.objectContaining({ userId: carol.id, username: 'carol', bannedBy: alice.id, expiresAt: null })]);
+
+    await request(app)
+      .delete(`/api/v1/groups/${group.id}/bans/${carol.id}`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    const missing = await request(app)
+      .delete(`/api/v1/groups/${group.id}/bans/${carol.id}`)
+      .set('Authorization', authHeader(alice))
+      .expect(404);
+    expect(missing.body.code).toBe('BAN_NOT_FOUND');
+
+    await addMember(alice, carol.id).expect(201);
+    expect(await memberCount()).toBe(3);
+  });
+
+  it('lets a ban run out', async () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await ban(alice, { userId: carol.id, expiresAt }).expect(201);
+    await addMember(alice, carol.id).expect(403);
+
+    await query(`UPDATE chat_bans SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE chat_id = $1`, [group.id]);
+
+    const bans = (await request(app)
+      .get(`/api/v1/groups/${group.id}/bans`)
+      .set('Authorization', authHeader(alice))
+      .expect(200)).body.bans;
+    expect(bans).toEqual([]);
+    await addMember(alice, carol.id).expect(201);
+  });
+
+  it('bans users who are not members without recording a message', async () => {
+    const response = await ban(alice, { userId: dave.id, deleteMessages: true }).expect(201);
+    expect(response.body).toMatchObject({ memberCount: 3, deletedMessageCount: 0 });
+    expect(await history(alice)).toEqual([]);
+
+    const blocked = await addMember(bob, dave.id).expect(403);
+    expect(blocked.body.code).toBe('USER_BANNED');
+  });
+
+  it('rejects bans that end in the past', async () => {
+    const response = await ban(alice, { userId: carol.id, expiresAt: '2000-01-01T00:00:00Z' }).expect(400);
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+    expect(await memberCount()).toBe(3);
+  });
+});
+
+describe('creating groups', () => {
+  it('adds each participant once and counts the members', async () => {
+    const response = await request(app)
+      .post('/api/v1/groups')
+      .set('Authorization', authHeader(alice))
+      .send({
+        title: 'Hikers',
+        // The creator, a duplicate and someone who doesn't exist are all skipped
+        participantIds: [bob.id, bob.id, carol.id, alice.id, '00000000-0000-4000-8000-000000000000']
+      })
+      .expect(201);
+    expect(response.body.group).toMatchObject({ title: 'Hikers', memberCount: 3 });
+
+    const participants = await query(
+      'SELECT user_id, role FROM chat_participants WHERE chat_id = $1 ORDER BY role, user_id',
+      [response.body.group.id]
+    );
+    expect(participants.rows).toEqual([
+      { user_id: alice.id, role: 'admin' },
+      ...[bob.id, carol.id].sort().map(userId => ({ user_id: userId, role: 'member' }))
+    ]);
+
+    const created = await query('SELECT member_count, creator_id FROM chats WHERE id = $1', [response.body.group.id]);
+    expect(created.rows[0]).toEqual({ member_count: 3, creator_id: alice.id });
+  });
+});
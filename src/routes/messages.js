@@ -1,16 +1,118 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { query } = require('../database/connection');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { getReceipts } = require('../services/receiptService');
+const { getNextUnreadMention } = require('../services/unreadService');
+const { searchMessages, parseSearchOptions } = require('../services/searchService');
+const {
+  MESSAGE_COLUMNS,
+  MESSAGE_JOINS,
+  NOT_EXPIRED,
+  visibleToUser,
+  encodeCursor,
+  decodeCursor,
+  formatMessageRows,
+  getHistoryPage,
+  getMessagesByIds,
+  createMessage,
+  checkCanSend,
+  sendMessage,
+  MESSAGE_TYPES,
+  MAX_CONTENT_LENGTH,
+  MAX_MESSAGE_TTL_SECONDS,
+  isWithinEditWindow,
+  editMessage,
+  deleteMessageForEveryone,
+  deleteMessageForUser,
+  buildForwardAttribution
+} = require('../services/messageService');
+const {
+  MAX_REACTIONS_PER_USER,
+  isReactionAllowed,
+  getReactionSummaries,
+  addReaction,
+  removeReaction,
+  listReactors
+} = require('../services/reactionService');
+const { unpinMessage } = require('../services/pinService');
+const { checkPermission } = require('../services/permissionService');
+const { normalizeTags, getOrCreateSavedChat, setMessageTags } = require('../services/savedMessagesService');
+const {
+  PARSE_MODES,
+  getFormattingEntities,
+  prepareFormattedText
+} = require('../services/formattingService');
+const {
+  validatePollInput,
+  getPollViews,
+  castVote,
+  retractVote,
+  closePoll,
+  listVoters
+} = require('../services/pollService');
+const {
+  validateSendAt,
+  scheduleMessage,
+  listScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} = require('../services/scheduledMessageService');
+const {
+  sendMessageToChat,
+  emitToChat,
+  emitToUser,
+  publishMentions,
+  publishPinnedUpdate,
+  publishPollUpdate,
+  publishLinkPreview,
+  clearSentDraft,
+  broadcastUnreadCounts
+} = require('../websocket/socket');
 
 const router = express.Router();
 
+// Maximum page size for message history
+const MAX_HISTORY_LIMIT = 100;
+
+// Older app builds page with ?offset=; they keep getting the offset response shape
+const usesOffsetPagination = (req) => {
+  return req.query.pagination === 'offset' || req.query.offset !== undefined;
+};
+
+// Empty history response in whichever shape the client asked for
+const emptyHistory = (req) => {
+  if (usesOffsetPagination(req)) {
+    return {
+      success: true,
+      messages: [],
+      pagination: {
+        total: 0,
+        limit: parseInt(req.query.limit || 50),
+        offset: parseInt(req.query.offset || 0),
+        hasMore: false
+      }
+    };
+  }
+
+  return {
+    success: true,
+    messages: [],
+    cursors: { before: null, after: null },
+    hasMoreBefore: false,
+    hasMoreAfter: false
+  };
+};
+
 // Get chat messages
+// Cursor mode (default): ?before=<cursor>, ?after=<cursor> or ?around=<messageId>, plus ?limit=
+// Offset mode (legacy): ?offset=&limit= or ?pagination=offset
 router.get('/:chatId', authenticateToken, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { before, after, around } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_HISTORY_LIMIT);
     
     console.log('🔄 Fetching messages for chat:', chatId);
     
@@ -18,103 +120,841 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
     const chatCheck = await query('SELECT id FROM chats WHERE id = $1', [chatId]);
     if (chatCheck.rows.length === 0) {
       console.log('⚠️ Chat not found, returning empty messages');
-      return res.json({ 
-        success: true, 
-        messages: [], 
-        pagination: { 
-          total: 0, 
-          limit: parseInt(limit), 
-          offset: parseInt(offset), 
-          hasMore: false 
-        } 
+      return res.json(emptyHistory(req));
+    }
+
+    // Check if user is participant in this chat
+    const participantCheck = await query(
+      'SELECT id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [chatId, req.user.id]
+    );
+
+    if (participantCheck.rows.length === 0) {
+      console.log('⚠️ User not participant in chat, returning empty messages');
+      return res.json(emptyHistory(req));
+    }
+
+    if (usesOffsetPagination(req)) {
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      // Get messages with pagination
+      const messagesResult = await query(`
+        SELECT ${MESSAGE_COLUMNS}
+        FROM messages m
+        ${MESSAGE_JOINS}
+        WHERE m.chat_id = $1 AND ${visibleToUser('$4')}
+        ORDER BY m.created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [chatId, limit, offset, req.user.id]);
+
+      const messages = await formatMessageRows(messagesResult.rows, req.user.id);
+
+      // Get total message count
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM messages m WHERE m.chat_id = $1 AND ${visibleToUser('$2')}`,
+        [chatId, req.user.id]
+      );
+
+      console.log('✅ Found messages:', messages.length);
+      return res.json({
+        success: true,
+        messages: messages.reverse(), // Return in chronological order
+        pagination: {
+          total: parseInt(countResult.rows[0].total),
+          limit,
+          offset,
+          hasMore: parseInt(countResult.rows[0].total) > offset + messages.length
+        }
+      });
+    }
+
+    let rows;
+    let hasMoreBefore = false;
+    let hasMoreAfter = false;
+
+    if (around) {
+      // Jump to a message: the anchor plus up to half a page on either side
+      const anchorCheck = await query(
+        `SELECT m.id FROM messages m WHERE m.id = $1 AND m.chat_id = $2 AND ${visibleToUser('$3')}`,
+        [around, chatId, req.user.id]
+      );
+
+      if (anchorCheck.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Message not found',
+          message: 'The message to jump to does not exist in this chat',
+          code: 'MESSAGE_NOT_FOUND'
+        });
+      }
+
+      const olderLimit = Math.ceil(limit / 2);
+      const olderPage = await getHistoryPage(chatId, req.user.id, {
+        anchorId: around, direction: 'older', inclusive: true, limit: olderLimit
+      });
+      const newerPage = await getHistoryPage(chatId, req.user.id, {
+        anchorId: around, direction: 'newer', limit: Math.max(limit - olderLimit, 1)
+      });
+
+      rows = [...olderPage.rows, ...newerPage.rows];
+      hasMoreBefore = olderPage.hasMore;
+      hasMoreAfter = newerPage.hasMore;
+    } else if (before || after) {
+      const anchorId = decodeCursor(before || after);
+      if (!anchorId) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'The pagination cursor is malformed',
+          code: 'INVALID_CURSOR'
+        });
+      }
+
+      const anchorCheck = await query(
+        'SELECT id FROM messages WHERE id = $1 AND chat_id = $2',
+        [anchorId, chatId]
+      );
+
+      if (anchorCheck.rows.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          message: 'The pagination cursor does not belong to this chat',
+          code: 'INVALID_CURSOR'
+        });
+      }
+
+      const direction = before ? 'older' : 'newer';
+      const page = await getHistoryPage(chatId, req.user.id, { anchorId, direction, limit });
+
+      rows = page.rows;
+      hasMoreBefore = before ? page.hasMore : true;
+      hasMoreAfter = before ? true : page.hasMore;
+    } else {
+      // Latest messages
+      const page = await getHistoryPage(chatId, req.user.id, { direction: 'older', limit });
+
+      rows = page.rows;
+      hasMoreBefore = page.hasMore;
+    }
+
+    const messages = await formatMessageRows(rows, req.user.id);
+
+    console.log('✅ Found messages:', messages.length);
+    res.json({
+      success: true,
+      messages, // Chronological order
+      cursors: {
+        before: messages.length > 0 ? encodeCursor(messages[0].id) : null,
+        after: messages.length > 0 ? encodeCursor(messages[messages.length - 1].id) : null
+      },
+      hasMoreBefore,
+      hasMoreAfter
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    // Handle UUID validation errors gracefully
+    if (error.message && error.message.includes('invalid input syntax for type uuid')) {
+      console.log('⚠️ Invalid UUID format, returning empty messages');
+      return res.json(emptyHistory(req));
+    }
+    res.status(500).json({
+      error: 'Failed to fetch messages',
+      message: 'An error occurred while fetching messages',
+      code: 'MESSAGES_FETCH_ERROR'
+    });
+  }
+});
+
+// Search messages within one chat
+router.get('/:chatId/search', [
+  param('chatId')
+    .isUUID()
+    .withMessage('Chat ID must be a valid UUID'),
+  queryParam('senderId')
+    .optional()
+    .isUUID()
+    .withMessage('Sender ID must be a valid UUID')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { chatId } = req.params;
+
+    const options = parseSearchOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        error: 'Invalid search query',
+        message: options.error,
+        code: 'INVALID_SEARCH_QUERY'
+      });
+    }
+
+    const participantCheck = await query(
+      'SELECT id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [chatId, req.user.id]
+    );
+
+    if (participantCheck.rows.length === 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in this chat',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const { results, hasMore } = await searchMessages({ ...options, userId: req.user.id, chatId });
+
+    res.json({
+      success: true,
+      results,
+      query: options.text,
+      pagination: {
+        limit: options.limit,
+        offset: options.offset,
+        hasMore
+      }
+    });
+
+  } catch (error) {
+    console.error('Chat message search error:', error);
+    res.status(500).json({
+      error: 'Failed to search messages',
+      message: 'An error occurred while searching messages',
+      code: 'MESSAGE_SEARCH_ERROR'
+    });
+  }
+});
+
+// Jump to the next unread message mentioning the user (pass `after` to step past one)
+router.get('/:chatId/mentions/next', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { after } = req.query;
+
+    if (after && !isUuid(after)) {
+      return res.status(400).json({
+        error: 'Invalid message ID',
+        message: 'after must be a valid message ID',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const participantCheck = await query(
+      'SELECT id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [chatId, req.user.id]
+    );
+
+    if (participantCheck.rows.length === 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in this chat',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const { messageId, remainingCount } = await getNextUnreadMention(chatId, req.user.id, after || null);
+    const [message] = messageId ? await getMessagesByIds([messageId], req.user.id) : [null];
+
+    res.json({
+      success: true,
+      message: message || null,
+      remainingCount
+    });
+
+  } catch (error) {
+    console.error('Get next mention error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch next mention',
+      message: 'An error occurred while fetching the next mention',
+      code: 'MENTION_FETCH_ERROR'
+    });
+  }
+});
+
+// Get read receipts for a message
+router.get('/:messageId/receipts', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageCheck = await query(`
+      SELECT m.id, m.chat_id, m.sender_id
+      FROM messages m
+      INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = $1
+    `, [messageId, req.user.id]);
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message does not exist',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    const message = messageCheck.rows[0];
+    const receipts = await getReceipts(messageId);
+
+    res.json({
+      success: true,
+      messageId: message.id,
+      chatId: message.chat_id,
+      readCount: receipts.readCount,
+      deliveredCount: receipts.deliveredCount,
+      recipientCount: receipts.recipientCount,
+      // Only the sender gets to see who exactly has read their message
+      recipients: message.sender_id === req.user.id ? receipts.recipients : undefined
+    });
+
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch receipts',
+      message: 'An error occurred while fetching message receipts',
+      code: 'RECEIPTS_FETCH_ERROR'
+    });
+  }
+});
+
+// Load a message together with its chat's reaction settings, if the user participates in the chat
+const findMessageForReaction = async (messageId, userId) => {
+  const result = await query(`
+    SELECT m.id, m.chat_id, c.is_group, c.reactions_enabled, c.allowed_reactions
+    FROM messages m
+    INNER JOIN chats c ON m.chat_id = c.id
+    INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+    WHERE m.id = $1 AND m.is_deleted = false
+  `, [messageId, userId]);
+
+  return result.rows[0] || null;
+};
+
+// Broadcast the new reaction totals for a message
+const emitReactionUpdate = async (message, userId, emoji, action) => {
+  const summaries = await getReactionSummaries([message.id], userId);
+
+  emitToChat(message.chat_id, 'reaction_updated', {
+    chatId: message.chat_id,
+    messageId: message.id,
+    userId,
+    emoji,
+    action,
+    reactions: (summaries[message.id] || []).map(({ emoji, count }) => ({ emoji, count }))
+  });
+
+  return summaries[message.id] || [];
+};
+
+// List who reacted to a message
+router.get('/:messageId/reactions', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const emoji = req.query.emoji || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const message = await findMessageForReaction(messageId, req.user.id);
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message does not exist',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    const summaries = await getReactionSummaries([messageId], req.user.id);
+    const reactors = await listReactors(messageId, emoji, limit, offset);
+
+    res.json({
+      success: true,
+      messageId,
+      reactions: summaries[messageId] || [],
+      reactors
+    });
+
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reactions',
+      message: 'An error occurred while fetching reactions',
+      code: 'REACTIONS_FETCH_ERROR'
+    });
+  }
+});
+
+// Add reaction to message
+router.post('/:messageId/reactions', [
+  body('emoji')
+    .isString()
+    .withMessage('Emoji is required')
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Emoji must be between 1 and 32 characters')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    const message = await findMessageForReaction(messageId, req.user.id);
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message does not exist',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    if (!isReactionAllowed(message, emoji)) {
+      return res.status(403).json({
+        error: 'Reaction not allowed',
+        message: 'This reaction is not allowed in this chat',
+        code: 'REACTION_NOT_ALLOWED'
+      });
+    }
+
+    const added = await addReaction(messageId, req.user.id, emoji);
+    if (!added) {
+      return res.status(409).json({
+        error: 'Too many reactions',
+        message: `You can add at most ${MAX_REACTIONS_PER_USER} reactions to a message`,
+        code: 'REACTION_LIMIT_REACHED'
+      });
+    }
+
+    const reactions = await emitReactionUpdate(message, req.user.id, emoji, 'added');
+
+    res.status(201).json({
+      success: true,
+      message: 'Reaction added successfully',
+      messageId,
+      reactions
+    });
+
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({
+      error: 'Failed to add reaction',
+      message: 'An error occurred while adding reaction',
+      code: 'REACTION_ADD_ERROR'
+    });
+  }
+});
+
+// Remove reaction from message
+router.delete('/:messageId/reactions/:emoji', authenticateToken, async (req, res) => {
+  try {
+    const { messageId, emoji } = req.params;
+
+    const message = await findMessageForReaction(messageId, req.user.id);
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message does not exist',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    const removed = await removeReaction(messageId, req.user.id, emoji);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Reaction not found',
+        message: 'You have not reacted with this emoji',
+        code: 'REACTION_NOT_FOUND'
+      });
+    }
+
+    const reactions = await emitReactionUpdate(message, req.user.id, emoji, 'removed');
+
+    res.json({
+      success: true,
+      message: 'Reaction removed successfully',
+      messageId,
+      reactions
+    });
+
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      error: 'Failed to remove reaction',
+      message: 'An error occurred while removing reaction',
+      code: 'REACTION_REMOVE_ERROR'
+    });
+  }
+});
+
+// Find a poll message in a chat the user participates in
+const findPollMessage = async (messageId, userId) => {
+  const result = await query(`
+    SELECT m.id, m.chat_id, m.poll_id
+    FROM messages m
+    INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+    WHERE m.id = $1 AND m.poll_id IS NOT NULL AND m.is_deleted = false AND ${NOT_EXPIRED}
+  `, [messageId, userId]);
+
+  return result.rows[0] || null;
+};
+
+const pollNotFoundResponse = (res) => res.status(404).json({
+  error: 'Poll not found',
+  message: 'Poll does not exist or you are not a participant in this chat',
+  code: 'POLL_NOT_FOUND'
+});
+
+// Vote in a poll (replaces any previous choice; quiz answers are final)
+router.post('/:messageId/poll/votes', [
+  body('optionIds')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Between 1 and 10 option IDs are required'),
+  body('optionIds.*')
+    .isUUID()
+    .withMessage('Each option ID must be a valid UUID')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const message = await findPollMessage(req.params.messageId, req.user.id);
+    if (!message) {
+      return pollNotFoundResponse(res);
+    }
+
+    const result = await castVote(message.poll_id, req.user.id, req.body.optionIds);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    publishPollUpdate(message.poll_id);
+
+    const polls = await getPollViews([message.poll_id], req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Vote recorded successfully',
+      ...(result.correct !== undefined ? { correct: result.correct } : {}),
+      poll: polls[message.poll_id]
+    });
+
+  } catch (error) {
+    console.error('Poll vote error:', error);
+    res.status(500).json({
+      error: 'Failed to vote',
+      message: 'An error occurred while recording your vote',
+      code: 'POLL_VOTE_ERROR'
+    });
+  }
+});
+
+// Retract a vote
+router.delete('/:messageId/poll/votes', authenticateToken, async (req, res) => {
+  try {
+    const message = await findPollMessage(req.params.messageId, req.user.id);
+    if (!message) {
+      return pollNotFoundResponse(res);
+    }
+
+    const result = await retractVote(message.poll_id, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    if (result.retracted) {
+      publishPollUpdate(message.poll_id);
+    }
+
+    const polls = await getPollViews([message.poll_id], req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Vote retracted successfully',
+      poll: polls[message.poll_id]
+    });
+
+  } catch (error) {
+    console.error('Poll retract error:', error);
+    res.status(500).json({
+      error: 'Failed to retract vote',
+      message: 'An error occurred while retracting your vote',
+      code: 'POLL_RETRACT_ERROR'
+    });
+  }
+});
+
+// Close a poll (creator only)
+router.post('/:messageId/poll/close', authenticateToken, async (req, res) => {
+  try {
+    const message = await findPollMessage(req.params.messageId, req.user.id);
+    if (!message) {
+      return pollNotFoundResponse(res);
+    }
+
+    const result = await closePoll(message.poll_id, req.user.id);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    if (result.closed) {
+      publishPollUpdate(message.poll_id);
+    }
+
+    const polls = await getPollViews([message.poll_id], req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Poll closed successfully',
+      poll: polls[message.poll_id]
+    });
+
+  } catch (error) {
+    console.error('Poll close error:', error);
+    res.status(500).json({
+      error: 'Failed to close poll',
+      message: 'An error occurred while closing the poll',
+      code: 'POLL_CLOSE_ERROR'
+    });
+  }
+});
+
+// List who voted (public polls only)
+router.get('/:messageId/poll/voters', authenticateToken, async (req, res) => {
+  try {
+    const message = await findPollMessage(req.params.messageId, req.user.id);
+    if (!message) {
+      return pollNotFoundResponse(res);
+    }
+
+    const polls = await getPollViews([message.poll_id], req.user.id);
+    const poll = polls[message.poll_id];
+
+    if (poll.isAnonymous) {
+      return res.status(403).json({
+        error: 'Anonymous poll',
+        message: 'Voters of anonymous polls are not visible',
+        code: 'POLL_ANONYMOUS'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const voters = await listVoters(message.poll_id, req.query.optionId || null, limit, offset);
+
+    res.json({
+      success: true,
+      voters,
+      pagination: {
+        limit,
+        offset,
+        hasMore: voters.length === limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get poll voters error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch voters',
+      message: 'An error occurred while fetching poll voters',
+      code: 'POLL_VOTERS_FETCH_ERROR'
+    });
+  }
+});
+
+// Forward messages into one or more chats (must be registered before POST /:chatId)
+router.post('/forward', [
+  body('messageIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Between 1 and 100 message IDs are required'),
+  body('messageIds.*')
+    .isUUID()
+    .withMessage('Each message ID must be a valid UUID'),
+  body('toChatIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Between 1 and 20 target chat IDs are required'),
+  body('toChatIds.*')
+    .custom(value => value === 'saved' || isUuid(value))
+    .withMessage('Each chat ID must be a valid UUID or "saved"'),
+  body('hideSender')
+    .optional()
+    .isBoolean()
+    .withMessage('hideSender must be a boolean')
+    .toBoolean(),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('tags must be an array'),
+  body('silent')
+    .optional()
+    .isBoolean()
+    .withMessage('silent must be a boolean')
+    .toBoolean()
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { messageIds, hideSender = false, silent = false } = req.body;
+
+    const normalizedTags = normalizeTags(req.body.tags || []);
+    if (normalizedTags.error) {
+      return res.status(400).json({
+        error: 'Invalid tag',
+        message: normalizedTags.error,
+        code: 'INVALID_TAG'
+      });
+    }
+
+    // "saved" stands for the user's Saved Messages chat (only looked up when it is a target)
+    const savedChatId = req.body.toChatIds.includes('saved') ? await getOrCreateSavedChat(req.user.id) : null;
+    const toChatIds = [...new Set(req.body.toChatIds.map(chatId => chatId === 'saved' ? savedChatId : chatId))];
+
+    // Source messages must come from chats the user participates in
+    const sourceResult = await query(`
+      SELECT m.id, m.chat_id, m.sender_id, m.content, m.message_type, m.created_at,
+             m.forward_from, m.forward_sender_id, m.forward_sender_name, m.forward_chat_id, m.forward_date,
+             m.poll_id, m.entities, m.link_preview,
+             u.username, u.first_name, u.last_name, u.hide_forward_sender,
+             c.is_group
+      FROM messages m
+      INNER JOIN users u ON m.sender_id = u.id
+      INNER JOIN chats c ON m.chat_id = c.id
+      INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = ANY($1) AND m.is_deleted = false AND ${NOT_EXPIRED}
+      ORDER BY m.created_at ASC
+    `, [messageIds, req.user.id]);
+
+    if (sourceResult.rows.length !== new Set(messageIds).size) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'One or more messages do not exist or are not accessible',
+        code: 'MESSAGE_NOT_FOUND'
       });
     }
 
-    // Check if user is participant in this chat
-    const participantCheck = await query(
-      'SELECT id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
-      [chatId, req.user.id]
+    if (sourceResult.rows.some(source => source.message_type === 'system')) {
+      return res.status(400).json({
+        error: 'Invalid message',
+        message: 'System messages cannot be forwarded',
+        code: 'SYSTEM_MESSAGE'
+      });
+    }
+
+    const targetResult = await query(
+      'SELECT chat_id FROM chat_participants WHERE chat_id = ANY($1) AND user_id = $2',
+      [toChatIds, req.user.id]
     );
 
-    if (participantCheck.rows.length === 0) {
-      console.log('⚠️ User not participant in chat, returning empty messages');
-      return res.json({ 
-        success: true, 
-        messages: [], 
-        pagination: { 
-          total: 0, 
-          limit: parseInt(limit), 
-          offset: parseInt(offset), 
-          hasMore: false 
-        } 
-      });
-    }
-
-    // Get messages with pagination
-    const messagesResult = await query(`
-      SELECT m.id, m.content, m.message_type, m.sender_id, m.created_at, m.updated_at,
-             u.username, u.first_name, u.last_name, u.profile_picture
-      FROM messages m
-      INNER JOIN users u ON m.sender_id = u.id
-      WHERE m.chat_id = $1
-      ORDER BY m.created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [chatId, parseInt(limit), parseInt(offset)]);
-
-    const messages = messagesResult.rows.map(row => ({
-      id: row.id,
-      content: row.content,
-      type: row.message_type,
-      senderId: row.sender_id,
-      sender: {
-        id: row.sender_id,
-        username: row.username,
-        firstName: row.first_name,
-        lastName: row.last_name,
-        profilePicture: row.profile_picture
-      },
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
+    if (targetResult.rows.length !== toChatIds.length) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You are not a participant in one or more target chats',
+        code: 'ACCESS_DENIED'
+      });
+    }
 
-    // Get total message count
-    const countResult = await query(
-      'SELECT COUNT(*) as total FROM messages WHERE chat_id = $1',
-      [chatId]
-    );
+    // Forwarded copies need the same rights in each target chat as sending them there directly
+    const sourceTypes = [...new Set(sourceResult.rows.map(source => source.message_type))];
+    for (const targetChatId of toChatIds) {
+      for (const type of sourceTypes) {
+        const sendError = await checkCanSend(targetChatId, req.user.id, null, type);
+        if (sendError) {
+          return res.status(sendError.status).json({
+            error: sendError.error,
+            message: sendError.message,
+            code: sendError.code,
+            missingRight: sendError.missingRight,
+            chatId: targetChatId
+          });
+        }
+      }
+    }
 
-    console.log('✅ Found messages:', messages.length);
-    res.json({
-      success: true,
-      messages: messages.reverse(), // Return in chronological order
-      pagination: {
-        total: parseInt(countResult.rows[0].total),
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: parseInt(countResult.rows[0].total) > parseInt(offset) + messages.length
+    const forwarded = [];
+    for (const targetChatId of toChatIds) {
+      const newMessageIds = [];
+      for (const source of sourceResult.rows) {
+        newMessageIds.push(await createMessage({
+          chatId: targetChatId,
+          senderId: req.user.id,
+          content: source.content,
+          type: source.message_type,
+          forward: buildForwardAttribution(source, hideSender),
+          forwarded: true,
+          pollId: source.poll_id,
+          entities: source.entities,
+          linkPreview: source.link_preview,
+          silent
+        }));
       }
+
+      // Bookmarks forwarded into Saved Messages can be tagged in the same request
+      if (targetChatId === savedChatId && normalizedTags.tags.length > 0) {
+        for (const messageId of newMessageIds) {
+          await setMessageTags(req.user.id, messageId, normalizedTags.tags);
+        }
+      }
+
+      const messages = await getMessagesByIds(newMessageIds, req.user.id);
+      forwarded.push({ chatId: targetChatId, messages });
+
+      for (const message of messages) {
+        await sendMessageToChat(targetChatId, message, req.user.id, null, { forwarded: true });
+      }
+    }
+
+    console.log('✅ Forwarded messages:', messageIds.length, 'to chats:', toChatIds.length);
+
+    res.status(201).json({
+      success: true,
+      message: 'Messages forwarded successfully',
+      forwarded
     });
 
   } catch (error) {
-    console.error('Get messages error:', error);
-    // Handle UUID validation errors gracefully
-    if (error.message && error.message.includes('invalid input syntax for type uuid')) {
-      console.log('⚠️ Invalid UUID format, returning empty messages');
-      return res.json({ 
-        success: true, 
-        messages: [], 
-        pagination: { 
-          total: 0, 
-          limit: parseInt(req.query.limit || 50), 
-          offset: parseInt(req.query.offset || 0), 
-          hasMore: false 
-        } 
-      });
-    }
+    console.error('Forward messages error:', error);
     res.status(500).json({
-      error: 'Failed to fetch messages',
-      message: 'An error occurred while fetching messages',
-      code: 'MESSAGES_FETCH_ERROR'
+      error: 'Failed to forward messages',
+      message: 'An error occurred while forwarding messages',
+      code: 'MESSAGE_FORWARD_ERROR'
     });
   }
 });
@@ -122,14 +962,45 @@ router.get('/:chatId', authenticateToken, async (req, res) => {
 // Send message
 router.post('/:chatId', [
   body('content')
+    .if(body('type').not().equals('poll'))
     .notEmpty()
     .withMessage('Message content is required')
-    .isLength({ max: 4000 })
-    .withMessage('Message content must be 4000 characters or less'),
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Message content must be ${MAX_CONTENT_LENGTH} characters or less`),
   body('type')
     .optional()
-    .isIn(['text', 'image', 'video', 'audio', 'file', 'location'])
-    .withMessage('Invalid message type')
+    .isIn(MESSAGE_TYPES)
+    .withMessage('Invalid message type'),
+  body('replyToId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Reply target must be a valid message ID'),
+  body('clientMessageId')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('clientMessageId must be between 1 and 64 characters'),
+  body('sendAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('sendAt must be an ISO 8601 date'),
+  body('ttlSeconds')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: MAX_MESSAGE_TTL_SECONDS })
+    .withMessage(`ttlSeconds must be between 0 and ${MAX_MESSAGE_TTL_SECONDS}`),
+  body('silent')
+    .optional()
+    .isBoolean()
+    .withMessage('silent must be a boolean')
+    .toBoolean(),
+  body('entities')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('entities must be an array'),
+  body('parseMode')
+    .optional({ nullable: true })
+    .isIn(PARSE_MODES)
+    .withMessage(`parseMode must be one of: ${PARSE_MODES.join(', ')}`)
 ], authenticateToken, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -143,7 +1014,45 @@ router.post('/:chatId', [
     }
 
     const { chatId } = req.params;
-    const { content, type = 'text', recipientId } = req.body;
+    const {
+      type = 'text', recipientId, replyToId, clientMessageId, sendAt, ttlSeconds, poll, entities, parseMode,
+      silent = false
+    } = req.body;
+
+    if (type === 'poll') {
+      const pollError = sendAt ? 'Polls cannot be scheduled' : validatePollInput(poll);
+      if (pollError) {
+        return res.status(400).json({
+          error: 'Invalid poll',
+          message: pollError,
+          code: 'INVALID_POLL'
+        });
+      }
+    }
+
+    // Markup is converted here, so only plain text and entities are ever stored
+    const formatted = type === 'poll'
+      ? { content: req.body.content, entities: [] }
+      : prepareFormattedText({ content: req.body.content, entities, parseMode });
+    if (formatted.error) {
+      return res.status(400).json({
+        error: 'Invalid entities',
+        message: formatted.error,
+        code: 'INVALID_ENTITIES'
+      });
+    }
+    const { content } = formatted;
+
+    if (sendAt) {
+      const sendAtError = validateSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({
+          error: 'Invalid send time',
+          message: sendAtError,
+          code: 'INVALID_SEND_AT'
+        });
+      }
+    }
 
     console.log('🔄 Sending message to chat:', chatId, 'recipientId:', recipientId);
 
@@ -153,6 +1062,11 @@ router.post('/:chatId', [
       [chatId]
     );
 
+    // Messaging yourself goes to Saved Messages
+    if (chatCheck.rows.length === 0 && recipientId && recipientId === req.user.id) {
+      chatCheck = { rows: [{ id: await getOrCreateSavedChat(req.user.id) }] };
+    }
+
     if (chatCheck.rows.length === 0 && recipientId) {
       console.log('⚠️ Chat not found, creating new chat with recipient:', recipientId);
       
@@ -212,72 +1126,97 @@ router.post('/:chatId', [
       });
     }
 
-    // Create message
-    const messageId = uuidv4();
     const actualChatId = chatCheck.rows[0].id;
-    
-    // Check if user is participant in this chat
-    const participantCheck = await query(
-      'SELECT id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
-      [actualChatId, req.user.id]
-    );
 
-    if (participantCheck.rows.length === 0) {
-      console.log('⚠️ User not participant in chat:', actualChatId);
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You are not a participant in this chat',
-        code: 'ACCESS_DENIED'
+    // Scheduled sends are stored and delivered later by the dispatcher
+    if (sendAt) {
+      const sendError = await checkCanSend(actualChatId, req.user.id, replyToId || null, type);
+      if (sendError) {
+        return res.status(sendError.status).json({
+          error: sendError.error,
+          message: sendError.message,
+          code: sendError.code,
+          missingRight: sendError.missingRight
+        });
+      }
+
+      const { scheduled, duplicate } = await scheduleMessage({
+        chatId: actualChatId,
+        senderId: req.user.id,
+        content,
+        entities: formatted.entities,
+        type,
+        replyToId: replyToId || null,
+        sendAt,
+        silent,
+        ttlSeconds: ttlSeconds === undefined || ttlSeconds === null ? null : parseInt(ttlSeconds),
+        clientMessageId: clientMessageId || null
       });
-    }
-    const messageResult = await query(`
-      INSERT INTO messages (id, chat_id, sender_id, content, message_type)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, content, message_type, sender_id, created_at, updated_at
-    `, [messageId, actualChatId, req.user.id, content, type]);
 
-    // Get sender info
-    const senderResult = await query(
-      'SELECT username, first_name, last_name, profile_picture FROM users WHERE id = $1',
-      [req.user.id]
-    );
+      // A retried request gets the original scheduled message back
+      if (duplicate) {
+        return res.json({
+          success: true,
+          message: 'Message already scheduled',
+          duplicate: true,
+          scheduled
+        });
+      }
+
+      console.log('✅ Message scheduled:', scheduled.id, 'for', scheduled.sendAt);
+
+      emitToUser(req.user.id, 'scheduled_messages_updated', {
+        chatId: actualChatId,
+        scheduledId: scheduled.id,
+        action: 'created'
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Message scheduled successfully',
+        scheduled
+      });
+    }
 
-    // Update chat's last message information
-    console.log('🔄 Updating chat last message info:', {
+    const result = await sendMessage({
       chatId: actualChatId,
-      content: content,
       senderId: req.user.id,
-      messageTime: messageResult.rows[0].created_at
+      content,
+      entities: formatted.entities,
+      type,
+      replyToId: replyToId || null,
+      clientMessageId: clientMessageId || null,
+      ttlSeconds: ttlSeconds === undefined || ttlSeconds === null ? null : parseInt(ttlSeconds),
+      poll: type === 'poll' ? poll : null,
+      silent
     });
-    
-    const updateResult = await query(`
-      UPDATE chats 
-      SET last_message_at = $1, 
-          last_message_content = $2,
-          last_message_sender_id = $3,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $4
-    `, [messageResult.rows[0].created_at, content, req.user.id, actualChatId]);
-    
-    console.log('✅ Chat update result:', updateResult.rowCount, 'rows affected');
-
-    const message = {
-      id: messageResult.rows[0].id,
-      content: messageResult.rows[0].content,
-      type: messageResult.rows[0].message_type,
-      senderId: messageResult.rows[0].sender_id,
-      sender: {
-        id: req.user.id,
-        username: senderResult.rows[0].username,
-        firstName: senderResult.rows[0].first_name,
-        lastName: senderResult.rows[0].last_name,
-        profilePicture: senderResult.rows[0].profile_picture
-      },
-      createdAt: messageResult.rows[0].created_at,
-      updatedAt: messageResult.rows[0].updated_at
-    };
 
-    console.log('✅ Message sent successfully:', messageId);
+    if (result.error) {
+      console.log('⚠️ Message rejected:', result.error.code, actualChatId);
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        message: result.error.message,
+        code: result.error.code,
+        missingRight: result.error.missingRight
+      });
+    }
+
+    const { message, duplicate } = result;
+
+    // A retried request gets the original message back without a second fanout
+    if (duplicate) {
+      return res.json({
+        success: true,
+        message: 'Message already sent',
+        duplicate: true,
+        data: message
+      });
+    }
+
+    console.log('✅ Message sent successfully:', message.id);
+
+    await sendMessageToChat(actualChatId, message, req.user.id);
+    await clearSentDraft(actualChatId, req.user.id, req.get('X-Socket-Id') || null);
 
     res.status(201).json({
       success: true,
@@ -295,13 +1234,236 @@ router.post('/:chatId', [
   }
 });
 
+// List the user's pending scheduled messages in a chat
+router.get('/:chatId/scheduled', authenticateToken, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    const scheduled = await listScheduledMessages(chatId, req.user.id);
+
+    res.json({
+      success: true,
+      scheduled
+    });
+  } catch (error) {
+    console.error('Get scheduled messages error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scheduled messages',
+      message: 'An error occurred while fetching scheduled messages',
+      code: 'SCHEDULED_MESSAGES_FETCH_ERROR'
+    });
+  }
+});
+
+// Edit a pending scheduled message (content and/or send time)
+router.put('/scheduled/:scheduledId', [
+  body('content')
+    .optional()
+    .notEmpty()
+    .withMessage('Message content cannot be empty')
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Message content must be ${MAX_CONTENT_LENGTH} characters or less`),
+  body('sendAt')
+    .optional()
+    .isISO8601()
+    .withMessage('sendAt must be an ISO 8601 date'),
+  body('entities')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('entities must be an array'),
+  body('parseMode')
+    .optional({ nullable: true })
+    .isIn(PARSE_MODES)
+    .withMessage(`parseMode must be one of: ${PARSE_MODES.join(', ')}`)
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { scheduledId } = req.params;
+    const { sendAt, entities, parseMode } = req.body;
+
+    let formatted = { content: null, entities: [] };
+    if (req.body.content !== undefined) {
+      formatted = prepareFormattedText({ content: req.body.content, entities, parseMode });
+      if (formatted.error) {
+        return res.status(400).json({
+          error: 'Invalid entities',
+          message: formatted.error,
+          code: 'INVALID_ENTITIES'
+        });
+      }
+    }
+
+    if (sendAt) {
+      const sendAtError = validateSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({
+          error: 'Invalid send time',
+          message: sendAtError,
+          code: 'INVALID_SEND_AT'
+        });
+      }
+    }
+
+    const scheduled = await updateScheduledMessage(scheduledId, req.user.id, {
+      content: formatted.content,
+      entities: formatted.entities,
+      sendAt
+    });
+    if (!scheduled) {
+      return res.status(404).json({
+        error: 'Scheduled message not found',
+        message: 'Scheduled message does not exist or was already sent',
+        code: 'SCHEDULED_MESSAGE_NOT_FOUND'
+      });
+    }
+
+    emitToUser(req.user.id, 'scheduled_messages_updated', {
+      chatId: scheduled.chatId,
+      scheduledId,
+      action: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Scheduled message updated successfully',
+      scheduled
+    });
+  } catch (error) {
+    console.error('Update scheduled message error:', error);
+    res.status(500).json({
+      error: 'Failed to update scheduled message',
+      message: 'An error occurred while updating the scheduled message',
+      code: 'SCHEDULED_MESSAGE_UPDATE_ERROR'
+    });
+  }
+});
+
+// Cancel a pending scheduled message
+router.delete('/scheduled/:scheduledId', authenticateToken, async (req, res) => {
+  try {
+    const { scheduledId } = req.params;
+
+    const scheduled = await cancelScheduledMessage(scheduledId, req.user.id);
+    if (!scheduled) {
+      return res.status(404).json({
+        error: 'Scheduled message not found',
+        message: 'Scheduled message does not exist or was already sent',
+        code: 'SCHEDULED_MESSAGE_NOT_FOUND'
+      });
+    }
+
+    emitToUser(req.user.id, 'scheduled_messages_updated', {
+      chatId: scheduled.chatId,
+      scheduledId,
+      action: 'cancelled'
+    });
+
+    res.json({
+      success: true,
+      message: 'Scheduled message cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel scheduled message error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel scheduled message',
+      message: 'An error occurred while cancelling the scheduled message',
+      code: 'SCHEDULED_MESSAGE_CANCEL_ERROR'
+    });
+  }
+});
+
+// Get edit history for a message
+router.get('/:messageId/edits', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const messageCheck = await query(`
+      SELECT m.id, m.content, m.entities, m.is_deleted, m.edited_at, m.created_at
+      FROM messages m
+      INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = $1
+    `, [messageId, req.user.id]);
+
+    if (messageCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message does not exist',
+        code: 'MESSAGE_NOT_FOUND'
+      });
+    }
+
+    const message = messageCheck.rows[0];
+
+    // Revisions of messages deleted for everyone are gone with them
+    if (message.is_deleted) {
+      return res.status(410).json({
+        error: 'Message deleted',
+        message: 'This message has been deleted',
+        code: 'MESSAGE_DELETED'
+      });
+    }
+
+    const editsResult = await query(`
+      SELECT previous_content, previous_entities, edited_by, edited_at
+      FROM message_edits
+      WHERE message_id = $1
+      ORDER BY edited_at ASC
+    `, [messageId]);
+
+    // Each stored row is the content that was replaced by the edit at edited_at
+    const revisions = editsResult.rows.map((row, index) => ({
+      content: row.previous_content,
+      entities: row.previous_entities || [],
+      validFrom: index === 0 ? message.created_at : editsResult.rows[index - 1].edited_at,
+      replacedAt: row.edited_at,
+      editedBy: row.edited_by
+    }));
+
+    res.json({
+      success: true,
+      messageId,
+      current: {
+        content: message.content,
+        entities: message.entities || [],
+        editedAt: message.edited_at
+      },
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Get message edits error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch edit history',
+      message: 'An error occurred while fetching edit history',
+      code: 'MESSAGE_EDITS_FETCH_ERROR'
+    });
+  }
+});
+
 // Update message
 router.put('/:messageId', [
   body('content')
     .notEmpty()
     .withMessage('Message content is required')
-    .isLength({ max: 4000 })
-    .withMessage('Message content must be 4000 characters or less')
+    .isLength({ max: MAX_CONTENT_LENGTH })
+    .withMessage(`Message content must be ${MAX_CONTENT_LENGTH} characters or less`),
+  body('entities')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('entities must be an array'),
+  body('parseMode')
+    .optional({ nullable: true })
+    .isIn(PARSE_MODES)
+    .withMessage(`parseMode must be one of: ${PARSE_MODES.join(', ')}`)
 ], authenticateToken, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -315,15 +1477,25 @@ router.put('/:messageId', [
     }
 
     const { messageId } = req.params;
-    const { content } = req.body;
+    const { entities, parseMode } = req.body;
+
+    const formatted = prepareFormattedText({ content: req.body.content, entities, parseMode });
+    if (formatted.error) {
+      return res.status(400).json({
+        error: 'Invalid entities',
+        message: formatted.error,
+        code: 'INVALID_ENTITIES'
+      });
+    }
+    const { content } = formatted;
 
     // Check if message exists and user is the sender
     const messageCheck = await query(
-      'SELECT id, sender_id FROM messages WHERE id = $1',
+      'SELECT id, chat_id, sender_id, content, entities, message_type, is_deleted, created_at FROM messages WHERE id = $1',
       [messageId]
     );
 
-    if (messageCheck.rows.length === 0) {
+    if (messageCheck.rows.length === 0 || messageCheck.rows[0].is_deleted) {
       return res.status(404).json({
         error: 'Message not found',
         message: 'Message does not exist',
@@ -331,7 +1503,9 @@ router.put('/:messageId', [
       });
     }
 
-    if (messageCheck.rows[0].sender_id !== req.user.id) {
+    const existing = messageCheck.rows[0];
+
+    if (existing.sender_id !== req.user.id) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only edit your own messages',
@@ -339,18 +1513,60 @@ router.put('/:messageId', [
       });
     }
 
-    // Update message
-    const updateResult = await query(`
-      UPDATE messages 
-      SET content = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING id, content, message_type, sender_id, created_at, updated_at
-    `, [content, messageId]);
+    if (existing.message_type === 'system') {
+      return res.status(400).json({
+        error: 'Invalid message',
+        message: 'System messages cannot be edited',
+        code: 'SYSTEM_MESSAGE'
+      });
+    }
+
+    // A poll's content is its question, which can't change once people have voted
+    if (existing.message_type === 'poll') {
+      return res.status(400).json({
+        error: 'Invalid message',
+        message: 'Polls cannot be edited',
+        code: 'POLL_NOT_EDITABLE'
+      });
+    }
+
+    if (!isWithinEditWindow(existing.created_at)) {
+      return res.status(403).json({
+        error: 'Edit window expired',
+        message: 'This message is too old to be edited',
+        code: 'EDIT_WINDOW_EXPIRED'
+      });
+    }
+
+    // Only store a revision when the text or its formatting actually changes
+    const changed = content !== existing.content ||
+      JSON.stringify(formatted.entities) !== JSON.stringify(getFormattingEntities(existing.entities));
+    const edited = changed
+      ? await editMessage(messageId, req.user.id, content, formatted.entities)
+      : null;
+
+    const [message] = await getMessagesByIds([messageId], req.user.id);
+
+    if (edited) {
+      emitToChat(existing.chat_id, 'message_edited', {
+        chatId: existing.chat_id,
+        message
+      });
+
+      // Only people the edit newly mentions get notified
+      if (edited.newMentionIds.length > 0) {
+        await publishMentions(existing.chat_id, message, edited.newMentionIds);
+        broadcastUnreadCounts(existing.chat_id, edited.newMentionIds);
+      }
+
+      // A changed link gets a new preview via message_updated
+      publishLinkPreview(existing.chat_id, messageId, req.user.id);
+    }
 
     res.json({
       success: true,
       message: 'Message updated successfully',
-      data: updateResult.rows[0]
+      data: message
     });
 
   } catch (error) {
@@ -363,16 +1579,27 @@ router.put('/:messageId', [
   }
 });
 
-// Delete message
+// Delete message (?mode=everyone deletes it for all participants, ?mode=me only hides it for you)
 router.delete('/:messageId', authenticateToken, async (req, res) => {
   try {
     const { messageId } = req.params;
+    const { mode = 'everyone' } = req.query;
 
-    // Check if message exists and user is the sender
-    const messageCheck = await query(
-      'SELECT id, sender_id FROM messages WHERE id = $1',
-      [messageId]
-    );
+    if (!['me', 'everyone'].includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid delete mode',
+        message: 'Delete mode must be either "me" or "everyone"',
+        code: 'INVALID_DELETE_MODE'
+      });
+    }
+
+    // Check if message exists in a chat the user participates in
+    const messageCheck = await query(`
+      SELECT m.id, m.chat_id, m.sender_id, m.is_deleted
+      FROM messages m
+      INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $2
+      WHERE m.id = $1
+    `, [messageId, req.user.id]);
 
     if (messageCheck.rows.length === 0) {
       return res.status(404).json({
@@ -382,16 +1609,59 @@ router.delete('/:messageId', authenticateToken, async (req, res) => {
       });
     }
 
-    if (messageCheck.rows[0].sender_id !== req.user.id) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only delete your own messages',
-        code: 'ACCESS_DENIED'
+    const message = messageCheck.rows[0];
+
+    if (mode === 'me') {
+      await deleteMessageForUser(messageId, req.user.id);
+
+      // Sync the removal to the user's other devices only
+      emitToUser(req.user.id, 'message_deleted', {
+        chatId: message.chat_id,
+        messageId,
+        mode: 'me',
+        deletedAt: new Date()
+      });
+
+      return res.json({
+        success: true,
+        message: 'Message deleted for you'
       });
     }
 
-    // Delete message
-    await query('DELETE FROM messages WHERE id = $1', [messageId]);
+    // Other people's messages need the deleteMessages right
+    if (message.sender_id !== req.user.id) {
+      const permissionError = await checkPermission(message.chat_id, req.user.id, 'deleteMessages');
+      if (permissionError) {
+        return res.status(permissionError.status).json({
+          error: permissionError.error,
+          message: permissionError.message,
+          code: permissionError.code,
+          missingRight: permissionError.missingRight
+        });
+      }
+    }
+
+    if (!message.is_deleted) {
+      const deleted = await deleteMessageForEveryone(messageId);
+
+      emitToChat(message.chat_id, 'message_deleted', {
+        chatId: message.chat_id,
+        messageId,
+        mode: 'everyone',
+        deletedAt: deleted.deleted_at
+      });
+
+      // A message deleted for everyone can't stay pinned
+      if (await unpinMessage(message.chat_id, messageId)) {
+        publishPinnedUpdate(message.chat_id, {
+          action: 'unpinned',
+          messageId,
+          userId: req.user.id
+        });
+      }
+
+      broadcastUnreadCounts(message.chat_id);
+    }
 
     res.json({
       success: true,
@@ -0,0 +1,730 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader, waitForEvents } = require('./testApp');
+const { sendMessage, deleteMessageForEveryone } = require('../services/messageService');
+const { markRead } = require('../services/receiptService');
+const { getUnreadCounts } = require('../services/unreadService');
+const messageRoutes = require('./messages');
+const chatRoutes = require('./chats');
+const userRoutes = require('./users');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, events, alice, bob, chat;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({
+    '/api/v1/messages': messageRoutes,
+    '/api/v1/chats': chatRoutes,
+    '/api/v1/users': userRoutes
+  }));
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  chat = await createChat(alice.id, { type: 'group', members: [bob.id] });
+});
+
+const send = async (senderId, content, options = {}) => {
+  const { message } = await sendMessage({ chatId: chat.id, senderId, content, ...options });
+  return message;
+};
+
+const post = (user, chatId, body) => request(app)
+  .post(`/api/v1/messages/${chatId}`)
+  .set('Authorization', authHeader(user))
+  .send(body);
+
+describe('reactions', () => {
+  const react = (user, messageId, emoji) => request(app)
+    .post(`/api/v1/messages/${messageId}/reactions`)
+    .set('Authorization', authHeader(user))
+    .send({ emoji });
+
+  it('aggregates reactions and flags the caller\'s own', async () => {
+    const message = await send(alice.id, 'hello');
+
+    await react(bob, message.id, '👍').expect(201);
+    const response = await react(alice, message.id, '👍').expect(201);
+    await react(alice, message.id, '🔥').expect(201);
+
+    expect(response.body.reactions).toEqual([{ emoji: '👍', count: 2, chosen: true }]);
+
+    const list = await request(app)
+      .get(`/api/v1/messages/${message.id}/reactions`)
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+    expect(list.body.reactions).toEqual([
+      { emoji: '👍', count: 2, chosen: true },
+      { emoji: '🔥', count: 1, chosen: false }
+    ]);
+    expect(list.body.reactors).toHaveLength(3);
+  });
+
+  it('tells every participant about the new totals', async () => {
+    const message = await send(alice.id, 'hello');
+
+    await react(bob, message.id, '👍').expect(201);
+
+    const updates = await waitForEvents(events, 'reaction_updated');
+    expect(updates.map(update => update.room).sort()).toEqual([`user:${alice.id}`, `user:${bob.id}`].sort());
+    expect(updates[0].payload).toMatchObject({
+      chatId: chat.id,
+      messageId: message.id,
+      userId: bob.id,
+      emoji: '👍',
+      action: 'added',
+      reactions: [{ emoji: '👍', count: 1 }]
+    });
+  });
+
+  it('limits how many different reactions one user leaves', async () => {
+    const message = await send(alice.id, 'hello');
+
+    for (const emoji of ['👍', '🔥', '🎉']) {
+      await react(bob, message.id, emoji).expect(201);
+    }
+    const response = await react(bob, message.id, '😢').expect(409);
+    expect(response.body.code).toBe('REACTION_LIMIT_REACHED');
+
+    // Repeating a reaction already left is not a new one
+    await react(bob, message.id, '🔥').expect(201);
+  });
+
+  it('removes a reaction', async () => {
+    const message = await send(alice.id, 'hello');
+    await react(bob, message.id, '👍').expect(201);
+
+    const response = await request(app)
+      .delete(`/api/v1/messages/${message.id}/reactions/${encodeURIComponent('👍')}`)
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+    expect(response.body.reactions).toEqual([]);
+
+    await request(app)
+      .delete(`/api/v1/messages/${message.id}/reactions/${encodeURIComponent('👍')}`)
+      .set('Authorization', authHeader(bob))
+      .expect(404);
+  });
+
+  it('follows the chat\'s reaction settings', async () => {
+    const message = await send(alice.id, 'hello');
+
+    await request(app)
+      .put(`/api/v1/chats/${chat.id}/reactions`)
+      .set('Authorization', authHeader(alice))
+      .send({ allowedReactions: ['👍'] })
+      .expect(200);
+    expect((await react(bob, message.id, '🔥').expect(403)).body.code).toBe('REACTION_NOT_ALLOWED');
+    await react(bob, message.id, '👍').expect(201);
+
+    // Form-style "false" must switch reactions off, not on
+    const response = await request(app)
+      .put(`/api/v1/chats/${chat.id}/reactions`)
+      .set('Authorization', authHeader(alice))
+      .send({ enabled: 'false' })
+      .expect(200);
+    expect(response.body.reactions.enabled).toBe(false);
+    await react(alice, message.id, '👍').expect(403);
+  });
+
+  it('pages through reactors with limits clamped to a sane range', async () => {
+    const message = await send(alice.id, 'hello');
+    await react(alice, message.id, '👍').expect(201);
+    await react(bob, message.id, '👍').expect(201);
+
+    const list = (query) => request(app)
+      .get(`/api/v1/messages/${message.id}/reactions`)
+      .query(query)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+
+    expect((await list({ limit: 1 })).body.reactors).toHaveLength(1);
+    expect((await list({ limit: -5, offset: -5 })).body.reactors).toHaveLength(1);
+    expect((await list({ limit: 1, offset: 1 })).body.reactors[0].user.id).toBe(alice.id);
+    expect((await list({ emoji: '🔥' })).body.reactors).toEqual([]);
+  });
+
+  it('hides messages from users outside the chat', async () => {
+    const message = await send(alice.id, 'hello');
+    const outsider = await createUser();
+
+    await react(outsider, message.id, '👍').expect(404);
+    await request(app)
+      .get(`/api/v1/messages/${message.id}/reactions`)
+      .set('Authorization', authHeader(outsider))
+      .expect(404);
+  });
+});
+
+describe('replies and forwards', () => {
+  let carol, otherChat;
+
+  beforeEach(async () => {
+    carol = await createUser({ username: 'carol', first_name: 'Carol', last_name: 'Jones' });
+    otherChat = await createChat(bob.id, { members: [carol.id] });
+  });
+
+  const forward = (user, body) => request(app)
+    .post('/api/v1/messages/forward')
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  it('quotes the message being replied to', async () => {
+    const original = await send(alice.id, 'original question');
+
+    const response = await post(bob, chat.id, { content: 'answer', replyToId: original.id }).expect(201);
+    expect(response.body.data.replyTo).toMatchObject({
+      id: original.id,
+      senderId: alice.id,
+      senderUsername: 'alice',
+      content: 'original question',
+      isDeleted: false
+    });
+  });
+
+  it('only replies to messages in the same chat', async () => {
+    const elsewhere = (await sendMessage({ chatId: otherChat.id, senderId: carol.id, content: 'hi' })).message;
+
+    const response = await post(bob, chat.id, { content: 'answer', replyToId: elsewhere.id }).expect(400);
+    expect(response.body.code).toBe('REPLY_TARGET_NOT_FOUND');
+  });
+
+  it('stops quoting a reply target once it is deleted', async () => {
+    const original = await send(alice.id, 'original question');
+    const reply = (await post(bob, chat.id, { content: 'answer', replyToId: original.id }).expect(201)).body.data;
+
+    await deleteMessageForEveryone(original.id);
+
+    const history = await request(app)
+      .get(`/api/v1/messages/${chat.id}`)
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+    const quoted = history.body.messages.find(message => message.id === reply.id).replyTo;
+    expect(quoted).toMatchObject({ id: original.id, content: null, isDeleted: true });
+  });
+
+  it('keeps the original sender and chat on forwarded copies', async () => {
+    const original = await send(alice.id, 'worth sharing');
+
+    const response = await forward(bob, { messageIds: [original.id], toChatIds: [otherChat.id] }).expect(201);
+    const [copy] = response.body.forwarded[0].messages;
+    expect(copy).toMatchObject({ chatId: otherChat.id, senderId: bob.id, content: 'worth sharing' });
+    expect(copy.forward).toMatchObject({ fromMessageId: original.id, senderId: alice.id, chatId: chat.id });
+
+    // Forwarding the copy again still credits the first author
+    const again = await forward(carol, { messageIds: [copy.id], toChatIds: ['saved'] }).expect(201);
+    expect(again.body.forwarded[0].messages[0].forward).toMatchObject({ fromMessageId: original.id, senderId: alice.id });
+  });
+
+  it('drops the attribution when the forwarder hides it', async () => {
+    const original = await send(alice.id, 'worth sharing');
+
+    const response = await forward(bob, {
+      messageIds: [original.id], toChatIds: [otherChat.id], hideSender: 'true'
+    }).expect(201);
+    expect(response.body.forwarded[0].messages[0].forward).toBeNull();
+  });
+
+  it('names but does not link senders who hide their account on forwards', async () => {
+    await request(app)
+      .put('/api/v1/users/privacy')
+      .set('Authorization', authHeader(carol))
+      .send({ hideForwardSender: true })
+      .expect(200);
+    const original = (await sendMessage({ chatId: otherChat.id, senderId: carol.id, content: 'private' })).message;
+
+    const response = await forward(bob, { messageIds: [original.id], toChatIds: [chat.id] }).expect(201);
+    expect(response.body.forwarded[0].messages[0].forward).toMatchObject({ senderId: null, senderName: 'Carol Jones' });
+  });
+
+  it('refuses sources and targets outside the user\'s chats', async () => {
+    const original = (await sendMessage({ chatId: otherChat.id, senderId: carol.id, content: 'hi' })).message;
+
+    expect((await forward(alice, { messageIds: [original.id], toChatIds: [chat.id] }).expect(404)).body.code)
+      .toBe('MESSAGE_NOT_FOUND');
+
+    const own = await send(alice.id, 'mine');
+    expect((await forward(alice, { messageIds: [own.id], toChatIds: [otherChat.id] }).expect(403)).body.code)
+      .toBe('ACCESS_DENIED');
+  });
+});
+
+describe('editing and deleting', () => {
+  const edit = (user, messageId, content) => request(app)
+    .put(`/api/v1/messages/${messageId}`)
+    .set('Authorization', authHeader(user))
+    .send({ content });
+
+  const remove = (user, messageId, mode = 'everyone') => request(app)
+    .delete(`/api/v1/messages/${messageId}`)
+    .query({ mode })
+    .set('Authorization', authHeader(user));
+
+  const history = async (user) => (await request(app)
+    .get(`/api/v1/messages/${chat.id}`)
+    .set('Authorization', authHeader(user))
+    .expect(200)).body.messages;
+
+  it('keeps every earlier revision of an edited message', async () => {
+    const message = await send(alice.id, 'first draft');
+
+    await edit(alice, message.id, 'second draft').expect(200);
+    const response = await edit(alice, message.id, 'final').expect(200);
+    expect(response.body.data).toMatchObject({ content: 'final', isEdited: true });
+
+    // Saving the same text again is not a new revision
+    await edit(alice, message.id, 'final').expect(200);
+
+    const edits = await request(app)
+      .get(`/api/v1/messages/${message.id}/edits`)
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+    expect(edits.body.current.content).toBe('final');
+    expect(edits.body.revisions.map(revision => revision.content)).toEqual(['first draft', 'second draft']);
+    expect(edits.body.revisions[1].validFrom).toBe(edits.body.revisions[0].replacedAt);
+
+    const [update] = await waitForEvents(events, 'message_edited');
+    expect(update.payload.message).toMatchObject({ id: message.id, content: 'second draft' });
+  });
+
+  it('only lets the sender edit, and only for a while', async () => {
+    const message = await send(alice.id, 'hello');
+
+    expect((await edit(bob, message.id, 'hijacked').expect(403)).body.code).toBe('ACCESS_DENIED');
+
+    await query(`UPDATE messages SET created_at = created_at - INTERVAL '49 hours' WHERE id = $1`, [message.id]);
+    expect((await edit(alice, message.id, 'too late').expect(403)).body.code).toBe('EDIT_WINDOW_EXPIRED');
+  });
+
+  it('leaves a tombstone and drops everything attached when deleted for everyone', async () => {
+    const earlier = await send(alice.id, 'earlier');
+    const message = await send(alice.id, 'hello @bob');
+    await edit(alice, message.id, 'hello again @bob').expect(200);
+    await request(app)
+      .post(`/api/v1/messages/${message.id}/reactions`)
+      .set('Authorization', authHeader(bob))
+      .send({ emoji: '👍' })
+      .expect(201);
+
+    await remove(alice, message.id).expect(200);
+
+    const tombstone = (await history(bob)).find(entry => entry.id === message.id);
+    expect(tombstone).toMatchObject({ content: null, entities: [], reactions: [], isDeleted: true });
+
+    for (const table of ['message_edits', 'message_reactions', 'message_mentions']) {
+      const remaining = await query(`SELECT 1 FROM ${table} WHERE message_id = $1`, [message.id]);
+      expect(remaining.rows).toHaveLength(0);
+    }
+
+    await request(app)
+      .get(`/api/v1/messages/${message.id}/edits`)
+      .set('Authorization', authHeader(bob))
+      .expect(410);
+
+    const chatRow = await query('SELECT last_message_content FROM chats WHERE id = $1', [chat.id]);
+    expect(chatRow.rows[0].last_message_content).toBe(earlier.content);
+  });
+
+  it('deletes a poll with its message unless a forwarded copy still shows it', async () => {
+    const poll = { question: 'Lunch?', options: ['Pizza', 'Sushi'] };
+    const first = (await post(alice, chat.id, { type: 'poll', poll }).expect(201)).body.data;
+    const second = (await post(alice, chat.id, { type: 'poll', poll }).expect(201)).body.data;
+    await request(app)
+      .post('/api/v1/messages/forward')
+      .set('Authorization', authHeader(bob))
+      .send({ messageIds: [second.id], toChatIds: ['saved'] })
+      .expect(201);
+
+    await remove(alice, first.id).expect(200);
+    await remove(alice, second.id).expect(200);
+
+    const polls = await query('SELECT id FROM polls WHERE id = ANY($1::uuid[])', [[first.poll.id, second.poll.id]]);
+    expect(polls.rows.map(row => row.id)).toEqual([second.poll.id]);
+  });
+
+  it('hides a message for one user only', async () => {
+    const message = await send(alice.id, 'hello');
+
+    await remove(bob, message.id, 'me').expect(200);
+
+    expect((await history(bob)).map(entry => entry.id)).not.toContain(message.id);
+    expect((await history(alice)).find(entry => entry.id === message.id).isDeleted).toBe(false);
+  });
+
+  it('needs the deleteMessages right to delete other people\'s messages', async () => {
+    const fromAlice = await send(alice.id, 'from the admin');
+    const fromBob = await send(bob.id, 'from a member');
+
+    expect((await remove(bob, fromAlice.id).expect(403)).body.missingRight).toBe('deleteMessages');
+    await remove(alice, fromBob.id).expect(200);
+  });
+});
+
+describe('history paging', () => {
+  let sent;
+
+  beforeEach(async () => {
+    sent = [];
+    for (let index = 1; index <= 7; index++) {
+      sent.push(await send(index % 2 ? alice.id : bob.id, `message ${index}`));
+    }
+  });
+
+  const page = async (params, expectedStatus = 200) => (await request(app)
+    .get(`/api/v1/messages/${chat.id}`)
+    .query(params)
+    .set('Authorization', authHeader(bob))
+    .expect(expectedStatus)).body;
+
+  const ids = (body) => body.messages.map(message => message.id);
+  const sentIds = (from, to) => sent.slice(from, to).map(message => message.id);
+
+  it('starts from the latest messages, oldest first', async () => {
+    const latest = await page({ limit: 3 });
+
+    expect(ids(latest)).toEqual(sentIds(4, 7));
+    expect(latest).toMatchObject({ hasMoreBefore: true, hasMoreAfter: false });
+  });
+
+  it('walks back with before cursors without gaps or repeats', async () => {
+    const seen = [];
+    let body = await page({ limit: 3 });
+    seen.unshift(...ids(body));
+
+    while (body.hasMoreBefore) {
+      body = await page({ limit: 3, before: body.cursors.before });
+      seen.unshift(...ids(body));
+    }
+
+    expect(seen).toEqual(sentIds(0, 7));
+  });
+
+  it('walks forward with after cursors', async () => {
+    const older = await page({ limit: 2, around: sent[0].id });
+    const newer = await page({ limit: 3, after: older.cursors.after });
+
+    expect(ids(newer)).toEqual(sentIds(2, 5));
+    expect(newer.hasMoreAfter).toBe(true);
+  });
+
+  it('stays stable when messages share a timestamp', async () => {
+    await query(`UPDATE messages SET created_at = '2024-01-01 12:00:00' WHERE chat_id = $1`, [chat.id]);
+
+    const seen = [];
+    let body = await page({ limit: 2 });
+    seen.unshift(...ids(body));
+    while (body.hasMoreBefore) {
+      body = await page({ limit: 2, before: body.cursors.before });
+      seen.unshift(...ids(body));
+    }
+
+    expect([...seen].sort()).toEqual(sentIds(0, 7).sort());
+  });
+
+  it('jumps to a message with context on both sides', async () => {
+    const around = await page({ limit: 4, around: sent[3].id });
+
+    expect(ids(around)).toEqual(sentIds(2, 6));
+    expect(around).toMatchObject({ hasMoreBefore: true, hasMoreAfter: true });
+  });
+
+  it('rejects anchors and cursors from other chats or in the wrong format', async () => {
+    const otherChat = await createChat(bob.id, { members: [alice.id] });
+    const elsewhere = (await sendMessage({ chatId: otherChat.id, senderId: alice.id, content: 'hi' })).message;
+    const elsewhereCursor = (await request(app)
+      .get(`/api/v1/messages/${otherChat.id}`)
+      .set('Authorization', authHeader(bob))
+      .expect(200)).body.cursors.before;
+
+    expect((await page({ around: elsewhere.id }, 404)).code).toBe('MESSAGE_NOT_FOUND');
+    expect((await page({ before: elsewhereCursor }, 400)).code).toBe('INVALID_CURSOR');
+    expect((await page({ before: 'not-a-cursor' }, 400)).code).toBe('INVALID_CURSOR');
+    expect((await page({ after: elsewhere.id }, 400)).code).toBe('INVALID_CURSOR');
+  });
+
+  it('keeps the offset shape for older clients', async () => {
+    const body = await page({ offset: 2, limit: 2 });
+
+    expect(ids(body)).toEqual(sentIds(3, 5));
+    expect(body.pagination).toEqual({ total: 7, limit: 2, offset: 2, hasMore: true });
+
+    // A negative offset starts from the newest messages instead of failing
+    expect(ids(await page({ offset: -3, limit: 2 }))).toEqual(sentIds(5, 7));
+  });
+
+  it('leaves out messages the user deleted for themselves', async () => {
+    await request(app)
+      .delete(`/api/v1/messages/${sent[6].id}`)
+      .query({ mode: 'me' })
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+
+    expect(ids(await page({ limit: 2 }))).toEqual(sentIds(4, 6));
+  });
+});
+
+describe('polls', () => {
+  const createPoll = async (poll, user = alice) => (await post(user, chat.id, { type: 'poll', poll }).expect(201)).body.data;
+
+  const vote = (user, messageId, optionIds) => request(app)
+    .post(`/api/v1/messages/${messageId}/poll/votes`)
+    .set('Authorization', authHeader(user))
+    .send({ optionIds });
+
+  const retract = (user, messageId) => request(app)
+    .delete(`/api/v1/messages/${messageId}/poll/votes`)
+    .set('Authorization', authHeader(user));
+
+  const voters = (user, messageId, params = {}) => request(app)
+    .get(`/api/v1/messages/${messageId}/poll/voters`)
+    .query(params)
+    .set('Authorization', authHeader(user));
+
+  const optionIdsOf = (message) => message.poll.options.map(option => option.id);
+
+  it('counts votes, lets voters change their mind and pushes live results', async () => {
+    const message = await createPoll({ question: 'Lunch?', options: ['Pizza', 'Sushi', 'Tacos'], allowsMultipleAnswers: true });
+    const [pizza, sushi, tacos] = optionIdsOf(message);
+    expect(message).toMatchObject({ type: 'poll', content: 'Lunch?' });
+
+    await vote(alice, message.id, [pizza, sushi]).expect(200);
+    const replaced = await vote(bob, message.id, [pizza]).expect(200);
+    await vote(bob, message.id, [tacos]).expect(200);
+
+    expect(replaced.body.poll).toMatchObject({ hasVoted: true, totalVoterCount: 2 });
+    const [update] = await waitForEvents(events, 'poll_updated');
+    expect(update.payload).toMatchObject({ chatId: chat.id, messageId: message.id, pollId: message.poll.id });
+
+    const retracted = await retract(bob, message.id).expect(200);
+    expect(retracted.body.poll.hasVoted).toBe(false);
+    expect(retracted.body.poll.options.map(option => option.voterCount)).toEqual([1, 1, 0]);
+    expect(retracted.body.poll.totalVoterCount).toBe(1);
+  });
+
+  it('takes one answer unless the poll allows several', async () => {
+    const message = await createPoll({ question: 'Lunch?', options: ['Pizza', 'Sushi'] });
+
+    expect((await vote(bob, message.id, optionIdsOf(message)).expect(400)).body.code).toBe('POLL_SINGLE_ANSWER');
+    expect((await vote(bob, message.id, [message.id]).expect(400)).body.code).toBe('POLL_OPTION_NOT_FOUND');
+  });
+
+  it('reveals a quiz answer only after voting and keeps the answer final', async () => {
+    const message = await createPoll({
+      question: '2 + 2?',
+      options: ['3', '4'],
+      type: 'quiz',
+      correctOptionIndex: 1,
+      explanation: 'Basic arithmetic'
+    });
+    const [wrong, right] = optionIdsOf(message);
+    expect(message.poll).toMatchObject({ type: 'quiz', correctOptionId: null, explanation: null });
+
+    const answered = await vote(bob, message.id, [wrong]).expect(200);
+    expect(answered.body).toMatchObject({ correct: false, poll: { correctOptionId: right, explanation: 'Basic arithmetic' } });
+
+    expect((await vote(bob, message.id, [right]).expect(409)).body.code).toBe('QUIZ_ALREADY_ANSWERED');
+    expect((await retract(bob, message.id).expect(409)).body.code).toBe('QUIZ_ALREADY_ANSWERED');
+  });
+
+  it('stops taking votes once closed by its creator or its close date', async () => {
+    const message = await createPoll({ question: 'Lunch?', options: ['Pizza', 'Sushi'] });
+    const close = (user) => request(app)
+      .post(`/api/v1/messages/${message.id}/poll/close`)
+      .set('Authorization', authHeader(user));
+
+    await close(bob).expect(403);
+    expect((await close(alice).expect(200)).body.poll.isClosed).toBe(true);
+    expect((await vote(bob, message.id, [optionIdsOf(message)[0]]).expect(409)).body.code).toBe('POLL_CLOSED');
+
+    const dated = await createPoll({
+      question: 'Dinner?',
+      options: ['Pasta', 'Curry'],
+      closeDate: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+    await query(`UPDATE polls SET close_date = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE id = $1`, [dated.poll.id]);
+    expect((await vote(bob, dated.id, [optionIdsOf(dated)[0]]).expect(409)).body.code).toBe('POLL_CLOSED');
+  });
+
+  it('lists voters of public polls only', async () => {
+    const anonymous = await createPoll({ question: 'Secret?', options: ['Yes', 'No'] });
+    const open = await createPoll({ question: 'Public?', options: ['Yes', 'No'], isAnonymous: false });
+    await vote(bob, anonymous.id, [optionIdsOf(anonymous)[0]]).expect(200);
+    await vote(bob, open.id, [optionIdsOf(open)[0]]).expect(200);
+
+    expect((await voters(alice, anonymous.id).expect(403)).body.code).toBe('POLL_ANONYMOUS');
+
+    const listed = await voters(alice, open.id, { limit: 1000 }).expect(200);
+    expect(listed.body.voters).toEqual([
+      expect.objectContaining({ optionId: optionIdsOf(open)[0], user: expect.objectContaining({ id: bob.id }) })
+    ]);
+    expect(listed.body.pagination.limit).toBe(100);
+  });
+
+  it('keeps polls to chat participants and out of edits', async () => {
+    const outsider = await createUser();
+    const message = await createPoll({ question: 'Lunch?', options: ['Pizza', 'Sushi'] });
+
+    expect((await vote(outsider, message.id, [optionIdsOf(message)[0]]).expect(404)).body.code).toBe('POLL_NOT_FOUND');
+    expect((await voters(outsider, message.id).expect(404)).body.code).toBe('POLL_NOT_FOUND');
+
+    const edited = await request(app)
+      .put(`/api/v1/messages/${message.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({ content: 'Dinner?' })
+      .expect(400);
+    expect(edited.body.code).toBe('POLL_NOT_EDITABLE');
+  });
+
+  it('validates polls and the sendPolls permission', async () => {
+    expect((await post(alice, chat.id, { type: 'poll', poll: { question: 'Lunch?', options: ['Pizza'] } })
+      .expect(400)).body.code).toBe('INVALID_POLL');
+    expect((await post(alice, chat.id, {
+      type: 'poll',
+      poll: { question: '2 + 2?', options: ['3', '4'], type: 'quiz', correctOptionIndex: 2 }
+    }).expect(400)).body.code).toBe('INVALID_POLL');
+
+    await query(`UPDATE chats SET default_permissions = '{"sendPolls": false}' WHERE id = $1`, [chat.id]);
+    const denied = await post(bob, chat.id, { type: 'poll', poll: { question: 'Lunch?', options: ['Pizza', 'Sushi'] } })
+      .expect(403);
+    expect(denied.body.missingRight).toBe('sendPolls');
+  });
+});
+
+describe('mentions and hashtags', () => {
+  const mentionedUserIds = async (messageId) => {
+    const result = await query('SELECT user_id FROM message_mentions WHERE message_id = $1', [messageId]);
+    return result.rows.map(row => row.user_id);
+  };
+
+  const nextMention = (user, params = {}) => request(app)
+    .get(`/api/v1/messages/${chat.id}/mentions/next`)
+    .query(params)
+    .set('Authorization', authHeader(user));
+
+  it('stores mentions and hashtags as entities and notifies the people mentioned', async () => {
+    const content = 'ping @Bob and @nobody about #Plans';
+    const message = (await post(alice, chat.id, { content }).expect(201)).body.data;
+
+    expect(message.entities).toEqual([
+      { type: 'mention', offset: 5, length: 4, username: 'Bob', userId: bob.id },
+      { type: 'mention', offset: 14, length: 7, username: 'nobody', userId: null },
+      { type: 'hashtag', offset: 28, length: 6, hashtag: 'plans' }
+    ]);
+    expect(content.substr(message.entities[2].offset, message.entities[2].length)).toBe('#Plans');
+
+    const [mention] = await waitForEvents(events, 'mention');
+    expect(mention).toMatchObject({ room: `user:${bob.id}`, payload: { chatId: chat.id, messageId: message.id } });
+    expect((await getUnreadCounts(bob.id)).counts[chat.id].unreadMentionCount).toBe(1);
+  });
+
+  it('ignores mentions inside code', async () => {
+    const message = (await post(alice, chat.id, {
+      content: 'run `notify @bob` later',
+      parseMode: 'markdown'
+    }).expect(201)).body.data;
+
+    expect(message.entities).toEqual([{ type: 'code', offset: 4, length: 11 }]);
+    expect(await mentionedUserIds(message.id)).toEqual([]);
+  });
+
+  it('jumps from one unread mention to the next', async () => {
+    await send(alice.id, 'no mention here');
+    const first = await send(alice.id, 'hey @bob');
+    const second = await send(alice.id, '@bob again');
+
+    const jump = await nextMention(bob).expect(200);
+    expect(jump.body).toMatchObject({ message: { id: first.id }, remainingCount: 2 });
+
+    const after = await nextMention(bob, { after: first.id }).expect(200);
+    expect(after.body).toMatchObject({ message: { id: second.id }, remainingCount: 1 });
+
+    await markRead(chat.id, second.id, bob.id);
+    expect((await nextMention(bob).expect(200)).body).toMatchObject({ message: null, remainingCount: 0 });
+
+    expect((await nextMention(bob, { after: 'not-a-uuid' }).expect(400)).body.code).toBe('VALIDATION_ERROR');
+    expect((await nextMention(await createUser()).expect(403)).body.code).toBe('ACCESS_DENIED');
+  });
+
+  it('only notifies people an edit newly mentions', async () => {
+    const carol = await createUser({ username: 'carol' });
+    await query('INSERT INTO chat_participants (chat_id, user_id, role) VALUES ($1, $2, $3)', [chat.id, carol.id, 'member']);
+    const message = await send(alice.id, 'hi @bob');
+
+    await request(app)
+      .put(`/api/v1/messages/${message.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({ content: 'hi @carol' })
+      .expect(200);
+
+    const mentions = await waitForEvents(events, 'mention');
+    expect(mentions.map(mention => mention.room)).toEqual([`user:${carol.id}`]);
+    expect(await mentionedUserIds(message.id)).toEqual([carol.id]);
+  });
+});
+
+describe('formatting', () => {
+  const history = async (user) => (await request(app)
+    .get(`/api/v1/messages/${chat.id}`)
+    .set('Authorization', authHeader(user))
+    .expect(200)).body.messages;
+
+  it('stores plain text with entities and returns them in history', async () => {
+    const sent = (await post(alice, chat.id, {
+      content: 'hello world',
+      entities: [{ type: 'bold', offset: 0, length: 5 }, { type: 'spoiler', offset: 6, length: 5 }]
+    }).expect(201)).body.data;
+
+    const [message] = await history(bob);
+    expect(message).toMatchObject({
+      id: sent.id,
+      content: 'hello world',
+      entities: [{ type: 'bold', offset: 0, length: 5 }, { type: 'spoiler', offset: 6, length: 5 }]
+    });
+  });
+
+  it('converts Markdown and HTML input server-side', async () => {
+    const fromMarkdown = (await post(alice, chat.id, { content: '*hi* @bob', parseMode: 'markdown' }).expect(201)).body.data;
+    const fromHtml = (await post(alice, chat.id, { content: '<i>hi</i> &amp; bye', parseMode: 'html' }).expect(201)).body.data;
+
+    expect(fromMarkdown.content).toBe('hi @bob');
+    expect(fromMarkdown.entities).toEqual([
+      { type: 'bold', offset: 0, length: 2 },
+      { type: 'mention', offset: 3, length: 4, username: 'bob', userId: bob.id }
+    ]);
+    expect(fromHtml).toMatchObject({ content: 'hi & bye', entities: [{ type: 'italic', offset: 0, length: 2 }] });
+  });
+
+  it('keeps markup out of notifications and chat previews', async () => {
+    await post(alice, chat.id, { content: '**not** _markup_', parseMode: 'markdown' }).expect(201);
+
+    const [notification] = await waitForEvents(events, 'notification');
+    expect(notification.payload.content).toBe('not markup');
+    const chatRow = await query('SELECT last_message_content FROM chats WHERE id = $1', [chat.id]);
+    expect(chatRow.rows[0].last_message_content).toBe('not markup');
+  });
+
+  it('rejects entities that do not fit the text', async () => {
+    const tooLong = await post(alice, chat.id, { content: 'hi', entities: [{ type: 'bold', offset: 0, length: 3 }] })
+      .expect(400);
+    expect(tooLong.body.code).toBe('INVALID_ENTITIES');
+
+    const unclosed = await post(alice, chat.id, { content: '<b>hi', parseMode: 'html' }).expect(400);
+    expect(unclosed.body).toMatchObject({ code: 'INVALID_ENTITIES', message: 'Unclosed <b> tag' });
+  });
+
+  it('replaces the formatting when a message is edited', async () => {
+    const message = await send(alice.id, 'plain');
+
+    const edited = await request(app)
+      .put(`/api/v1/messages/${message.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({ content: '_plain_', parseMode: 'markdown' })
+      .expect(200);
+    expect(edited.body.data).toMatchObject({ content: 'plain', entities: [{ type: 'italic', offset: 0, length: 5 }] });
+  });
+});
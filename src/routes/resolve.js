@@ -0,0 +1,34 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveUsername } = require('../services/publicChatService');
+
+const router = express.Router();
+
+// Resolve a username ("name" or "@name") to a user or a public chat. Public chats come with
+// their recent messages so non-members can look before joining.
+router.get('/:username', authenticateToken, async (req, res) => {
+  try {
+    const resolved = await resolveUsername(req.params.username, req.user.id);
+    if (!resolved) {
+      return res.status(404).json({
+        error: 'Username not found',
+        message: 'No user or public chat has this username',
+        code: 'USERNAME_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...resolved
+    });
+  } catch (error) {
+    console.error('Resolve username error:', error);
+    res.status(500).json({
+      error: 'Failed to resolve username',
+      message: 'An error occurred while resolving the username',
+      code: 'USERNAME_RESOLVE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { searchMessages, parseSearchOptions } = require('../services/searchService');
+
+const router = express.Router();
+
+// Search messages across all of the user's chats
+router.get('/messages', [
+  queryParam('chatId')
+    .optional()
+    .isUUID()
+    .withMessage('Chat ID must be a valid UUID'),
+  queryParam('senderId')
+    .optional()
+    .isUUID()
+    .withMessage('Sender ID must be a valid UUID')
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const options = parseSearchOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        error: 'Invalid search query',
+        message: options.error,
+        code: 'INVALID_SEARCH_QUERY'
+      });
+    }
+
+    const { results, hasMore } = await searchMessages({
+      ...options,
+      userId: req.user.id,
+      chatId: req.query.chatId || null
+    });
+
+    res.json({
+      success: true,
+      results,
+      query: options.text,
+      pagination: {
+        limit: options.limit,
+        offset: options.offset,
+        hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Message search error:', error);
+    res.status(500).json({
+      error: 'Failed to search messages',
+      message: 'An error occurred while searching messages',
+      code: 'MESSAGE_SEARCH_ERROR'
+    });
+  }
+});
+
+module.exports = router;
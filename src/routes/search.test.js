@@ -0,0 +1,130 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader } = require('./testApp');
+const { sendMessage, deleteMessageForEveryone, deleteMessageForUser } = require('../services/messageService');
+const searchRoutes = require('./search');
+const messageRoutes = require('./messages');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, alice, bob, carol, chat, otherChat;
+
+beforeEach(async () => {
+  ({ app } = createTestApp({ '/api/v1/search': searchRoutes, '/api/v1/messages': messageRoutes }));
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  carol = await createUser({ username: 'carol' });
+  chat = await createChat(alice.id, { type: 'group', title: 'Trip', members: [bob.id] });
+  otherChat = await createChat(carol.id, { members: [alice.id] });
+});
+
+const send = async (chatId, senderId, content) => {
+  const { message } = await sendMessage({ chatId, senderId, content });
+  return message;
+};
+
+const search = async (user, params, expectedStatus = 200) => (await request(app)
+  .get('/api/v1/search/messages')
+  .query(params)
+  .set('Authorization', authHeader(user))
+  .expect(expectedStatus)).body;
+
+const resultIds = (body) => body.results.map(result => result.message.id);
+
+describe('message search', () => {
+  it('only searches chats the user is in', async () => {
+    const inTrip = await send(chat.id, alice.id, 'the train leaves at nine');
+    const inPrivate = await send(otherChat.id, carol.id, 'which train do we take?');
+
+    expect(resultIds(await search(alice, { q: 'train' })).sort()).toEqual([inTrip.id, inPrivate.id].sort());
+    expect(resultIds(await search(bob, { q: 'train' }))).toEqual([inTrip.id]);
+  });
+
+  it('returns plain-text snippets with the matches as ranges', async () => {
+    await send(chat.id, alice.id, '<img src=x onerror=alert(1)> the train leaves at nine');
+
+    // The snippet is text for the client to escape; no highlight markup is mixed into it
+    const [result] = (await search(bob, { q: 'train' })).results;
+    expect(result.snippet).toMatch(/the train leaves at nine$/);
+    expect(result.snippet).not.toMatch(/<\/?(mark|b)>|[\u0002\u0003]/);
+    expect(result.highlights).toHaveLength(1);
+
+    const { offset, length } = result.highlights[0];
+    expect(result.snippet.substr(offset, length)).toBe('train');
+    expect(result.chat).toEqual({ id: chat.id, title: 'Trip', type: 'group' });
+  });
+
+  it('does not let message text forge highlights', async () => {
+    await send(chat.id, alice.id, 'train \u0002fake\u0003 highlight');
+
+    const [result] = (await search(bob, { q: 'train' })).results;
+    expect(result.snippet).toBe('train fake highlight');
+    expect(result.highlights).toEqual([{ offset: 0, length: 5 }]);
+  });
+
+  it('skips deleted, hidden and expired messages', async () => {
+    const deleted = await send(chat.id, alice.id, 'train one');
+    const hidden = await send(chat.id, alice.id, 'train two');
+    const expired = await send(chat.id, alice.id, 'train three');
+    const visible = await send(chat.id, alice.id, 'train four');
+
+    await deleteMessageForEveryone(deleted.id);
+    await deleteMessageForUser(hidden.id, bob.id);
+    await query(`UPDATE messages SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1`, [expired.id]);
+
+    expect(resultIds(await search(bob, { q: 'train' }))).toEqual([visible.id]);
+    expect(resultIds(await search(alice, { q: 'train' }))).toEqual(expect.arrayContaining([hidden.id]));
+  });
+
+  it('filters by chat and sender', async () => {
+    const fromAlice = await send(chat.id, alice.id, 'train from alice');
+    const fromBob = await send(chat.id, bob.id, 'train from bob');
+    await send(otherChat.id, carol.id, 'train from carol');
+
+    expect(resultIds(await search(alice, { q: 'train', chatId: chat.id })).sort())
+      .toEqual([fromAlice.id, fromBob.id].sort());
+    expect(resultIds(await search(alice, { q: 'train', senderId: bob.id }))).toEqual([fromBob.id]);
+  });
+
+  it('validates the query and filters', async () => {
+    expect((await search(alice, { q: 't' }, 400)).code).toBe('INVALID_SEARCH_QUERY');
+    expect((await search(alice, { q: 'train', chatId: 'not-a-uuid' }, 400)).code).toBe('VALIDATION_ERROR');
+    expect((await search(alice, { q: 'train', senderId: '1 OR 1=1' }, 400)).code).toBe('VALIDATION_ERROR');
+  });
+
+  it('pages through results', async () => {
+    for (let index = 0; index < 3; index++) {
+      await send(chat.id, alice.id, `train ${index}`);
+    }
+
+    const first = await search(alice, { q: 'train', limit: 2 });
+    const second = await search(alice, { q: 'train', limit: 2, offset: 2 });
+    expect(first.pagination.hasMore).toBe(true);
+    expect(second.pagination.hasMore).toBe(false);
+    expect(new Set([...resultIds(first), ...resultIds(second)]).size).toBe(3);
+  });
+
+  it('searches a single chat for its participants', async () => {
+    const inTrip = await send(chat.id, alice.id, 'the train leaves at nine');
+    await send(otherChat.id, carol.id, 'which train do we take?');
+
+    const body = (await request(app)
+      .get(`/api/v1/messages/${chat.id}/search`)
+      .query({ q: 'train' })
+      .set('Authorization', authHeader(alice))
+      .expect(200)).body;
+    expect(resultIds(body)).toEqual([inTrip.id]);
+
+    await request(app)
+      .get(`/api/v1/messages/${chat.id}/search`)
+      .query({ q: 'train' })
+      .set('Authorization', authHeader(carol))
+      .expect(403);
+  });
+});
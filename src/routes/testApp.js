@@ -0,0 +1,92 @@
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const { initializeWebSocket } = require('../websocket/socket');
+
+// Helpers for route and socket specs: an Express app that mounts routers the way src/index.js does
+// and records realtime events instead of sending them, a real socket.io server for socket specs,
+// and tokens for test users. Use with ../database/testDatabase.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Swap the socket.io emitters for ones that record { room, event, payload }
+const recordEvents = (io) => {
+  const events = [];
+  const target = (room) => ({
+    emit: (event, payload) => events.push({ room, event, payload }),
+    except: () => target(room),
+    socketsLeave: () => {}
+  });
+
+  io.to = target;
+  io.in = target;
+  io.emit = (event, payload) => events.push({ room: null, event, payload });
+  return events;
+};
+
+// `routes` maps mount paths to routers, e.g. { '/api/v1/messages': messageRoutes }
+const createTestApp = (routes) => {
+  const io = new Server();
+  initializeWebSocket(io);
+  const events = recordEvents(io);
+
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+
+  return { app, events };
+};
+
+const tokenFor = (user) => jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
+
+const authHeader = (user) => `Bearer ${tokenFor(user)}`;
+
+// A real socket.io server on a free local port, for specs that talk to it with socket.io clients.
+// connect(user) resolves with a connected client; close() disconnects them and stops the server.
+const startTestSocketServer = async () => {
+  const server = http.createServer();
+  const io = new Server(server);
+  initializeWebSocket(io);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const clients = [];
+
+  const connect = (user) => new Promise((resolve, reject) => {
+    const client = connectClient(url, { auth: { token: tokenFor(user) }, transports: ['websocket'], forceNew: true });
+    clients.push(client);
+    client.once('connect', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+
+  const close = async () => {
+    clients.forEach(client => client.disconnect());
+    await new Promise(resolve => io.close(resolve));
+  };
+
+  return { connect, close };
+};
+
+// Wait for events named `event`; routes often emit after they respond. Resolves with all of them.
+const waitForEvents = async (events, event, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const matching = events.filter(entry => entry.event === event);
+    if (matching.length > 0) {
+      return matching;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`No ${event} event was emitted`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+module.exports = {
+  createTestApp,
+  authHeader,
+  startTestSocketServer,
+  waitForEvents
+};
@@ -0,0 +1,57 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { MAX_DIFFERENCE_LIMIT, getCurrentSeq, getDifference } = require('../services/updateService');
+
+const router = express.Router();
+
+// Get the user's current update seq (store it after a full sync)
+router.get('/state', authenticateToken, async (req, res) => {
+  try {
+    const seq = await getCurrentSeq(req.user.id);
+
+    res.json({
+      success: true,
+      state: { seq }
+    });
+  } catch (error) {
+    console.error('Get update state error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch update state',
+      message: 'An error occurred while fetching update state',
+      code: 'UPDATES_FETCH_ERROR'
+    });
+  }
+});
+
+// Get updates the user missed since a seq, oldest first
+router.get('/difference', authenticateToken, async (req, res) => {
+  try {
+    const since = parseInt(req.query.since);
+    if (isNaN(since) || since < 0) {
+      return res.status(400).json({
+        error: 'Invalid seq',
+        message: 'since must be a non-negative integer',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_DIFFERENCE_LIMIT);
+    const { updates, state, hasMore } = await getDifference(req.user.id, since, limit);
+
+    res.json({
+      success: true,
+      updates,
+      state,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Get update difference error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch updates',
+      message: 'An error occurred while fetching updates',
+      code: 'UPDATES_FETCH_ERROR'
+    });
+  }
+});
+
+module.exports = router;
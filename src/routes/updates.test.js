@@ -0,0 +1,93 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader } = require('./testApp');
+const updateRoutes = require('./updates');
+const messageRoutes = require('./messages');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, alice, bob, chat;
+
+beforeEach(async () => {
+  ({ app } = createTestApp({ '/api/v1/updates': updateRoutes, '/api/v1/messages': messageRoutes }));
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  chat = await createChat(alice.id, { type: 'group', members: [bob.id] });
+});
+
+const send = (user, content) => request(app)
+  .post(`/api/v1/messages/${chat.id}`)
+  .set('Authorization', authHeader(user))
+  .send({ content })
+  .expect(201);
+
+const difference = async (user, params, expectedStatus = 200) => (await request(app)
+  .get('/api/v1/updates/difference')
+  .query(params)
+  .set('Authorization', authHeader(user))
+  .expect(expectedStatus)).body;
+
+const state = async (user) => (await request(app)
+  .get('/api/v1/updates/state')
+  .set('Authorization', authHeader(user))
+  .expect(200)).body.state;
+
+describe('update sequence', () => {
+  it('replays missed events in order with gap-free seqs', async () => {
+    const { seq: since } = await state(bob);
+    await send(alice, 'one');
+    await send(alice, 'two');
+
+    const body = await difference(bob, { since });
+    const newMessages = body.updates.filter(update => update.type === 'new_message');
+    expect(newMessages.map(update => update.payload.message.content)).toEqual(['one', 'two']);
+    expect(body.updates.map(update => update.seq)).toEqual(
+      body.updates.map((update, index) => since + index + 1)
+    );
+    expect(body.updates.every(update => update.chatId === chat.id)).toBe(true);
+    expect(body).toMatchObject({ hasMore: false, state: await state(bob) });
+  });
+
+  it('pages through a long gap without losing or repeating updates', async () => {
+    for (let index = 0; index < 3; index++) {
+      await send(alice, `message ${index}`);
+    }
+    const { seq: latest } = await state(bob);
+
+    const seen = [];
+    let body = { hasMore: true, state: { seq: 0 } };
+    while (body.hasMore) {
+      body = await difference(bob, { since: body.state.seq, limit: 2 });
+      seen.push(...body.updates.map(update => update.seq));
+    }
+
+    expect(seen).toEqual(Array.from({ length: latest }, (value, index) => index + 1));
+    expect(body.state.seq).toBe(latest);
+  });
+
+  it('returns nothing new for a client that is up to date', async () => {
+    await send(alice, 'one');
+    const current = await state(bob);
+
+    expect(await difference(bob, { since: current.seq })).toMatchObject({ updates: [], state: current, hasMore: false });
+  });
+
+  it('keeps a separate sequence per user', async () => {
+    const carol = await createUser();
+    await send(alice, 'one');
+
+    expect((await state(carol)).seq).toBe(0);
+    expect((await difference(carol, { since: 0 })).updates).toEqual([]);
+  });
+
+  it('rejects a missing or negative seq', async () => {
+    expect((await difference(bob, {}, 400)).code).toBe('VALIDATION_ERROR');
+    expect((await difference(bob, { since: -1 }, 400)).code).toBe('VALIDATION_ERROR');
+  });
+});
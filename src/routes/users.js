@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { query } = require('../database/connection');
+const { isUsernameTaken, searchPublicChats, MAX_PUBLIC_SEARCH_RESULTS } = require('../services/publicChatService');
 
 const router = express.Router();
 
@@ -12,15 +13,14 @@ router.post("/", async (req, res) => {
     
     console.log("🔄 Creating new user:", { id, username, email });
     
-    // Check if username already exists
+    // Check if username already exists (users and public chats share usernames)
     if (username) {
-      const existingUser = await query('SELECT id FROM users WHERE username = $1', [username]);
-      if (existingUser.rows.length > 0) {
+      if (await isUsernameTaken(username)) {
         console.log("⚠️ Username already exists:", username);
         return res.status(409).json({
           success: false,
           error: 'Username already exists',
-          message: 'A user with this username already exists',
+          message: 'A user or public chat with this username already exists',
           code: 'USERNAME_ALREADY_EXISTS'
         });
       }
@@ -132,6 +132,16 @@ router.patch("/batch-update", authenticateToken, async (req, res) => {
         error: "No valid fields to update"
       });
     }
+
+    // Users and public chats share usernames
+    if (filteredUpdates.username && await isUsernameTaken(filteredUpdates.username, { exceptUserId: userId })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Username already taken',
+        message: 'Username is already in use by another user or chat',
+        code: 'USERNAME_TAKEN'
+      });
+    }
     
     const updateFields = Object.keys(filteredUpdates)
       .map((key, index) => `${key} = $${index + 1}`);
@@ -269,17 +279,12 @@ router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const { username, email, firstName, lastName, bio, profilePicture } = req.body;
 
-    // Check if username is already taken by another user
+    // Check if username is already taken by another user or a public chat
     if (username) {
-      const existingUser = await query(
-        'SELECT id FROM users WHERE username = $1 AND id != $2',
-        [username, req.user.id]
-      );
-
-      if (existingUser.rows.length > 0) {
+      if (await isUsernameTaken(username, { exceptUserId: req.user.id })) {
         return res.status(409).json({
           error: 'Username already taken',
-          message: 'Username is already in use by another user',
+          message: 'Username is already in use by another user or chat',
           code: 'USERNAME_TAKEN'
         });
       }
@@ -320,7 +325,73 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Search users (this should be before the /:userId route)
+// Get privacy settings
+router.get('/privacy', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT hide_forward_sender FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      privacy: {
+        hideForwardSender: Boolean(result.rows[0].hide_forward_sender)
+      }
+    });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    res.status(500).json({
+      error: 'Failed to get privacy settings',
+      message: 'An error occurred while fetching privacy settings',
+      code: 'PRIVACY_FETCH_ERROR'
+    });
+  }
+});
+
+// Update privacy settings (hideForwardSender: forwarded messages don't link to your account)
+router.put('/privacy', [
+  body('hideForwardSender')
+    .isBoolean()
+    .withMessage('hideForwardSender must be a boolean')
+    .toBoolean()
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { hideForwardSender } = req.body;
+
+    await query(
+      'UPDATE users SET hide_forward_sender = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [hideForwardSender, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      privacy: {
+        hideForwardSender
+      }
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({
+      error: 'Failed to update privacy settings',
+      message: 'An error occurred while updating privacy settings',
+      code: 'PRIVACY_UPDATE_ERROR'
+    });
+  }
+});
+
+// Search users and public chats (this should be before the /:userId route)
 router.get('/search', authenticateToken, async (req, res) => {
   try {
     const { q, limit = 20 } = req.query;
@@ -342,8 +413,13 @@ router.get('/search', authenticateToken, async (req, res) => {
       [searchQuery, searchQuery, searchQuery, req.user.id, parseInt(limit)]
     );
 
+    // Public groups by username or title, exact username matches first
+    const chatLimit = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PUBLIC_SEARCH_RESULTS);
+    const chats = await searchPublicChats(q.trim(), req.user.id, chatLimit);
+
     res.json({
       users: userResult.rows,
+      chats,
       total: userResult.rows.length,
       query: q.trim()
     });
@@ -620,6 +696,19 @@ router.put("/:userId", authenticateToken, async (req, res) => {
       queryParams = [updates.username, updates.email, updates.firstName, updates.lastName, updates.phoneNumber, updates.profilePicture, updates.bio, userId];
     }
     
+    // Users and public chats share usernames
+    if (updates.username) {
+      const target = await query(`SELECT id FROM users WHERE ${isUUID ? 'id' : 'email'} = $1`, [userId]);
+      if (await isUsernameTaken(updates.username, { exceptUserId: target.rows[0] ? target.rows[0].id : null })) {
+        return res.status(409).json({
+          success: false,
+          error: 'Username already taken',
+          message: 'Username is already in use by another user or chat',
+          code: 'USERNAME_TAKEN'
+        });
+      }
+    }
+
     // Update user in database
     const result = await query(`
       UPDATE users SET 
@@ -0,0 +1,143 @@
+const { query } = require('../database/connection');
+
+// Per-user chat list state stored on chat_participants:
+// pinned_order (NULL = not pinned, lower comes first) and archived_at (NULL = in the main list)
+const MAX_PINNED_CHATS = 5;
+
+// Sort for chat lists: pinned chats in their explicit order, then the rest by latest activity
+const CHAT_LIST_ORDER = 'cp.pinned_order ASC NULLS LAST, COALESCE(c.last_message_at, c.created_at) DESC';
+
+const formatChatListState = (row) => ({
+  isPinned: row.pinned_order !== null && row.pinned_order !== undefined,
+  isArchived: Boolean(row.archived_at),
+  archivedAt: row.archived_at || null
+});
+
+// The user's pinned chat ids in display order
+const getPinnedChatIds = async (userId) => {
+  const result = await query(`
+    SELECT chat_id
+    FROM chat_participants
+    WHERE user_id = $1 AND pinned_order IS NOT NULL
+    ORDER BY pinned_order ASC
+  `, [userId]);
+
+  return result.rows.map(row => row.chat_id);
+};
+
+// Pin a chat to the top of the user's list.
+// Returns { pinnedChatIds }, { error } when the limit is reached, or null when not a participant.
+const pinChat = async (chatId, userId) => {
+  const participant = await query(
+    'SELECT pinned_order FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+    [chatId, userId]
+  );
+
+  if (participant.rows.length === 0) {
+    return null;
+  }
+
+  if (participant.rows[0].pinned_order === null) {
+    const pinnedChatIds = await getPinnedChatIds(userId);
+    if (pinnedChatIds.length >= MAX_PINNED_CHATS) {
+      return { error: `You can pin at most ${MAX_PINNED_CHATS} chats` };
+    }
+
+    // Newly pinned chats go first
+    await query(`
+      UPDATE chat_participants
+      SET pinned_order = CASE WHEN chat_id = $2 THEN 0 ELSE pinned_order + 1 END
+      WHERE user_id = $1 AND (pinned_order IS NOT NULL OR chat_id = $2)
+    `, [userId, chatId]);
+  }
+
+  return { pinnedChatIds: await getPinnedChatIds(userId) };
+};
+
+// Unpin a chat. Returns { pinnedChatIds } or null when not a participant.
+const unpinChat = async (chatId, userId) => {
+  const result = await query(`
+    UPDATE chat_participants
+    SET pinned_order = NULL
+    WHERE chat_id = $1 AND user_id = $2
+  `, [chatId, userId]);
+
+  if (result.rowCount === 0) {
+    return null;
+  }
+
+  return { pinnedChatIds: await getPinnedChatIds(userId) };
+};
+
+// Reorder pinned chats. `chatIds` must list exactly the currently pinned chats.
+// Returns { pinnedChatIds } or { error }.
+const reorderPinnedChats = async (userId, chatIds) => {
+  const pinnedChatIds = await getPinnedChatIds(userId);
+
+  if (chatIds.length !== pinnedChatIds.length ||
+      new Set(chatIds).size !== chatIds.length ||
+      !chatIds.every(chatId => pinnedChatIds.includes(chatId))) {
+    return { error: 'chatIds must list each pinned chat exactly once' };
+  }
+
+  await query(`
+    UPDATE chat_participants cp
+    SET pinned_order = ordered.position
+    FROM UNNEST($2::uuid[]) WITH ORDINALITY AS ordered(chat_id, position)
+    WHERE cp.user_id = $1 AND cp.chat_id = ordered.chat_id
+  `, [userId, chatIds]);
+
+  return { pinnedChatIds: chatIds };
+};
+
+// Move a chat into or out of the user's archive.
+// Returns the new list state or null when not a participant.
+const setChatArchived = async (chatId, userId, archived) => {
+  const result = await query(`
+    UPDATE chat_participants
+    SET archived_at = CASE WHEN $3 THEN COALESCE(archived_at, CURRENT_TIMESTAMP) ELSE NULL END
+    WHERE chat_id = $1 AND user_id = $2
+    RETURNING pinned_order, archived_at
+  `, [chatId, userId, archived]);
+
+  return result.rows.length > 0 ? formatChatListState(result.rows[0]) : null;
+};
+
+// A new message brings an archived chat back to the main list, except for users who muted it.
+// Returns the ids of users whose chat was unarchived.
+const unarchiveOnNewMessage = async (chatId, senderId) => {
+  const result = await query(`
+    UPDATE chat_participants
+    SET archived_at = NULL
+    WHERE chat_id = $1
+      AND user_id != $2
+      AND archived_at IS NOT NULL
+      AND NOT (notification_mode = 'muted' AND (muted_until IS NULL OR muted_until > CURRENT_TIMESTAMP))
+    RETURNING user_id
+  `, [chatId, senderId]);
+
+  return result.rows.map(row => row.user_id);
+};
+
+// Number of chats in the user's archive (shown on the "Archived chats" entry)
+const countArchivedChats = async (userId) => {
+  const result = await query(
+    'SELECT COUNT(*) as count FROM chat_participants WHERE user_id = $1 AND archived_at IS NOT NULL',
+    [userId]
+  );
+
+  return parseInt(result.rows[0].count);
+};
+
+module.exports = {
+  MAX_PINNED_CHATS,
+  CHAT_LIST_ORDER,
+  formatChatListState,
+  getPinnedChatIds,
+  pinChat,
+  unpinChat,
+  reorderPinnedChats,
+  setChatArchived,
+  unarchiveOnNewMessage,
+  countArchivedChats
+};
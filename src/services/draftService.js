@@ -0,0 +1,74 @@
+const { query } = require('../database/connection');
+const { visibleToUser } = require('./messageService');
+
+const DRAFT_COLUMNS = 'draft_text, draft_entities, draft_reply_to, draft_updated_at';
+
+// Convert the draft columns of a chat_participants row into the API shape (null when there is no draft)
+const formatDraft = (row) => {
+  if (!row || !row.draft_updated_at) {
+    return null;
+  }
+
+  return {
+    text: row.draft_text || '',
+    entities: row.draft_entities || [],
+    replyToId: row.draft_reply_to,
+    updatedAt: row.draft_updated_at
+  };
+};
+
+const replyTargetNotFound = {
+  status: 404,
+  error: 'Reply target not found',
+  message: 'The message you are replying to does not exist in this chat',
+  code: 'REPLY_TARGET_NOT_FOUND'
+};
+
+// Save the user's draft for a chat. `entities` must already be validated against `text`.
+// Returns { draft }, { error } when the reply target isn't a message in the chat the user can see,
+// or null when the user isn't a participant.
+const saveDraft = async (chatId, userId, { text, entities = [], replyToId = null }) => {
+  if (replyToId) {
+    const replyCheck = await query(`
+      SELECT m.id FROM messages m
+      WHERE m.id = $1 AND m.chat_id = $2 AND m.is_deleted = false AND ${visibleToUser('$3')}
+    `, [replyToId, chatId, userId]);
+
+    if (replyCheck.rows.length === 0) {
+      return { error: replyTargetNotFound };
+    }
+  }
+
+  const result = await query(`
+    UPDATE chat_participants
+    SET draft_text = $3,
+        draft_entities = $4,
+        draft_reply_to = $5,
+        draft_updated_at = CURRENT_TIMESTAMP
+    WHERE chat_id = $1 AND user_id = $2
+    RETURNING ${DRAFT_COLUMNS}
+  `, [chatId, userId, text, JSON.stringify(entities), replyToId]);
+
+  return result.rows.length > 0 ? { draft: formatDraft(result.rows[0]) } : null;
+};
+
+// Remove the user's draft for a chat.
+// Returns { cleared } (false when there was no draft) or null when the user isn't a participant.
+const clearDraft = async (chatId, userId) => {
+  const result = await query(`
+    UPDATE chat_participants cp
+    SET draft_text = NULL, draft_entities = NULL, draft_reply_to = NULL, draft_updated_at = NULL
+    FROM chat_participants previous
+    WHERE previous.id = cp.id AND cp.chat_id = $1 AND cp.user_id = $2
+    RETURNING previous.draft_updated_at IS NOT NULL as had_draft
+  `, [chatId, userId]);
+
+  return result.rows.length > 0 ? { cleared: result.rows[0].had_draft } : null;
+};
+
+module.exports = {
+  DRAFT_COLUMNS,
+  formatDraft,
+  saveDraft,
+  clearDraft
+};
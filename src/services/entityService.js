@@ -0,0 +1,126 @@
+const { query } = require('../database/connection');
+const { getFormattingEntities } = require('./formattingService');
+
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,30})(?![\w])/g;
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_#])#([\p{L}\p{N}_]{1,64})(?![\p{L}\p{N}_])/gu;
+
+// Find @mentions and #hashtags in message text. Offsets and lengths are in UTF-16
+// code units (JavaScript string indices), which is what mobile clients render with.
+const parseEntities = (content) => {
+  const entities = [];
+  if (!content) {
+    return entities;
+  }
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    entities.push({
+      type: 'mention',
+      offset: match.index + match[1].length,
+      length: match[2].length + 1,
+      username: match[2]
+    });
+  }
+
+  for (const match of content.matchAll(HASHTAG_PATTERN)) {
+    entities.push({
+      type: 'hashtag',
+      offset: match.index + match[1].length,
+      length: match[2].length + 1,
+      hashtag: match[2].toLowerCase()
+    });
+  }
+
+  return entities.sort((a, b) => a.offset - b.offset);
+};
+
+// Attach user ids to mention entities that name a participant of the chat
+// (userId stays null for anyone else)
+const resolveMentions = async (chatId, entities) => {
+  const usernames = [...new Set(
+    entities.filter(entity => entity.type === 'mention').map(entity => entity.username.toLowerCase())
+  )];
+
+  if (usernames.length === 0) {
+    return entities;
+  }
+
+  const result = await query(`
+    SELECT u.id, LOWER(u.username) as username
+    FROM chat_participants cp
+    INNER JOIN users u ON cp.user_id = u.id
+    WHERE cp.chat_id = $1 AND LOWER(u.username) = ANY($2)
+  `, [chatId, usernames]);
+
+  const idsByUsername = {};
+  result.rows.forEach(row => {
+    idsByUsername[row.username] = row.id;
+  });
+
+  return entities.map(entity => entity.type === 'mention'
+    ? { ...entity, userId: idsByUsername[entity.username.toLowerCase()] || null }
+    : entity);
+};
+
+// Combine formatting entities supplied with a message with the mentions and hashtags
+// parsed from its text. Nothing inside code or pre blocks counts as a mention or hashtag.
+const buildEntities = async (chatId, content, formatting = []) => {
+  const formattingEntities = getFormattingEntities(formatting);
+  const codeBlocks = formattingEntities.filter(entity => entity.type === 'code' || entity.type === 'pre');
+
+  const parsed = parseEntities(content).filter(entity => !codeBlocks.some(block =>
+    entity.offset < block.offset + block.length && block.offset < entity.offset + entity.length
+  ));
+
+  const resolved = await resolveMentions(chatId, parsed);
+
+  return formattingEntities.concat(resolved).sort((a, b) => a.offset - b.offset);
+};
+
+// Distinct users mentioned by a set of entities, excluding `excludeUserId` (the sender)
+const getMentionedUserIds = (entities, excludeUserId = null) => {
+  return [...new Set(
+    (entities || [])
+      .filter(entity => entity.type === 'mention' && entity.userId && entity.userId !== excludeUserId)
+      .map(entity => entity.userId)
+  )];
+};
+
+// Store mentions of chat participants for a message
+const recordMentions = async (chatId, messageId, userIds) => {
+  for (const userId of userIds) {
+    await query(`
+      INSERT INTO message_mentions (message_id, chat_id, user_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (message_id, user_id) DO NOTHING
+    `, [messageId, chatId, userId]);
+  }
+};
+
+// Bring a message's stored mentions in line with its edited text.
+// Returns the users who are mentioned now but weren't before.
+const syncMentions = async (chatId, messageId, userIds) => {
+  const existingResult = await query(
+    'SELECT user_id FROM message_mentions WHERE message_id = $1',
+    [messageId]
+  );
+  const existing = existingResult.rows.map(row => row.user_id);
+
+  await query(
+    'DELETE FROM message_mentions WHERE message_id = $1 AND user_id != ALL($2)',
+    [messageId, userIds]
+  );
+
+  const added = userIds.filter(userId => !existing.includes(userId));
+  await recordMentions(chatId, messageId, added);
+
+  return added;
+};
+
+module.exports = {
+  parseEntities,
+  resolveMentions,
+  buildEntities,
+  getMentionedUserIds,
+  recordMentions,
+  syncMentions
+};
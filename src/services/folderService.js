@@ -0,0 +1,262 @@
+const { query } = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+const { getUnreadCounts } = require('./unreadService');
+const { formatNotificationSettings } = require('./notificationService');
+
+// Chat folders are per-user filters over the chat list. A chat is in a folder when it is
+// explicitly included, or matches one of the folder's chat types and none of its exclude flags.
+// Explicitly excluded chats are never in the folder.
+const FOLDER_CHAT_TYPES = ['private', 'group', 'channel'];
+const MAX_FOLDERS = 10;
+const MAX_FOLDER_TITLE_LENGTH = 32;
+const MAX_FOLDER_CHATS = 100;
+
+// The folder chat type of a chat row (Saved Messages counts as private)
+const getFolderChatType = (row) => {
+  if (row.is_channel) {
+    return 'channel';
+  }
+  return row.is_group ? 'group' : 'private';
+};
+
+const formatFolder = (row) => ({
+  id: row.id,
+  title: row.title,
+  includeTypes: FOLDER_CHAT_TYPES.filter(type => row[`include_${type}`]),
+  excludeMuted: row.exclude_muted,
+  excludeRead: row.exclude_read,
+  excludeArchived: row.exclude_archived,
+  includedChatIds: row.included_chat_ids || [],
+  excludedChatIds: row.excluded_chat_ids || [],
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const FOLDER_QUERY = `
+  SELECT f.*,
+         COALESCE(ARRAY_AGG(fc.chat_id) FILTER (WHERE fc.is_excluded = false), '{}') as included_chat_ids,
+         COALESCE(ARRAY_AGG(fc.chat_id) FILTER (WHERE fc.is_excluded = true), '{}') as excluded_chat_ids
+  FROM chat_folders f
+  LEFT JOIN chat_folder_chats fc ON fc.folder_id = f.id
+`;
+
+const getFolders = async (userId) => {
+  const result = await query(`
+    ${FOLDER_QUERY}
+    WHERE f.user_id = $1
+    GROUP BY f.id
+    ORDER BY f.created_at ASC
+  `, [userId]);
+
+  return result.rows.map(formatFolder);
+};
+
+// Get one of the user's folders, or null
+const getFolder = async (folderId, userId) => {
+  const result = await query(`
+    ${FOLDER_QUERY}
+    WHERE f.id = $1 AND f.user_id = $2
+    GROUP BY f.id
+  `, [folderId, userId]);
+
+  return result.rows.length > 0 ? formatFolder(result.rows[0]) : null;
+};
+
+// Whether a chat belongs in a folder. `row` is a chat_participants row joined with its chat
+// (is_group, is_channel, notification_mode, muted_until, archived_at); `unreadCount` is the user's count.
+const folderIncludesChat = (folder, row, unreadCount) => {
+  if (folder.excludedChatIds.includes(row.id)) {
+    return false;
+  }
+  if (folder.includedChatIds.includes(row.id)) {
+    return true;
+  }
+
+  if (!folder.includeTypes.includes(getFolderChatType(row))) {
+    return false;
+  }
+  if (folder.excludeMuted && formatNotificationSettings(row).isMuted) {
+    return false;
+  }
+  if (folder.excludeRead && unreadCount === 0) {
+    return false;
+  }
+  if (folder.excludeArchived && row.archived_at) {
+    return false;
+  }
+
+  return true;
+};
+
+// Keep only the chat rows that belong in the folder
+const filterChatsForFolder = (folder, rows, unreadCounts) =>
+  rows.filter(row => folderIncludesChat(folder, row, unreadCounts[row.id]?.unreadCount || 0));
+
+// The user's folders, each with the unread totals of the chats in it
+const getFoldersWithUnreadCounts = async (userId) => {
+  const folders = await getFolders(userId);
+  if (folders.length === 0) {
+    return [];
+  }
+
+  const chats = await query(`
+    SELECT c.id, c.is_group, c.is_channel, cp.notification_mode, cp.muted_until, cp.archived_at
+    FROM chat_participants cp
+    INNER JOIN chats c ON c.id = cp.chat_id
+    WHERE cp.user_id = $1
+  `, [userId]);
+  const { counts } = await getUnreadCounts(userId);
+
+  return folders.map(folder => {
+    const folderChats = filterChatsForFolder(folder, chats.rows, counts);
+    const unreadChats = folderChats.filter(row => counts[row.id]?.unreadCount > 0);
+
+    return {
+      ...folder,
+      unreadCount: unreadChats.reduce((total, row) => total + counts[row.id].unreadCount, 0),
+      unreadChatCount: unreadChats.length
+    };
+  });
+};
+
+// Validate folder rules, merged over `existing` when updating.
+// Returns the complete rules or { error }.
+const validateFolderRules = async (userId, input, existing = null) => {
+  const rules = {
+    title: input.title !== undefined ? input.title : existing?.title,
+    includeTypes: input.includeTypes !== undefined ? input.includeTypes : existing?.includeTypes || [],
+    excludeMuted: input.excludeMuted !== undefined ? Boolean(input.excludeMuted) : existing?.excludeMuted || false,
+    excludeRead: input.excludeRead !== undefined ? Boolean(input.excludeRead) : existing?.excludeRead || false,
+    excludeArchived: input.excludeArchived !== undefined
+      ? Boolean(input.excludeArchived)
+      : existing?.excludeArchived || false,
+    includedChatIds: input.includedChatIds !== undefined ? input.includedChatIds : existing?.includedChatIds || [],
+    excludedChatIds: input.excludedChatIds !== undefined ? input.excludedChatIds : existing?.excludedChatIds || []
+  };
+
+  if (typeof rules.title !== 'string' || rules.title.trim().length === 0 ||
+      rules.title.trim().length > MAX_FOLDER_TITLE_LENGTH) {
+    return { error: `title must be 1-${MAX_FOLDER_TITLE_LENGTH} characters` };
+  }
+  rules.title = rules.title.trim();
+
+  if (!Array.isArray(rules.includeTypes) || !rules.includeTypes.every(type => FOLDER_CHAT_TYPES.includes(type))) {
+    return { error: `includeTypes may only contain: ${FOLDER_CHAT_TYPES.join(', ')}` };
+  }
+
+  rules.includedChatIds = [...new Set(rules.includedChatIds)];
+  rules.excludedChatIds = [...new Set(rules.excludedChatIds)];
+
+  if (rules.includedChatIds.length > MAX_FOLDER_CHATS || rules.excludedChatIds.length > MAX_FOLDER_CHATS) {
+    return { error: `A folder can include or exclude at most ${MAX_FOLDER_CHATS} chats each` };
+  }
+  if (rules.includedChatIds.some(chatId => rules.excludedChatIds.includes(chatId))) {
+    return { error: 'A chat cannot be both included and excluded' };
+  }
+  if (rules.includeTypes.length === 0 && rules.includedChatIds.length === 0) {
+    return { error: 'A folder must include at least one chat type or chat' };
+  }
+
+  const chatIds = [...rules.includedChatIds, ...rules.excludedChatIds];
+  if (chatIds.length > 0) {
+    const participant = await query(
+      'SELECT COUNT(*) as count FROM chat_participants WHERE user_id = $1 AND chat_id = ANY($2::uuid[])',
+      [userId, chatIds]
+    );
+    if (parseInt(participant.rows[0].count) !== chatIds.length) {
+      return { error: 'Folders can only list chats you participate in' };
+    }
+  }
+
+  return { rules };
+};
+
+const saveFolderChats = async (folderId, { includedChatIds, excludedChatIds }) => {
+  await query('DELETE FROM chat_folder_chats WHERE folder_id = $1', [folderId]);
+
+  if (includedChatIds.length + excludedChatIds.length > 0) {
+    await query(`
+      INSERT INTO chat_folder_chats (folder_id, chat_id, is_excluded)
+      SELECT $1, chat_id, chat_id = ANY($3::uuid[])
+      FROM UNNEST($2::uuid[]) as chat_id
+    `, [folderId, [...includedChatIds, ...excludedChatIds], excludedChatIds]);
+  }
+};
+
+// Create a folder. Returns { folder } or { error }.
+const createFolder = async (userId, input) => {
+  const count = await query('SELECT COUNT(*) as count FROM chat_folders WHERE user_id = $1', [userId]);
+  if (parseInt(count.rows[0].count) >= MAX_FOLDERS) {
+    return { error: `You can have at most ${MAX_FOLDERS} folders` };
+  }
+
+  const { rules, error } = await validateFolderRules(userId, input);
+  if (error) {
+    return { error };
+  }
+
+  const folderId = uuidv4();
+  await query(`
+    INSERT INTO chat_folders (
+      id, user_id, title, include_private, include_group, include_channel,
+      exclude_muted, exclude_read, exclude_archived
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    folderId, userId, rules.title,
+    rules.includeTypes.includes('private'), rules.includeTypes.includes('group'), rules.includeTypes.includes('channel'),
+    rules.excludeMuted, rules.excludeRead, rules.excludeArchived
+  ]);
+  await saveFolderChats(folderId, rules);
+
+  return { folder: await getFolder(folderId, userId) };
+};
+
+// Update a folder; fields left out keep their value.
+// Returns { folder }, { error }, or null when the folder doesn't exist.
+const updateFolder = async (folderId, userId, input) => {
+  const existing = await getFolder(folderId, userId);
+  if (!existing) {
+    return null;
+  }
+
+  const { rules, error } = await validateFolderRules(userId, input, existing);
+  if (error) {
+    return { error };
+  }
+
+  await query(`
+    UPDATE chat_folders
+    SET title = $3, include_private = $4, include_group = $5, include_channel = $6,
+        exclude_muted = $7, exclude_read = $8, exclude_archived = $9, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND user_id = $2
+  `, [
+    folderId, userId, rules.title,
+    rules.includeTypes.includes('private'), rules.includeTypes.includes('group'), rules.includeTypes.includes('channel'),
+    rules.excludeMuted, rules.excludeRead, rules.excludeArchived
+  ]);
+  await saveFolderChats(folderId, rules);
+
+  return { folder: await getFolder(folderId, userId) };
+};
+
+// Delete a folder. Returns whether it existed.
+const deleteFolder = async (folderId, userId) => {
+  const result = await query('DELETE FROM chat_folders WHERE id = $1 AND user_id = $2', [folderId, userId]);
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  FOLDER_CHAT_TYPES,
+  MAX_FOLDERS,
+  MAX_FOLDER_TITLE_LENGTH,
+  MAX_FOLDER_CHATS,
+  getFolders,
+  getFolder,
+  folderIncludesChat,
+  filterChatsForFolder,
+  getFoldersWithUnreadCounts,
+  createFolder,
+  updateFolder,
+  deleteFolder
+};
@@ -0,0 +1,338 @@
+// Rich text formatting entities. Message content is always stored as plain text;
+// formatting lives in entities with UTF-16 offsets, so search, notifications and
+// chat previews never see markup.
+
+const FORMATTING_ENTITY_TYPES = [
+  'bold', 'italic', 'underline', 'strikethrough', 'spoiler', 'code', 'pre', 'text_link'
+];
+
+const PARSE_MODES = ['markdown', 'html'];
+
+const MAX_ENTITIES = 100;
+const MAX_URL_LENGTH = 2048;
+const MAX_LANGUAGE_LENGTH = 32;
+
+const isHighSurrogate = (code) => code >= 0xD800 && code <= 0xDBFF;
+
+// An offset is a valid boundary unless it falls between the two halves of a surrogate pair
+const isCharBoundary = (text, offset) => {
+  return offset <= 0 || offset >= text.length || !isHighSurrogate(text.charCodeAt(offset - 1));
+};
+
+const isValidUrl = (url) => {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+    return false;
+  }
+
+  try {
+    return ['http:', 'https:', 'tg:', 'mailto:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Keep only the fields each entity type uses
+const normalizeEntity = (entity) => {
+  const normalized = { type: entity.type, offset: entity.offset, length: entity.length };
+  if (entity.type === 'text_link') {
+    normalized.url = entity.url;
+  }
+  if (entity.type === 'pre' && entity.language) {
+    normalized.language = entity.language;
+  }
+  return normalized;
+};
+
+// The formatting part of a stored entity list (mentions and hashtags are derived from the text)
+const getFormattingEntities = (entities) => {
+  return (entities || []).filter(entity => FORMATTING_ENTITY_TYPES.includes(entity.type)).map(normalizeEntity);
+};
+
+// Validate client-supplied formatting entities against the text they format.
+// Returns an error message or null.
+const validateEntities = (text, entities) => {
+  if (!Array.isArray(entities)) {
+    return 'entities must be an array';
+  }
+
+  if (entities.length > MAX_ENTITIES) {
+    return `A message can have at most ${MAX_ENTITIES} entities`;
+  }
+
+  for (const entity of entities) {
+    if (!entity || !FORMATTING_ENTITY_TYPES.includes(entity.type)) {
+      return `Entity type must be one of: ${FORMATTING_ENTITY_TYPES.join(', ')}`;
+    }
+
+    const { offset, length } = entity;
+    if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 1) {
+      return 'Entity offset must be a non-negative integer and length a positive integer';
+    }
+
+    if (offset + length > text.length) {
+      return 'Entity extends past the end of the text (offsets are in UTF-16 code units)';
+    }
+
+    if (!isCharBoundary(text, offset) || !isCharBoundary(text, offset + length)) {
+      return 'Entity boundaries cannot split a surrogate pair';
+    }
+
+    if (entity.type === 'text_link' && !isValidUrl(entity.url)) {
+      return 'text_link entities need a valid http(s) url';
+    }
+
+    if (entity.type === 'pre' && entity.language !== undefined && entity.language !== null &&
+        (typeof entity.language !== 'string' || entity.language.length > MAX_LANGUAGE_LENGTH)) {
+      return `pre language must be ${MAX_LANGUAGE_LENGTH} characters or less`;
+    }
+  }
+
+  return null;
+};
+
+// Markdown subset: *bold* _italic_ __underline__ ~strikethrough~ ||spoiler||
+// `code` ```language\npre``` [text](url), with \ escaping any character.
+const parseMarkdown = (source) => {
+  let text = '';
+  const entities = [];
+  const open = [];
+  let i = 0;
+
+  const toggle = (type) => {
+    const index = open.findIndex(entry => entry.type === type);
+    if (index === -1) {
+      open.push({ type, offset: text.length });
+      return;
+    }
+
+    const [entry] = open.splice(index, 1);
+    if (text.length > entry.offset) {
+      entities.push({ type, offset: entry.offset, length: text.length - entry.offset });
+    }
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\\' && i + 1 < source.length) {
+      text += source[i + 1];
+      i += 2;
+    } else if (source.startsWith('```', i)) {
+      const end = source.indexOf('```', i + 3);
+      if (end === -1) {
+        return { error: 'Unclosed ``` block' };
+      }
+
+      let block = source.slice(i + 3, end);
+      let language = null;
+      const newline = block.indexOf('\n');
+      if (newline > 0 && /^[\w+#.-]+$/.test(block.slice(0, newline))) {
+        language = block.slice(0, newline);
+        block = block.slice(newline + 1);
+      }
+
+      if (block.length > 0) {
+        const pre = { type: 'pre', offset: text.length, length: block.length };
+        entities.push(language ? { ...pre, language } : pre);
+      }
+      text += block;
+      i = end + 3;
+    } else if (char === '`') {
+      const end = source.indexOf('`', i + 1);
+      if (end === -1) {
+        return { error: 'Unclosed ` code span' };
+      }
+
+      const code = source.slice(i + 1, end);
+      if (code.length > 0) {
+        entities.push({ type: 'code', offset: text.length, length: code.length });
+      }
+      text += code;
+      i = end + 1;
+    } else if (source.startsWith('||', i)) {
+      toggle('spoiler');
+      i += 2;
+    } else if (source.startsWith('__', i)) {
+      toggle('underline');
+      i += 2;
+    } else if (char === '*') {
+      toggle('bold');
+      i += 1;
+    } else if (char === '_') {
+      toggle('italic');
+      i += 1;
+    } else if (char === '~') {
+      toggle('strikethrough');
+      i += 1;
+    } else if (char === '[') {
+      open.push({ type: 'text_link', offset: text.length });
+      i += 1;
+    } else if (char === ']' && open.some(entry => entry.type === 'text_link')) {
+      const match = /^\]\(([^)\s]+)\)/.exec(source.slice(i));
+      if (!match) {
+        return { error: 'Links must look like [text](url)' };
+      }
+
+      const index = open.map(entry => entry.type).lastIndexOf('text_link');
+      const [entry] = open.splice(index, 1);
+      if (text.length > entry.offset) {
+        const length = text.length - entry.offset;
+        entities.push({ type: 'text_link', offset: entry.offset, length, url: match[1] });
+      }
+      i += match[0].length;
+    } else {
+      text += char;
+      i += 1;
+    }
+  }
+
+  if (open.length > 0) {
+    return { error: `Unclosed ${open[0].type} entity` };
+  }
+
+  return { text, entities: entities.sort((a, b) => a.offset - b.offset) };
+};
+
+const HTML_TAGS = {
+  b: 'bold',
+  strong: 'bold',
+  i: 'italic',
+  em: 'italic',
+  u: 'underline',
+  ins: 'underline',
+  s: 'strikethrough',
+  strike: 'strikethrough',
+  del: 'strikethrough',
+  'tg-spoiler': 'spoiler',
+  span: 'spoiler',
+  code: 'code',
+  pre: 'pre',
+  a: 'text_link'
+};
+
+const HTML_ESCAPES = { lt: '<', gt: '>', amp: '&', quot: '"' };
+
+const decodeHtmlEntity = (name) => {
+  if (HTML_ESCAPES[name]) {
+    return HTML_ESCAPES[name];
+  }
+  const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+  return isNaN(code) || code > 0x10FFFF ? null : String.fromCodePoint(code);
+};
+
+const getAttribute = (attributes, name) => {
+  const match = new RegExp(`${name}\\s*=\\s*"([^"]*)"`, 'i').exec(attributes);
+  return match ? match[1].replace(/&(lt|gt|amp|quot);/g, (all, escape) => HTML_ESCAPES[escape]) : null;
+};
+
+// HTML subset: <b> <i> <u> <s> <code> <pre> <a href> <tg-spoiler> / <span class="tg-spoiler">,
+// with &lt; &gt; &amp; &quot; and numeric character references.
+const parseHtml = (source) => {
+  const tokenPattern = /<(\/?)([a-zA-Z-]+)([^>]*)>|&(lt|gt|amp|quot|#\d+|#x[0-9a-fA-F]+);|[^<&]+|[<&]/g;
+  let text = '';
+  const entities = [];
+  const open = [];
+
+  for (const match of source.matchAll(tokenPattern)) {
+    const [token, closing, rawTag, attributes, escape] = match;
+
+    if (escape) {
+      const decoded = decodeHtmlEntity(escape);
+      if (decoded === null) {
+        return { error: `Invalid character reference &${escape};` };
+      }
+      text += decoded;
+    } else if (rawTag) {
+      const tag = rawTag.toLowerCase();
+      const type = HTML_TAGS[tag];
+      if (!type) {
+        return { error: `Unsupported tag <${tag}>` };
+      }
+
+      if (!closing) {
+        if (tag === 'span' && !/class\s*=\s*"tg-spoiler"/i.test(attributes)) {
+          return { error: 'Only <span class="tg-spoiler"> is supported' };
+        }
+        open.push({ tag, type, offset: text.length, attributes });
+        continue;
+      }
+
+      const entry = open.pop();
+      if (!entry || entry.tag !== tag) {
+        return { error: `Unexpected closing tag </${tag}>` };
+      }
+
+      const length = text.length - entry.offset;
+      if (length === 0) {
+        continue;
+      }
+
+      if (type === 'text_link') {
+        entities.push({ type, offset: entry.offset, length, url: getAttribute(entry.attributes, 'href') });
+      } else if (type === 'code' && open.length > 0 && open[open.length - 1].tag === 'pre') {
+        // <pre><code class="language-x"> sets the pre block's language
+        const language = /class\s*=\s*"language-([^"]+)"/i.exec(entry.attributes);
+        if (language) {
+          open[open.length - 1].language = language[1];
+        }
+      } else if (type === 'pre') {
+        const pre = { type, offset: entry.offset, length };
+        entities.push(entry.language ? { ...pre, language: entry.language } : pre);
+      } else {
+        entities.push({ type, offset: entry.offset, length });
+      }
+    } else {
+      text += token;
+    }
+  }
+
+  if (open.length > 0) {
+    return { error: `Unclosed <${open[0].tag}> tag` };
+  }
+
+  return { text, entities: entities.sort((a, b) => a.offset - b.offset) };
+};
+
+// Turn send/edit input into plain text plus formatting entities.
+// Either `parseMode` converts markup in `content`, or `entities` are taken as given.
+// Returns { content, entities } or { error }.
+const prepareFormattedText = ({ content, entities = null, parseMode = null }) => {
+  if (parseMode) {
+    if (!PARSE_MODES.includes(parseMode)) {
+      return { error: `parseMode must be one of: ${PARSE_MODES.join(', ')}` };
+    }
+    if (entities) {
+      return { error: 'Send either entities or parseMode, not both' };
+    }
+
+    const parsed = parseMode === 'markdown' ? parseMarkdown(content) : parseHtml(content);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    if (parsed.text.trim() === '') {
+      return { error: 'Message text is empty after formatting is removed' };
+    }
+
+    entities = parsed.entities;
+    content = parsed.text;
+  }
+
+  const formatting = entities || [];
+  const error = validateEntities(content, formatting);
+  if (error) {
+    return { error };
+  }
+
+  const normalized = formatting.map(normalizeEntity).sort((a, b) => a.offset - b.offset);
+  return { content, entities: normalized };
+};
+
+module.exports = {
+  FORMATTING_ENTITY_TYPES,
+  PARSE_MODES,
+  getFormattingEntities,
+  validateEntities,
+  parseMarkdown,
+  parseHtml,
+  prepareFormattedText
+};
@@ -0,0 +1,109 @@
+const { parseMarkdown, parseHtml, prepareFormattedText } = require('./formattingService');
+
+describe('parseMarkdown', () => {
+  it('turns markup into plain text and entities', () => {
+    expect(parseMarkdown('*bold* _italic_ __under__ ~gone~ ||secret||')).toEqual({
+      text: 'bold italic under gone secret',
+      entities: [
+        { type: 'bold', offset: 0, length: 4 },
+        { type: 'italic', offset: 5, length: 6 },
+        { type: 'underline', offset: 12, length: 5 },
+        { type: 'strikethrough', offset: 18, length: 4 },
+        { type: 'spoiler', offset: 23, length: 6 }
+      ]
+    });
+  });
+
+  it('keeps code verbatim and reads a pre block\'s language', () => {
+    expect(parseMarkdown('run `*not bold*`\n```js\nlet x;```')).toEqual({
+      text: 'run *not bold*\nlet x;',
+      entities: [
+        { type: 'code', offset: 4, length: 10 },
+        { type: 'pre', offset: 15, length: 6, language: 'js' }
+      ]
+    });
+  });
+
+  it('parses links and escapes', () => {
+    expect(parseMarkdown('see [the docs](https://example.com/docs) \\*literally\\*')).toEqual({
+      text: 'see the docs *literally*',
+      entities: [{ type: 'text_link', offset: 4, length: 8, url: 'https://example.com/docs' }]
+    });
+  });
+
+  it('reports unclosed markup', () => {
+    expect(parseMarkdown('*bold').error).toBe('Unclosed bold entity');
+    expect(parseMarkdown('`code').error).toBe('Unclosed ` code span');
+    expect(parseMarkdown('[text] (url)').error).toBe('Links must look like [text](url)');
+  });
+});
+
+describe('parseHtml', () => {
+  it('turns the supported tags into entities', () => {
+    expect(parseHtml('<b>bold</b> <em>it</em> <span class="tg-spoiler">hush</span> <a href="https://example.com?a=1&amp;b=2">link</a>'))
+      .toEqual({
+        text: 'bold it hush link',
+        entities: [
+          { type: 'bold', offset: 0, length: 4 },
+          { type: 'italic', offset: 5, length: 2 },
+          { type: 'spoiler', offset: 8, length: 4 },
+          { type: 'text_link', offset: 13, length: 4, url: 'https://example.com?a=1&b=2' }
+        ]
+      });
+  });
+
+  it('decodes character references and reads <pre><code> languages', () => {
+    expect(parseHtml('1 &lt; 2 &#x1F600; <pre><code class="language-py">x = 1</code></pre>')).toEqual({
+      text: '1 < 2 😀 x = 1',
+      entities: [{ type: 'pre', offset: 9, length: 5, language: 'py' }]
+    });
+  });
+
+  it('rejects unsupported or mismatched tags', () => {
+    expect(parseHtml('<script>alert(1)</script>').error).toBe('Unsupported tag <script>');
+    expect(parseHtml('<b><i>x</b></i>').error).toBe('Unexpected closing tag </b>');
+    expect(parseHtml('<span>x</span>').error).toBe('Only <span class="tg-spoiler"> is supported');
+    expect(parseHtml('<b>x').error).toBe('Unclosed <b> tag');
+  });
+});
+
+describe('prepareFormattedText', () => {
+  it('checks entities against the UTF-16 text', () => {
+    // The emoji takes two code units, so "hi" starts at 3
+    expect(prepareFormattedText({ content: '😀 hi', entities: [{ type: 'bold', offset: 3, length: 2 }] }))
+      .toEqual({ content: '😀 hi', entities: [{ type: 'bold', offset: 3, length: 2 }] });
+
+    expect(prepareFormattedText({ content: '😀 hi', entities: [{ type: 'bold', offset: 1, length: 2 }] }).error)
+      .toBe('Entity boundaries cannot split a surrogate pair');
+    expect(prepareFormattedText({ content: 'hi', entities: [{ type: 'bold', offset: 1, length: 2 }] }).error)
+      .toMatch(/past the end of the text/);
+  });
+
+  it('keeps only the fields each entity uses and sorts them', () => {
+    const { entities } = prepareFormattedText({
+      content: 'hello world',
+      entities: [
+        { type: 'italic', offset: 6, length: 5, url: 'https://example.com' },
+        { type: 'pre', offset: 0, length: 5, language: 'txt', extra: true }
+      ]
+    });
+
+    expect(entities).toEqual([
+      { type: 'pre', offset: 0, length: 5, language: 'txt' },
+      { type: 'italic', offset: 6, length: 5 }
+    ]);
+  });
+
+  it('rejects bad links, unknown types and unknown parse modes', () => {
+    const link = (url) => prepareFormattedText({ content: 'x', entities: [{ type: 'text_link', offset: 0, length: 1, url }] });
+
+    expect(link('javascript:alert(1)').error).toBe('text_link entities need a valid http(s) url');
+    expect(prepareFormattedText({ content: 'x', entities: [{ type: 'mention', offset: 0, length: 1 }] }).error)
+      .toMatch(/^Entity type must be one of/);
+    expect(prepareFormattedText({ content: 'x', parseMode: 'bbcode' }).error).toBe('parseMode must be one of: markdown, html');
+    expect(prepareFormattedText({ content: 'x', parseMode: 'markdown', entities: [] }).error)
+      .toBe('Send either entities or parseMode, not both');
+    expect(prepareFormattedText({ content: '**', parseMode: 'markdown' }).error)
+      .toBe('Message text is empty after formatting is removed');
+  });
+});
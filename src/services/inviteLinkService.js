@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../database/connection');
+const { isBanned, lockGroup, addParticipant } = require('./memberService');
+
+// Groups can have any number of named invite links. A link stops working once revoked, expired
+// or used usage_limit times; links that require approval queue a join request instead of adding
+// the user, and can't have a usage limit.
+// Link URLs are `${baseUrl}${token}`; the caller supplies the base (see the /join/:token redirect).
+const MAX_INVITE_LINK_NAME_LENGTH = 32;
+const MAX_INVITE_LINK_USAGE_LIMIT = 99999;
+
+const generateToken = () => crypto.randomBytes(12).toString('base64url');
+
+const formatInviteLink = (row, baseUrl) => ({
+  id: row.id,
+  chatId: row.chat_id,
+  link: `${baseUrl}${row.token}`,
+  token: row.token,
+  name: row.name,
+  createdBy: row.created_by,
+  expiresAt: row.expires_at,
+  usageLimit: row.usage_limit,
+  usageCount: row.usage_count,
+  requiresApproval: row.requires_approval,
+  pendingRequestCount: parseInt(row.pending_request_count || 0),
+  isRevoked: Boolean(row.revoked_at),
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
+
+const formatJoinRequest = (row) => ({
+  userId: row.user_id,
+  username: row.username,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  inviteLinkId: row.invite_link_id,
+  inviteLinkName: row.invite_link_name,
+  createdAt: row.created_at
+});
+
+const invalidLink = {
+  status: 404,
+  error: 'Invite link not found',
+  message: 'This invite link does not exist or has been revoked',
+  code: 'INVITE_LINK_INVALID'
+};
+
+// Why a link can't be used right now, or null when it can
+const getInviteLinkError = (link) => {
+  if (!link || link.revoked_at) {
+    return invalidLink;
+  }
+
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+    return {
+      status: 410,
+      error: 'Invite link expired',
+      message: 'This invite link has expired',
+      code: 'INVITE_LINK_EXPIRED'
+    };
+  }
+
+  if (link.usage_limit !== null && link.usage_count >= link.usage_limit) {
+    return {
+      status: 410,
+      error: 'Invite link used up',
+      message: 'This invite link has reached its usage limit',
+      code: 'INVITE_LINK_USAGE_LIMIT'
+    };
+  }
+
+  return null;
+};
+
+// Validate new link settings. Returns an error message or null.
+const validateInviteLinkSettings = ({ name, expiresAt, usageLimit, requiresApproval }) => {
+  if (name !== undefined && name !== null &&
+      (typeof name !== 'string' || name.trim().length > MAX_INVITE_LINK_NAME_LENGTH)) {
+    return `name must be at most ${MAX_INVITE_LINK_NAME_LENGTH} characters`;
+  }
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    return 'expiresAt must be in the future';
+  }
+  if (usageLimit !== undefined && usageLimit !== null &&
+      (!Number.isInteger(usageLimit) || usageLimit < 1 || usageLimit > MAX_INVITE_LINK_USAGE_LIMIT)) {
+    return `usageLimit must be between 1 and ${MAX_INVITE_LINK_USAGE_LIMIT}`;
+  }
+  if (requiresApproval && usageLimit) {
+    return 'Links that require approval cannot have a usage limit';
+  }
+
+  return null;
+};
+
+// A group's invite links, newest first, with their pending join request counts
+const getInviteLinks = async (chatId, baseUrl, { includeRevoked = false } = {}) => {
+  const result = await query(`
+    SELECT l.*,
+           (SELECT COUNT(*) FROM chat_join_requests r WHERE r.invite_link_id = l.id) as pending_request_count
+    FROM chat_invite_links l
+    WHERE l.chat_id = $1 ${includeRevoked ? '' : 'AND l.revoked_at IS NULL'}
+    ORDER BY l.created_at DESC
+  `, [chatId]);
+
+  return result.rows.map(row => formatInviteLink(row, baseUrl));
+};
+
+// Create an invite link. Returns { inviteLink } or { error } with a validation message.
+const createInviteLink = async (chatId, creatorId, settings, baseUrl) => {
+  const error = validateInviteLinkSettings(settings);
+  if (error) {
+    return { error };
+  }
+
+  const result = await query(`
+    INSERT INTO chat_invite_links (chat_id, token, name, created_by, expires_at, usage_limit, requires_approval)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    chatId,
+    generateToken(),
+    settings.name ? settings.name.trim() : null,
+    creatorId,
+    settings.expiresAt ? new Date(settings.expiresAt) : null,
+    settings.usageLimit || null,
+    Boolean(settings.requiresApproval)
+  ]);
+
+  return { inviteLink: formatInviteLink(result.rows[0], baseUrl) };
+};
+
+// Revoke a link; members who joined with it stay. Returns the link or null when it doesn't exist.
+const revokeInviteLink = async (chatId, linkId, baseUrl) => {
+  const result = await query(`
+    UPDATE chat_invite_links
+    SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+    WHERE id = $1 AND chat_id = $2
+    RETURNING *
+  `, [linkId, chatId]);
+
+  return result.rows.length > 0 ? formatInviteLink(result.rows[0], baseUrl) : null;
+};
+
+// What a user sees before joining with a link.
+// Returns { group } or { error } when the link can't be used.
+const previewInviteLink = async (token, userId) => {
+  const result = await query(`
+    SELECT l.*, c.title, c.description, c.member_count,
+           EXISTS (SELECT 1 FROM chat_participants cp WHERE cp.chat_id = l.chat_id AND cp.user_id = $2) as is_member,
+           EXISTS (SELECT 1 FROM chat_join_requests r WHERE r.chat_id = l.chat_id AND r.user_id = $2) as has_pending_request
+    FROM chat_invite_links l
+    INNER JOIN chats c ON c.id = l.chat_id
+    WHERE l.token = $1
+  `, [token, userId]);
+
+  const link = result.rows[0];
+  const error = getInviteLinkError(link);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    group: {
+      id: link.chat_id,
+      title: link.title,
+      description: link.description,
+      memberCount: link.member_count,
+      requiresApproval: link.requires_approval,
+      isMember: link.is_member,
+      hasPendingRequest: link.has_pending_request
+    }
+  };
+};
+
+// Join a group with an invite link. Links that require approval queue a join request.
+// Returns { chatId, pending: true } when queued, { chatId, messageId, memberCount } when joined, or { error }.
+const joinByInviteLink = async (token, userId) => {
+  const found = await query('SELECT id, chat_id FROM chat_invite_links WHERE token = $1', [token]);
+  if (found.rows.length === 0) {
+    return { error: invalidLink };
+  }
+  const { id: linkId, chat_id: chatId } = found.rows[0];
+
+  return transaction(async (db) => {
+    // Joins lock the group first, so usage counts can't race past the limit
+    if (!await lockGroup(db, chatId)) {
+      return { error: invalidLink };
+    }
+
+    const linkResult = await db('SELECT * FROM chat_invite_links WHERE id = $1', [linkId]);
+    const link = linkResult.rows[0];
+    const linkError = getInviteLinkError(link);
+    if (linkError) {
+      return { error: linkError };
+    }
+
+    if (link.requires_approval) {
+      if (await isBanned(chatId, userId, db)) {
+        return {
+          error: {
+            status: 403,
+            error: 'User banned',
+            message: 'You are banned from this group',
+            code: 'USER_BANNED'
+          }
+        };
+      }
+
+      const member = await db('SELECT 1 FROM chat_participants WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+      if (member.rows.length > 0) {
+        return {
+          error: {
+            status: 409,
+            error: 'User already member',
+            message: 'You are already a member of this group',
+            code: 'ALREADY_MEMBER'
+          }
+        };
+      }
+
+      await db(`
+        INSERT INTO chat_join_requests (chat_id, user_id, invite_link_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (chat_id, user_id) DO NOTHING
+      `, [chatId, userId, linkId]);
+
+      return { chatId, pending: true };
+    }
+
+    const joined = await addParticipant(db, chatId, userId, userId, { type: 'member_joined', inviteLinkId: linkId });
+    if (joined.error) {
+      return joined;
+    }
+
+    await db('UPDATE chat_invite_links SET usage_count = usage_count + 1 WHERE id = $1', [linkId]);
+
+    return { chatId, ...joined };
+  });
+};
+
+// Pending join requests for a group, oldest first
+const getJoinRequests = async (chatId) => {
+  const result = await query(`
+    SELECT r.user_id, r.invite_link_id, r.created_at, u.username, u.first_name, u.last_name,
+           l.name as invite_link_name
+    FROM chat_join_requests r
+    INNER JOIN users u ON u.id = r.user_id
+    LEFT JOIN chat_invite_links l ON l.id = r.invite_link_id
+    WHERE r.chat_id = $1
+    ORDER BY r.created_at ASC
+  `, [chatId]);
+
+  return result.rows.map(formatJoinRequest);
+};
+
+const joinRequestNotFound = {
+  status: 404,
+  error: 'Join request not found',
+  message: 'This user has no pending request to join the group',
+  code: 'JOIN_REQUEST_NOT_FOUND'
+};
+
+// Approve a join request, adding the user with the link they requested through.
+// Returns { messageId, memberCount } or { error }; requests that can't be approved are dropped.
+const approveJoinRequest = async (chatId, userId, approverId) => {
+  return transaction(async (db) => {
+    if (!await lockGroup(db, chatId)) {
+      return { error: joinRequestNotFound };
+    }
+
+    const request = await db(
+      'SELECT invite_link_id FROM chat_join_requests WHERE chat_id = $1 AND user_id = $2',
+      [chatId, userId]
+    );
+    if (request.rows.length === 0) {
+      return { error: joinRequestNotFound };
+    }
+
+    const inviteLinkId = request.rows[0].invite_link_id;
+    const joined = await addParticipant(db, chatId, userId, approverId, { type: 'member_joined', inviteLinkId });
+    if (joined.error) {
+      await db('DELETE FROM chat_join_requests WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+      return joined;
+    }
+
+    if (inviteLinkId) {
+      await db('UPDATE chat_invite_links SET usage_count = usage_count + 1 WHERE id = $1', [inviteLinkId]);
+    }
+
+    return joined;
+  });
+};
+
+// Decline a join request. Returns whether there was one.
+const declineJoinRequest = async (chatId, userId) => {
+  const result = await query('DELETE FROM chat_join_requests WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  MAX_INVITE_LINK_NAME_LENGTH,
+  MAX_INVITE_LINK_USAGE_LIMIT,
+  getInviteLinks,
+  createInviteLink,
+  revokeInviteLink,
+  previewInviteLink,
+  joinByInviteLink,
+  getJoinRequests,
+  approveJoinRequest,
+  declineJoinRequest
+};
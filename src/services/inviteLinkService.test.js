@@ -0,0 +1,268 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader, waitForEvents } = require('../routes/testApp');
+const { joinByInviteLink } = require('./inviteLinkService');
+const groupRoutes = require('../routes/groups');
+
+const BASE_URL = 'https://example.com/join/';
+
+beforeAll(() => {
+  process.env.INVITE_LINK_BASE_URL = BASE_URL;
+  return setupTestDatabase();
+});
+beforeEach(resetTestDatabase);
+afterAll(() => {
+  delete process.env.INVITE_LINK_BASE_URL;
+  return closeTestDatabase();
+});
+
+let app, events, alice, bob, carol, dave, group;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({ '/api/v1/groups': groupRoutes }));
+  alice = await createUser({ username: 'alice', first_name: 'Alice' });
+  bob = await createUser({ username: 'bob', first_name: 'Bob' });
+  carol = await createUser({ username: 'carol', first_name: 'Carol' });
+  dave = await createUser({ username: 'dave', first_name: 'Dave' });
+  group = await createChat(alice.id, { type: 'group', title: 'Book club', description: 'Monthly reads', members: [bob.id] });
+});
+
+const createLink = async (settings = {}) => (await request(app)
+  .post(`/api/v1/groups/${group.id}/invite-links`)
+  .set('Authorization', authHeader(alice))
+  .send(settings)
+  .expect(201)).body.inviteLink;
+
+const preview = (user, token) => request(app)
+  .get(`/api/v1/groups/join/${token}`)
+  .set('Authorization', authHeader(user));
+
+const join = (user, token) => request(app)
+  .post(`/api/v1/groups/join/${token}`)
+  .set('Authorization', authHeader(user));
+
+const review = (actor, userId, action) => request(app)
+  .post(`/api/v1/groups/${group.id}/join-requests/${userId}/${action}`)
+  .set('Authorization', authHeader(actor));
+
+const isMember = async (userId) => {
+  const result = await query('SELECT 1 FROM chat_participants WHERE chat_id = $1 AND user_id = $2', [group.id, userId]);
+  return result.rows.length > 0;
+};
+
+describe('invite links', () => {
+  it('previews the group, then joins it and counts the use', async () => {
+    const link = await createLink({ name: ' Newsletter ' });
+    expect(link).toMatchObject({
+      name: 'Newsletter',
+      link: `${BASE_URL}${link.token}`,
+      usageLimit: null,
+      usageCount: 0,
+      requiresApproval: false,
+      isRevoked: false
+    });
+
+    const before = await preview(carol, link.token).expect(200);
+    expect(before.body.group).toEqual({
+      id: group.id,
+      title: 'Book club',
+      description: 'Monthly reads',
+      memberCount: 2,
+      requiresApproval: false,
+      isMember: false,
+      hasPendingRequest: false
+    });
+
+    const joined = await join(carol, link.token).expect(201);
+    expect(joined.body).toMatchObject({ chatId: group.id, status: 'joined', memberCount: 3 });
+    expect((await preview(carol, link.token).expect(200)).body.group).toMatchObject({ isMember: true, memberCount: 3 });
+
+    const recorded = await query('SELECT content, system_action FROM messages WHERE chat_id = $1', [group.id]);
+    expect(recorded.rows).toEqual([{
+      content: 'Carol joined the group',
+      system_action: { type: 'member_joined', userId: carol.id, actorId: carol.id }
+    }]);
+    const added = await waitForEvents(events, 'chat_member_added');
+    expect(added.map(entry => entry.room)).toContain(`user:${alice.id}`);
+
+    // Joining twice neither adds nor counts anything
+    expect((await join(carol, link.token).expect(409)).body.code).toBe('ALREADY_MEMBER');
+    const links = (await request(app)
+      .get(`/api/v1/groups/${group.id}/invite-links`)
+      .set('Authorization', authHeader(alice))
+      .expect(200)).body.inviteLinks;
+    expect(links).toEqual([expect.objectContaining({ id: link.id, usageCount: 1 })]);
+  });
+
+  it('stops working once expired', async () => {
+    const link = await createLink({ expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    await query(`UPDATE chat_invite_links SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE id = $1`, [link.id]);
+
+    expect((await preview(carol, link.token).expect(410)).body.code).toBe('INVITE_LINK_EXPIRED');
+    expect((await join(carol, link.token).expect(410)).body.code).toBe('INVITE_LINK_EXPIRED');
+    expect(await isMember(carol.id)).toBe(false);
+  });
+
+  it('stops working once used up', async () => {
+    const link = await createLink({ usageLimit: 2 });
+    await join(carol, link.token).expect(201);
+    // Bob is already a member, so that attempt doesn't use the link
+    await join(bob, link.token).expect(409);
+    await join(dave, link.token).expect(201);
+
+    const eve = await createUser({ username: 'eve' });
+    expect((await preview(eve, link.token).expect(410)).body.code).toBe('INVITE_LINK_USAGE_LIMIT');
+    expect((await join(eve, link.token).expect(410)).body.code).toBe('INVITE_LINK_USAGE_LIMIT');
+
+    const counted = await query('SELECT usage_count FROM chat_invite_links WHERE id = $1', [link.id]);
+    expect(counted.rows[0].usage_count).toBe(2);
+    expect((await query('SELECT member_count FROM chats WHERE id = $1', [group.id])).rows[0].member_count).toBe(4);
+  });
+
+  it('lets only one of two racing joins take the last use', async () => {
+    const link = await createLink({ usageLimit: 1 });
+
+    const results = await Promise.all([joinByInviteLink(link.token, carol.id), joinByInviteLink(link.token, dave.id)]);
+
+    expect(results.filter(result => !result.error)).toHaveLength(1);
+    expect(results.filter(result => result.error).map(result => result.error.code)).toEqual(['INVITE_LINK_USAGE_LIMIT']);
+  });
+
+  it('stops working once revoked, keeping the members who joined with it', async () => {
+    const link = await createLink();
+    await join(carol, link.token).expect(201);
+
+    const revoked = await request(app)
+      .delete(`/api/v1/groups/${group.id}/invite-links/${link.id}`)
+      .set('Authorization', authHeader(alice))
+      .expect(200);
+    expect(revoked.body.inviteLink).toMatchObject({ isRevoked: true, usageCount: 1 });
+
+    expect((await join(dave, link.token).expect(404)).body.code).toBe('INVITE_LINK_INVALID');
+    expect(await isMember(carol.id)).toBe(true);
+
+    const listed = async (includeRevoked) => (await request(app)
+      .get(`/api/v1/groups/${group.id}/invite-links`)
+      .query({ includeRevoked })
+      .set('Authorization', authHeader(alice))
+      .expect(200)).body.inviteLinks.map(inviteLink => inviteLink.id);
+    expect(await listed(false)).toEqual([]);
+    expect(await listed(true)).toEqual([link.id]);
+
+    expect((await join(dave, 'no-such-token').expect(404)).body.code).toBe('INVITE_LINK_INVALID');
+  });
+
+  it('keeps banned users out', async () => {
+    const link = await createLink();
+    const approval = await createLink({ requiresApproval: true });
+    await query('INSERT INTO chat_bans (chat_id, user_id, banned_by) VALUES ($1, $2, $3)', [group.id, carol.id, alice.id]);
+
+    expect((await join(carol, link.token).expect(403)).body.code).toBe('USER_BANNED');
+    expect((await join(carol, approval.token).expect(403)).body.code).toBe('USER_BANNED');
+
+    const pending = await query('SELECT 1 FROM chat_join_requests WHERE chat_id = $1', [group.id]);
+    expect(pending.rows).toEqual([]);
+    expect((await query('SELECT usage_count FROM chat_invite_links WHERE id = $1', [link.id])).rows[0].usage_count).toBe(0);
+  });
+
+  it('rejects invalid settings and members without the inviteUsers right', async () => {
+    const invalid = async (settings) => (await request(app)
+      .post(`/api/v1/groups/${group.id}/invite-links`)
+      .set('Authorization', authHeader(alice))
+      .send(settings)
+      .expect(400)).body;
+
+    expect((await invalid({ usageLimit: 5, requiresApproval: true })).message)
+      .toBe('Links that require approval cannot have a usage limit');
+    expect((await invalid({ expiresAt: '2000-01-01T00:00:00Z' })).message).toBe('expiresAt must be in the future');
+    expect((await invalid({ usageLimit: 0 })).code).toBe('VALIDATION_ERROR');
+    expect((await invalid({ usageLimit: 100000 })).code).toBe('VALIDATION_ERROR');
+
+    await query(`UPDATE chats SET default_permissions = '{"inviteUsers": false}' WHERE id = $1`, [group.id]);
+    const denied = await request(app)
+      .post(`/api/v1/groups/${group.id}/invite-links`)
+      .set('Authorization', authHeader(bob))
+      .send({})
+      .expect(403);
+    expect(denied.body.missingRight).toBe('inviteUsers');
+  });
+});
+
+describe('join requests', () => {
+  let link;
+
+  beforeEach(async () => {
+    link = await createLink({ name: 'Apply here', requiresApproval: true });
+  });
+
+  it('queues a request, tells the admins and lets them approve it', async () => {
+    const queued = await join(carol, link.token).expect(202);
+    expect(queued.body).toMatchObject({ chatId: group.id, status: 'pending' });
+    const notified = events.filter(entry => entry.event === 'chat_join_request_updated');
+    expect(notified.map(entry => entry.room).sort()).toEqual([`user:${alice.id}`, `user:${carol.id}`].sort());
+    expect(notified[0].payload).toMatchObject({ chatId: group.id, userId: carol.id, status: 'pending' });
+    expect(await isMember(carol.id)).toBe(false);
+    expect((await preview(carol, link.token).expect(200)).body.group).toMatchObject({
+      requiresApproval: true,
+      hasPendingRequest: true
+    });
+
+    // Asking again doesn't queue a second request
+    await join(carol, link.token).expect(202);
+    const requests = (await request(app)
+      .get(`/api/v1/groups/${group.id}/join-requests`)
+      .set('Authorization', authHeader(alice))
+      .expect(200)).body.joinRequests;
+    expect(requests).toEqual([expect.objectContaining({ userId: carol.id, inviteLinkId: link.id, inviteLinkName: 'Apply here' })]);
+
+    const approved = await review(alice, carol.id, 'approve').expect(200);
+    expect(approved.body.memberCount).toBe(3);
+    expect(await isMember(carol.id)).toBe(true);
+    expect((await query('SELECT usage_count FROM chat_invite_links WHERE id = $1', [link.id])).rows[0].usage_count).toBe(1);
+
+    const recorded = await query('SELECT content FROM messages WHERE chat_id = $1', [group.id]);
+    expect(recorded.rows).toEqual([{ content: 'Carol joined the group' }]);
+    expect(events).toEqual(expect.arrayContaining([{
+      room: `user:${carol.id}`,
+      event: 'chat_join_request_updated',
+      payload: expect.objectContaining({ chatId: group.id, userId: carol.id, status: 'approved', reviewedBy: alice.id })
+    }]));
+
+    expect((await review(alice, carol.id, 'approve').expect(404)).body.code).toBe('JOIN_REQUEST_NOT_FOUND');
+  });
+
+  it('lets admins decline a request', async () => {
+    await join(carol, link.token).expect(202);
+
+    await review(alice, carol.id, 'decline').expect(200);
+
+    expect(await isMember(carol.id)).toBe(false);
+    expect((await preview(carol, link.token).expect(200)).body.group.hasPendingRequest).toBe(false);
+    expect((await review(alice, carol.id, 'decline').expect(404)).body.code).toBe('JOIN_REQUEST_NOT_FOUND');
+  });
+
+  it('drops a request whose user was banned in the meantime', async () => {
+    await join(carol, link.token).expect(202);
+    await request(app)
+      .post(`/api/v1/groups/${group.id}/bans`)
+      .set('Authorization', authHeader(alice))
+      .send({ userId: carol.id })
+      .expect(201);
+
+    // Banning clears the request, so there is nothing left to approve
+    expect((await review(alice, carol.id, 'approve').expect(404)).body.code).toBe('JOIN_REQUEST_NOT_FOUND');
+    expect(await isMember(carol.id)).toBe(false);
+  });
+
+  it('only lets members with the inviteUsers right review requests', async () => {
+    await query(`UPDATE chats SET default_permissions = '{"inviteUsers": false}' WHERE id = $1`, [group.id]);
+    await join(carol, link.token).expect(202);
+
+    expect((await review(bob, carol.id, 'approve').expect(403)).body.missingRight).toBe('inviteUsers');
+    expect((await review(dave, carol.id, 'decline').expect(403)).body.code).toBe('ACCESS_DENIED');
+  });
+});
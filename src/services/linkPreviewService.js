@@ -0,0 +1,465 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { query } = require('../database/connection');
+
+const PREVIEW_TIMEOUT_MS = parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000;
+const MAX_PREVIEW_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_CONCURRENT_FETCHES = 4;
+
+// Successful previews are reused for a day, failures are retried after an hour
+const CACHE_TTL_HOURS = 24;
+const FAILED_CACHE_TTL_HOURS = 1;
+
+const MAX_TITLE_LENGTH = 256;
+const MAX_DESCRIPTION_LENGTH = 1024;
+const MAX_SITE_NAME_LENGTH = 128;
+
+const USER_AGENT = 'TelegramCloneBot/1.0 (link preview)';
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+
+// Addresses the server must never be tricked into requesting on a user's behalf
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) {
+    const mapped = lower.slice(7);
+    return net.isIPv4(mapped) ? isPrivateAddress(mapped) : true;
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || lower.startsWith('fe80');
+};
+
+// dns.lookup wrapper used for every connection, so a hostname can't resolve (or re-resolve) to a private address
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      const privateError = new Error(`Refusing to fetch a private address for ${hostname}`);
+      privateError.code = 'PRIVATE_ADDRESS';
+      return callback(privateError);
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// One GET request. Redirects are returned rather than followed; bodies are cut off at maxBytes.
+const requestOnce = (url, { timeoutMs, maxBytes }) => new Promise((resolve, reject) => {
+  // IP literals never go through the lookup, so check them directly
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return reject(new Error(`Refusing to fetch a private address: ${host}`));
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  let settled = false;
+
+  const request = client.get(url, {
+    lookup: publicOnlyLookup,
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' }
+  }, (response) => {
+    const { statusCode, headers } = response;
+    const contentType = (headers['content-type'] || '').toLowerCase();
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.destroy();
+      settled = true;
+      return resolve({ status: statusCode, location: headers.location });
+    }
+
+    // Only HTML is worth downloading; other content is described by its type alone
+    if (!contentType.includes('text/html') && !contentType.includes('application/xhtml')) {
+      response.destroy();
+      settled = true;
+      return resolve({ url: url.href, status: statusCode, contentType, body: '' });
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    const finish = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      resolve({ url: url.href, status: statusCode, contentType, body: Buffer.concat(chunks).toString('utf8') });
+    };
+
+    response.on('data', (chunk) => {
+      const remaining = maxBytes - size;
+      size += chunk.length;
+      chunks.push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+
+      // The metadata lives in <head>, so a truncated page is still useful
+      if (size >= maxBytes) {
+        finish();
+        response.destroy();
+      }
+    });
+    response.on('end', finish);
+    response.on('error', (error) => !settled && reject(error));
+  });
+
+  const timer = setTimeout(() => {
+    request.destroy(timeoutError());
+  }, timeoutMs);
+
+  request.on('error', (error) => !settled && reject(error));
+  request.on('close', () => clearTimeout(timer));
+});
+
+const timeoutError = () => new Error('Link preview request timed out');
+
+// Default fetcher: plain http(s) with a total time limit, a body size limit, a few redirects
+// and no access to private networks.
+// Fetchers resolve to { url, status, contentType, body } where url is the final URL after redirects.
+const defaultFetcher = async (url, { timeoutMs, maxBytes }) => {
+  // One deadline for the whole chain, so each redirect gets only what the previous hops left
+  const deadline = Date.now() + timeoutMs;
+  let current = new URL(url);
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      throw timeoutError();
+    }
+
+    const result = await requestOnce(current, { timeoutMs: remainingMs, maxBytes });
+    if (!result.location) {
+      return result;
+    }
+
+    current = new URL(result.location, current);
+    if (!['http:', 'https:'].includes(current.protocol)) {
+      throw new Error('Redirected to an unsupported protocol');
+    }
+  }
+
+  throw new Error('Too many redirects');
+};
+
+let fetcher = defaultFetcher;
+
+// Swap the HTTP fetcher, e.g. for one that talks to a local fixture server. Pass null to restore the default.
+const setLinkPreviewFetcher = (customFetcher) => {
+  fetcher = customFetcher || defaultFetcher;
+};
+
+// Only valid http(s) URLs get previews; the fragment is dropped so it doesn't split the cache
+const normalizePreviewUrl = (candidate) => {
+  try {
+    const url = new URL(candidate);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return null;
+    }
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Trailing punctuation usually belongs to the sentence, not the link
+const trimUrlMatch = (match) => {
+  let url = match.replace(/[.,;:!?'"]+$/, '');
+  while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+    url = url.slice(0, -1);
+  }
+  return url;
+};
+
+// The URL a message's preview should show: the first link in the text, whether written out
+// or behind a text_link entity. Links inside code and pre blocks are ignored.
+const extractPreviewUrl = (content, entities = []) => {
+  if (!content) {
+    return null;
+  }
+
+  const codeBlocks = (entities || []).filter(entity => entity.type === 'code' || entity.type === 'pre');
+  const inCode = (offset) => codeBlocks.some(block => offset >= block.offset && offset < block.offset + block.length);
+
+  const candidates = (entities || [])
+    .filter(entity => entity.type === 'text_link')
+    .map(entity => ({ offset: entity.offset, url: entity.url }));
+
+  for (const match of content.matchAll(URL_PATTERN)) {
+    candidates.push({ offset: match.index, url: trimUrlMatch(match[0]) });
+  }
+
+  const first = candidates
+    .filter(candidate => !inCode(candidate.offset))
+    .sort((a, b) => a.offset - b.offset)
+    .map(candidate => normalizePreviewUrl(candidate.url))
+    .find(Boolean);
+
+  return first || null;
+};
+
+const safeFromCodePoint = (code, fallback) => {
+  return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : fallback;
+};
+
+const decodeHtmlText = (text) => {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (all, hex) => safeFromCodePoint(parseInt(hex, 16), all))
+    .replace(/&#(\d+);/g, (all, decimal) => safeFromCodePoint(parseInt(decimal, 10), all))
+    .replace(/&(quot|apos|lt|gt|nbsp);/g, (all, name) => ({
+      quot: '"', apos: "'", lt: '<', gt: '>', nbsp: ' '
+    })[name])
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const truncate = (text, maxLength) => {
+  if (!text) {
+    return null;
+  }
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+// Pull Open Graph / Twitter card / plain HTML metadata out of a page
+const parseHtmlMetadata = (html, pageUrl) => {
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = {};
+    const attributePattern = /([a-zA-Z:_-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(attributePattern)) {
+      attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = decodeHtmlText(attributes.content);
+    }
+  }
+
+  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(head);
+  const title = meta['og:title'] || meta['twitter:title'] || (titleMatch ? decodeHtmlText(titleMatch[1]) : null);
+  const description = meta['og:description'] || meta['twitter:description'] || meta.description || null;
+  const image = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || null;
+
+  let imageUrl = null;
+  if (image) {
+    try {
+      imageUrl = normalizePreviewUrl(new URL(image, pageUrl).href);
+    } catch (error) {
+      imageUrl = null;
+    }
+  }
+
+  return {
+    title: truncate(title, MAX_TITLE_LENGTH),
+    description: truncate(description, MAX_DESCRIPTION_LENGTH),
+    imageUrl,
+    siteName: truncate(meta['og:site_name'] || new URL(pageUrl).hostname, MAX_SITE_NAME_LENGTH)
+  };
+};
+
+const formatPreview = (row) => ({
+  url: row.url,
+  title: row.title,
+  description: row.description,
+  imageUrl: row.image_url,
+  siteName: row.site_name
+});
+
+// Settle with the promise, or reject once the deadline passes. Custom fetchers may ignore timeoutMs.
+const beforeDeadline = (promise, deadline) => {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(timeoutError()), Math.max(deadline - Date.now(), 0));
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+};
+
+// Fetch a page and build its preview. Returns null when there is nothing to show.
+const buildPreview = async (url, deadline) => {
+  const timeoutMs = deadline - Date.now();
+  if (timeoutMs <= 0) {
+    throw timeoutError();
+  }
+
+  const page = await beforeDeadline(fetcher(url, { timeoutMs, maxBytes: MAX_PREVIEW_BYTES }), deadline);
+  if (!page || page.status < 200 || page.status >= 300) {
+    return null;
+  }
+
+  const contentType = page.contentType || '';
+  const finalUrl = page.url || url;
+
+  if (contentType.startsWith('image/')) {
+    return {
+      title: null,
+      description: null,
+      imageUrl: normalizePreviewUrl(finalUrl),
+      siteName: new URL(finalUrl).hostname
+    };
+  }
+  if (!contentType.includes('html')) {
+    return null;
+  }
+
+  const metadata = parseHtmlMetadata(page.body || '', finalUrl);
+  return metadata.title || metadata.description || metadata.imageUrl ? metadata : null;
+};
+
+let activeFetches = 0;
+const waitingFetches = [];
+
+const acquireFetchSlot = () => {
+  if (activeFetches < MAX_CONCURRENT_FETCHES) {
+    activeFetches++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waitingFetches.push(resolve));
+};
+
+// Hand the slot straight to the next waiter so the limit can't be overshot
+const releaseFetchSlot = () => {
+  const next = waitingFetches.shift();
+  if (next) {
+    next();
+  } else {
+    activeFetches--;
+  }
+};
+
+// Previews being fetched right now, so several messages with the same link share one request
+const inFlight = new Map();
+
+// Get the preview for a URL from the cache, fetching it when missing or stale.
+// Returns { url, title, description, imageUrl, siteName } or null when the page has no usable preview.
+const getLinkPreview = async (url) => {
+  const cached = await query(`
+    SELECT url, status, title, description, image_url, site_name
+    FROM link_previews
+    WHERE url = $1
+      AND fetched_at > CURRENT_TIMESTAMP - CASE WHEN status = 'ready'
+        THEN INTERVAL '${CACHE_TTL_HOURS} hours'
+        ELSE INTERVAL '${FAILED_CACHE_TTL_HOURS} hours'
+      END
+  `, [url]);
+
+  if (cached.rows.length > 0) {
+    return cached.rows[0].status === 'ready' ? formatPreview(cached.rows[0]) : null;
+  }
+
+  if (inFlight.has(url)) {
+    return inFlight.get(url);
+  }
+
+  const pending = (async () => {
+    // PREVIEW_TIMEOUT_MS covers the whole preview, time spent waiting for a fetch slot included
+    const deadline = Date.now() + PREVIEW_TIMEOUT_MS;
+    await acquireFetchSlot();
+
+    // Too long in the queue says nothing about the site, so don't cache it as failed
+    if (Date.now() >= deadline) {
+      releaseFetchSlot();
+      console.log('⚠️ Link preview timed out waiting for a fetch slot:', url);
+      return null;
+    }
+
+    let preview = null;
+    try {
+      preview = await buildPreview(url, deadline);
+    } catch (error) {
+      console.log('⚠️ Link preview fetch failed:', url, error.message);
+    } finally {
+      releaseFetchSlot();
+    }
+
+    const result = await query(`
+      INSERT INTO link_previews (url, status, title, description, image_url, site_name, fetched_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+      ON CONFLICT (url) DO UPDATE
+      SET status = EXCLUDED.status,
+          title = EXCLUDED.title,
+          description = EXCLUDED.description,
+          image_url = EXCLUDED.image_url,
+          site_name = EXCLUDED.site_name,
+          fetched_at = EXCLUDED.fetched_at
+      RETURNING url, status, title, description, image_url, site_name
+    `, [
+      url,
+      preview ? 'ready' : 'failed',
+      preview ? preview.title : null,
+      preview ? preview.description : null,
+      preview ? preview.imageUrl : null,
+      preview ? preview.siteName : null
+    ]);
+
+    return preview ? formatPreview(result.rows[0]) : null;
+  })();
+
+  inFlight.set(url, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(url);
+  }
+};
+
+// Bring a message's link preview in line with its current text: attach a preview for its first
+// link, replace one for a link edited away, or clear it. Returns true when the message changed.
+const refreshMessageLinkPreview = async (messageId) => {
+  const result = await query(`
+    SELECT content, entities, link_preview, message_type, is_deleted
+    FROM messages
+    WHERE id = $1
+  `, [messageId]);
+
+  const message = result.rows[0];
+  if (!message || message.is_deleted || message.message_type !== 'text') {
+    return false;
+  }
+
+  const url = extractPreviewUrl(message.content, message.entities);
+  const currentUrl = message.link_preview ? message.link_preview.url : null;
+  if (url === currentUrl) {
+    return false;
+  }
+
+  const preview = url ? await getLinkPreview(url) : null;
+  if (!preview && !message.link_preview) {
+    return false;
+  }
+
+  // The content check drops a preview fetched for text that was edited in the meantime
+  const update = await query(`
+    UPDATE messages
+    SET link_preview = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND content = $3 AND is_deleted = false
+  `, [preview ? JSON.stringify(preview) : null, messageId, message.content]);
+
+  return update.rowCount > 0;
+};
+
+module.exports = {
+  PREVIEW_TIMEOUT_MS,
+  MAX_PREVIEW_BYTES,
+  setLinkPreviewFetcher,
+  extractPreviewUrl,
+  parseHtmlMetadata,
+  getLinkPreview,
+  refreshMessageLinkPreview
+};
@@ -0,0 +1,280 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+// Short enough for the time limit specs to run quickly; read when the service is loaded
+process.env.LINK_PREVIEW_TIMEOUT_MS = '300';
+
+const http = require('http');
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader, waitForEvents } = require('../routes/testApp');
+const { sendMessage } = require('./messageService');
+const {
+  PREVIEW_TIMEOUT_MS,
+  MAX_PREVIEW_BYTES,
+  setLinkPreviewFetcher,
+  extractPreviewUrl,
+  parseHtmlMetadata,
+  getLinkPreview,
+  refreshMessageLinkPreview
+} = require('./linkPreviewService');
+const messageRoutes = require('../routes/messages');
+
+const ARTICLE_HTML = `<!doctype html><html><head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="Release notes &amp; more">
+  <meta property="og:description" content="What changed this week">
+  <meta property="og:image" content="/images/cover.png">
+  <meta property="og:site_name" content="Example Blog">
+</head><body>Article</body></html>`;
+
+// Pages served by the fixture server, by path
+const PAGES = {
+  '/article': { contentType: 'text/html; charset=utf-8', body: ARTICLE_HTML },
+  '/plain': { contentType: 'text/html', body: '<html><head><title>Just a title</title></head></html>' },
+  '/photo.png': { contentType: 'image/png', body: 'not really a png' },
+  '/data.json': { contentType: 'application/json', body: '{}' }
+};
+
+let server, baseUrl, hits;
+
+beforeAll(async () => {
+  await setupTestDatabase();
+
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+
+    if (req.url === '/slow') {
+      return; // Never answers
+    }
+
+    const page = PAGES[req.url];
+    if (!page) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      return res.end('<title>Not found</title>');
+    }
+
+    res.writeHead(200, { 'Content-Type': page.contentType });
+    res.end(page.body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(resetTestDatabase);
+
+afterAll(async () => {
+  setLinkPreviewFetcher(null);
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await closeTestDatabase();
+});
+
+// The default fetcher refuses loopback addresses, so specs fetch the fixture with this one.
+// It honours the limits it is given the way a real fetcher must.
+const fixtureFetcher = jest.fn((url, { timeoutMs, maxBytes }) => new Promise((resolve, reject) => {
+  const req = http.get(url, (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({
+      url,
+      status: res.statusCode,
+      contentType: res.headers['content-type'] || '',
+      body: Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8')
+    }));
+  });
+  req.setTimeout(timeoutMs, () => req.destroy(new Error('timed out')));
+  req.on('error', reject);
+}));
+
+beforeEach(() => {
+  hits = {};
+  fixtureFetcher.mockClear();
+  setLinkPreviewFetcher(fixtureFetcher);
+});
+
+describe('extractPreviewUrl', () => {
+  it('picks the first link, written out or behind a text_link', () => {
+    expect(extractPreviewUrl('see https://a.example/one and https://b.example/two')).toBe('https://a.example/one');
+    expect(extractPreviewUrl('read this, then https://b.example/two', [
+      { type: 'text_link', offset: 5, length: 4, url: 'https://a.example/docs' }
+    ])).toBe('https://a.example/docs');
+  });
+
+  it('leaves out trailing punctuation and fragments', () => {
+    expect(extractPreviewUrl('Have you seen https://a.example/page?')).toBe('https://a.example/page');
+    expect(extractPreviewUrl('(https://a.example/wiki/Foo_(bar)).')).toBe('https://a.example/wiki/Foo_(bar)');
+    expect(extractPreviewUrl('https://a.example/page#section')).toBe('https://a.example/page');
+  });
+
+  it('ignores links inside code and anything that is not http(s)', () => {
+    const content = 'curl https://a.example/api then ftp://b.example';
+    expect(extractPreviewUrl(content, [{ type: 'code', offset: 0, length: 29 }])).toBeNull();
+    expect(extractPreviewUrl('mail me', [{ type: 'text_link', offset: 0, length: 4, url: 'mailto:a@b.example' }])).toBeNull();
+    expect(extractPreviewUrl(null)).toBeNull();
+  });
+});
+
+describe('parseHtmlMetadata', () => {
+  it('prefers Open Graph tags and resolves relative images', () => {
+    expect(parseHtmlMetadata(ARTICLE_HTML, 'https://blog.example/posts/1')).toEqual({
+      title: 'Release notes & more',
+      description: 'What changed this week',
+      imageUrl: 'https://blog.example/images/cover.png',
+      siteName: 'Example Blog'
+    });
+  });
+
+  it('falls back to Twitter cards, then plain HTML', () => {
+    const twitter = `<head>
+      <meta name='twitter:title' content='Card title'>
+      <meta name=description content="Plain description">
+      <meta name="twitter:image" content="https://cdn.example/card.jpg">
+    </head>`;
+    expect(parseHtmlMetadata(twitter, 'https://site.example/')).toEqual({
+      title: 'Card title',
+      description: 'Plain description',
+      imageUrl: 'https://cdn.example/card.jpg',
+      siteName: 'site.example'
+    });
+
+    expect(parseHtmlMetadata('<title> Spaced\n out &#8212; title </title>', 'https://site.example/').title)
+      .toBe('Spaced out — title');
+  });
+
+  it('only reads the head and drops unusable images', () => {
+    const html = `<head><meta property="og:image" content="javascript:alert(1)"></head>
+      <body><meta property="og:title" content="From the body"></body>`;
+    expect(parseHtmlMetadata(html, 'https://site.example/')).toMatchObject({ title: null, imageUrl: null });
+  });
+
+  it('caps long fields', () => {
+    const html = `<head><title>${'t'.repeat(300)}</title></head>`;
+    const { title } = parseHtmlMetadata(html, 'https://site.example/');
+    expect(title).toHaveLength(256);
+    expect(title.endsWith('…')).toBe(true);
+  });
+});
+
+describe('getLinkPreview', () => {
+  it('builds a preview from the page and caches it', async () => {
+    const url = `${baseUrl}/article`;
+
+    const preview = await getLinkPreview(url);
+    expect(preview).toEqual({
+      url,
+      title: 'Release notes & more',
+      description: 'What changed this week',
+      imageUrl: `${baseUrl}/images/cover.png`,
+      siteName: 'Example Blog'
+    });
+
+    expect(await getLinkPreview(url)).toEqual(preview);
+    expect(hits['/article']).toBe(1);
+  });
+
+  it('shares one request between concurrent lookups of the same link', async () => {
+    const url = `${baseUrl}/plain`;
+
+    const [first, second] = await Promise.all([getLinkPreview(url), getLinkPreview(url)]);
+    expect(first).toEqual(second);
+    expect(first.title).toBe('Just a title');
+    expect(hits['/plain']).toBe(1);
+  });
+
+  it('previews images by their URL and skips other content', async () => {
+    expect(await getLinkPreview(`${baseUrl}/photo.png`)).toMatchObject({ imageUrl: `${baseUrl}/photo.png`, title: null });
+    expect(await getLinkPreview(`${baseUrl}/data.json`)).toBeNull();
+  });
+
+  it('caches failures for an hour', async () => {
+    const url = `${baseUrl}/missing`;
+
+    expect(await getLinkPreview(url)).toBeNull();
+    expect(await getLinkPreview(url)).toBeNull();
+    expect(hits['/missing']).toBe(1);
+
+    await query(`UPDATE link_previews SET fetched_at = CURRENT_TIMESTAMP - INTERVAL '61 minutes' WHERE url = $1`, [url]);
+    await getLinkPreview(url);
+    expect(hits['/missing']).toBe(2);
+  });
+
+  it('gives the fetcher the size and time limits', async () => {
+    await getLinkPreview(`${baseUrl}/article`);
+
+    const [, limits] = fixtureFetcher.mock.calls[0];
+    expect(limits.maxBytes).toBe(MAX_PREVIEW_BYTES);
+    expect(limits.timeoutMs).toBeGreaterThan(0);
+    expect(limits.timeoutMs).toBeLessThanOrEqual(PREVIEW_TIMEOUT_MS);
+  });
+
+  it('gives up on slow pages, even with a fetcher that ignores the time limit', async () => {
+    const started = Date.now();
+    expect(await getLinkPreview(`${baseUrl}/slow`)).toBeNull();
+
+    setLinkPreviewFetcher(() => new Promise(() => {}));
+    expect(await getLinkPreview('https://stuck.example/')).toBeNull();
+
+    expect(Date.now() - started).toBeLessThan(PREVIEW_TIMEOUT_MS * 2 + 500);
+    const cached = await query('SELECT url, status FROM link_previews ORDER BY url');
+    expect(cached.rows).toEqual([
+      { url: `${baseUrl}/slow`, status: 'failed' },
+      { url: 'https://stuck.example/', status: 'failed' }
+    ]);
+  });
+
+  it('never fetches private addresses with the default fetcher', async () => {
+    setLinkPreviewFetcher(null);
+
+    expect(await getLinkPreview(`${baseUrl}/article`)).toBeNull();
+    expect(hits['/article']).toBeUndefined();
+  });
+});
+
+describe('message previews', () => {
+  let alice, bob, chat;
+
+  beforeEach(async () => {
+    alice = await createUser({ username: 'alice' });
+    bob = await createUser({ username: 'bob' });
+    chat = await createChat(alice.id, { type: 'group', members: [bob.id] });
+  });
+
+  const storedPreview = async (messageId) => {
+    const result = await query('SELECT link_preview FROM messages WHERE id = $1', [messageId]);
+    return result.rows[0].link_preview;
+  };
+
+  it('attaches, replaces and clears a message\'s preview as its text changes', async () => {
+    const { message } = await sendMessage({ chatId: chat.id, senderId: alice.id, content: `look ${baseUrl}/article` });
+
+    expect(await refreshMessageLinkPreview(message.id)).toBe(true);
+    expect((await storedPreview(message.id)).title).toBe('Release notes & more');
+    expect(await refreshMessageLinkPreview(message.id)).toBe(false);
+
+    await query('UPDATE messages SET content = $1 WHERE id = $2', [`now ${baseUrl}/plain`, message.id]);
+    expect(await refreshMessageLinkPreview(message.id)).toBe(true);
+    expect((await storedPreview(message.id)).title).toBe('Just a title');
+
+    await query('UPDATE messages SET content = $1 WHERE id = $2', ['no link', message.id]);
+    expect(await refreshMessageLinkPreview(message.id)).toBe(true);
+    expect(await storedPreview(message.id)).toBeNull();
+  });
+
+  it('pushes message_updated once a sent message\'s preview is ready', async () => {
+    const { app, events } = createTestApp({ '/api/v1/messages': messageRoutes });
+
+    const sent = await request(app)
+      .post(`/api/v1/messages/${chat.id}`)
+      .set('Authorization', authHeader(alice))
+      .send({ content: `look ${baseUrl}/article` })
+      .expect(201);
+
+    const updates = await waitForEvents(events, 'message_updated');
+    expect(updates.find(update => update.room === `user:${bob.id}`).payload.message).toMatchObject({
+      id: sent.body.data.id,
+      linkPreview: { url: `${baseUrl}/article`, title: 'Release notes & more' }
+    });
+  });
+});
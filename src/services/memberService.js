@@ -0,0 +1,373 @@
+const { query, transaction } = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+const { refreshChatLastMessage } = require('./messageService');
+
+// Membership changes are recorded in the chat history as 'system' messages whose
+// system_action is { type, userId, actorId }
+const MEMBERSHIP_ACTIONS = ['member_added', 'member_joined', 'member_left', 'member_removed', 'member_banned'];
+
+// "Delete their recent messages" on remove/ban covers this many hours
+const RECENT_MESSAGES_WINDOW_HOURS = 24;
+
+const ACTIVE_BAN = '(expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)';
+
+const formatBan = (row) => ({
+  userId: row.user_id,
+  username: row.username,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  bannedBy: row.banned_by,
+  expiresAt: row.expires_at,
+  createdAt: row.created_at
+});
+
+// Whether the user is currently banned from the chat (expired bans don't count)
+const isBanned = async (chatId, userId, db = query) => {
+  const result = await db(
+    `SELECT 1 FROM chat_bans WHERE chat_id = $1 AND user_id = $2 AND ${ACTIVE_BAN}`,
+    [chatId, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Active bans in a chat, newest first
+const getBans = async (chatId) => {
+  const result = await query(`
+    SELECT b.user_id, b.banned_by, b.expires_at, b.created_at, u.username, u.first_name, u.last_name
+    FROM chat_bans b
+    INNER JOIN users u ON u.id = b.user_id
+    WHERE b.chat_id = $1 AND ${ACTIVE_BAN}
+    ORDER BY b.created_at DESC
+  `, [chatId]);
+
+  return result.rows.map(formatBan);
+};
+
+// Lock the group row for the rest of the transaction so concurrent membership changes
+// (and the member_count recount) happen one at a time. Returns the group or null.
+const lockGroup = async (db, chatId) => {
+  const result = await db(
+    'SELECT id, creator_id FROM chats WHERE id = $1 AND is_group = true FOR UPDATE',
+    [chatId]
+  );
+
+  return result.rows[0] || null;
+};
+
+const getRole = async (db, chatId, userId) => {
+  const result = await db(
+    'SELECT role FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+    [chatId, userId]
+  );
+
+  return result.rows[0] ? result.rows[0].role : null;
+};
+
+const refreshMemberCount = async (db, chatId) => {
+  const result = await db(`
+    UPDATE chats
+    SET member_count = (SELECT COUNT(*) FROM chat_participants WHERE chat_id = $1),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING member_count
+  `, [chatId]);
+
+  return result.rows[0].member_count;
+};
+
+const getDisplayNames = async (db, userIds) => {
+  const result = await db(
+    'SELECT id, username, first_name, last_name FROM users WHERE id = ANY($1::uuid[])',
+    [userIds]
+  );
+
+  const names = {};
+  result.rows.forEach(row => {
+    names[row.id] = [row.first_name, row.last_name].filter(Boolean).join(' ') || row.username;
+  });
+  return names;
+};
+
+const describeMembershipChange = (type, actorName, userName) => {
+  switch (type) {
+    case 'member_added':
+      return `${actorName} added ${userName}`;
+    case 'member_joined':
+      return `${userName} joined the group`;
+    case 'member_left':
+      return `${userName} left the group`;
+    case 'member_removed':
+      return `${actorName} removed ${userName}`;
+    case 'member_banned':
+      return `${actorName} banned ${userName}`;
+    default:
+      return null;
+  }
+};
+
+// Insert the system message recording a membership change and make it the chat's last message.
+// System messages are silent, never expire and carry no entities. Returns the message id.
+const recordMembershipChange = async (db, chatId, actorId, type, userId) => {
+  const names = await getDisplayNames(db, [actorId, userId]);
+  const content = describeMembershipChange(type, names[actorId], names[userId]);
+  const messageId = uuidv4();
+
+  const inserted = await db(`
+    INSERT INTO messages (id, chat_id, sender_id, content, message_type, system_action, entities, is_silent)
+    VALUES ($1, $2, $3, $4, 'system', $5, '[]', true)
+    RETURNING created_at
+  `, [messageId, chatId, actorId, content, JSON.stringify({ type, userId, actorId })]);
+
+  await db(`
+    UPDATE chats
+    SET last_message_at = $1, last_message_content = $2, last_message_sender_id = $3
+    WHERE id = $4
+  `, [inserted.rows[0].created_at, content, actorId, chatId]);
+
+  return messageId;
+};
+
+// Delete everything the user sent in the chat within the recent-messages window, for everyone
+// (with its reactions, pins and edit history).
+// Returns the ids of the deleted messages.
+const deleteRecentMessages = async (db, chatId, userId) => {
+  const deleted = await db(`
+    UPDATE messages
+    SET is_deleted = true, content = NULL, encrypted_content = NULL,
+        deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE chat_id = $1 AND sender_id = $2 AND is_deleted = false
+      AND message_type != 'system'
+      AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $3)
+    RETURNING id
+  `, [chatId, userId, RECENT_MESSAGES_WINDOW_HOURS]);
+
+  const messageIds = deleted.rows.map(row => row.id);
+  if (messageIds.length > 0) {
+    await db('DELETE FROM message_reactions WHERE message_id = ANY($1::uuid[])', [messageIds]);
+    await db('DELETE FROM pinned_messages WHERE message_id = ANY($1::uuid[])', [messageIds]);
+    await db('DELETE FROM message_edits WHERE message_id = ANY($1::uuid[])', [messageIds]);
+  }
+
+  return messageIds;
+};
+
+const groupNotFound = {
+  status: 404,
+  error: 'Group not found',
+  message: 'Group does not exist',
+  code: 'GROUP_NOT_FOUND'
+};
+
+// Insert a participant inside a transaction that holds the group lock, recording the join as
+// `type` (member_added or member_joined) and the invite link used, if any. Clears any pending
+// join request. Returns { messageId, memberCount } or { error }.
+const addParticipant = async (db, chatId, userId, actorId, { type = 'member_added', inviteLinkId = null } = {}) => {
+  if (await isBanned(chatId, userId, db)) {
+    return {
+      error: {
+        status: 403,
+        error: 'User banned',
+        message: 'This user is banned from the group',
+        code: 'USER_BANNED'
+      }
+    };
+  }
+
+  const inserted = await db(`
+    INSERT INTO chat_participants (chat_id, user_id, role, invite_link_id)
+    VALUES ($1, $2, 'member', $3)
+    ON CONFLICT (chat_id, user_id) DO NOTHING
+    RETURNING id
+  `, [chatId, userId, inviteLinkId]);
+
+  if (inserted.rows.length === 0) {
+    return {
+      error: {
+        status: 409,
+        error: 'User already member',
+        message: 'User is already a member of this group',
+        code: 'ALREADY_MEMBER'
+      }
+    };
+  }
+
+  await db('DELETE FROM chat_join_requests WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+
+  const memberCount = await refreshMemberCount(db, chatId);
+  const messageId = await recordMembershipChange(db, chatId, actorId, type, userId);
+
+  return { messageId, memberCount };
+};
+
+// Add a user to a group on behalf of `actorId`.
+// Returns { messageId, memberCount } or { error } with an HTTP-style status, code and message.
+const addMember = async (chatId, userId, actorId) => {
+  return transaction(async (db) => {
+    if (!await lockGroup(db, chatId)) {
+      return { error: groupNotFound };
+    }
+
+    return addParticipant(db, chatId, userId, actorId);
+  });
+};
+
+// Leave a group. Returns { messageId, memberCount } or { error }.
+const leaveGroup = async (chatId, userId) => {
+  return transaction(async (db) => {
+    if (!await lockGroup(db, chatId)) {
+      return { error: groupNotFound };
+    }
+
+    const removed = await db(
+      'DELETE FROM chat_participants WHERE chat_id = $1 AND user_id = $2 RETURNING id',
+      [chatId, userId]
+    );
+
+    if (removed.rows.length === 0) {
+      return {
+        error: {
+          status: 403,
+          error: 'Access denied',
+          message: 'You are not a member of this group',
+          code: 'ACCESS_DENIED'
+        }
+      };
+    }
+
+    await db('DELETE FROM group_permissions WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+
+    const memberCount = await refreshMemberCount(db, chatId);
+    const messageId = await recordMembershipChange(db, chatId, userId, 'member_left', userId);
+
+    return { messageId, memberCount };
+  });
+};
+
+// Remove a member from a group, optionally banning them (until `expiresAt`, or forever when null)
+// and deleting their recent messages. The caller checks the banUsers right; only the creator can
+// remove admins, and the creator can't be removed. Users who aren't members can still be banned.
+// Returns { wasMember, messageId, memberCount, deletedMessageIds } or { error }.
+const removeMember = async (chatId, userId, actorId, { ban = false, expiresAt = null, deleteMessages = false } = {}) => {
+  const result = await transaction(async (db) => {
+    const group = await lockGroup(db, chatId);
+    if (!group) {
+      return { error: groupNotFound };
+    }
+
+    if (userId === actorId) {
+      return {
+        error: {
+          status: 400,
+          error: 'Invalid member',
+          message: 'Use leave to remove yourself from the group',
+          code: 'CANNOT_REMOVE_SELF'
+        }
+      };
+    }
+
+    const targetRole = await getRole(db, chatId, userId);
+    if (userId === group.creator_id || (targetRole === 'admin' && actorId !== group.creator_id)) {
+      return {
+        error: {
+          status: 403,
+          error: 'Access denied',
+          message: userId === group.creator_id
+            ? 'The group creator cannot be removed'
+            : 'Only the group creator can remove admins',
+          code: 'ACCESS_DENIED'
+        }
+      };
+    }
+
+    if (!targetRole && !ban) {
+      return {
+        error: {
+          status: 404,
+          error: 'Member not found',
+          message: 'User is not a member of this group',
+          code: 'MEMBER_NOT_FOUND'
+        }
+      };
+    }
+
+    if (ban) {
+      await db(`
+        INSERT INTO chat_bans (chat_id, user_id, banned_by, expires_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (chat_id, user_id)
+        DO UPDATE SET banned_by = $3, expires_at = $4, created_at = CURRENT_TIMESTAMP
+      `, [chatId, userId, actorId, expiresAt ? new Date(expiresAt) : null]);
+      await db('DELETE FROM chat_join_requests WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+    }
+
+    const deletedMessageIds = deleteMessages ? await deleteRecentMessages(db, chatId, userId) : [];
+
+    let messageId = null;
+    if (targetRole) {
+      await db('DELETE FROM chat_participants WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+      await db('DELETE FROM group_permissions WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+      messageId = await recordMembershipChange(db, chatId, actorId, ban ? 'member_banned' : 'member_removed', userId);
+    }
+
+    const memberCount = await refreshMemberCount(db, chatId);
+
+    return { wasMember: Boolean(targetRole), messageId, memberCount, deletedMessageIds };
+  });
+
+  // Without a system message, a deleted message may have been the chat's last one
+  if (!result.error && !result.messageId && result.deletedMessageIds.length > 0) {
+    await refreshChatLastMessage(chatId);
+  }
+
+  return result;
+};
+
+// Lift a ban. Returns whether there was one.
+const unbanMember = async (chatId, userId) => {
+  const result = await query('DELETE FROM chat_bans WHERE chat_id = $1 AND user_id = $2', [chatId, userId]);
+  return result.rowCount > 0;
+};
+
+// Create a group with the creator as admin. Repeated ids, the creator's own id and ids of users that
+// don't exist are skipped. Returns { groupId, memberCount }.
+const createGroup = async (creatorId, { title, description = null, participantIds }) => {
+  const memberIds = [...new Set(participantIds)].filter(userId => userId !== creatorId);
+
+  return transaction(async (db) => {
+    const groupId = uuidv4();
+
+    await db(`
+      INSERT INTO chats (id, type, title, description, is_group, creator_id, member_count)
+      VALUES ($1, 'group', $2, $3, true, $4, 0)
+    `, [groupId, title, description, creatorId]);
+
+    await db(`
+      INSERT INTO chat_participants (chat_id, user_id, role)
+      VALUES ($1, $2, 'admin')
+    `, [groupId, creatorId]);
+
+    await db(`
+      INSERT INTO chat_participants (chat_id, user_id, role)
+      SELECT $1, u.id, 'member' FROM users u WHERE u.id = ANY($2::uuid[])
+    `, [groupId, memberIds]);
+
+    const memberCount = await refreshMemberCount(db, groupId);
+
+    return { groupId, memberCount };
+  });
+};
+
+module.exports = {
+  MEMBERSHIP_ACTIONS,
+  RECENT_MESSAGES_WINDOW_HOURS,
+  isBanned,
+  getBans,
+  lockGroup,
+  addParticipant,
+  addMember,
+  leaveGroup,
+  removeMember,
+  unbanMember,
+  createGroup
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../database/connection');
+const { refreshChatLastMessage } = require('./messageService');
+
+const uploadsDir = path.join(__dirname, '../../uploads');
+
+// Media message types whose content is the uploaded file's URL
+const MEDIA_TYPES = ['image', 'video', 'audio', 'file'];
+
+// Map a URL served from /uploads to its path on disk (null for anything else)
+const toUploadPath = (url) => {
+  const match = /\/uploads\/([^/?#]+)/.exec(url || '');
+  return match ? path.join(uploadsDir, path.basename(match[1])) : null;
+};
+
+// Remove uploaded files that no remaining message points at.
+// Forwarded copies reuse the original URL, so a file is only unlinked once nothing references it.
+const removeOrphanedUploads = async (urls) => {
+  for (const url of new Set(urls)) {
+    const filePath = toUploadPath(url);
+    if (!filePath) {
+      continue;
+    }
+
+    const stillUsed = await query(`
+      SELECT 1 FROM messages WHERE content = $1
+      UNION ALL
+      SELECT 1 FROM files WHERE url = $1
+      LIMIT 1
+    `, [url]);
+
+    if (stillUsed.rows.length > 0) {
+      continue;
+    }
+
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error removing expired upload:', filePath, error.message);
+      }
+    }
+  }
+};
+
+// Hard-delete messages whose disappearing timer ran out, with their files.
+// Returns { chatId: [messageId, ...] } for the rows this call actually deleted, so when
+// several instances purge at once each message is reported exactly once.
+const purgeExpiredMessages = async (limit = 500) => {
+  const expiredResult = await query(`
+    SELECT id, content, message_type FROM messages
+    WHERE expires_at <= CURRENT_TIMESTAMP
+    ORDER BY expires_at ASC
+    LIMIT $1
+  `, [limit]);
+
+  const purged = {};
+  if (expiredResult.rows.length === 0) {
+    return purged;
+  }
+
+  const ids = expiredResult.rows.map(row => row.id);
+
+  const filesResult = await query('SELECT url FROM files WHERE message_id = ANY($1)', [ids]);
+  const urls = filesResult.rows.map(row => row.url).concat(
+    expiredResult.rows
+      .filter(row => MEDIA_TYPES.includes(row.message_type))
+      .map(row => row.content)
+  );
+
+  // Move read watermarks off purged messages onto the newest surviving message before them,
+  // otherwise unread counts would fall back to the join date
+  await query(`
+    UPDATE chat_participants cp
+    SET last_read_message_id = (
+      SELECT m.id FROM messages m
+      INNER JOIN messages watermark ON watermark.id = cp.last_read_message_id
+      WHERE m.chat_id = cp.chat_id
+        AND m.id <> ALL($1)
+        AND m.created_at <= watermark.created_at
+      ORDER BY m.created_at DESC
+      LIMIT 1
+    )
+    WHERE cp.last_read_message_id = ANY($1)
+  `, [ids]);
+
+  // Replies and forwards keep their own content but lose the link to the purged message
+  await query('UPDATE messages SET reply_to = NULL WHERE reply_to = ANY($1)', [ids]);
+  await query('UPDATE messages SET forward_from = NULL WHERE forward_from = ANY($1)', [ids]);
+
+  // files, receipts, reactions, edits etc. cascade
+  const deletedResult = await query(
+    'DELETE FROM messages WHERE id = ANY($1) RETURNING id, chat_id',
+    [ids]
+  );
+
+  deletedResult.rows.forEach(row => {
+    if (!purged[row.chat_id]) {
+      purged[row.chat_id] = [];
+    }
+    purged[row.chat_id].push(row.id);
+  });
+
+  for (const chatId of Object.keys(purged)) {
+    await refreshChatLastMessage(chatId);
+  }
+
+  await removeOrphanedUploads(urls);
+
+  return purged;
+};
+
+module.exports = {
+  purgeExpiredMessages
+};
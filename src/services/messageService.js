@@ -0,0 +1,503 @@
+const { query, transaction } = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+const { markRead } = require('./receiptService');
+const { buildEntities, getMentionedUserIds, recordMentions, syncMentions } = require('./entityService');
+const { getReactionSummaries } = require('./reactionService');
+const { createPoll, deletePoll, getPollViews } = require('./pollService');
+const { getChatPermissions, getSendRights, permissionDenied } = require('./permissionService');
+
+// Length of the quoted text shown in reply previews
+const REPLY_PREVIEW_LENGTH = 100;
+
+// How long after sending a message its sender may still edit it
+const EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_HOURS) || 48) * 60 * 60 * 1000;
+
+// Message types accepted from clients
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'file', 'location', 'poll'];
+
+const MAX_CONTENT_LENGTH = 4000;
+
+// Longest disappearing-message timer (one year)
+const MAX_MESSAGE_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+// SQL condition hiding disappearing messages whose timer ran out but haven't been purged yet
+const NOT_EXPIRED = '(m.expires_at IS NULL OR m.expires_at > CURRENT_TIMESTAMP)';
+
+// Columns and joins needed to build a full message payload (sender, reply preview, forward info)
+const MESSAGE_COLUMNS = `
+  m.id, m.chat_id, m.content, m.entities, m.link_preview, m.message_type, m.sender_id, m.created_at, m.updated_at,
+  m.client_message_id, m.expires_at, m.is_silent, m.is_edited, m.edited_at, m.is_deleted, m.deleted_at,
+  m.reply_to, m.forward_from, m.forward_sender_id, m.forward_sender_name,
+  m.forward_chat_id, m.forward_date, m.poll_id, m.system_action,
+  u.username, u.first_name, u.last_name, u.profile_picture,
+  rm.content as reply_content, rm.message_type as reply_type, rm.sender_id as reply_sender_id,
+  (rm.is_deleted OR rm.expires_at <= CURRENT_TIMESTAMP) as reply_is_deleted,
+  ru.username as reply_sender_username, ru.first_name as reply_sender_first_name,
+  fc.title as forward_chat_title
+`;
+
+const MESSAGE_JOINS = `
+  INNER JOIN users u ON m.sender_id = u.id
+  LEFT JOIN messages rm ON rm.id = m.reply_to
+  LEFT JOIN users ru ON ru.id = rm.sender_id
+  LEFT JOIN chats fc ON fc.id = m.forward_chat_id
+`;
+
+// SQL condition hiding messages the user can't see (deleted for them only, or expired).
+// `userParam` is the placeholder holding the user id, e.g. '$2'.
+const visibleToUser = (userParam) => `
+  ${NOT_EXPIRED}
+  AND NOT EXISTS (
+    SELECT 1 FROM message_deletions md WHERE md.message_id = m.id AND md.user_id = ${userParam}
+  )
+`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// History cursors are opaque to clients; they wrap the id of the boundary message
+const encodeCursor = (messageId) => {
+  return Buffer.from(JSON.stringify({ id: messageId })).toString('base64url');
+};
+
+// Returns the message id inside a cursor, or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof id === 'string' && UUID_PATTERN.test(id) ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Display name used when attribution has to be kept without linking to the account
+const getDisplayName = (user) => {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return name || user.username;
+};
+
+// Convert a row selected with MESSAGE_COLUMNS into the API message shape
+const formatMessage = (row, reactions = [], poll = null) => ({
+  id: row.id,
+  clientMessageId: row.client_message_id,
+  chatId: row.chat_id,
+  content: row.content,
+  entities: row.content === null ? [] : row.entities || [],
+  linkPreview: row.content === null ? null : row.link_preview || null,
+  type: row.message_type,
+  senderId: row.sender_id,
+  sender: {
+    id: row.sender_id,
+    username: row.username,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    profilePicture: row.profile_picture
+  },
+  replyToId: row.reply_to,
+  replyTo: row.reply_to ? {
+    id: row.reply_to,
+    senderId: row.reply_sender_id,
+    senderUsername: row.reply_sender_username,
+    senderFirstName: row.reply_sender_first_name,
+    type: row.reply_type,
+    content: row.reply_is_deleted || row.reply_content === null || row.reply_content === undefined
+      ? null
+      : row.reply_content.slice(0, REPLY_PREVIEW_LENGTH),
+    isDeleted: Boolean(row.reply_is_deleted)
+  } : null,
+  forward: row.forward_from || row.forward_sender_name ? {
+    fromMessageId: row.forward_from,
+    senderId: row.forward_sender_id,
+    senderName: row.forward_sender_name,
+    chatId: row.forward_chat_id,
+    chatTitle: row.forward_chat_title,
+    date: row.forward_date
+  } : null,
+  poll,
+  systemAction: row.system_action || null,
+  reactions,
+  isSilent: Boolean(row.is_silent),
+  isEdited: Boolean(row.is_edited),
+  editedAt: row.edited_at,
+  isDeleted: Boolean(row.is_deleted),
+  deletedAt: row.deleted_at,
+  expiresAt: row.expires_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Format rows selected with MESSAGE_COLUMNS for one viewer, loading their reactions and polls
+const formatMessageRows = async (rows, userId) => {
+  const reactions = await getReactionSummaries(rows.map(row => row.id), userId);
+  const polls = await getPollViews(rows.map(row => row.poll_id), userId);
+
+  return rows.map(row => formatMessage(row, reactions[row.id] || [], polls[row.poll_id] || null));
+};
+
+// Fetch full message payloads by id, in the order given
+const getMessagesByIds = async (messageIds, userId) => {
+  if (messageIds.length === 0) {
+    return [];
+  }
+
+  const result = await query(`
+    SELECT ${MESSAGE_COLUMNS}
+    FROM messages m
+    ${MESSAGE_JOINS}
+    WHERE m.id = ANY($1)
+  `, [messageIds]);
+
+  const byId = {};
+  (await formatMessageRows(result.rows, userId)).forEach(message => {
+    byId[message.id] = message;
+  });
+
+  return messageIds.map(id => byId[id]).filter(Boolean);
+};
+
+// Fetch one page of chat history relative to an anchor message.
+// `direction` is 'older' or 'newer'; `inclusive` also returns the anchor itself.
+// Ordering is by (created_at, id) so pages stay stable while new messages arrive.
+// Returns rows in chronological order plus whether more exist past the page.
+const getHistoryPage = async (chatId, userId, { anchorId = null, direction = 'older', inclusive = false, limit = 50 }) => {
+  const older = direction === 'older';
+  const comparator = older ? (inclusive ? '<=' : '<') : (inclusive ? '>=' : '>');
+  const params = [chatId, userId, limit + 1];
+
+  let anchorCondition = '';
+  if (anchorId) {
+    params.push(anchorId);
+    anchorCondition = `AND (m.created_at, m.id) ${comparator} (SELECT created_at, id FROM messages WHERE id = $4)`;
+  }
+
+  const result = await query(`
+    SELECT ${MESSAGE_COLUMNS}
+    FROM messages m
+    ${MESSAGE_JOINS}
+    WHERE m.chat_id = $1
+      AND ${visibleToUser('$2')}
+      ${anchorCondition}
+    ORDER BY m.created_at ${older ? 'DESC' : 'ASC'}, m.id ${older ? 'DESC' : 'ASC'}
+    LIMIT $3
+  `, params);
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+
+  return {
+    rows: older ? rows.reverse() : rows,
+    hasMore
+  };
+};
+
+// Insert a message, update the chat's last message info and record mentions.
+// `forward` carries the original attribution when the message is a forwarded copy.
+// ttlSeconds overrides the chat's disappearing timer for this message (0 = never expires).
+// Silent messages are delivered without notifying recipients.
+// Forwarded copies (`forwarded`, set even when the sender is hidden and `forward` is null) pass the original's
+// `entities` and `linkPreview` as-is; otherwise `entities` holds validated formatting entities and
+// mentions/hashtags are parsed from content and merged in.
+const createMessage = async ({
+  chatId, senderId, content, type = 'text', replyTo = null, forward = null, forwarded = Boolean(forward),
+  clientMessageId = null, ttlSeconds = null, pollId = null, entities = null, linkPreview = null, silent = false
+}) => {
+  const messageId = uuidv4();
+  const messageEntities = forwarded ? entities || [] : await buildEntities(chatId, content, entities);
+
+  const messageResult = await query(`
+    INSERT INTO messages (
+      id, chat_id, sender_id, content, message_type, reply_to,
+      forward_from, forward_sender_id, forward_sender_name, forward_chat_id, forward_date,
+      client_message_id, poll_id, entities, link_preview, is_silent, expires_at
+    )
+    VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $14, $15, $16, $17,
+      CURRENT_TIMESTAMP + make_interval(secs => NULLIF(
+        COALESCE($13::int, (SELECT message_ttl_seconds FROM chats WHERE id = $2)), 0
+      ))
+    )
+    RETURNING id, created_at
+  `, [
+    messageId, chatId, senderId, content, type, replyTo,
+    forward ? forward.fromMessageId : null,
+    forward ? forward.senderId : null,
+    forward ? forward.senderName : null,
+    forward ? forward.chatId : null,
+    forward ? forward.date : null,
+    clientMessageId,
+    ttlSeconds,
+    pollId,
+    JSON.stringify(messageEntities),
+    linkPreview ? JSON.stringify(linkPreview) : null,
+    Boolean(silent)
+  ]);
+
+  // Update chat's last message information
+  await query(`
+    UPDATE chats
+    SET last_message_at = $1,
+        last_message_content = $2,
+        last_message_sender_id = $3,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+  `, [messageResult.rows[0].created_at, content, senderId, chatId]);
+
+  // Forwarded copies don't notify the people mentioned in the original
+  if (!forwarded) {
+    await recordMentions(chatId, messageId, getMentionedUserIds(messageEntities, senderId));
+  }
+
+  // Sending counts as reading everything up to this message
+  await markRead(chatId, messageId, senderId);
+
+  return messageId;
+};
+
+// Find a message the sender previously sent to this chat with the same client-generated id
+const findByClientMessageId = async (chatId, senderId, clientMessageId) => {
+  const result = await query(
+    'SELECT id FROM messages WHERE chat_id = $1 AND sender_id = $2 AND client_message_id = $3',
+    [chatId, senderId, clientMessageId]
+  );
+
+  return result.rows[0] ? result.rows[0].id : null;
+};
+
+// Check that a user may post a message of `type` into a chat (and quote replyToId there).
+// Returns null when allowed, otherwise an error with an HTTP-style status, code and message.
+const checkCanSend = async (chatId, senderId, replyToId = null, type = 'text') => {
+  const permissions = await getChatPermissions(chatId, senderId);
+
+  if (!permissions) {
+    return {
+      status: 403,
+      error: 'Access denied',
+      message: 'You are not a participant in this chat',
+      code: 'ACCESS_DENIED'
+    };
+  }
+
+  const missingRight = getSendRights(type).find(right => !permissions.rights[right]);
+  if (missingRight) {
+    return permissionDenied(missingRight);
+  }
+
+  // Replies must quote a message from the same chat
+  if (replyToId) {
+    const replyCheck = await query(
+      `SELECT m.id FROM messages m WHERE m.id = $1 AND m.chat_id = $2 AND m.is_deleted = false AND ${NOT_EXPIRED}`,
+      [replyToId, chatId]
+    );
+
+    if (replyCheck.rows.length === 0) {
+      return {
+        status: 400,
+        error: 'Reply target not found',
+        message: 'The message you are replying to does not exist in this chat',
+        code: 'REPLY_TARGET_NOT_FOUND'
+      };
+    }
+  }
+
+  return null;
+};
+
+// The send path shared by REST, WebSocket clients and the scheduled message dispatcher.
+// Retries carrying an already-seen clientMessageId return the original message with duplicate: true.
+// Returns { message, duplicate } or { error } with an HTTP-style status, code and message.
+// Poll messages pass a validated `poll`; its question becomes the message content.
+// `entities` are formatting entities already checked by prepareFormattedText.
+const sendMessage = async ({
+  chatId, senderId, content, type = 'text', replyToId = null, clientMessageId = null, ttlSeconds = null,
+  poll = null, entities = null, silent = false
+}) => {
+  if (clientMessageId) {
+    const existingId = await findByClientMessageId(chatId, senderId, clientMessageId);
+    if (existingId) {
+      const [message] = await getMessagesByIds([existingId], senderId);
+      return { message, duplicate: true };
+    }
+  }
+
+  const sendError = await checkCanSend(chatId, senderId, replyToId, type);
+  if (sendError) {
+    return { error: sendError };
+  }
+
+  const pollId = type === 'poll' ? await createPoll(senderId, poll) : null;
+
+  let messageId;
+  try {
+    messageId = await createMessage({
+      chatId,
+      senderId,
+      content: pollId ? poll.question.trim() : content,
+      type,
+      replyTo: replyToId,
+      clientMessageId,
+      ttlSeconds,
+      pollId,
+      entities: pollId ? null : entities,
+      silent
+    });
+  } catch (error) {
+    if (pollId) {
+      await deletePoll(pollId);
+    }
+
+    // A concurrent retry won the race on the (chat_id, sender_id, client_message_id) unique index
+    if (error.code === '23505' && clientMessageId) {
+      const existingId = await findByClientMessageId(chatId, senderId, clientMessageId);
+      const [message] = await getMessagesByIds([existingId], senderId);
+      return { message, duplicate: true };
+    }
+    throw error;
+  }
+
+  const [message] = await getMessagesByIds([messageId], senderId);
+  return { message, duplicate: false };
+};
+
+// Check whether a message is still inside the edit window
+const isWithinEditWindow = (createdAt) => {
+  return Date.now() - new Date(createdAt).getTime() <= EDIT_WINDOW_MS;
+};
+
+// Replace a message's content and formatting, keeping the previous revision in message_edits
+// Returns the chat id and the users newly mentioned by the edit.
+const editMessage = async (messageId, editorId, content, formatting = []) => {
+  await query(`
+    INSERT INTO message_edits (message_id, previous_content, previous_entities, edited_by)
+    SELECT id, content, entities, $2 FROM messages WHERE id = $1
+  `, [messageId, editorId]);
+
+  const result = await query(`
+    UPDATE messages
+    SET content = $1, is_edited = true, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING chat_id, sender_id
+  `, [content, messageId]);
+
+  const { chat_id: chatId, sender_id: senderId } = result.rows[0];
+  const entities = await buildEntities(chatId, content, formatting);
+
+  await query('UPDATE messages SET entities = $1 WHERE id = $2', [JSON.stringify(entities), messageId]);
+  const newMentionIds = await syncMentions(chatId, messageId, getMentionedUserIds(entities, senderId));
+
+  await refreshChatLastMessage(chatId);
+
+  return { chatId, newMentionIds };
+};
+
+// Delete a message for everyone, leaving a tombstone row behind. Everything attached to it goes too:
+// earlier revisions, reactions, mentions, Saved Messages tags and its poll (unless a forward still shows it).
+const deleteMessageForEveryone = async (messageId) => {
+  const deleted = await transaction(async (db) => {
+    const result = await db(`
+      UPDATE messages m
+      SET is_deleted = true, content = NULL, encrypted_content = NULL, entities = NULL, link_preview = NULL,
+          poll_id = NULL, deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      FROM messages previous
+      WHERE previous.id = m.id AND m.id = $1
+      RETURNING m.chat_id, m.deleted_at, previous.poll_id
+    `, [messageId]);
+
+    await db('DELETE FROM message_reactions WHERE message_id = $1', [messageId]);
+    await db('DELETE FROM message_edits WHERE message_id = $1', [messageId]);
+    await db('DELETE FROM message_mentions WHERE message_id = $1', [messageId]);
+    await db('DELETE FROM saved_message_tags WHERE message_id = $1', [messageId]);
+
+    const { poll_id: pollId } = result.rows[0];
+    if (pollId) {
+      await db(
+        'DELETE FROM polls WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM messages WHERE poll_id = $1)',
+        [pollId]
+      );
+    }
+
+    return result.rows[0];
+  });
+
+  await refreshChatLastMessage(deleted.chat_id);
+
+  return { chat_id: deleted.chat_id, deleted_at: deleted.deleted_at };
+};
+
+// Hide a message from one user's history only
+const deleteMessageForUser = async (messageId, userId) => {
+  await query(`
+    INSERT INTO message_deletions (message_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT (message_id, user_id) DO NOTHING
+  `, [messageId, userId]);
+};
+
+// Recompute a chat's last message info from its newest remaining message
+const refreshChatLastMessage = async (chatId) => {
+  const latest = `
+    FROM messages
+    WHERE chat_id = $1 AND is_deleted = false
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+
+  await query(`
+    UPDATE chats
+    SET last_message_at = (SELECT created_at ${latest}),
+        last_message_content = (SELECT content ${latest}),
+        last_message_sender_id = (SELECT sender_id ${latest})
+    WHERE id = $1
+  `, [chatId]);
+};
+
+// Build the attribution a forwarded copy of `source` should carry.
+// Forwarding a forward keeps the original attribution, and users who hide
+// their account on forwards are credited by name only.
+const buildForwardAttribution = (source, hideSender = false) => {
+  if (hideSender) {
+    return null;
+  }
+
+  if (source.forward_from || source.forward_sender_name) {
+    return {
+      fromMessageId: source.forward_from,
+      senderId: source.forward_sender_id,
+      senderName: source.forward_sender_name,
+      chatId: source.forward_chat_id,
+      date: source.forward_date
+    };
+  }
+
+  return {
+    fromMessageId: source.id,
+    senderId: source.hide_forward_sender ? null : source.sender_id,
+    senderName: getDisplayName(source),
+    chatId: source.is_group ? source.chat_id : null,
+    date: source.created_at
+  };
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  MAX_CONTENT_LENGTH,
+  MAX_MESSAGE_TTL_SECONDS,
+  MESSAGE_COLUMNS,
+  MESSAGE_JOINS,
+  NOT_EXPIRED,
+  visibleToUser,
+  encodeCursor,
+  decodeCursor,
+  formatMessage,
+  formatMessageRows,
+  getHistoryPage,
+  getMessagesByIds,
+  createMessage,
+  checkCanSend,
+  sendMessage,
+  isWithinEditWindow,
+  editMessage,
+  deleteMessageForEveryone,
+  deleteMessageForUser,
+  refreshChatLastMessage,
+  buildForwardAttribution
+};
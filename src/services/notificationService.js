@@ -0,0 +1,88 @@
+const { query } = require('../database/connection');
+
+// Per-chat notification modes stored on chat_participants:
+// 'all' notifies for everything, 'mentions' only when the user is @mentioned,
+// 'muted' for nothing until muted_until passes (NULL muted_until = muted forever)
+const NOTIFICATION_MODES = ['all', 'mentions', 'muted'];
+
+// Longest a chat can be muted for with an end date (one year); longer means "forever"
+const MAX_MUTE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Convert a chat_participants row into the API shape. A timed mute that has run out reads as 'all'.
+const formatNotificationSettings = (row) => {
+  const mutedUntil = row.muted_until ? new Date(row.muted_until) : null;
+  const expired = row.notification_mode === 'muted' && mutedUntil && mutedUntil.getTime() <= Date.now();
+  const mode = expired ? 'all' : row.notification_mode || 'all';
+
+  return {
+    mode,
+    mutedUntil: mode === 'muted' ? row.muted_until : null,
+    isMuted: mode === 'muted'
+  };
+};
+
+// Validate a mute request. Returns an error message or null.
+const validateNotificationSettings = ({ mode, mutedUntil }) => {
+  if (!NOTIFICATION_MODES.includes(mode)) {
+    return `mode must be one of: ${NOTIFICATION_MODES.join(', ')}`;
+  }
+
+  if (mutedUntil !== undefined && mutedUntil !== null) {
+    if (mode !== 'muted') {
+      return 'mutedUntil only applies to the muted mode';
+    }
+
+    const time = new Date(mutedUntil).getTime();
+    if (isNaN(time) || time <= Date.now()) {
+      return 'mutedUntil must be a future date';
+    }
+    if (time - Date.now() > MAX_MUTE_MS) {
+      return 'mutedUntil must be within one year (omit it to mute forever)';
+    }
+  }
+
+  return null;
+};
+
+// Save a user's notification settings for a chat. Returns the new settings or null when not a participant.
+const updateNotificationSettings = async (chatId, userId, { mode, mutedUntil = null }) => {
+  const result = await query(`
+    UPDATE chat_participants
+    SET notification_mode = $3, muted_until = $4
+    WHERE chat_id = $1 AND user_id = $2
+    RETURNING notification_mode, muted_until
+  `, [chatId, userId, mode, mode === 'muted' && mutedUntil ? new Date(mutedUntil) : null]);
+
+  return result.rows.length > 0 ? formatNotificationSettings(result.rows[0]) : null;
+};
+
+// Narrow a list of users down to those whose settings for the chat allow a notification.
+// `mentionedUserIds` get through in 'mentions' mode.
+const filterNotificationRecipients = async (chatId, userIds, mentionedUserIds = []) => {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const result = await query(`
+    SELECT user_id
+    FROM chat_participants
+    WHERE chat_id = $1
+      AND user_id = ANY($2)
+      AND (
+        notification_mode IS NULL
+        OR notification_mode = 'all'
+        OR (notification_mode = 'mentions' AND user_id = ANY($3))
+        OR (notification_mode = 'muted' AND muted_until <= CURRENT_TIMESTAMP)
+      )
+  `, [chatId, userIds, mentionedUserIds]);
+
+  return result.rows.map(row => row.user_id);
+};
+
+module.exports = {
+  NOTIFICATION_MODES,
+  formatNotificationSettings,
+  validateNotificationSettings,
+  updateNotificationSettings,
+  filterNotificationRecipients
+};
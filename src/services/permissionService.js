@@ -0,0 +1,331 @@
+const { query } = require('../database/connection');
+
+// What regular group members may do. Chat-wide defaults live in chats.default_permissions
+// (unset keys fall back to DEFAULT_MEMBER_PERMISSIONS); per-member overrides live in
+// group_permissions, where NULL means "use the chat default".
+const MEMBER_PERMISSION_COLUMNS = {
+  sendMessages: 'can_send_messages',
+  sendMedia: 'can_send_media',
+  sendStickers: 'can_send_stickers',
+  sendPolls: 'can_send_polls',
+  changeInfo: 'can_change_info',
+  inviteUsers: 'can_invite_users',
+  pinMessages: 'can_pin_messages',
+  manageTopics: 'can_manage_topics'
+};
+const MEMBER_PERMISSIONS = Object.keys(MEMBER_PERMISSION_COLUMNS);
+
+// Matches the group_permissions column defaults from before per-member overrides inherited them
+const DEFAULT_MEMBER_PERMISSIONS = {
+  sendMessages: true,
+  sendMedia: true,
+  sendStickers: true,
+  sendPolls: true,
+  changeInfo: false,
+  inviteUsers: true,
+  pinMessages: false,
+  manageTopics: false
+};
+
+// Rights an admin can hold (chat_participants.admin_rights). Admins aren't limited by member
+// permissions, and the creator holds every right. Admins promoted before admin rights existed
+// (admin_rights NULL) keep every right.
+const ADMIN_RIGHTS = ['changeInfo', 'deleteMessages', 'banUsers', 'inviteUsers', 'pinMessages', 'manageTopics', 'addAdmins'];
+
+const ALL_RIGHTS = [...new Set([...MEMBER_PERMISSIONS, ...ADMIN_RIGHTS])];
+
+// In private chats (and Saved Messages) both sides can do these
+const PRIVATE_CHAT_RIGHTS = ['sendMessages', 'sendMedia', 'sendStickers', 'sendPolls', 'pinMessages'];
+
+// Rights needed to send a message of each type
+const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'file'];
+const getSendRights = (type) => {
+  if (type === 'poll') {
+    return ['sendMessages', 'sendPolls'];
+  }
+  return MEDIA_MESSAGE_TYPES.includes(type) ? ['sendMessages', 'sendMedia'] : ['sendMessages'];
+};
+
+const permissionDenied = (right) => ({
+  status: 403,
+  error: 'Permission denied',
+  message: `You need the ${right} right to do this in this chat`,
+  code: 'PERMISSION_DENIED',
+  missingRight: right
+});
+
+const notParticipant = {
+  status: 403,
+  error: 'Access denied',
+  message: 'You are not a participant in this chat',
+  code: 'ACCESS_DENIED'
+};
+
+const formatDefaultPermissions = (stored) => ({ ...DEFAULT_MEMBER_PERMISSIONS, ...(stored || {}) });
+
+// A member's overrides from their group_permissions columns (null = chat default)
+const formatPermissionOverrides = (row) => {
+  const overrides = {};
+  MEMBER_PERMISSIONS.forEach(permission => {
+    const value = row[MEMBER_PERMISSION_COLUMNS[permission]];
+    overrides[permission] = value === null || value === undefined ? null : value;
+  });
+  return overrides;
+};
+
+// An admin's rights from a chat_participants row, or null for non-admins
+const formatAdminRights = (row) => {
+  if (row.role !== 'admin') {
+    return null;
+  }
+
+  const rights = {};
+  ADMIN_RIGHTS.forEach(right => {
+    rights[right] = row.admin_rights ? Boolean(row.admin_rights[right]) : true;
+  });
+  return rights;
+};
+
+// Everything a participant may do in a chat, or null when they aren't a participant.
+// Returns { isGroup, role, isCreator, adminRights, rights } where rights maps every right to a boolean.
+const getChatPermissions = async (chatId, userId) => {
+  const result = await query(`
+    SELECT cp.role, cp.admin_rights, c.is_group, c.creator_id, c.default_permissions,
+           ${Object.values(MEMBER_PERMISSION_COLUMNS).map(column => `gp.${column}`).join(', ')}
+    FROM chat_participants cp
+    INNER JOIN chats c ON cp.chat_id = c.id
+    LEFT JOIN group_permissions gp ON gp.chat_id = cp.chat_id AND gp.user_id = cp.user_id
+    WHERE cp.chat_id = $1 AND cp.user_id = $2
+  `, [chatId, userId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  const isGroup = Boolean(row.is_group);
+  const isCreator = isGroup && row.creator_id === userId;
+  const adminRights = isGroup ? formatAdminRights(row) : null;
+  const defaults = formatDefaultPermissions(row.default_permissions);
+  const overrides = formatPermissionOverrides(row);
+
+  const rights = {};
+  ALL_RIGHTS.forEach(right => {
+    const isMemberPermission = MEMBER_PERMISSIONS.includes(right);
+    const memberValue = isMemberPermission && (overrides[right] !== null ? overrides[right] : defaults[right]);
+
+    if (!isGroup) {
+      rights[right] = PRIVATE_CHAT_RIGHTS.includes(right);
+    } else if (isCreator) {
+      rights[right] = true;
+    } else if (adminRights) {
+      // Admins can always send; their other rights come from admin rights or what members may do anyway
+      rights[right] = ADMIN_RIGHTS.includes(right) ? adminRights[right] || memberValue : true;
+    } else {
+      rights[right] = memberValue;
+    }
+  });
+
+  return { isGroup, role: row.role, isCreator, adminRights, rights };
+};
+
+// Check a single right. Returns null when allowed, otherwise an error with an HTTP-style status,
+// code and message (PERMISSION_DENIED errors name the missing right).
+const checkPermission = async (chatId, userId, right) => {
+  const permissions = await getChatPermissions(chatId, userId);
+  if (!permissions) {
+    return notParticipant;
+  }
+
+  return permissions.rights[right] ? null : permissionDenied(right);
+};
+
+// Validate a non-empty { right: boolean } map against the allowed names. Returns an error message or null.
+const validateRightsMap = (rights, allowed, { nullable = false } = {}) => {
+  if (!rights || typeof rights !== 'object' || Array.isArray(rights) || Object.keys(rights).length === 0) {
+    return `Expected an object with at least one of: ${allowed.join(', ')}`;
+  }
+
+  for (const [right, value] of Object.entries(rights)) {
+    if (!allowed.includes(right)) {
+      return `Unknown right: ${right}`;
+    }
+    if (typeof value !== 'boolean' && !(nullable && value === null)) {
+      return `${right} must be a boolean${nullable ? ' or null' : ''}`;
+    }
+  }
+
+  return null;
+};
+
+// Change the chat-wide member permissions (keys left out keep their value). Returns the new defaults.
+const updateDefaultPermissions = async (chatId, changes) => {
+  const result = await query(`
+    UPDATE chats
+    SET default_permissions = COALESCE(default_permissions, '{}'::jsonb) || $2::jsonb,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING default_permissions
+  `, [chatId, JSON.stringify(changes)]);
+
+  return formatDefaultPermissions(result.rows[0].default_permissions);
+};
+
+// Set one member's overrides (null resets a permission to the chat default; keys left out keep
+// their value). Admins aren't restricted, so they can't be given overrides.
+// Returns { overrides } or { error }.
+const setMemberPermissions = async (chatId, userId, changes) => {
+  const member = await query(
+    'SELECT role FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+    [chatId, userId]
+  );
+
+  if (member.rows.length === 0) {
+    return {
+      error: {
+        status: 404,
+        error: 'Member not found',
+        message: 'User is not a member of this group',
+        code: 'MEMBER_NOT_FOUND'
+      }
+    };
+  }
+
+  if (member.rows[0].role === 'admin') {
+    return {
+      error: {
+        status: 400,
+        error: 'Invalid member',
+        message: 'Admins are not restricted by member permissions',
+        code: 'MEMBER_IS_ADMIN'
+      }
+    };
+  }
+
+  const permissions = Object.keys(changes);
+  const columns = permissions.map(permission => MEMBER_PERMISSION_COLUMNS[permission]);
+  const values = permissions.map(permission => changes[permission]);
+
+  const result = await query(`
+    INSERT INTO group_permissions (chat_id, user_id${columns.map(column => `, ${column}`).join('')})
+    VALUES ($1, $2${columns.map((column, index) => `, $${index + 3}`).join('')})
+    ON CONFLICT (chat_id, user_id)
+    DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}
+    RETURNING ${Object.values(MEMBER_PERMISSION_COLUMNS).join(', ')}
+  `, [chatId, userId, ...values]);
+
+  return { overrides: formatPermissionOverrides(result.rows[0]) };
+};
+
+// Check that `actorId` may change `userId`'s admin status. The creator can change anyone else;
+// other admins need addAdmins and can only change members or admins they promoted.
+// Returns { actor, target } or { error }.
+const checkCanManageAdmin = async (chatId, userId, actorId) => {
+  const actor = await getChatPermissions(chatId, actorId);
+  if (!actor) {
+    return { error: notParticipant };
+  }
+  if (!actor.rights.addAdmins) {
+    return { error: permissionDenied('addAdmins') };
+  }
+
+  const targetResult = await query(`
+    SELECT cp.role, cp.admin_rights, cp.admin_promoted_by, c.creator_id
+    FROM chat_participants cp
+    INNER JOIN chats c ON c.id = cp.chat_id
+    WHERE cp.chat_id = $1 AND cp.user_id = $2
+  `, [chatId, userId]);
+
+  if (targetResult.rows.length === 0) {
+    return {
+      error: {
+        status: 404,
+        error: 'Member not found',
+        message: 'User is not a member of this group',
+        code: 'MEMBER_NOT_FOUND'
+      }
+    };
+  }
+
+  const target = targetResult.rows[0];
+  if (userId === target.creator_id || userId === actorId ||
+      (!actor.isCreator && target.role === 'admin' && target.admin_promoted_by !== actorId)) {
+    return {
+      error: {
+        status: 403,
+        error: 'Access denied',
+        message: userId === target.creator_id
+          ? 'The group creator\'s rights cannot be changed'
+          : 'You can only change admins you promoted',
+        code: 'ACCESS_DENIED'
+      }
+    };
+  }
+
+  return { actor, target };
+};
+
+// Promote a member to admin or change an admin's rights. Admins other than the creator
+// can only grant rights they hold. Returns { adminRights } or { error }.
+const setAdminRights = async (chatId, userId, actorId, rights) => {
+  const { actor, error } = await checkCanManageAdmin(chatId, userId, actorId);
+  if (error) {
+    return { error };
+  }
+
+  const adminRights = {};
+  ADMIN_RIGHTS.forEach(right => {
+    adminRights[right] = Boolean(rights[right]);
+  });
+
+  const ungranted = ADMIN_RIGHTS.find(right => adminRights[right] && !actor.rights[right]);
+  if (ungranted) {
+    return { error: permissionDenied(ungranted) };
+  }
+
+  await query(`
+    UPDATE chat_participants
+    SET role = 'admin', admin_rights = $3, admin_promoted_by = $4
+    WHERE chat_id = $1 AND user_id = $2
+  `, [chatId, userId, JSON.stringify(adminRights), actorId]);
+
+  return { adminRights };
+};
+
+// Demote an admin back to a regular member. Returns { demoted } or { error }.
+const removeAdmin = async (chatId, userId, actorId) => {
+  const { target, error } = await checkCanManageAdmin(chatId, userId, actorId);
+  if (error) {
+    return { error };
+  }
+
+  if (target.role !== 'admin') {
+    return { demoted: false };
+  }
+
+  await query(`
+    UPDATE chat_participants
+    SET role = 'member', admin_rights = NULL, admin_promoted_by = NULL
+    WHERE chat_id = $1 AND user_id = $2
+  `, [chatId, userId]);
+
+  return { demoted: true };
+};
+
+module.exports = {
+  MEMBER_PERMISSIONS,
+  DEFAULT_MEMBER_PERMISSIONS,
+  ADMIN_RIGHTS,
+  getSendRights,
+  permissionDenied,
+  formatDefaultPermissions,
+  formatPermissionOverrides,
+  formatAdminRights,
+  getChatPermissions,
+  checkPermission,
+  validateRightsMap,
+  updateDefaultPermissions,
+  setMemberPermissions,
+  setAdminRights,
+  removeAdmin
+};
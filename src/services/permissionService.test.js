@@ -0,0 +1,241 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader } = require('../routes/testApp');
+const {
+  ADMIN_RIGHTS,
+  getSendRights,
+  getChatPermissions,
+  checkPermission,
+  validateRightsMap
+} = require('./permissionService');
+const groupRoutes = require('../routes/groups');
+const messageRoutes = require('../routes/messages');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, events, alice, bob, carol, dave, group;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({ '/api/v1/groups': groupRoutes, '/api/v1/messages': messageRoutes }));
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  carol = await createUser({ username: 'carol' });
+  dave = await createUser({ username: 'dave' });
+  group = await createChat(alice.id, { type: 'group', members: [bob.id, carol.id] });
+});
+
+const setDefaults = (actor, body) => request(app)
+  .put(`/api/v1/groups/${group.id}/permissions`)
+  .set('Authorization', authHeader(actor))
+  .send(body);
+
+const setOverrides = (actor, userId, body) => request(app)
+  .put(`/api/v1/groups/${group.id}/members/${userId}/permissions`)
+  .set('Authorization', authHeader(actor))
+  .send(body);
+
+const setAdmin = (actor, userId, rights) => request(app)
+  .put(`/api/v1/groups/${group.id}/admins/${userId}`)
+  .set('Authorization', authHeader(actor))
+  .send({ rights });
+
+const post = (user, body) => request(app)
+  .post(`/api/v1/messages/${group.id}`)
+  .set('Authorization', authHeader(user))
+  .send(body);
+
+const rightsOf = async (user) => (await getChatPermissions(group.id, user.id)).rights;
+
+describe('member permissions', () => {
+  it('gives members the default permissions, including inviting others', async () => {
+    const { role, isCreator, adminRights, rights } = await getChatPermissions(group.id, bob.id);
+
+    expect({ role, isCreator, adminRights }).toEqual({ role: 'member', isCreator: false, adminRights: null });
+    expect(rights).toMatchObject({
+      sendMessages: true,
+      sendMedia: true,
+      inviteUsers: true,
+      pinMessages: false,
+      deleteMessages: false,
+      banUsers: false
+    });
+    expect(await getChatPermissions(group.id, dave.id)).toBeNull();
+
+    // So a plain member can add someone
+    await request(app)
+      .post(`/api/v1/groups/${group.id}/members`)
+      .set('Authorization', authHeader(bob))
+      .send({ userId: dave.id })
+      .expect(201);
+  });
+
+  it('applies group defaults, then per-member overrides, with null going back to the default', async () => {
+    const defaults = await setDefaults(alice, { sendMedia: false, inviteUsers: false }).expect(200);
+    expect(defaults.body.defaultPermissions).toMatchObject({ sendMedia: false, inviteUsers: false, sendMessages: true });
+
+    const denied = await post(bob, { type: 'image', content: '/uploads/photo.png' }).expect(403);
+    expect(denied.body).toMatchObject({ code: 'PERMISSION_DENIED', missingRight: 'sendMedia' });
+    const blocked = await request(app)
+      .post(`/api/v1/groups/${group.id}/members`)
+      .set('Authorization', authHeader(bob))
+      .send({ userId: dave.id })
+      .expect(403);
+    expect(blocked.body.missingRight).toBe('inviteUsers');
+
+    const overrides = await setOverrides(alice, bob.id, { sendMedia: true, sendMessages: false, pinMessages: true })
+      .expect(200);
+    expect(overrides.body.overrides).toMatchObject({ sendMedia: true, sendMessages: false, pinMessages: true, inviteUsers: null });
+    expect(await rightsOf(bob)).toMatchObject({ sendMedia: true, sendMessages: false, pinMessages: true, inviteUsers: false });
+    expect((await post(bob, { content: 'hello' }).expect(403)).body.missingRight).toBe('sendMessages');
+
+    // Carol only has the group defaults
+    expect(await rightsOf(carol)).toMatchObject({ sendMedia: false, sendMessages: true, pinMessages: false });
+
+    await setOverrides(alice, bob.id, { sendMessages: null }).expect(200);
+    await post(bob, { content: 'hello again' }).expect(201);
+    expect(events.filter(entry => entry.event === 'chat_permissions_updated' && entry.room === `user:${bob.id}`))
+      .toHaveLength(3);
+  });
+
+  it('only lets members with the banUsers right change permissions, and never restricts admins', async () => {
+    expect((await setDefaults(bob, { sendMedia: false }).expect(403)).body.missingRight).toBe('banUsers');
+
+    await setAdmin(alice, bob.id, { banUsers: true }).expect(200);
+    const admin = await setOverrides(alice, bob.id, { sendMessages: false }).expect(400);
+    expect(admin.body.code).toBe('MEMBER_IS_ADMIN');
+
+    const stranger = await setOverrides(bob, dave.id, { sendMessages: false }).expect(404);
+    expect(stranger.body.code).toBe('MEMBER_NOT_FOUND');
+
+    const invalid = await setDefaults(alice, { banUsers: false }).expect(400);
+    expect(invalid.body).toMatchObject({ code: 'VALIDATION_ERROR', message: 'Unknown right: banUsers' });
+  });
+});
+
+describe('admin rights', () => {
+  it('limits admins to their rights, on top of what members may do', async () => {
+    await setDefaults(alice, { sendMessages: false }).expect(200);
+
+    const promoted = await setAdmin(alice, bob.id, { deleteMessages: true }).expect(200);
+    expect(promoted.body.adminRights).toEqual({
+      changeInfo: false,
+      deleteMessages: true,
+      banUsers: false,
+      inviteUsers: false,
+      pinMessages: false,
+      manageTopics: false,
+      addAdmins: false
+    });
+
+    // Admins can always send, and may invite because members may
+    expect(await rightsOf(bob)).toMatchObject({
+      deleteMessages: true,
+      banUsers: false,
+      addAdmins: false,
+      inviteUsers: true,
+      sendMessages: true
+    });
+    await post(bob, { content: 'announcement' }).expect(201);
+    expect(await checkPermission(group.id, bob.id, 'banUsers')).toMatchObject({
+      status: 403,
+      code: 'PERMISSION_DENIED',
+      missingRight: 'banUsers'
+    });
+  });
+
+  it('only lets admins grant rights they hold, to members or admins they promoted', async () => {
+    await setAdmin(alice, bob.id, { addAdmins: true, pinMessages: true }).expect(200);
+    await setAdmin(alice, dave.id, { pinMessages: true }).expect(404);
+
+    const ungranted = await setAdmin(bob, carol.id, { pinMessages: true, banUsers: true }).expect(403);
+    expect(ungranted.body.missingRight).toBe('banUsers');
+
+    await setAdmin(bob, carol.id, { pinMessages: true }).expect(200);
+    expect(await rightsOf(carol)).toMatchObject({ pinMessages: true, banUsers: false });
+
+    const creator = await setAdmin(bob, alice.id, { pinMessages: true }).expect(403);
+    expect(creator.body.message).toBe('The group creator\'s rights cannot be changed');
+
+    // Bob can't demote an admin Alice promoted
+    await request(app)
+      .post(`/api/v1/groups/${group.id}/members`)
+      .set('Authorization', authHeader(alice))
+      .send({ userId: dave.id })
+      .expect(201);
+    await setAdmin(alice, dave.id, { pinMessages: true }).expect(200);
+    const notTheirs = await request(app)
+      .delete(`/api/v1/groups/${group.id}/admins/${dave.id}`)
+      .set('Authorization', authHeader(bob))
+      .expect(403);
+    expect(notTheirs.body.message).toBe('You can only change admins you promoted');
+
+    await request(app)
+      .delete(`/api/v1/groups/${group.id}/admins/${carol.id}`)
+      .set('Authorization', authHeader(bob))
+      .expect(200);
+    expect(await getChatPermissions(group.id, carol.id)).toMatchObject({ role: 'member', adminRights: null });
+  });
+
+  it('keeps every right for admins promoted before admin rights existed', async () => {
+    await query(`UPDATE chat_participants SET role = 'admin', admin_rights = NULL WHERE chat_id = $1 AND user_id = $2`, [group.id, bob.id]);
+
+    const rights = await rightsOf(bob);
+    ADMIN_RIGHTS.forEach(right => expect(rights[right]).toBe(true));
+  });
+
+  it('gives the creator every right, whatever their admin rights say', async () => {
+    await query(`UPDATE chat_participants SET admin_rights = '{"changeInfo": false}' WHERE chat_id = $1 AND user_id = $2`, [group.id, alice.id]);
+
+    const { isCreator, rights } = await getChatPermissions(group.id, alice.id);
+    expect(isCreator).toBe(true);
+    Object.values(rights).forEach(value => expect(value).toBe(true));
+  });
+});
+
+describe('private chats', () => {
+  it('lets both sides send and pin, but not moderate', async () => {
+    const chat = await createChat(alice.id, { members: [bob.id] });
+    await query('INSERT INTO group_permissions (chat_id, user_id, can_send_messages) VALUES ($1, $2, false)', [chat.id, bob.id]);
+
+    for (const user of [alice, bob]) {
+      const { isGroup, isCreator, rights } = await getChatPermissions(chat.id, user.id);
+      expect({ isGroup, isCreator }).toEqual({ isGroup: false, isCreator: false });
+      expect(rights).toMatchObject({ sendMessages: true, pinMessages: true, deleteMessages: false, changeInfo: false });
+    }
+    expect(await checkPermission(chat.id, carol.id, 'sendMessages')).toMatchObject({ status: 403, code: 'ACCESS_DENIED' });
+  });
+});
+
+describe('getSendRights', () => {
+  it('requires the media or poll right on top of sendMessages', () => {
+    expect(getSendRights('text')).toEqual(['sendMessages']);
+    expect(getSendRights('image')).toEqual(['sendMessages', 'sendMedia']);
+    expect(getSendRights('poll')).toEqual(['sendMessages', 'sendPolls']);
+  });
+});
+
+describe('validateRightsMap', () => {
+  const allowed = ['sendMedia', 'sendPolls'];
+
+  it('accepts a map of known rights to booleans', () => {
+    expect(validateRightsMap({ sendMedia: false }, allowed)).toBeNull();
+  });
+
+  it('rejects empty maps, unknown rights and non-boolean values', () => {
+    expect(validateRightsMap({}, allowed)).toMatch(/at least one/);
+    expect(validateRightsMap([], allowed)).toMatch(/at least one/);
+    expect(validateRightsMap({ banUsers: true }, allowed)).toMatch(/Unknown right/);
+    expect(validateRightsMap({ sendMedia: 'no' }, allowed)).toMatch(/must be a boolean/);
+  });
+
+  it('accepts null only when nullable', () => {
+    expect(validateRightsMap({ sendMedia: null }, allowed)).toMatch(/must be a boolean/);
+    expect(validateRightsMap({ sendMedia: null }, allowed, { nullable: true })).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+const { query } = require('../database/connection');
+const { MESSAGE_COLUMNS, MESSAGE_JOINS, visibleToUser, formatMessageRows } = require('./messageService');
+const { getChatPermissions } = require('./permissionService');
+
+// Check whether a user may pin in a chat. In private chats either side can pin;
+// in groups it takes the pinMessages right. Returns { isParticipant, canPin }.
+const getPinPermission = async (chatId, userId) => {
+  const permissions = await getChatPermissions(chatId, userId);
+
+  return {
+    isParticipant: Boolean(permissions),
+    canPin: Boolean(permissions && permissions.rights.pinMessages)
+  };
+};
+
+// Pin a message. Pinning an already pinned message moves it back to the top.
+const pinMessage = async (chatId, messageId, userId) => {
+  const result = await query(`
+    INSERT INTO pinned_messages (chat_id, message_id, pinned_by)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (chat_id, message_id)
+    DO UPDATE SET pinned_by = $3, pinned_at = CURRENT_TIMESTAMP
+    RETURNING pinned_at
+  `, [chatId, messageId, userId]);
+
+  return result.rows[0];
+};
+
+// Unpin one message. Returns whether it was pinned.
+const unpinMessage = async (chatId, messageId) => {
+  const result = await query(
+    'DELETE FROM pinned_messages WHERE chat_id = $1 AND message_id = $2',
+    [chatId, messageId]
+  );
+
+  return result.rowCount > 0;
+};
+
+// Unpin everything in a chat. Returns how many pins were removed.
+const unpinAllMessages = async (chatId) => {
+  const result = await query('DELETE FROM pinned_messages WHERE chat_id = $1', [chatId]);
+  return result.rowCount;
+};
+
+// Ids of a chat's pinned messages, most recently pinned first
+const getPinnedMessageIds = async (chatId) => {
+  const result = await query(
+    'SELECT message_id FROM pinned_messages WHERE chat_id = $1 ORDER BY pinned_at DESC',
+    [chatId]
+  );
+
+  return result.rows.map(row => row.message_id);
+};
+
+// Full pinned messages visible to the user, most recently pinned first
+const getPinnedMessages = async (chatId, userId) => {
+  const result = await query(`
+    SELECT ${MESSAGE_COLUMNS}, pm.pinned_by, pm.pinned_at
+    FROM pinned_messages pm
+    INNER JOIN messages m ON m.id = pm.message_id
+    ${MESSAGE_JOINS}
+    WHERE pm.chat_id = $1 AND m.is_deleted = false AND ${visibleToUser('$2')}
+    ORDER BY pm.pinned_at DESC
+  `, [chatId, userId]);
+
+  const messages = await formatMessageRows(result.rows, userId);
+
+  return messages.map((message, index) => ({
+    ...message,
+    pinnedBy: result.rows[index].pinned_by,
+    pinnedAt: result.rows[index].pinned_at
+  }));
+};
+
+module.exports = {
+  getPinPermission,
+  pinMessage,
+  unpinMessage,
+  unpinAllMessages,
+  getPinnedMessageIds,
+  getPinnedMessages
+};
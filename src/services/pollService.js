@@ -0,0 +1,393 @@
+const { query } = require('../database/connection');
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+const MAX_EXPLANATION_LENGTH = 200;
+
+// Validate the `poll` object sent with a poll message. Returns an error message or null.
+const validatePollInput = (poll) => {
+  if (!poll || typeof poll !== 'object') {
+    return 'poll is required for poll messages';
+  }
+
+  const {
+    question, options, type = 'regular', allowsMultipleAnswers = false, correctOptionIndex, explanation, closeDate
+  } = poll;
+
+  if (typeof question !== 'string' || question.trim() === '' || question.length > MAX_QUESTION_LENGTH) {
+    return `Poll question must be between 1 and ${MAX_QUESTION_LENGTH} characters`;
+  }
+
+  if (!Array.isArray(options) || options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return `Polls need between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`;
+  }
+
+  if (options.some(option => typeof option !== 'string' || option.trim() === '' || option.length > MAX_OPTION_LENGTH)) {
+    return `Each poll option must be between 1 and ${MAX_OPTION_LENGTH} characters`;
+  }
+
+  if (!['regular', 'quiz'].includes(type)) {
+    return 'Poll type must be either "regular" or "quiz"';
+  }
+
+  if (type === 'quiz') {
+    if (allowsMultipleAnswers) {
+      return 'Quizzes must have exactly one correct answer';
+    }
+    if (!Number.isInteger(correctOptionIndex) || correctOptionIndex < 0 || correctOptionIndex >= options.length) {
+      return 'Quizzes need a valid correctOptionIndex';
+    }
+  }
+
+  if (explanation !== undefined && explanation !== null &&
+      (typeof explanation !== 'string' || explanation.length > MAX_EXPLANATION_LENGTH)) {
+    return `Explanation must be ${MAX_EXPLANATION_LENGTH} characters or less`;
+  }
+
+  if (closeDate !== undefined && closeDate !== null) {
+    const time = new Date(closeDate).getTime();
+    if (isNaN(time) || time <= Date.now()) {
+      return 'closeDate must be a date in the future';
+    }
+  }
+
+  return null;
+};
+
+// Create a poll and its options. Returns the poll id.
+const createPoll = async (creatorId, poll) => {
+  const isQuiz = poll.type === 'quiz';
+
+  const pollResult = await query(`
+    INSERT INTO polls (creator_id, question, is_anonymous, allows_multiple_answers, is_quiz, explanation, close_date)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [
+    creatorId,
+    poll.question.trim(),
+    poll.isAnonymous !== false,
+    !isQuiz && poll.allowsMultipleAnswers === true,
+    isQuiz,
+    isQuiz ? poll.explanation || null : null,
+    poll.closeDate ? new Date(poll.closeDate) : null
+  ]);
+
+  const pollId = pollResult.rows[0].id;
+
+  const optionIds = [];
+  for (let position = 0; position < poll.options.length; position++) {
+    const optionResult = await query(`
+      INSERT INTO poll_options (poll_id, position, text)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `, [pollId, position, poll.options[position].trim()]);
+    optionIds.push(optionResult.rows[0].id);
+  }
+
+  if (isQuiz) {
+    await query(
+      'UPDATE polls SET correct_option_id = $1 WHERE id = $2',
+      [optionIds[poll.correctOptionIndex], pollId]
+    );
+  }
+
+  return pollId;
+};
+
+const deletePoll = async (pollId) => {
+  await query('DELETE FROM polls WHERE id = $1', [pollId]);
+};
+
+const isPollClosed = (poll) => {
+  return poll.is_closed || (poll.close_date !== null && new Date(poll.close_date).getTime() <= Date.now());
+};
+
+// Aggregate vote counts for a set of polls: { pollId: { options: { optionId: count }, totalVoterCount } }
+const getVoteCounts = async (pollIds) => {
+  const counts = {};
+  pollIds.forEach(pollId => {
+    counts[pollId] = { options: {}, totalVoterCount: 0 };
+  });
+
+  const optionResult = await query(`
+    SELECT poll_id, option_id, COUNT(*) as count
+    FROM poll_votes
+    WHERE poll_id = ANY($1)
+    GROUP BY poll_id, option_id
+  `, [pollIds]);
+
+  optionResult.rows.forEach(row => {
+    counts[row.poll_id].options[row.option_id] = parseInt(row.count);
+  });
+
+  const voterResult = await query(`
+    SELECT poll_id, COUNT(DISTINCT user_id) as count
+    FROM poll_votes
+    WHERE poll_id = ANY($1)
+    GROUP BY poll_id
+  `, [pollIds]);
+
+  voterResult.rows.forEach(row => {
+    counts[row.poll_id].totalVoterCount = parseInt(row.count);
+  });
+
+  return counts;
+};
+
+// Build poll payloads as seen by one user (their own choices, and the quiz answer
+// once they voted or the poll closed): { pollId: poll }
+const getPollViews = async (pollIds, userId) => {
+  const views = {};
+  const ids = [...new Set(pollIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return views;
+  }
+
+  const pollResult = await query(`
+    SELECT id, creator_id, question, is_anonymous, allows_multiple_answers, is_quiz,
+           correct_option_id, explanation, close_date, is_closed, closed_at, created_at
+    FROM polls
+    WHERE id = ANY($1)
+  `, [ids]);
+
+  const optionResult = await query(
+    'SELECT id, poll_id, text FROM poll_options WHERE poll_id = ANY($1) ORDER BY position ASC',
+    [ids]
+  );
+
+  const chosenResult = await query(
+    'SELECT poll_id, option_id FROM poll_votes WHERE poll_id = ANY($1) AND user_id = $2',
+    [ids, userId]
+  );
+
+  const counts = await getVoteCounts(ids);
+  const chosen = new Set(chosenResult.rows.map(row => row.option_id));
+  const voted = new Set(chosenResult.rows.map(row => row.poll_id));
+
+  pollResult.rows.forEach(poll => {
+    const closed = isPollClosed(poll);
+    const revealAnswer = poll.is_quiz && (closed || voted.has(poll.id));
+
+    views[poll.id] = {
+      id: poll.id,
+      creatorId: poll.creator_id,
+      question: poll.question,
+      type: poll.is_quiz ? 'quiz' : 'regular',
+      isAnonymous: poll.is_anonymous,
+      allowsMultipleAnswers: poll.allows_multiple_answers,
+      options: optionResult.rows
+        .filter(option => option.poll_id === poll.id)
+        .map(option => ({
+          id: option.id,
+          text: option.text,
+          voterCount: counts[poll.id].options[option.id] || 0,
+          chosen: chosen.has(option.id),
+          ...(revealAnswer ? { isCorrect: option.id === poll.correct_option_id } : {})
+        })),
+      totalVoterCount: counts[poll.id].totalVoterCount,
+      hasVoted: voted.has(poll.id),
+      correctOptionId: revealAnswer ? poll.correct_option_id : null,
+      explanation: revealAnswer ? poll.explanation : null,
+      closeDate: poll.close_date,
+      isClosed: closed,
+      closedAt: poll.closed_at,
+      createdAt: poll.created_at
+    };
+  });
+
+  return views;
+};
+
+// Live results shared with everyone who can see the poll (no per-user data)
+const getPollResults = async (pollId) => {
+  const pollResult = await query('SELECT id, is_closed, close_date FROM polls WHERE id = $1', [pollId]);
+  const optionResult = await query(
+    'SELECT id FROM poll_options WHERE poll_id = $1 ORDER BY position ASC',
+    [pollId]
+  );
+  const counts = (await getVoteCounts([pollId]))[pollId];
+
+  return {
+    pollId,
+    options: optionResult.rows.map(option => ({
+      id: option.id,
+      voterCount: counts.options[option.id] || 0
+    })),
+    totalVoterCount: counts.totalVoterCount,
+    isClosed: isPollClosed(pollResult.rows[0])
+  };
+};
+
+const getPoll = async (pollId) => {
+  const result = await query(`
+    SELECT id, creator_id, is_anonymous, allows_multiple_answers, is_quiz,
+           correct_option_id, close_date, is_closed
+    FROM polls
+    WHERE id = $1
+  `, [pollId]);
+
+  return result.rows[0] || null;
+};
+
+// Cast (or replace) a user's vote. Quiz answers are final.
+// Returns { correct } (quiz only) or { error } with a status, code and message.
+const castVote = async (pollId, userId, optionIds) => {
+  const poll = await getPoll(pollId);
+
+  if (isPollClosed(poll)) {
+    return { error: { status: 409, error: 'Poll closed', message: 'This poll is closed', code: 'POLL_CLOSED' } };
+  }
+
+  const uniqueOptionIds = [...new Set(optionIds)];
+  if (uniqueOptionIds.length > 1 && !poll.allows_multiple_answers) {
+    return {
+      error: {
+        status: 400,
+        error: 'Invalid vote',
+        message: 'This poll allows only one answer',
+        code: 'POLL_SINGLE_ANSWER'
+      }
+    };
+  }
+
+  const optionResult = await query(
+    'SELECT id FROM poll_options WHERE poll_id = $1 AND id = ANY($2)',
+    [pollId, uniqueOptionIds]
+  );
+
+  if (optionResult.rows.length !== uniqueOptionIds.length) {
+    return {
+      error: {
+        status: 400,
+        error: 'Invalid vote',
+        message: 'One or more options do not belong to this poll',
+        code: 'POLL_OPTION_NOT_FOUND'
+      }
+    };
+  }
+
+  if (poll.is_quiz) {
+    const existing = await query(
+      'SELECT 1 FROM poll_votes WHERE poll_id = $1 AND user_id = $2',
+      [pollId, userId]
+    );
+
+    if (existing.rows.length > 0) {
+      return {
+        error: {
+          status: 409,
+          error: 'Already answered',
+          message: 'Quiz answers cannot be changed',
+          code: 'QUIZ_ALREADY_ANSWERED'
+        }
+      };
+    }
+  }
+
+  await query('DELETE FROM poll_votes WHERE poll_id = $1 AND user_id = $2', [pollId, userId]);
+  for (const optionId of uniqueOptionIds) {
+    await query(`
+      INSERT INTO poll_votes (poll_id, option_id, user_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (option_id, user_id) DO NOTHING
+    `, [pollId, optionId, userId]);
+  }
+
+  return poll.is_quiz ? { correct: uniqueOptionIds[0] === poll.correct_option_id } : {};
+};
+
+// Retract a user's vote. Returns { retracted } or { error }.
+const retractVote = async (pollId, userId) => {
+  const poll = await getPoll(pollId);
+
+  if (isPollClosed(poll)) {
+    return { error: { status: 409, error: 'Poll closed', message: 'This poll is closed', code: 'POLL_CLOSED' } };
+  }
+
+  if (poll.is_quiz) {
+    return {
+      error: {
+        status: 409,
+        error: 'Cannot retract',
+        message: 'Quiz answers cannot be retracted',
+        code: 'QUIZ_ALREADY_ANSWERED'
+      }
+    };
+  }
+
+  const result = await query('DELETE FROM poll_votes WHERE poll_id = $1 AND user_id = $2', [pollId, userId]);
+  return { retracted: result.rowCount > 0 };
+};
+
+// Close a poll for good. Only its creator may do this. Returns { closed } or { error }.
+const closePoll = async (pollId, userId) => {
+  const poll = await getPoll(pollId);
+
+  if (poll.creator_id !== userId) {
+    return {
+      error: {
+        status: 403,
+        error: 'Access denied',
+        message: 'Only the poll creator can close it',
+        code: 'ACCESS_DENIED'
+      }
+    };
+  }
+
+  const result = await query(`
+    UPDATE polls SET is_closed = true, closed_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND is_closed = false
+  `, [pollId]);
+
+  return { closed: result.rowCount > 0 };
+};
+
+// Who voted for an option (public polls only)
+const listVoters = async (pollId, optionId = null, limit = 50, offset = 0) => {
+  const result = await query(`
+    SELECT v.option_id, v.voted_at, u.id, u.username, u.first_name, u.last_name, u.profile_picture
+    FROM poll_votes v
+    INNER JOIN users u ON v.user_id = u.id
+    WHERE v.poll_id = $1 AND ($2::uuid IS NULL OR v.option_id = $2)
+    ORDER BY v.voted_at DESC
+    LIMIT $3 OFFSET $4
+  `, [pollId, optionId, limit, offset]);
+
+  return result.rows.map(row => ({
+    optionId: row.option_id,
+    votedAt: row.voted_at,
+    user: {
+      id: row.id,
+      username: row.username,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      profilePicture: row.profile_picture
+    }
+  }));
+};
+
+// Every message carrying a poll (the original plus forwarded copies), for live result fanout
+const getPollMessages = async (pollId) => {
+  const result = await query(
+    'SELECT id, chat_id FROM messages WHERE poll_id = $1 AND is_deleted = false',
+    [pollId]
+  );
+
+  return result.rows.map(row => ({ messageId: row.id, chatId: row.chat_id }));
+};
+
+module.exports = {
+  validatePollInput,
+  createPoll,
+  deletePoll,
+  getPoll,
+  getPollViews,
+  getPollResults,
+  castVote,
+  retractVote,
+  closePoll,
+  listVoters,
+  getPollMessages
+};
@@ -0,0 +1,211 @@
+const { query, transaction } = require('../database/connection');
+const { getHistoryPage, formatMessageRows } = require('./messageService');
+const { lockGroup, addParticipant } = require('./memberService');
+
+// Public groups have a username (chats.username, is_public = true) that anyone can find and join
+// them by. Chat and user usernames share one case-insensitive namespace, so @name always resolves
+// to a single user or chat.
+const PUBLIC_USERNAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{4,31}$/;
+
+// Recent messages non-members can read before joining
+const PUBLIC_PREVIEW_MESSAGE_LIMIT = 20;
+
+const MAX_PUBLIC_SEARCH_RESULTS = 50;
+
+// Accept "@name" as well as "name"
+const normalizeUsername = (username) => String(username).trim().replace(/^@/, '');
+
+const formatPublicChat = (row) => ({
+  id: row.id,
+  type: row.type,
+  title: row.title,
+  description: row.description,
+  username: row.username,
+  isChannel: Boolean(row.is_channel),
+  memberCount: row.member_count,
+  isMember: Boolean(row.is_member),
+  createdAt: row.created_at
+});
+
+const PUBLIC_CHAT_COLUMNS = `
+  c.id, c.type, c.title, c.description, c.username, c.is_channel, c.member_count, c.created_at,
+  EXISTS (SELECT 1 FROM chat_participants cp WHERE cp.chat_id = c.id AND cp.user_id = $2) as is_member
+`;
+
+// Whether a username is used by any user or chat (other than the ones given)
+const isUsernameTaken = async (username, { exceptUserId = null, exceptChatId = null } = {}) => {
+  const result = await query(`
+    SELECT 1 FROM users WHERE LOWER(username) = LOWER($1) AND ($2::uuid IS NULL OR id != $2)
+    UNION ALL
+    SELECT 1 FROM chats WHERE LOWER(username) = LOWER($1) AND ($3::uuid IS NULL OR id != $3)
+    LIMIT 1
+  `, [username, exceptUserId, exceptChatId]);
+
+  return result.rows.length > 0;
+};
+
+const usernameTaken = {
+  status: 409,
+  error: 'Username already taken',
+  message: 'This username is already in use',
+  code: 'USERNAME_TAKEN'
+};
+
+// Claim or change a group's public username (null makes the group private again).
+// Returns { username, isPublic } or { error }.
+const setChatUsername = async (chatId, username) => {
+  if (username !== null) {
+    username = normalizeUsername(username);
+
+    if (!PUBLIC_USERNAME_PATTERN.test(username)) {
+      return {
+        error: {
+          status: 400,
+          error: 'Invalid username',
+          message: 'Usernames are 5-32 letters, digits or underscores and start with a letter',
+          code: 'INVALID_USERNAME'
+        }
+      };
+    }
+
+    if (await isUsernameTaken(username, { exceptChatId: chatId })) {
+      return { error: usernameTaken };
+    }
+  }
+
+  try {
+    const result = await query(`
+      UPDATE chats
+      SET username = $2::varchar, is_public = $2::varchar IS NOT NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING username, is_public
+    `, [chatId, username]);
+
+    return { username: result.rows[0].username, isPublic: result.rows[0].is_public };
+  } catch (error) {
+    // Lost a race for the same name
+    if (error.code === '23505') {
+      return { error: usernameTaken };
+    }
+    throw error;
+  }
+};
+
+// A public chat by id, or null when there isn't one
+const getPublicChat = async (chatId, viewerId) => {
+  const result = await query(`
+    SELECT ${PUBLIC_CHAT_COLUMNS}
+    FROM chats c
+    WHERE c.id = $1 AND c.is_public = true
+  `, [chatId, viewerId]);
+
+  return result.rows.length > 0 ? formatPublicChat(result.rows[0]) : null;
+};
+
+// A public chat with its most recent messages, readable without joining. Returns null when not public.
+const getPublicChatPreview = async (chatId, viewerId) => {
+  const chat = await getPublicChat(chatId, viewerId);
+  if (!chat) {
+    return null;
+  }
+
+  const { rows } = await getHistoryPage(chatId, viewerId, { limit: PUBLIC_PREVIEW_MESSAGE_LIMIT });
+
+  return {
+    chat,
+    messages: await formatMessageRows(rows, viewerId)
+  };
+};
+
+// Find a user or public chat by username.
+// Returns { type: 'user', user }, { type: 'chat', chat, messages }, or null.
+const resolveUsername = async (username, viewerId) => {
+  const name = normalizeUsername(username);
+
+  const userResult = await query(`
+    SELECT id, username, first_name, last_name, bio, profile_picture
+    FROM users
+    WHERE LOWER(username) = LOWER($1)
+    LIMIT 1
+  `, [name]);
+
+  if (userResult.rows.length > 0) {
+    const user = userResult.rows[0];
+    return {
+      type: 'user',
+      user: {
+        id: user.id,
+        username: user.username,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        bio: user.bio,
+        profilePicture: user.profile_picture
+      }
+    };
+  }
+
+  const chatResult = await query(
+    'SELECT id FROM chats WHERE LOWER(username) = LOWER($1) AND is_public = true',
+    [name]
+  );
+
+  if (chatResult.rows.length === 0) {
+    return null;
+  }
+
+  const preview = await getPublicChatPreview(chatResult.rows[0].id, viewerId);
+  return preview ? { type: 'chat', ...preview } : null;
+};
+
+// Match `text` literally in a LIKE pattern (% and _ are wildcards otherwise)
+const escapeLikePattern = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Search public chats by username or title, exact username matches first
+const searchPublicChats = async (text, viewerId, limit = 20) => {
+  const result = await query(`
+    SELECT ${PUBLIC_CHAT_COLUMNS}
+    FROM chats c
+    WHERE c.is_public = true
+      AND (c.username ILIKE $1 OR c.title ILIKE $1)
+    ORDER BY LOWER(c.username) = LOWER($3) DESC, c.member_count DESC, c.created_at DESC
+    LIMIT $4
+  `, [`%${escapeLikePattern(text)}%`, viewerId, normalizeUsername(text), Math.min(limit, MAX_PUBLIC_SEARCH_RESULTS)]);
+
+  return result.rows.map(formatPublicChat);
+};
+
+// Join a public group without an invite. Returns { messageId, memberCount } or { error }.
+const joinPublicChat = async (chatId, userId) => {
+  return transaction(async (db) => {
+    const group = await lockGroup(db, chatId);
+    const publicCheck = group && await db('SELECT is_public FROM chats WHERE id = $1', [chatId]);
+
+    if (!group || !publicCheck.rows[0].is_public) {
+      return {
+        error: {
+          status: 404,
+          error: 'Group not found',
+          message: 'There is no public group with this id',
+          code: 'GROUP_NOT_FOUND'
+        }
+      };
+    }
+
+    return addParticipant(db, chatId, userId, userId, { type: 'member_joined' });
+  });
+};
+
+module.exports = {
+  PUBLIC_USERNAME_PATTERN,
+  PUBLIC_PREVIEW_MESSAGE_LIMIT,
+  MAX_PUBLIC_SEARCH_RESULTS,
+  normalizeUsername,
+  escapeLikePattern,
+  isUsernameTaken,
+  setChatUsername,
+  getPublicChat,
+  getPublicChatPreview,
+  resolveUsername,
+  searchPublicChats,
+  joinPublicChat
+};
@@ -0,0 +1,204 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const request = require('supertest');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { createTestApp, authHeader } = require('../routes/testApp');
+const { sendMessage } = require('./messageService');
+const { PUBLIC_PREVIEW_MESSAGE_LIMIT } = require('./publicChatService');
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+const chatRoutes = require('../routes/chats');
+const groupRoutes = require('../routes/groups');
+const resolveRoutes = require('../routes/resolve');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let app, events, alice, bob, carol, group;
+
+beforeEach(async () => {
+  ({ app, events } = createTestApp({
+    '/api/v1/auth': authRoutes,
+    '/api/v1/users': userRoutes,
+    '/api/v1/chats': chatRoutes,
+    '/api/v1/groups': groupRoutes,
+    '/api/v1/resolve': resolveRoutes
+  }));
+  alice = await createUser({ username: 'alice_smith', first_name: 'Alice' });
+  bob = await createUser({ username: 'bob_jones', first_name: 'Bob' });
+  carol = await createUser({ username: 'carol_white', first_name: 'Carol' });
+  group = await createChat(alice.id, { type: 'group', title: 'Book club', description: 'Monthly reads', members: [bob.id] });
+});
+
+const setUsername = (actor, username, chatId = group.id) => request(app)
+  .put(`/api/v1/chats/${chatId}/username`)
+  .set('Authorization', authHeader(actor))
+  .send({ username });
+
+const resolve = (user, username) => request(app)
+  .get(`/api/v1/resolve/${encodeURIComponent(username)}`)
+  .set('Authorization', authHeader(user));
+
+const search = async (user, q) => (await request(app)
+  .get('/api/v1/users/search')
+  .query({ q })
+  .set('Authorization', authHeader(user))
+  .expect(200)).body;
+
+describe('public usernames', () => {
+  it('makes a group public under a username and private again without one', async () => {
+    const claimed = await setUsername(alice, '@Book_Club').expect(200);
+    expect(claimed.body).toMatchObject({ username: 'Book_Club', isPublic: true });
+    expect(events).toEqual(expect.arrayContaining([{
+      room: `user:${bob.id}`,
+      event: 'chat_updated',
+      payload: expect.objectContaining({ chatId: group.id, username: 'Book_Club', isPublic: true })
+    }]));
+
+    const dropped = await setUsername(alice, null).expect(200);
+    expect(dropped.body).toMatchObject({ username: null, isPublic: false });
+    expect((await resolve(carol, 'book_club').expect(404)).body.code).toBe('USERNAME_NOT_FOUND');
+  });
+
+  it('rejects malformed usernames and members without the changeInfo right', async () => {
+    for (const username of ['bc', '1book_club', 'book-club', 'b'.repeat(33)]) {
+      expect((await setUsername(alice, username).expect(400)).body.code).toBe('INVALID_USERNAME');
+    }
+    expect((await setUsername(alice, 42).expect(400)).body.code).toBe('VALIDATION_ERROR');
+
+    expect((await setUsername(bob, 'book_club').expect(403)).body.missingRight).toBe('changeInfo');
+  });
+
+  it('shares one case-insensitive namespace between users and chats', async () => {
+    expect((await setUsername(alice, 'BOB_JONES').expect(409)).body.code).toBe('USERNAME_TAKEN');
+
+    await setUsername(alice, 'book_club').expect(200);
+    const other = await createChat(carol.id, { type: 'group', title: 'Other club' });
+    expect((await setUsername(carol, 'Book_Club', other.id).expect(409)).body.code).toBe('USERNAME_TAKEN');
+    // Claiming the name a group already has is fine
+    await setUsername(alice, 'book_club').expect(200);
+
+    const registered = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ username: 'BOOK_club', email: 'dave@example.com', password: 'secret123' })
+      .expect(409);
+    expect(registered.body.code).toBe('USERNAME_TAKEN');
+
+    const profile = await request(app)
+      .put('/api/v1/users/profile')
+      .set('Authorization', authHeader(bob))
+      .send({ username: 'book_CLUB' })
+      .expect(409);
+    expect(profile.body.code).toBe('USERNAME_TAKEN');
+
+    const byId = await request(app)
+      .put(`/api/v1/users/${bob.id}`)
+      .set('Authorization', authHeader(bob))
+      .send({ username: 'Book_club' })
+      .expect(409);
+    expect(byId.body.code).toBe('USERNAME_TAKEN');
+
+    // Users can keep their own username
+    await request(app)
+      .put('/api/v1/users/profile')
+      .set('Authorization', authHeader(bob))
+      .send({ username: 'bob_jones', bio: 'Reader' })
+      .expect(200);
+  });
+});
+
+describe('resolving usernames', () => {
+  beforeEach(async () => {
+    await setUsername(alice, 'book_club').expect(200);
+  });
+
+  it('finds users by username, with or without the @', async () => {
+    const resolved = await resolve(carol, '@Alice_Smith').expect(200);
+    expect(resolved.body).toMatchObject({ type: 'user', user: { id: alice.id, username: 'alice_smith', firstName: 'Alice' } });
+    expect(resolved.body.user.email).toBeUndefined();
+  });
+
+  it('finds public chats with their recent messages, readable before joining', async () => {
+    for (let index = 0; index < PUBLIC_PREVIEW_MESSAGE_LIMIT + 2; index++) {
+      await sendMessage({ chatId: group.id, senderId: alice.id, content: `chapter ${index}` });
+    }
+
+    const resolved = await resolve(carol, '@book_club').expect(200);
+    expect(resolved.body).toMatchObject({
+      type: 'chat',
+      chat: { id: group.id, title: 'Book club', username: 'book_club', memberCount: 2, isMember: false }
+    });
+    expect(resolved.body.messages).toHaveLength(PUBLIC_PREVIEW_MESSAGE_LIMIT);
+    expect(resolved.body.messages.map(message => message.content)).toContain(`chapter ${PUBLIC_PREVIEW_MESSAGE_LIMIT + 1}`);
+
+    const preview = await request(app)
+      .get(`/api/v1/chats/${group.id}/preview`)
+      .set('Authorization', authHeader(carol))
+      .expect(200);
+    expect(preview.body.chat).toEqual(resolved.body.chat);
+    expect(preview.body.messages).toEqual(resolved.body.messages);
+  });
+
+  it('does not preview private groups', async () => {
+    const hidden = await createChat(alice.id, { type: 'group', title: 'Secret club' });
+
+    const preview = await request(app)
+      .get(`/api/v1/chats/${hidden.id}/preview`)
+      .set('Authorization', authHeader(carol))
+      .expect(404);
+    expect(preview.body.code).toBe('CHAT_NOT_FOUND');
+    expect((await resolve(carol, 'nobody_here').expect(404)).body.code).toBe('USERNAME_NOT_FOUND');
+  });
+});
+
+describe('joining public groups', () => {
+  const joinGroup = (user, chatId = group.id) => request(app)
+    .post(`/api/v1/groups/${chatId}/join`)
+    .set('Authorization', authHeader(user));
+
+  it('lets anyone join a public group without an invite', async () => {
+    await setUsername(alice, 'book_club').expect(200);
+
+    const joined = await joinGroup(carol).expect(201);
+    expect(joined.body.memberCount).toBe(3);
+    expect((await resolve(carol, 'book_club').expect(200)).body.chat).toMatchObject({ isMember: true, memberCount: 3 });
+
+    expect((await joinGroup(carol).expect(409)).body.code).toBe('ALREADY_MEMBER');
+  });
+
+  it('keeps private groups and banned users out', async () => {
+    expect((await joinGroup(carol).expect(404)).body.code).toBe('GROUP_NOT_FOUND');
+
+    await setUsername(alice, 'book_club').expect(200);
+    await query('INSERT INTO chat_bans (chat_id, user_id, banned_by) VALUES ($1, $2, $3)', [group.id, carol.id, alice.id]);
+    expect((await joinGroup(carol).expect(403)).body.code).toBe('USER_BANNED');
+  });
+});
+
+describe('searching', () => {
+  it('returns public chats alongside users, exact username matches first', async () => {
+    await setUsername(alice, 'book_club').expect(200);
+    const bigger = await createChat(bob.id, { type: 'group', title: 'The book_club fan club', members: [alice.id, carol.id] });
+    await setUsername(bob, 'readers', bigger.id).expect(200);
+    await createChat(bob.id, { type: 'group', title: 'Private book club' });
+
+    const results = await search(carol, 'book_club');
+    expect(results.chats.map(chat => chat.id)).toEqual([group.id, bigger.id]);
+    expect(results.chats[1]).toMatchObject({ username: 'readers', memberCount: 3, isMember: true });
+
+    expect((await search(carol, 'alice')).users.map(user => user.id)).toEqual([alice.id]);
+  });
+
+  it('matches wildcard characters literally', async () => {
+    await setUsername(alice, 'book_club').expect(200);
+    // "k_c" would match "k c" in this title if _ were a wildcard
+    const lookalike = await createChat(bob.id, { type: 'group', title: 'Book club two' });
+    await setUsername(bob, 'bookclub_two', lookalike.id).expect(200);
+
+    expect((await search(carol, 'book%')).chats).toEqual([]);
+    expect((await search(carol, 'k_c')).chats.map(chat => chat.id)).toEqual([group.id]);
+  });
+});
@@ -0,0 +1,118 @@
+const { query } = require('../database/connection');
+
+// How many different reactions one user may leave on a single message
+const MAX_REACTIONS_PER_USER = 3;
+
+// Check whether an emoji may be used in a chat given its reaction settings
+const isReactionAllowed = (chat, emoji) => {
+  if (chat.reactions_enabled === false) {
+    return false;
+  }
+
+  // NULL means every reaction is allowed
+  if (!chat.allowed_reactions) {
+    return true;
+  }
+
+  return chat.allowed_reactions.includes(emoji);
+};
+
+// Get aggregated reaction counts for a set of messages, flagging the caller's own reactions
+const getReactionSummaries = async (messageIds, userId) => {
+  const summaries = {};
+  if (messageIds.length === 0) {
+    return summaries;
+  }
+
+  const result = await query(`
+    SELECT message_id, emoji, COUNT(*) as count,
+           BOOL_OR(user_id = $2) as chosen,
+           MIN(created_at) as first_reacted_at
+    FROM message_reactions
+    WHERE message_id = ANY($1)
+    GROUP BY message_id, emoji
+    ORDER BY COUNT(*) DESC, MIN(created_at) ASC
+  `, [messageIds, userId]);
+
+  result.rows.forEach(row => {
+    if (!summaries[row.message_id]) {
+      summaries[row.message_id] = [];
+    }
+
+    summaries[row.message_id].push({
+      emoji: row.emoji,
+      count: parseInt(row.count),
+      chosen: row.chosen
+    });
+  });
+
+  return summaries;
+};
+
+// Add a reaction. Returns false if the user already used up their reactions on the message.
+const addReaction = async (messageId, userId, emoji) => {
+  const existingResult = await query(
+    'SELECT emoji FROM message_reactions WHERE message_id = $1 AND user_id = $2',
+    [messageId, userId]
+  );
+
+  const existing = existingResult.rows.map(row => row.emoji);
+  if (existing.includes(emoji)) {
+    return true;
+  }
+
+  if (existing.length >= MAX_REACTIONS_PER_USER) {
+    return false;
+  }
+
+  await query(`
+    INSERT INTO message_reactions (message_id, user_id, emoji)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (message_id, user_id, emoji) DO NOTHING
+  `, [messageId, userId, emoji]);
+
+  return true;
+};
+
+// Remove a reaction. Returns whether anything was removed.
+const removeReaction = async (messageId, userId, emoji) => {
+  const result = await query(
+    'DELETE FROM message_reactions WHERE message_id = $1 AND user_id = $2 AND emoji = $3',
+    [messageId, userId, emoji]
+  );
+
+  return result.rowCount > 0;
+};
+
+// List who reacted to a message, optionally with one emoji only
+const listReactors = async (messageId, emoji = null, limit = 50, offset = 0) => {
+  const result = await query(`
+    SELECT r.emoji, r.created_at, u.id, u.username, u.first_name, u.last_name, u.profile_picture
+    FROM message_reactions r
+    INNER JOIN users u ON r.user_id = u.id
+    WHERE r.message_id = $1 AND ($2::varchar IS NULL OR r.emoji = $2)
+    ORDER BY r.created_at DESC
+    LIMIT $3 OFFSET $4
+  `, [messageId, emoji, limit, offset]);
+
+  return result.rows.map(row => ({
+    emoji: row.emoji,
+    reactedAt: row.created_at,
+    user: {
+      id: row.id,
+      username: row.username,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      profilePicture: row.profile_picture
+    }
+  }));
+};
+
+module.exports = {
+  MAX_REACTIONS_PER_USER,
+  isReactionAllowed,
+  getReactionSummaries,
+  addReaction,
+  removeReaction,
+  listReactors
+};
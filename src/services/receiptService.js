@@ -0,0 +1,110 @@
+const { query } = require('../database/connection');
+
+// Mark a message as delivered to a participant (ignored for the sender's own messages)
+const markDelivered = async (chatId, messageId, userId) => {
+  const result = await query(`
+    INSERT INTO message_receipts (message_id, user_id, delivered_at)
+    SELECT m.id, cp.user_id, CURRENT_TIMESTAMP
+    FROM messages m
+    INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $3
+    WHERE m.id = $1 AND m.chat_id = $2 AND m.sender_id != $3
+    ON CONFLICT (message_id, user_id)
+    DO UPDATE SET delivered_at = COALESCE(message_receipts.delivered_at, EXCLUDED.delivered_at)
+    RETURNING message_id, delivered_at
+  `, [messageId, chatId, userId]);
+
+  return result.rows[0] || null;
+};
+
+// Mark a message as read by a participant and advance their read watermark for the chat.
+// Everything up to the watermark counts as read, so older messages don't need their own rows.
+const markRead = async (chatId, messageId, userId) => {
+  const messageResult = await query(`
+    SELECT m.id, m.sender_id, m.created_at
+    FROM messages m
+    INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $3
+    WHERE m.id = $1 AND m.chat_id = $2
+  `, [messageId, chatId, userId]);
+
+  if (messageResult.rows.length === 0) {
+    return null;
+  }
+
+  const message = messageResult.rows[0];
+
+  let readAt = new Date();
+  if (message.sender_id !== userId) {
+    const receiptResult = await query(`
+      INSERT INTO message_receipts (message_id, user_id, delivered_at, read_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT (message_id, user_id)
+      DO UPDATE SET delivered_at = COALESCE(message_receipts.delivered_at, EXCLUDED.delivered_at),
+                    read_at = COALESCE(message_receipts.read_at, EXCLUDED.read_at)
+      RETURNING read_at
+    `, [messageId, userId]);
+    readAt = receiptResult.rows[0].read_at;
+  }
+
+  // Only move the watermark forward
+  await query(`
+    UPDATE chat_participants cp
+    SET last_read_message_id = $1, last_read_at = CURRENT_TIMESTAMP
+    WHERE cp.chat_id = $2 AND cp.user_id = $3
+      AND (
+        cp.last_read_message_id IS NULL
+        OR (SELECT created_at FROM messages WHERE id = cp.last_read_message_id) <= $4
+      )
+  `, [messageId, chatId, userId, message.created_at]);
+
+  return {
+    messageId: message.id,
+    senderId: message.sender_id,
+    readAt
+  };
+};
+
+// Get per-recipient receipts for a message plus "read by N of M" totals.
+// Recipients are the participants (other than the sender) who were in the chat when it was sent.
+const getReceipts = async (messageId) => {
+  const result = await query(`
+    SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture,
+           r.delivered_at, r.read_at, cp.last_read_at, rm.created_at as last_read_message_at,
+           m.created_at as message_created_at
+    FROM messages m
+    INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id != m.sender_id
+    INNER JOIN users u ON cp.user_id = u.id
+    LEFT JOIN message_receipts r ON r.message_id = m.id AND r.user_id = cp.user_id
+    LEFT JOIN messages rm ON rm.id = cp.last_read_message_id
+    WHERE m.id = $1 AND cp.joined_at <= m.created_at
+    ORDER BY cp.joined_at ASC
+  `, [messageId]);
+
+  const recipients = result.rows.map(row => {
+    const readByWatermark = row.last_read_message_at &&
+      new Date(row.last_read_message_at) >= new Date(row.message_created_at);
+    const readAt = row.read_at || (readByWatermark ? row.last_read_at : null);
+
+    return {
+      userId: row.id,
+      username: row.username,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      profilePicture: row.profile_picture,
+      deliveredAt: row.delivered_at || readAt,
+      readAt
+    };
+  });
+
+  return {
+    recipients,
+    recipientCount: recipients.length,
+    deliveredCount: recipients.filter(recipient => recipient.deliveredAt).length,
+    readCount: recipients.filter(recipient => recipient.readAt).length
+  };
+};
+
+module.exports = {
+  markDelivered,
+  markRead,
+  getReceipts
+};
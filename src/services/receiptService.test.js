@@ -0,0 +1,94 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { sendMessage } = require('./messageService');
+const { markDelivered, markRead, getReceipts } = require('./receiptService');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+describe('read receipts', () => {
+  let alice, bob, carol, chat;
+
+  beforeEach(async () => {
+    alice = await createUser();
+    bob = await createUser();
+    carol = await createUser();
+    chat = await createChat(alice.id, { type: 'group', members: [bob.id, carol.id] });
+  });
+
+  const send = async (content) => {
+    const { message } = await sendMessage({ chatId: chat.id, senderId: alice.id, content });
+    return message;
+  };
+
+  it('tracks delivery and reads per recipient', async () => {
+    const message = await send('hello');
+
+    expect(await getReceipts(message.id)).toMatchObject({ recipientCount: 2, deliveredCount: 0, readCount: 0 });
+
+    await markDelivered(chat.id, message.id, bob.id);
+    await markRead(chat.id, message.id, carol.id);
+
+    const receipts = await getReceipts(message.id);
+    expect(receipts).toMatchObject({ recipientCount: 2, deliveredCount: 2, readCount: 1 });
+
+    const byUser = Object.fromEntries(receipts.recipients.map(recipient => [recipient.userId, recipient]));
+    expect(byUser[bob.id].deliveredAt).not.toBeNull();
+    expect(byUser[bob.id].readAt).toBeNull();
+    expect(byUser[carol.id].readAt).not.toBeNull();
+  });
+
+  it('does not record the sender as a recipient of their own message', async () => {
+    const message = await send('hello');
+
+    expect(await markDelivered(chat.id, message.id, alice.id)).toBeNull();
+    expect((await getReceipts(message.id)).recipients.map(recipient => recipient.userId))
+      .toEqual(expect.not.arrayContaining([alice.id]));
+  });
+
+  it('counts older messages as read once a later one is read', async () => {
+    const first = await send('first');
+    const second = await send('second');
+
+    await markRead(chat.id, second.id, bob.id);
+
+    const receipts = await getReceipts(first.id);
+    const bobReceipt = receipts.recipients.find(recipient => recipient.userId === bob.id);
+    expect(bobReceipt.readAt).not.toBeNull();
+    expect(bobReceipt.deliveredAt).not.toBeNull();
+  });
+
+  it('never moves the read watermark backwards', async () => {
+    const first = await send('first');
+    const second = await send('second');
+
+    await markRead(chat.id, second.id, bob.id);
+    await markRead(chat.id, first.id, bob.id);
+
+    const participant = await query(
+      'SELECT last_read_message_id FROM chat_participants WHERE chat_id = $1 AND user_id = $2',
+      [chat.id, bob.id]
+    );
+    expect(participant.rows[0].last_read_message_id).toBe(second.id);
+  });
+
+  it('ignores users who are not in the chat', async () => {
+    const message = await send('hello');
+    const outsider = await createUser();
+
+    expect(await markRead(chat.id, message.id, outsider.id)).toBeNull();
+    expect(await markDelivered(chat.id, message.id, outsider.id)).toBeNull();
+  });
+
+  it('leaves out members who joined after the message was sent', async () => {
+    const message = await send('hello');
+    const latecomer = await createUser();
+    await query(`INSERT INTO chat_participants (chat_id, user_id) VALUES ($1, $2)`, [chat.id, latecomer.id]);
+
+    expect((await getReceipts(message.id)).recipientCount).toBe(2);
+  });
+});
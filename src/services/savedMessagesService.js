@@ -0,0 +1,180 @@
+const { query } = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+const { MESSAGE_COLUMNS, MESSAGE_JOINS, visibleToUser, formatMessageRows } = require('./messageService');
+
+// Every user has exactly one "Saved Messages" chat: type 'saved', the user as its creator and only participant
+const SAVED_CHAT_TYPE = 'saved';
+const SAVED_CHAT_TITLE = 'Saved Messages';
+
+const MAX_TAGS_PER_MESSAGE = 10;
+const MAX_TAG_LENGTH = 32;
+const TAG_PATTERN = /^[\p{L}\p{N}_]+$/u;
+
+// Accepts "#Work" or "work"; tags are stored lowercased without the leading #.
+// Returns { tags } or { error } with a message.
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return { error: 'tags must be an array' };
+  }
+
+  const normalized = [];
+  for (const tag of tags) {
+    if (typeof tag !== 'string') {
+      return { error: 'Each tag must be a string' };
+    }
+
+    const value = tag.trim().replace(/^#/, '').toLowerCase();
+    if (value.length === 0 || value.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(value)) {
+      return { error: `Tags must be 1-${MAX_TAG_LENGTH} letters, digits or underscores` };
+    }
+    if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  }
+
+  if (normalized.length > MAX_TAGS_PER_MESSAGE) {
+    return { error: `A message can have at most ${MAX_TAGS_PER_MESSAGE} tags` };
+  }
+
+  return { tags: normalized };
+};
+
+// Get the user's Saved Messages chat id, creating the chat the first time.
+// The partial unique index on chats(creator_id) keeps concurrent first calls from creating two.
+const getOrCreateSavedChat = async (userId) => {
+  const existing = await query(
+    'SELECT id FROM chats WHERE type = $1 AND creator_id = $2',
+    [SAVED_CHAT_TYPE, userId]
+  );
+
+  if (existing.rows.length > 0) {
+    return existing.rows[0].id;
+  }
+
+  const inserted = await query(`
+    INSERT INTO chats (id, type, title, is_group, member_count, creator_id)
+    VALUES ($1, $2, $3, false, 1, $4)
+    ON CONFLICT (creator_id) WHERE type = '${SAVED_CHAT_TYPE}' DO NOTHING
+    RETURNING id
+  `, [uuidv4(), SAVED_CHAT_TYPE, SAVED_CHAT_TITLE, userId]);
+
+  if (inserted.rows.length === 0) {
+    return getOrCreateSavedChat(userId);
+  }
+
+  const chatId = inserted.rows[0].id;
+  await query(`
+    INSERT INTO chat_participants (chat_id, user_id, role)
+    VALUES ($1, $2, 'member')
+    ON CONFLICT (chat_id, user_id) DO NOTHING
+  `, [chatId, userId]);
+
+  console.log('✅ Created Saved Messages chat for user:', userId);
+
+  return chatId;
+};
+
+// Tags for each of the given messages, keyed by message id
+const getMessageTags = async (messageIds) => {
+  if (messageIds.length === 0) {
+    return {};
+  }
+
+  const result = await query(`
+    SELECT message_id, tag
+    FROM saved_message_tags
+    WHERE message_id = ANY($1)
+    ORDER BY tag ASC
+  `, [messageIds]);
+
+  const tags = {};
+  result.rows.forEach(row => {
+    (tags[row.message_id] = tags[row.message_id] || []).push(row.tag);
+  });
+  return tags;
+};
+
+// Replace the tags on a message in the user's Saved Messages.
+// Returns the stored tags, or null when the message isn't in their Saved Messages.
+const setMessageTags = async (userId, messageId, tags) => {
+  const chatId = await getOrCreateSavedChat(userId);
+
+  const messageCheck = await query(
+    'SELECT id FROM messages WHERE id = $1 AND chat_id = $2 AND is_deleted = false',
+    [messageId, chatId]
+  );
+
+  if (messageCheck.rows.length === 0) {
+    return null;
+  }
+
+  await query('DELETE FROM saved_message_tags WHERE message_id = $1', [messageId]);
+
+  if (tags.length > 0) {
+    await query(`
+      INSERT INTO saved_message_tags (message_id, tag)
+      SELECT $1, UNNEST($2::varchar[])
+      ON CONFLICT DO NOTHING
+    `, [messageId, tags]);
+  }
+
+  return tags;
+};
+
+// Every tag in use in the user's Saved Messages with how many messages carry it
+const listSavedTags = async (userId) => {
+  const chatId = await getOrCreateSavedChat(userId);
+
+  const result = await query(`
+    SELECT t.tag, COUNT(*) as message_count
+    FROM saved_message_tags t
+    INNER JOIN messages m ON m.id = t.message_id
+    WHERE m.chat_id = $1 AND m.is_deleted = false AND ${visibleToUser('$2')}
+    GROUP BY t.tag
+    ORDER BY message_count DESC, t.tag ASC
+  `, [chatId, userId]);
+
+  return result.rows.map(row => ({ tag: row.tag, messageCount: parseInt(row.message_count) }));
+};
+
+// Saved messages newest first, optionally only those with `tag`.
+// `beforeId` continues from the last message of the previous page.
+const getSavedMessagesPage = async (userId, { tag = null, beforeId = null, limit = 50 }) => {
+  const chatId = await getOrCreateSavedChat(userId);
+
+  const result = await query(`
+    SELECT ${MESSAGE_COLUMNS}
+    FROM messages m
+    ${MESSAGE_JOINS}
+    WHERE m.chat_id = $1
+      AND m.is_deleted = false
+      AND ${visibleToUser('$2')}
+      AND ($3::varchar IS NULL OR EXISTS (
+        SELECT 1 FROM saved_message_tags t WHERE t.message_id = m.id AND t.tag = $3
+      ))
+      AND ($4::uuid IS NULL OR (m.created_at, m.id) < (SELECT created_at, id FROM messages WHERE id = $4))
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT $5
+  `, [chatId, userId, tag, beforeId, limit + 1]);
+
+  const rows = result.rows.slice(0, limit);
+  const messages = await formatMessageRows(rows, userId);
+  const tags = await getMessageTags(messages.map(message => message.id));
+
+  return {
+    chatId,
+    messages: messages.map(message => ({ ...message, tags: tags[message.id] || [] })),
+    hasMore: result.rows.length > limit
+  };
+};
+
+module.exports = {
+  SAVED_CHAT_TYPE,
+  SAVED_CHAT_TITLE,
+  normalizeTags,
+  getOrCreateSavedChat,
+  getMessageTags,
+  setMessageTags,
+  listSavedTags,
+  getSavedMessagesPage
+};
@@ -0,0 +1,190 @@
+const { query } = require('../database/connection');
+
+// How far ahead a message may be scheduled
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Claims older than this are assumed to belong to a crashed dispatcher and are retried
+const CLAIM_TIMEOUT_MINUTES = 5;
+
+const SCHEDULED_COLUMNS = `
+  id, chat_id, sender_id, content, entities, is_silent, message_type, reply_to, ttl_seconds, client_message_id,
+  send_at, status, message_id, error_code, created_at, updated_at
+`;
+
+const formatScheduledMessage = (row) => ({
+  id: row.id,
+  chatId: row.chat_id,
+  senderId: row.sender_id,
+  content: row.content,
+  entities: row.entities || [],
+  silent: Boolean(row.is_silent),
+  type: row.message_type,
+  replyToId: row.reply_to,
+  ttlSeconds: row.ttl_seconds,
+  clientMessageId: row.client_message_id,
+  sendAt: row.send_at,
+  status: row.status,
+  messageId: row.message_id,
+  errorCode: row.error_code,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Validate a requested send time. Returns an error message or null.
+const validateSendAt = (sendAt) => {
+  const time = new Date(sendAt).getTime();
+  if (isNaN(time)) {
+    return 'sendAt must be a valid date';
+  }
+  if (time <= Date.now()) {
+    return 'sendAt must be in the future';
+  }
+  if (time - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    return 'sendAt must be within one year';
+  }
+  return null;
+};
+
+// Find a message the sender already scheduled in this chat with the same client-generated id
+const findScheduledByClientMessageId = async (chatId, senderId, clientMessageId) => {
+  const result = await query(`
+    SELECT ${SCHEDULED_COLUMNS}
+    FROM scheduled_messages
+    WHERE chat_id = $1 AND sender_id = $2 AND client_message_id = $3
+  `, [chatId, senderId, clientMessageId]);
+
+  return result.rows[0] ? formatScheduledMessage(result.rows[0]) : null;
+};
+
+// Store a message for the dispatcher. ttlSeconds and clientMessageId are applied when it's sent;
+// retries with an already-seen clientMessageId return the original with duplicate: true.
+// Returns { scheduled, duplicate }.
+const scheduleMessage = async ({
+  chatId, senderId, content, entities = [], type = 'text', replyToId = null, sendAt, silent = false,
+  ttlSeconds = null, clientMessageId = null
+}) => {
+  if (clientMessageId) {
+    const existing = await findScheduledByClientMessageId(chatId, senderId, clientMessageId);
+    if (existing) {
+      return { scheduled: existing, duplicate: true };
+    }
+  }
+
+  try {
+    const result = await query(`
+      INSERT INTO scheduled_messages (
+        chat_id, sender_id, content, entities, message_type, reply_to, send_at, is_silent,
+        ttl_seconds, client_message_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${SCHEDULED_COLUMNS}
+    `, [
+      chatId, senderId, content, JSON.stringify(entities), type, replyToId, new Date(sendAt), Boolean(silent),
+      ttlSeconds, clientMessageId
+    ]);
+
+    return { scheduled: formatScheduledMessage(result.rows[0]), duplicate: false };
+  } catch (error) {
+    // A concurrent retry won the race on the (chat_id, sender_id, client_message_id) unique index
+    if (error.code === '23505' && clientMessageId) {
+      return {
+        scheduled: await findScheduledByClientMessageId(chatId, senderId, clientMessageId),
+        duplicate: true
+      };
+    }
+    throw error;
+  }
+};
+
+// A user's pending scheduled messages in a chat, soonest first
+const listScheduledMessages = async (chatId, senderId) => {
+  const result = await query(`
+    SELECT ${SCHEDULED_COLUMNS}
+    FROM scheduled_messages
+    WHERE chat_id = $1 AND sender_id = $2 AND status = 'pending'
+    ORDER BY send_at ASC
+  `, [chatId, senderId]);
+
+  return result.rows.map(formatScheduledMessage);
+};
+
+// Change content and/or send time. Only pending messages can change, so an edit
+// racing the dispatcher either lands before the claim or returns null.
+// New content replaces the formatting entities along with the text.
+const updateScheduledMessage = async (scheduledId, senderId, { content = null, entities = [], sendAt = null }) => {
+  const result = await query(`
+    UPDATE scheduled_messages
+    SET content = COALESCE($3, content),
+        entities = CASE WHEN $3::text IS NULL THEN entities ELSE $5::jsonb END,
+        send_at = COALESCE($4, send_at),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND sender_id = $2 AND status = 'pending'
+    RETURNING ${SCHEDULED_COLUMNS}
+  `, [scheduledId, senderId, content, sendAt ? new Date(sendAt) : null, JSON.stringify(entities)]);
+
+  return result.rows[0] ? formatScheduledMessage(result.rows[0]) : null;
+};
+
+// Cancel a pending scheduled message. Returns the removed row or null.
+const cancelScheduledMessage = async (scheduledId, senderId) => {
+  const result = await query(`
+    DELETE FROM scheduled_messages
+    WHERE id = $1 AND sender_id = $2 AND status = 'pending'
+    RETURNING ${SCHEDULED_COLUMNS}
+  `, [scheduledId, senderId]);
+
+  return result.rows[0] ? formatScheduledMessage(result.rows[0]) : null;
+};
+
+// Atomically claim due messages. SKIP LOCKED lets several server instances
+// poll at once without two of them claiming the same row.
+const claimDueMessages = async (limit = 50) => {
+  // Put back claims abandoned by a dispatcher that died mid-send
+  await query(`
+    UPDATE scheduled_messages
+    SET status = 'pending', claimed_at = NULL
+    WHERE status = 'sending' AND claimed_at < CURRENT_TIMESTAMP - INTERVAL '${CLAIM_TIMEOUT_MINUTES} minutes'
+  `);
+
+  const result = await query(`
+    UPDATE scheduled_messages
+    SET status = 'sending', claimed_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM scheduled_messages
+      WHERE status = 'pending' AND send_at <= CURRENT_TIMESTAMP
+      ORDER BY send_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING ${SCHEDULED_COLUMNS}
+  `, [limit]);
+
+  return result.rows.map(formatScheduledMessage);
+};
+
+const markScheduledSent = async (scheduledId, messageId) => {
+  await query(`
+    UPDATE scheduled_messages
+    SET status = 'sent', message_id = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [scheduledId, messageId]);
+};
+
+const markScheduledFailed = async (scheduledId, errorCode) => {
+  await query(`
+    UPDATE scheduled_messages
+    SET status = 'failed', error_code = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [scheduledId, errorCode]);
+};
+
+module.exports = {
+  validateSendAt,
+  scheduleMessage,
+  listScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  claimDueMessages,
+  markScheduledSent,
+  markScheduledFailed
+};
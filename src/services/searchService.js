@@ -0,0 +1,131 @@
+const { query } = require('../database/connection');
+const { visibleToUser } = require('./messageService');
+
+// ts_headline marks matches with these control characters (stripped from the content first), and
+// they're turned into offsets so snippets stay plain text
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+const HEADLINE_OPTIONS = 'StartSel=' + HIGHLIGHT_START + ', StopSel=' + HIGHLIGHT_END +
+  ', MaxWords=24, MinWords=8, MaxFragments=2';
+
+// Split a marked-up headline into plain text and highlight ranges. Offsets and lengths are in
+// UTF-16 code units, like message entities.
+const parseHeadline = (headline) => {
+  let text = '';
+  let start = null;
+  const highlights = [];
+
+  for (const part of (headline || '').split(/([\u0002\u0003])/)) {
+    if (part === HIGHLIGHT_START) {
+      start = text.length;
+    } else if (part === HIGHLIGHT_END) {
+      if (start !== null && text.length > start) {
+        highlights.push({ offset: start, length: text.length - start });
+      }
+      start = null;
+    } else {
+      text += part;
+    }
+  }
+
+  return { text, highlights };
+};
+
+// PostgreSQL: tsvector column ranked with ts_rank, snippets from ts_headline
+const searchPostgres = async ({ userId, text, chatId, senderId, type, from, to, limit, offset }) => {
+  const result = await query(`
+    SELECT m.id, m.chat_id, m.sender_id, m.message_type, m.created_at,
+           c.title as chat_title, c.type as chat_type,
+           u.username, u.first_name, u.last_name, u.profile_picture,
+           ts_rank(m.search_vector, q) as rank,
+           ts_headline('simple', translate(m.content, chr(2) || chr(3), ''), q, $10) as snippet
+    FROM messages m
+    INNER JOIN chat_participants cp ON cp.chat_id = m.chat_id AND cp.user_id = $1
+    INNER JOIN chats c ON m.chat_id = c.id
+    INNER JOIN users u ON m.sender_id = u.id
+    CROSS JOIN websearch_to_tsquery('simple', $2) q
+    WHERE m.search_vector @@ q
+      AND m.is_deleted = false
+      AND ${visibleToUser('$1')}
+      AND ($3::uuid IS NULL OR m.chat_id = $3)
+      AND ($4::uuid IS NULL OR m.sender_id = $4)
+      AND ($5::varchar IS NULL OR m.message_type = $5)
+      AND ($6::timestamp IS NULL OR m.created_at >= $6)
+      AND ($7::timestamp IS NULL OR m.created_at <= $7)
+    ORDER BY rank DESC, m.created_at DESC
+    LIMIT $8 OFFSET $9
+  `, [userId, text, chatId, senderId, type, from, to, limit + 1, offset, HEADLINE_OPTIONS]);
+
+  return result.rows;
+};
+
+// Search message content in the chats a user participates in.
+// `snippet` is plain text; `highlights` gives the matched ranges in it.
+const searchMessages = async (options) => {
+  const { limit } = options;
+  const rows = await searchPostgres(options);
+
+  const results = rows.slice(0, limit).map(row => {
+    const { text: snippet, highlights } = parseHeadline(row.snippet);
+
+    return {
+      message: {
+        id: row.id,
+        chatId: row.chat_id,
+        type: row.message_type,
+        senderId: row.sender_id,
+        sender: {
+          id: row.sender_id,
+          username: row.username,
+          firstName: row.first_name,
+          lastName: row.last_name,
+          profilePicture: row.profile_picture
+        },
+        createdAt: row.created_at
+      },
+      chat: {
+        id: row.chat_id,
+        title: row.chat_title,
+        type: row.chat_type
+      },
+      snippet,
+      highlights,
+      rank: parseFloat(row.rank)
+    };
+  });
+
+  return {
+    results,
+    hasMore: rows.length > limit
+  };
+};
+
+// Parse and validate search query-string options shared by the search endpoints.
+// Returns { error } with a message when something is invalid.
+const parseSearchOptions = (params) => {
+  const text = (params.q || '').trim();
+  if (text.length < 2) {
+    return { error: 'Search query must be at least 2 characters long' };
+  }
+
+  const from = params.from ? new Date(params.from) : null;
+  const to = params.to ? new Date(params.to) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  return {
+    text,
+    senderId: params.senderId || null,
+    type: params.type || null,
+    from,
+    to,
+    limit: Math.min(Math.max(parseInt(params.limit) || 20, 1), 100),
+    offset: Math.max(parseInt(params.offset) || 0, 0)
+  };
+};
+
+module.exports = {
+  searchMessages,
+  parseSearchOptions
+};
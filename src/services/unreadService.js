@@ -0,0 +1,129 @@
+const { query } = require('../database/connection');
+
+// Joins a chat_participants row `cp` to its unread messages `m`.
+// A message is unread when it was sent by someone else after the user's read watermark
+// (or after they joined, if they haven't read anything yet).
+const UNREAD_MESSAGES_JOIN = `
+  LEFT JOIN messages rm ON rm.id = cp.last_read_message_id
+  LEFT JOIN messages m ON m.chat_id = cp.chat_id
+    AND m.sender_id != cp.user_id
+    AND m.is_deleted = false
+    AND (m.expires_at IS NULL OR m.expires_at > CURRENT_TIMESTAMP)
+    AND m.created_at > COALESCE(rm.created_at, cp.joined_at)
+    AND NOT EXISTS (
+      SELECT 1 FROM message_deletions md WHERE md.message_id = m.id AND md.user_id = cp.user_id
+    )
+`;
+
+// Get unread and unread-mention counts for every chat the user participates in
+const getUnreadCounts = async (userId) => {
+  const result = await query(`
+    SELECT cp.chat_id,
+           COUNT(m.id) as unread_count,
+           COUNT(mm.id) as unread_mention_count
+    FROM chat_participants cp
+    ${UNREAD_MESSAGES_JOIN}
+    LEFT JOIN message_mentions mm ON mm.message_id = m.id AND mm.user_id = cp.user_id
+    WHERE cp.user_id = $1
+    GROUP BY cp.chat_id
+  `, [userId]);
+
+  const counts = {};
+  let totalUnreadCount = 0;
+
+  result.rows.forEach(row => {
+    counts[row.chat_id] = {
+      unreadCount: parseInt(row.unread_count),
+      unreadMentionCount: parseInt(row.unread_mention_count)
+    };
+    totalUnreadCount += parseInt(row.unread_count);
+  });
+
+  return { counts, totalUnreadCount };
+};
+
+// Unread and unread-mention counts in one chat for several users, in one query.
+// Returns a map of userId -> { unreadCount, unreadMentionCount }.
+const getChatUnreadCounts = async (chatId, userIds) => {
+  const result = await query(`
+    SELECT cp.user_id,
+           COUNT(m.id) as unread_count,
+           COUNT(mm.id) as unread_mention_count
+    FROM chat_participants cp
+    ${UNREAD_MESSAGES_JOIN}
+    LEFT JOIN message_mentions mm ON mm.message_id = m.id AND mm.user_id = cp.user_id
+    WHERE cp.chat_id = $1 AND cp.user_id = ANY($2::uuid[])
+    GROUP BY cp.user_id
+  `, [chatId, userIds]);
+
+  const counts = {};
+  result.rows.forEach(row => {
+    counts[row.user_id] = {
+      unreadCount: parseInt(row.unread_count),
+      unreadMentionCount: parseInt(row.unread_mention_count)
+    };
+  });
+  return counts;
+};
+
+// Total unread messages across all chats for several users, in one query (no mention counts).
+// Returns a map of userId -> total.
+const getTotalUnreadCounts = async (userIds) => {
+  if (userIds.length === 0) {
+    return {};
+  }
+
+  const result = await query(`
+    SELECT cp.user_id, COUNT(m.id) as unread_count
+    FROM chat_participants cp
+    ${UNREAD_MESSAGES_JOIN}
+    WHERE cp.user_id = ANY($1::uuid[])
+    GROUP BY cp.user_id
+  `, [userIds]);
+
+  const totals = {};
+  result.rows.forEach(row => {
+    totals[row.user_id] = parseInt(row.unread_count);
+  });
+  return totals;
+};
+
+// Find the oldest unread message in a chat that mentions the user, for "jump to next mention".
+// Starts after `afterMessageId` when given (to step through mentions), otherwise after the read watermark.
+// Returns { messageId, remainingCount } where remainingCount includes the returned mention.
+const getNextUnreadMention = async (chatId, userId, afterMessageId = null) => {
+  const result = await query(`
+    SELECT m.id, COUNT(*) OVER () as remaining_count
+    FROM message_mentions mm
+    INNER JOIN messages m ON m.id = mm.message_id
+    INNER JOIN chat_participants cp ON cp.chat_id = mm.chat_id AND cp.user_id = mm.user_id
+    LEFT JOIN messages rm ON rm.id = cp.last_read_message_id
+    LEFT JOIN messages am ON am.id = $3
+    WHERE mm.chat_id = $1 AND mm.user_id = $2
+      AND m.is_deleted = false
+      AND (m.expires_at IS NULL OR m.expires_at > CURRENT_TIMESTAMP)
+      AND NOT EXISTS (
+        SELECT 1 FROM message_deletions md WHERE md.message_id = m.id AND md.user_id = mm.user_id
+      )
+      AND m.created_at > COALESCE(rm.created_at, cp.joined_at)
+      AND ($3::uuid IS NULL OR (m.created_at, m.id) > (am.created_at, am.id))
+    ORDER BY m.created_at ASC, m.id ASC
+    LIMIT 1
+  `, [chatId, userId, afterMessageId]);
+
+  if (result.rows.length === 0) {
+    return { messageId: null, remainingCount: 0 };
+  }
+
+  return {
+    messageId: result.rows[0].id,
+    remainingCount: parseInt(result.rows[0].remaining_count)
+  };
+};
+
+module.exports = {
+  getUnreadCounts,
+  getChatUnreadCounts,
+  getTotalUnreadCounts,
+  getNextUnreadMention
+};
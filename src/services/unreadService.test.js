@@ -0,0 +1,137 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const { Server } = require('socket.io');
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { sendMessage, deleteMessageForUser } = require('./messageService');
+const { markRead } = require('./receiptService');
+const {
+  getUnreadCounts, getChatUnreadCounts, getTotalUnreadCounts, getNextUnreadMention
+} = require('./unreadService');
+const { initializeWebSocket, broadcastUnreadCounts } = require('../websocket/socket');
+
+beforeAll(setupTestDatabase);
+beforeEach(resetTestDatabase);
+afterAll(closeTestDatabase);
+
+let alice, bob, chat;
+
+beforeEach(async () => {
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  chat = await createChat(alice.id, { type: 'group', members: [bob.id] });
+});
+
+const send = async (senderId, content) => {
+  const { message } = await sendMessage({ chatId: chat.id, senderId, content });
+  return message;
+};
+
+describe('unread counts', () => {
+  it('counts messages from others after the read watermark', async () => {
+    await send(alice.id, 'one');
+    const second = await send(alice.id, 'two');
+    await send(alice.id, 'three');
+
+    expect((await getUnreadCounts(bob.id)).counts[chat.id].unreadCount).toBe(3);
+
+    await markRead(chat.id, second.id, bob.id);
+    const { counts, totalUnreadCount } = await getUnreadCounts(bob.id);
+    expect(counts[chat.id]).toEqual({ unreadCount: 1, unreadMentionCount: 0 });
+    expect(totalUnreadCount).toBe(1);
+  });
+
+  it('does not count the user\'s own messages', async () => {
+    await send(alice.id, 'question');
+    await send(bob.id, 'answer');
+
+    // Replying marks everything before it as read
+    expect((await getUnreadCounts(bob.id)).counts[chat.id].unreadCount).toBe(0);
+    expect((await getUnreadCounts(alice.id)).counts[chat.id].unreadCount).toBe(1);
+  });
+
+  it('skips messages deleted for everyone or just for the user', async () => {
+    const first = await send(alice.id, 'one');
+    await send(alice.id, 'two');
+    await deleteMessageForUser(first.id, bob.id);
+
+    expect((await getUnreadCounts(bob.id)).counts[chat.id].unreadCount).toBe(1);
+  });
+
+  it('skips expired messages', async () => {
+    await send(alice.id, 'one');
+    await query(`UPDATE messages SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`);
+
+    expect((await getUnreadCounts(bob.id)).counts[chat.id].unreadCount).toBe(0);
+  });
+
+  it('counts unread mentions and steps through them in order', async () => {
+    const first = await send(alice.id, '@bob look');
+    await send(alice.id, 'no mention');
+    const second = await send(alice.id, 'and again @bob');
+
+    expect((await getUnreadCounts(bob.id)).counts[chat.id]).toEqual({ unreadCount: 3, unreadMentionCount: 2 });
+
+    expect(await getNextUnreadMention(chat.id, bob.id)).toEqual({ messageId: first.id, remainingCount: 2 });
+    expect(await getNextUnreadMention(chat.id, bob.id, first.id)).toEqual({ messageId: second.id, remainingCount: 1 });
+    expect(await getNextUnreadMention(chat.id, bob.id, second.id)).toEqual({ messageId: null, remainingCount: 0 });
+  });
+
+  it('reports per-chat counts and totals for several users at once', async () => {
+    const carol = await createUser();
+    const otherChat = await createChat(carol.id, { type: 'group', members: [bob.id] });
+    await send(alice.id, 'one');
+    await sendMessage({ chatId: otherChat.id, senderId: carol.id, content: 'elsewhere' });
+
+    const counts = await getChatUnreadCounts(chat.id, [alice.id, bob.id]);
+    expect(counts[alice.id].unreadCount).toBe(0);
+    expect(counts[bob.id].unreadCount).toBe(1);
+
+    const totals = await getTotalUnreadCounts([alice.id, bob.id]);
+    expect(totals[bob.id]).toBe(2);
+    expect(await getTotalUnreadCounts([])).toEqual({});
+  });
+});
+
+describe('broadcastUnreadCounts', () => {
+  let emitted;
+
+  beforeEach(() => {
+    const io = new Server();
+    initializeWebSocket(io);
+
+    emitted = [];
+    jest.spyOn(io, 'to').mockImplementation(room => ({
+      emit: (event, payload) => emitted.push({ room, event, payload })
+    }));
+  });
+
+  it('sends every participant their counts, connected to this server or not', async () => {
+    await send(alice.id, 'hello @bob');
+
+    await broadcastUnreadCounts(chat.id);
+
+    expect(emitted).toEqual(expect.arrayContaining([
+      {
+        room: `user:${bob.id}`,
+        event: 'unread_count_updated',
+        payload: { chatId: chat.id, unreadCount: 1, unreadMentionCount: 1, totalUnreadCount: 1 }
+      },
+      {
+        room: `user:${alice.id}`,
+        event: 'unread_count_updated',
+        payload: { chatId: chat.id, unreadCount: 0, unreadMentionCount: 0, totalUnreadCount: 0 }
+      }
+    ]));
+    expect(emitted).toHaveLength(2);
+  });
+
+  it('only notifies the given users', async () => {
+    await send(alice.id, 'hello');
+
+    await broadcastUnreadCounts(chat.id, [bob.id]);
+
+    expect(emitted.map(entry => entry.room)).toEqual([`user:${bob.id}`]);
+  });
+});
@@ -0,0 +1,78 @@
+const { query } = require('../database/connection');
+
+const MAX_DIFFERENCE_LIMIT = 500;
+
+// Append an update to each user's sequence. The users row is bumped and the update
+// inserted in one statement, so every user's seq is gap-free and strictly increasing.
+// Returns a map of userId -> seq assigned to this update.
+const recordUpdate = async (userIds, type, chatId, payload) => {
+  const seqs = {};
+  if (userIds.length === 0) {
+    return seqs;
+  }
+
+  const result = await query(`
+    WITH bumped AS (
+      UPDATE users SET update_seq = update_seq + 1
+      WHERE id = ANY($1)
+      RETURNING id, update_seq
+    )
+    INSERT INTO user_updates (user_id, seq, type, chat_id, payload)
+    SELECT id, update_seq, $2, $3, $4 FROM bumped
+    RETURNING user_id, seq
+  `, [userIds, type, chatId, JSON.stringify(payload)]);
+
+  result.rows.forEach(row => {
+    seqs[row.user_id] = parseInt(row.seq);
+  });
+
+  return seqs;
+};
+
+// Get the latest seq assigned to a user
+const getCurrentSeq = async (userId) => {
+  const result = await query('SELECT update_seq FROM users WHERE id = $1', [userId]);
+  return result.rows[0] ? parseInt(result.rows[0].update_seq) : 0;
+};
+
+// Get the updates a user missed after `since`, oldest first.
+// state.seq is what the client should store; when hasMore is set, call again from it.
+// The current seq is read before the updates, and only updates up to it are returned, so an update
+// recorded meanwhile is never covered by state.seq without being in `updates`.
+const getDifference = async (userId, since, limit = 100) => {
+  const snapshot = await getCurrentSeq(userId);
+
+  const result = await query(`
+    SELECT seq, type, chat_id, payload, created_at
+    FROM user_updates
+    WHERE user_id = $1 AND seq > $2 AND seq <= $4
+    ORDER BY seq ASC
+    LIMIT $3
+  `, [userId, since, limit + 1, snapshot]);
+
+  const hasMore = result.rows.length > limit;
+  const updates = result.rows.slice(0, limit).map(row => ({
+    seq: parseInt(row.seq),
+    type: row.type,
+    chatId: row.chat_id,
+    payload: row.payload,
+    createdAt: row.created_at
+  }));
+
+  const seq = hasMore
+    ? updates[updates.length - 1].seq
+    : snapshot;
+
+  return {
+    updates,
+    state: { seq },
+    hasMore
+  };
+};
+
+module.exports = {
+  MAX_DIFFERENCE_LIMIT,
+  recordUpdate,
+  getCurrentSeq,
+  getDifference
+};
@@ -1,5 +1,26 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../database/connection');
+const { markDelivered, markRead, getReceipts } = require('../services/receiptService');
+const { getChatUnreadCounts, getTotalUnreadCounts } = require('../services/unreadService');
+const {
+  MESSAGE_TYPES,
+  MAX_CONTENT_LENGTH,
+  MAX_MESSAGE_TTL_SECONDS,
+  getMessagesByIds,
+  sendMessage
+} = require('../services/messageService');
+const { MAX_DIFFERENCE_LIMIT, recordUpdate, getDifference } = require('../services/updateService');
+const { getPinnedMessageIds } = require('../services/pinService');
+const { getMentionedUserIds } = require('../services/entityService');
+const { validatePollInput, getPollResults, getPollMessages } = require('../services/pollService');
+const { prepareFormattedText } = require('../services/formattingService');
+const { refreshMessageLinkPreview } = require('../services/linkPreviewService');
+const { clearDraft } = require('../services/draftService');
+const { filterNotificationRecipients } = require('../services/notificationService');
+const { unarchiveOnNewMessage } = require('../services/chatListService');
+
+// Length of the message text included in new-message notifications
+const NOTIFICATION_PREVIEW_LENGTH = 100;
 
 let io;
 
@@ -72,30 +93,177 @@ const initializeWebSocket = (socketIo) => {
       });
     });
 
-    // Handle message read events
-    socket.on('message_read', async (data) => {
-      const { messageId, chatId } = data;
-      
+    // Handle sending messages. The ack carries the server id and timestamp;
+    // retries with the same clientMessageId are acked with the original message.
+    socket.on('send_message', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      const {
+        chatId, type = 'text', replyToId = null, clientMessageId, ttlSeconds = null, poll = null,
+        entities = null, parseMode = null, silent = false
+      } = data || {};
+      // Poll messages carry their question as content
+      const content = type === 'poll' && poll ? poll.question : (data || {}).content;
+
+      const pollError = type === 'poll' ? validatePollInput(poll) : null;
+      if (pollError) {
+        return respond({
+          success: false,
+          clientMessageId,
+          error: pollError,
+          code: 'INVALID_POLL'
+        });
+      }
+
+      if (!chatId || typeof content !== 'string' || content.trim() === '' ||
+          content.length > MAX_CONTENT_LENGTH || !MESSAGE_TYPES.includes(type) ||
+          typeof clientMessageId !== 'string' || clientMessageId === '' || clientMessageId.length > 64 ||
+          (ttlSeconds !== null && !(Number.isInteger(ttlSeconds) && ttlSeconds >= 0 && ttlSeconds <= MAX_MESSAGE_TTL_SECONDS))) {
+        return respond({
+          success: false,
+          clientMessageId,
+          error: 'Invalid input data',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const formatted = type === 'poll'
+        ? { content, entities: [] }
+        : prepareFormattedText({ content, entities, parseMode });
+      if (formatted.error) {
+        return respond({
+          success: false,
+          clientMessageId,
+          error: formatted.error,
+          code: 'INVALID_ENTITIES'
+        });
+      }
+
+      try {
+        const result = await sendMessage({
+          chatId,
+          senderId: socket.userId,
+          content: formatted.content,
+          entities: formatted.entities,
+          silent: Boolean(silent),
+          type,
+          replyToId,
+          clientMessageId,
+          ttlSeconds,
+          poll
+        });
+
+        if (result.error) {
+          return respond({
+            success: false,
+            clientMessageId,
+            error: result.error.message,
+            code: result.error.code,
+            missingRight: result.error.missingRight
+          });
+        }
+
+        respond({
+          success: true,
+          clientMessageId,
+          messageId: result.message.id,
+          createdAt: result.message.createdAt,
+          duplicate: result.duplicate,
+          message: result.message
+        });
+
+        if (!result.duplicate) {
+          console.log('✅ Message sent over WebSocket:', result.message.id);
+          await sendMessageToChat(chatId, result.message, socket.userId, socket.id);
+          await clearSentDraft(chatId, socket.userId, socket.id);
+        }
+      } catch (error) {
+        console.error('Error sending message:', error);
+        respond({
+          success: false,
+          clientMessageId,
+          error: 'An error occurred while sending message',
+          code: 'MESSAGE_SEND_ERROR'
+        });
+      }
+    });
+
+    // Handle message delivery acknowledgements
+    socket.on('message_received', async (data) => {
       try {
-        // Update message status in database
-        await query(
-          'UPDATE messages SET delivery_status = $1 WHERE id = $2 AND chat_id = $3',
-          ['read', messageId, chatId]
-        );
-
-        // Notify other users in chat
-        socket.to(`chat:${chatId}`).emit('message_read', {
+        const { messageId, chatId } = data || {};
+        if (!messageId || !chatId) {
+          return;
+        }
+
+        const receipt = await markDelivered(chatId, messageId, socket.userId);
+        if (!receipt) {
+          return;
+        }
+
+        const senderResult = await query('SELECT sender_id FROM messages WHERE id = $1', [messageId]);
+
+        // Let the sender know this recipient got the message
+        io.to(`user:${senderResult.rows[0].sender_id}`).emit('message_delivered', {
           messageId,
           chatId,
           userId: socket.userId,
-          username: socket.user.username,
-          readAt: new Date()
+          deliveredAt: receipt.delivered_at
         });
+      } catch (error) {
+        console.error('Error marking message as delivered:', error);
+      }
+    });
+
+    // Handle message read events
+    socket.on('message_read', async (data) => {
+      try {
+        const { messageId, chatId } = data || {};
+        if (!messageId || !chatId) {
+          return;
+        }
+
+        // Record the receipt and advance this user's read watermark
+        const read = await markRead(chatId, messageId, socket.userId);
+        if (!read) {
+          return;
+        }
+
+        await publishRead(chatId, messageId, socket.user, read);
       } catch (error) {
         console.error('Error marking message as read:', error);
       }
     });
 
+    // Handle catch-up after reconnecting: the client sends the last seq it applied
+    // and gets back everything it missed (page again while hasMore is set)
+    socket.on('resume', async (data, ack) => {
+      const respond = typeof ack === 'function'
+        ? ack
+        : (payload) => socket.emit('difference', payload);
+      const since = parseInt(data && data.seq);
+      const limit = Math.min(Math.max(parseInt(data && data.limit) || 100, 1), MAX_DIFFERENCE_LIMIT);
+
+      if (isNaN(since) || since < 0) {
+        return respond({
+          success: false,
+          error: 'seq must be a non-negative integer',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      try {
+        const difference = await getDifference(socket.userId, since, limit);
+        respond({ success: true, ...difference });
+      } catch (error) {
+        console.error('Error resuming updates:', error);
+        respond({
+          success: false,
+          error: 'An error occurred while fetching updates',
+          code: 'UPDATES_FETCH_ERROR'
+        });
+      }
+    });
+
     // Handle joining chat rooms
     socket.on('join_chat', (data) => {
       const { chatId } = data;
@@ -141,8 +309,23 @@ const updateUserStatus = async (userId, isOnline) => {
   }
 };
 
-// Send message to chat participants
-const sendMessageToChat = async (chatId, message, senderId) => {
+// Record an event in each user's update sequence, then emit it to their devices
+// with the seq attached. `except` skips a single socket (the one that caused the event).
+const publishToUsers = async (userIds, event, chatId, payload, except = null) => {
+  const seqs = await recordUpdate(userIds, event, chatId, payload);
+
+  userIds.forEach(userId => {
+    const room = except
+      ? io.to(`user:${userId}`).except(except)
+      : io.to(`user:${userId}`);
+    room.emit(event, { ...payload, seq: seqs[userId] });
+  });
+};
+
+// Fan a new message out to chat participants and refresh their unread counts.
+// The sender's other devices get it too; originSocketId (the sending socket) is skipped.
+// `forwarded` marks forwarded copies whose attribution is hidden (message.forward is null).
+const sendMessageToChat = async (chatId, message, senderId, originSocketId = null, { forwarded = false } = {}) => {
   try {
     // Get chat participants
     const participantsResult = await query(
@@ -152,31 +335,238 @@ const sendMessageToChat = async (chatId, message, senderId) => {
 
     const participants = participantsResult.rows.map(row => row.user_id);
 
-    // Emit to all participants except sender
-    participants.forEach(participantId => {
-      if (participantId !== senderId) {
-        io.to(`user:${participantId}`).emit('new_message', {
-          message,
-          chatId
-        });
-      }
-    });
+    await publishToUsers(
+      participants.filter(participantId => participantId !== senderId),
+      'new_message', chatId, { message, chatId }
+    );
+    await publishToUsers([senderId], 'new_message', chatId, { message, chatId }, originSocketId);
 
-    // Also emit to chat room for typing indicators
-    io.to(`chat:${chatId}`).emit('message_delivered', {
-      messageId: message.id,
-      chatId,
-      deliveredAt: new Date()
-    });
+    const unarchivedUserIds = await unarchiveOnNewMessage(chatId, senderId);
+    if (unarchivedUserIds.length > 0) {
+      await publishToUsers(unarchivedUserIds, 'chat_archive_updated', chatId, { chatId, isArchived: false });
+    }
+
+    // Forwarded copies don't notify the people mentioned in the original
+    const mentionedUserIds = message.forward || forwarded ? [] : getMentionedUserIds(message.entities, senderId);
+    await publishMentions(chatId, message, mentionedUserIds);
+
+    // Silent messages are delivered without a notification
+    if (!message.isSilent) {
+      await sendNotificationToUsers(participants.filter(participantId => participantId !== senderId), {
+        type: 'new_message',
+        chatId,
+        messageId: message.id,
+        messageType: message.type,
+        sender: message.sender,
+        content: message.content ? message.content.slice(0, NOTIFICATION_PREVIEW_LENGTH) : null
+      }, mentionedUserIds);
+    }
+
+    await broadcastUnreadCounts(chatId, participants);
 
+    publishLinkPreview(chatId, message.id, senderId);
   } catch (error) {
     console.error('Error sending message to chat:', error);
   }
 };
 
-// Send notification to specific user
-const sendNotificationToUser = (userId, notification) => {
-  io.to(`user:${userId}`).emit('notification', notification);
+// Fetch a message's link preview in the background and push message_updated once it is attached
+// (or replaced/removed after an edit). Callers don't wait for the fetch.
+const publishLinkPreview = (chatId, messageId, viewerId) => {
+  refreshMessageLinkPreview(messageId)
+    .then(async (changed) => {
+      if (!changed) {
+        return;
+      }
+
+      const [message] = await getMessagesByIds([messageId], viewerId);
+      if (message) {
+        await emitToChat(chatId, 'message_updated', { chatId, message });
+      }
+    })
+    .catch(error => console.error('Error publishing link preview:', error));
+};
+
+// Notify users that they were @mentioned in a message
+const publishMentions = async (chatId, message, userIds) => {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  await publishToUsers(userIds, 'mention', chatId, {
+    chatId,
+    messageId: message.id,
+    sender: message.sender,
+    content: message.content,
+    createdAt: message.createdAt
+  });
+};
+
+// Emit an event to every participant of a chat (all of their devices)
+const emitToChat = async (chatId, event, payload) => {
+  try {
+    const participantsResult = await query(
+      'SELECT user_id FROM chat_participants WHERE chat_id = $1',
+      [chatId]
+    );
+
+    await publishToUsers(participantsResult.rows.map(row => row.user_id), event, chatId, payload);
+  } catch (error) {
+    console.error(`Error emitting ${event} to chat:`, error);
+  }
+};
+
+// Emit an event to all of a user's devices
+const emitToUser = async (userId, event, payload) => {
+  try {
+    await publishToUsers([userId], event, payload.chatId || null, payload);
+  } catch (error) {
+    console.error(`Error emitting ${event} to user:`, error);
+  }
+};
+
+// Tell a chat (and the user who is no longer in it) that a member left or was removed,
+// and take the user's sockets out of the chat room
+const publishMemberRemoved = async (chatId, userId, update) => {
+  try {
+    const payload = { chatId, userId, ...update };
+    await emitToChat(chatId, 'chat_member_removed', payload);
+    await publishToUsers([userId], 'chat_member_removed', chatId, payload);
+    io.in(`user:${userId}`).socketsLeave(`chat:${chatId}`);
+  } catch (error) {
+    console.error('Error publishing member removal:', error);
+  }
+};
+
+// Tell a group's admins and the requesting user that a join request was made, approved or declined
+const publishJoinRequestUpdate = async (chatId, userId, update) => {
+  try {
+    const adminsResult = await query(
+      "SELECT user_id FROM chat_participants WHERE chat_id = $1 AND role = 'admin'",
+      [chatId]
+    );
+
+    const userIds = [...new Set([...adminsResult.rows.map(row => row.user_id), userId])];
+    await publishToUsers(userIds, 'chat_join_request_updated', chatId, { chatId, userId, ...update });
+  } catch (error) {
+    console.error('Error publishing join request update:', error);
+  }
+};
+
+// Sync a user's draft for a chat to their other devices (draft is null when cleared).
+// originSocketId is the device that made the change and already has it.
+const publishDraft = async (chatId, userId, draft, originSocketId = null) => {
+  try {
+    await publishToUsers([userId], 'draft_updated', chatId, { chatId, draft }, originSocketId);
+  } catch (error) {
+    console.error('Error publishing draft:', error);
+  }
+};
+
+// Sending a message consumes the sender's draft for that chat
+const clearSentDraft = async (chatId, userId, originSocketId = null) => {
+  const result = await clearDraft(chatId, userId);
+  if (result && result.cleared) {
+    await publishDraft(chatId, userId, null, originSocketId);
+  }
+};
+
+// Tell the chat a user read up to a message and sync the reader's badge across devices
+const publishRead = async (chatId, messageId, reader, read) => {
+  const { readCount, recipientCount } = await getReceipts(messageId);
+
+  await emitToChat(chatId, 'message_read', {
+    messageId,
+    chatId,
+    userId: reader.id,
+    username: reader.username,
+    readAt: read.readAt,
+    readCount,
+    recipientCount
+  });
+
+  await broadcastUnreadCounts(chatId, [reader.id]);
+};
+
+// Broadcast a pin change along with the chat's current pinned message ids (returned)
+const publishPinnedUpdate = async (chatId, update) => {
+  const pinnedMessageIds = await getPinnedMessageIds(chatId);
+  await emitToChat(chatId, 'pinned_messages_updated', { chatId, ...update, pinnedMessageIds });
+  return pinnedMessageIds;
+};
+
+// Push live vote counts to every chat showing the poll (it may have been forwarded)
+const publishPollUpdate = async (pollId) => {
+  try {
+    const results = await getPollResults(pollId);
+    const pollMessages = await getPollMessages(pollId);
+
+    for (const { chatId, messageId } of pollMessages) {
+      await emitToChat(chatId, 'poll_updated', { chatId, messageId, ...results });
+    }
+  } catch (error) {
+    console.error('Error publishing poll update:', error);
+  }
+};
+
+// Push fresh unread/mention counts for a chat to participants' devices. The chat's counts come
+// from one query over its recipients, and their totals from one more.
+const broadcastUnreadCounts = async (chatId, userIds = null) => {
+  try {
+    let recipients = userIds;
+    if (!recipients) {
+      const participantsResult = await query(
+        'SELECT user_id FROM chat_participants WHERE chat_id = $1',
+        [chatId]
+      );
+      recipients = participantsResult.rows.map(row => row.user_id);
+    }
+
+    if (recipients.length === 0) {
+      return;
+    }
+
+    const counts = await getChatUnreadCounts(chatId, recipients);
+    const totals = await getTotalUnreadCounts(recipients);
+
+    // Emitted to every recipient's room, even without a local socket: with several server
+    // instances their devices may be connected to another node
+    recipients.forEach(userId => {
+      const chatCounts = counts[userId] || { unreadCount: 0, unreadMentionCount: 0 };
+
+      io.to(`user:${userId}`).emit('unread_count_updated', {
+        chatId,
+        unreadCount: chatCounts.unreadCount,
+        unreadMentionCount: chatCounts.unreadMentionCount,
+        totalUnreadCount: totals[userId] || 0
+      });
+    });
+  } catch (error) {
+    console.error('Error broadcasting unread counts:', error);
+  }
+};
+
+// Send a notification to users, skipping anyone whose settings for notification.chatId mute it.
+// Users in `mentionedUserIds` still get it in mentions-only mode. Returns who was notified.
+const sendNotificationToUsers = async (userIds, notification, mentionedUserIds = []) => {
+  const recipients = notification.chatId
+    ? await filterNotificationRecipients(notification.chatId, userIds, mentionedUserIds)
+    : userIds;
+
+  recipients.forEach(userId => {
+    io.to(`user:${userId}`).emit('notification', {
+      ...notification,
+      mentioned: mentionedUserIds.includes(userId)
+    });
+  });
+
+  return recipients;
+};
+
+// Send notification to specific user (subject to their mute settings for the chat)
+const sendNotificationToUser = async (userId, notification) => {
+  const recipients = await sendNotificationToUsers([userId], notification);
+  return recipients.length > 0;
 };
 
 // Get connected users
@@ -198,6 +588,19 @@ const getUserSocketId = (userId) => {
 module.exports = {
   initializeWebSocket,
   sendMessageToChat,
+  emitToChat,
+  emitToUser,
+  publishRead,
+  publishDraft,
+  clearSentDraft,
+  publishMentions,
+  publishPinnedUpdate,
+  publishPollUpdate,
+  publishMemberRemoved,
+  publishJoinRequestUpdate,
+  publishLinkPreview,
+  broadcastUnreadCounts,
+  sendNotificationToUsers,
   sendNotificationToUser,
   getConnectedUsers,
   isUserOnline,
@@ -0,0 +1,138 @@
+jest.mock('../database/connection', () => require('../database/testDatabase'));
+
+const {
+  query, setupTestDatabase, resetTestDatabase, closeTestDatabase, createUser, createChat
+} = require('../database/testDatabase');
+const { startTestSocketServer } = require('../routes/testApp');
+
+let server, alice, bob, chat;
+
+beforeAll(async () => {
+  await setupTestDatabase();
+  server = await startTestSocketServer();
+});
+beforeEach(resetTestDatabase);
+afterAll(async () => {
+  await server.close();
+  await closeTestDatabase();
+});
+
+beforeEach(async () => {
+  alice = await createUser({ username: 'alice' });
+  bob = await createUser({ username: 'bob' });
+  chat = await createChat(alice.id, { type: 'group', members: [bob.id] });
+});
+
+// Emit with an acknowledgement and resolve with the server's reply
+const emitWithAck = (client, event, payload) => client.timeout(5000).emitWithAck(event, payload);
+
+// Resolve with the next `event` the client receives
+const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+const countMessages = async (chatId) => {
+  const result = await query('SELECT COUNT(*) as total FROM messages WHERE chat_id = $1', [chatId]);
+  return parseInt(result.rows[0].total);
+};
+
+describe('send_message', () => {
+  it('acks with the stored message and delivers it to the other participants', async () => {
+    const sender = await server.connect(alice);
+    const recipient = await server.connect(bob);
+    const delivered = nextEvent(recipient, 'new_message');
+
+    const ack = await emitWithAck(sender, 'send_message', { chatId: chat.id, content: 'hello', clientMessageId: 'c-1' });
+
+    expect(ack).toMatchObject({ success: true, clientMessageId: 'c-1', duplicate: false });
+    expect(ack.messageId).toBe(ack.message.id);
+    expect(ack.createdAt).toBeDefined();
+    expect((await delivered).message).toMatchObject({ id: ack.messageId, content: 'hello', clientMessageId: 'c-1' });
+  });
+
+  it('syncs the message to the sender\'s other devices but not back to the sending one', async () => {
+    const phone = await server.connect(alice);
+    const laptop = await server.connect(alice);
+    const echoed = jest.fn();
+    phone.on('new_message', echoed);
+    const synced = nextEvent(laptop, 'new_message');
+
+    const ack = await emitWithAck(phone, 'send_message', { chatId: chat.id, content: 'hello', clientMessageId: 'c-1' });
+
+    expect((await synced).message.id).toBe(ack.messageId);
+    expect(echoed).not.toHaveBeenCalled();
+  });
+
+  it('answers retries with the original message instead of sending it twice', async () => {
+    const sender = await server.connect(alice);
+    const payload = { chatId: chat.id, content: 'hello', clientMessageId: 'c-1' };
+
+    const first = await emitWithAck(sender, 'send_message', payload);
+    const retry = await emitWithAck(sender, 'send_message', payload);
+
+    expect(retry).toMatchObject({ success: true, duplicate: true, messageId: first.messageId });
+    expect(await countMessages(chat.id)).toBe(1);
+  });
+
+  it('stores one message when the same send races itself', async () => {
+    const sender = await server.connect(alice);
+    const payload = { chatId: chat.id, content: 'hello', clientMessageId: 'c-1' };
+
+    const acks = await Promise.all([
+      emitWithAck(sender, 'send_message', payload),
+      emitWithAck(sender, 'send_message', payload)
+    ]);
+
+    expect(new Set(acks.map(ack => ack.messageId)).size).toBe(1);
+    expect(acks.map(ack => ack.duplicate).sort()).toEqual([false, true]);
+    expect(await countMessages(chat.id)).toBe(1);
+  });
+
+  it('scopes clientMessageId to the chat', async () => {
+    const otherChat = await createChat(alice.id, { members: [bob.id] });
+    const sender = await server.connect(alice);
+
+    const first = await emitWithAck(sender, 'send_message', { chatId: chat.id, content: 'hi', clientMessageId: 'c-1' });
+    const second = await emitWithAck(sender, 'send_message', { chatId: otherChat.id, content: 'hi', clientMessageId: 'c-1' });
+
+    expect(second).toMatchObject({ success: true, duplicate: false });
+    expect(second.messageId).not.toBe(first.messageId);
+  });
+
+  it('rejects invalid sends with an error code', async () => {
+    const outsider = await createUser();
+    const sender = await server.connect(alice);
+
+    expect(await emitWithAck(sender, 'send_message', { chatId: chat.id, content: 'hello' }))
+      .toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+    expect(await emitWithAck(sender, 'send_message', { chatId: chat.id, content: ' ', clientMessageId: 'c-1' }))
+      .toMatchObject({ success: false, clientMessageId: 'c-1', code: 'VALIDATION_ERROR' });
+
+    const stranger = await server.connect(outsider);
+    expect(await emitWithAck(stranger, 'send_message', { chatId: chat.id, content: 'hello', clientMessageId: 'c-2' }))
+      .toMatchObject({ success: false, clientMessageId: 'c-2', code: 'ACCESS_DENIED' });
+    expect(await countMessages(chat.id)).toBe(0);
+  });
+});
+
+describe('resume', () => {
+  it('acks with the updates missed while disconnected', async () => {
+    const sender = await server.connect(alice);
+    const otherDevice = await server.connect(bob);
+    const delivered = nextEvent(otherDevice, 'new_message');
+    await emitWithAck(sender, 'send_message', { chatId: chat.id, content: 'while you were away', clientMessageId: 'c-1' });
+    await delivered;
+
+    const reconnected = await server.connect(bob);
+    const difference = await emitWithAck(reconnected, 'resume', { seq: 0 });
+
+    expect(difference.success).toBe(true);
+    expect(difference.updates.find(update => update.type === 'new_message').payload.message.content)
+      .toBe('while you were away');
+    expect(difference.state.seq).toBe(difference.updates[difference.updates.length - 1].seq);
+  });
+
+  it('rejects an invalid seq', async () => {
+    const client = await server.connect(bob);
+
+    expect(await emitWithAck(client, 'resume', { seq: -1 })).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+  });
+});